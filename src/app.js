@@ -1,14 +1,29 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const multer = require('multer');
 require('dotenv').config();
 
 const soilController = require('./controllers/soilController');
+const fieldController = require('./controllers/fieldController');
+const monitorController = require('./controllers/monitorController');
+const rasterController = require('./controllers/rasterController');
+const tileController = require('./controllers/tileController');
+const indexController = require('./controllers/indexController');
+const cacheController = require('./controllers/cacheController');
+const downloadController = require('./controllers/downloadController');
+const jobController = require('./controllers/jobController');
+const cropController = require('./controllers/cropController');
+const ruleController = require('./controllers/ruleController');
 const sentinelService = require('./services/sentinelService');
+const monitoringService = require('./services/monitoringService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// CSV point lists for batch analyses are parsed from memory
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -21,8 +36,51 @@ app.get('/', (req, res) => {
 
 // API Routes
 app.get('/api/soil/analysis', soilController.getSoilAnalysis);
+app.get('/api/soil/analysis/export', soilController.exportSoilAnalysis);
+app.post('/api/soil/analysis', soilController.getFieldAnalysis);
+app.post('/api/soil/analysis/batch', upload.single('file'), soilController.getBatchAnalysis);
+app.get('/api/soil/timeseries', soilController.getTimeSeries);
 app.get('/api/soil/location', soilController.getSoilByLocation);
+app.get('/api/analyses', soilController.listAnalyses);
+app.get('/api/analyses/:id', soilController.getAnalysis);
+app.get('/api/fields', fieldController.listFields);
+app.post('/api/fields', fieldController.createField);
+app.post('/api/fields/zones', fieldController.delineateZones);
+app.post('/api/fields/prescription', fieldController.exportPrescription);
+app.get('/api/fields/:id', fieldController.getField);
+app.put('/api/fields/:id', fieldController.updateField);
+app.delete('/api/fields/:id', fieldController.deleteField);
+app.get('/api/fields/:id/analysis', soilController.getSavedFieldAnalysis);
+app.get('/api/monitors', monitorController.listMonitors);
+app.post('/api/monitors', monitorController.createMonitor);
+app.get('/api/monitors/:id', monitorController.getMonitor);
+app.put('/api/monitors/:id', monitorController.updateMonitor);
+app.delete('/api/monitors/:id', monitorController.deleteMonitor);
+app.post('/api/monitors/:id/run', monitorController.runMonitor);
+app.get('/api/alerts', monitorController.listAlerts);
+app.get('/api/crops', cropController.listCrops);
+app.get('/api/crops/:id', cropController.getCrop);
+app.get('/api/rules', ruleController.listRules);
+app.post('/api/rules/reload', ruleController.reloadRules);
+app.post('/api/rules/dry-run', ruleController.dryRun);
+app.get('/api/indices', indexController.listIndices);
+app.post('/api/indices', indexController.createIndex);
+app.get('/api/indices/:id', indexController.getIndex);
+app.delete('/api/indices/:id', indexController.deleteIndex);
+app.get('/api/rasters/:index', rasterController.getIndexRaster);
+app.post('/api/rasters/:index', rasterController.getFieldIndexRaster);
+app.get('/api/tiles/:index/:z/:x/:y.png', tileController.getTile);
 app.get('/api/sentinel/data', soilController.getSentinelData);
+app.get('/api/sentinel/downloads', downloadController.listDownloads);
+app.post('/api/sentinel/downloads', downloadController.createDownload);
+app.get('/api/sentinel/downloads/:id', downloadController.getDownload);
+app.get('/api/jobs', jobController.listJobs);
+app.post('/api/jobs', jobController.createJob);
+app.get('/api/jobs/:id', jobController.getJob);
+app.get('/api/jobs/:id/events', jobController.streamJob);
+app.get('/api/cache', cacheController.getCache);
+app.delete('/api/cache', cacheController.clearCache);
+app.delete('/api/cache/:id', cacheController.deleteScene);
 app.get('/api/locations/search', soilController.searchLocations);
 app.get('/api/locations/reverse', soilController.getLocationFromCoordinates);
 
@@ -47,6 +105,10 @@ app.use((err, req, res, next) => {
 app.listen(PORT, () => {
     console.log(`🚀 Sentinel Soil Analysis Server running on port ${PORT}`);
     console.log(`📡 Ready to analyze satellite data for soil insights`);
+
+    if (process.env.MONITORING_ENABLED !== 'false') {
+        monitoringService.start();
+    }
 });
 
 module.exports = app;
@@ -0,0 +1,69 @@
+const sceneCacheService = require('../services/sceneCacheService');
+
+class CacheController {
+    /**
+     * Scene cache settings, usage and cached products
+     */
+    async getCache(req, res) {
+        try {
+            res.json({
+                ...sceneCacheService.getStats(),
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('Error getting scene cache:', error);
+            res.status(500).json({
+                error: 'Failed to get scene cache',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Remove all cached products
+     */
+    async clearCache(req, res) {
+        try {
+            const result = await sceneCacheService.clear();
+
+            res.json({
+                ...result,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('Error clearing scene cache:', error);
+            res.status(500).json({
+                error: 'Failed to clear scene cache',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Remove one cached product
+     */
+    async deleteScene(req, res) {
+        try {
+            const entry = await sceneCacheService.remove(req.params.id);
+
+            if (!entry) {
+                return res.status(404).json({
+                    error: 'Cached scene not found'
+                });
+            }
+
+            res.status(204).end();
+
+        } catch (error) {
+            console.error('Error deleting cached scene:', error);
+            res.status(500).json({
+                error: 'Failed to delete cached scene',
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = new CacheController();
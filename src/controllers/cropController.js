@@ -0,0 +1,50 @@
+const cropService = require('../services/cropService');
+
+class CropController {
+    /**
+     * List the crop profiles usable as `crop` in analyses
+     */
+    async listCrops(req, res) {
+        try {
+            const crops = cropService.listCrops();
+
+            res.json({
+                count: crops.length,
+                crops
+            });
+
+        } catch (error) {
+            console.error('Error listing crops:', error);
+            res.status(500).json({
+                error: 'Failed to list crops',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get a crop profile by id, name or alias
+     */
+    async getCrop(req, res) {
+        try {
+            const crop = cropService.getCrop(req.params.id);
+
+            if (!crop) {
+                return res.status(404).json({
+                    error: 'Crop not found'
+                });
+            }
+
+            res.json(crop);
+
+        } catch (error) {
+            console.error('Error getting crop:', error);
+            res.status(500).json({
+                error: 'Failed to get crop',
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = new CropController();
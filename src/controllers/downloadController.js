@@ -0,0 +1,107 @@
+const sentinelService = require('../services/sentinelService');
+const sceneCacheService = require('../services/sceneCacheService');
+const downloadService = require('../services/downloadService');
+
+class DownloadController {
+    /**
+     * Start downloading a Sentinel-2 product into the scene cache; responds before the download finishes
+     */
+    async createDownload(req, res) {
+        try {
+            const { sceneId } = req.body || {};
+
+            if (!sceneId || typeof sceneId !== 'string') {
+                return res.status(400).json({
+                    error: 'sceneId is required'
+                });
+            }
+
+            if (!sentinelService.provider.isValidItemId(sceneId)) {
+                return res.status(400).json({
+                    error: `sceneId is not a valid ${sentinelService.provider.name} product id`
+                });
+            }
+
+            if (sceneCacheService.has(sceneId)) {
+                return res.json({
+                    sceneId,
+                    status: 'cached',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            if (sentinelService.useMockData || !sentinelService.provider.isConfigured()) {
+                return res.status(400).json({
+                    error: 'Scene downloads need a configured catalogue (mock data is enabled or credentials are missing)'
+                });
+            }
+
+            const job = await sentinelService.queueDownload(sceneId);
+
+            if (!job) {
+                return res.status(404).json({
+                    error: 'Scene not found'
+                });
+            }
+
+            res.status(202).json(downloadService.describeJob(job));
+
+        } catch (error) {
+            console.error('Error starting download:', error);
+            res.status(500).json({
+                error: 'Failed to start download',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * List download jobs, newest first
+     */
+    async listDownloads(req, res) {
+        try {
+            const jobs = downloadService.listJobs().map(job => downloadService.describeJob(job));
+
+            res.json({
+                count: jobs.length,
+                active: jobs.filter(job => ['downloading', 'verifying'].includes(job.status)).length,
+                queued: jobs.filter(job => job.status === 'queued').length,
+                downloads: jobs,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('Error listing downloads:', error);
+            res.status(500).json({
+                error: 'Failed to list downloads',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Progress of a download job (bytes, total, status)
+     */
+    async getDownload(req, res) {
+        try {
+            const job = downloadService.getJob(req.params.id);
+
+            if (!job) {
+                return res.status(404).json({
+                    error: 'Download not found'
+                });
+            }
+
+            res.json(downloadService.describeJob(job));
+
+        } catch (error) {
+            console.error('Error getting download:', error);
+            res.status(500).json({
+                error: 'Failed to get download',
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = new DownloadController();
@@ -0,0 +1,261 @@
+const fieldService = require('../services/fieldService');
+const zoneService = require('../services/zoneService');
+const prescriptionService = require('../services/prescriptionService');
+const geoService = require('../services/geoService');
+const compositeService = require('../services/compositeService');
+
+/**
+ * Validate the boundary (geometry or saved fieldId) and zone options of a zoning request
+ * @returns {Object} { valid: true, geometry, field, options } or { valid: false, status, error }
+ */
+function parseZoneRequest(body) {
+    const { geometry, fieldId, zones = zoneService.defaultZones, date, resolution, smoothing = 1, seed, composite } = body;
+
+    let field = null;
+    if (fieldId) {
+        field = fieldService.getField(fieldId);
+        if (!field) {
+            return { valid: false, status: 404, error: 'Field not found' };
+        }
+    }
+
+    const validation = geoService.normalizeFieldGeometry(field ? field.geometry : geometry);
+    if (!validation.valid) {
+        return { valid: false, error: validation.error };
+    }
+
+    const zoneCount = Number(zones);
+    if (!Number.isInteger(zoneCount) || zoneCount < zoneService.minZones || zoneCount > zoneService.maxZones) {
+        return { valid: false, error: `Zones must be an integer between ${zoneService.minZones} and ${zoneService.maxZones}` };
+    }
+
+    if (date && (isNaN(new Date(date).getTime()) || new Date(date) > new Date())) {
+        return { valid: false, error: 'Date must be a valid date that is not in the future' };
+    }
+
+    const pixelSize = resolution === undefined ? undefined : Number(resolution);
+    if (pixelSize !== undefined && (isNaN(pixelSize) || pixelSize < 10 || pixelSize > 1000)) {
+        return { valid: false, error: 'Resolution must be between 10 and 1000 meters' };
+    }
+
+    const smoothingPasses = Number(smoothing);
+    if (!Number.isInteger(smoothingPasses) || smoothingPasses < 0 || smoothingPasses > 3) {
+        return { valid: false, error: 'Smoothing must be an integer between 0 and 3' };
+    }
+
+    if (composite && !compositeService.methods.includes(composite)) {
+        return { valid: false, error: `Composite must be one of: ${compositeService.methods.join(', ')}` };
+    }
+
+    return {
+        valid: true,
+        geometry: validation.geometry,
+        field,
+        options: { zones: zoneCount, date, resolution: pixelSize, smoothing: smoothingPasses, seed, composite }
+    };
+}
+
+class FieldController {
+    /**
+     * List saved fields, optionally filtered by owner, crop or tag
+     */
+    async listFields(req, res) {
+        try {
+            const { owner, crop, tag } = req.query;
+            const fields = fieldService.listFields({ owner, crop, tag });
+
+            res.json({
+                count: fields.length,
+                fields,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('Error listing fields:', error);
+            res.status(500).json({
+                error: 'Failed to list fields',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Save a new field
+     */
+    async createField(req, res) {
+        try {
+            const result = await fieldService.createField(req.body || {});
+
+            if (!result.valid) {
+                return res.status(400).json({
+                    error: result.error
+                });
+            }
+
+            res.status(201).json(result.field);
+
+        } catch (error) {
+            console.error('Error creating field:', error);
+            res.status(500).json({
+                error: 'Failed to create field',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get a saved field by id
+     */
+    async getField(req, res) {
+        try {
+            const field = fieldService.getField(req.params.id);
+
+            if (!field) {
+                return res.status(404).json({
+                    error: 'Field not found'
+                });
+            }
+
+            res.json(field);
+
+        } catch (error) {
+            console.error('Error getting field:', error);
+            res.status(500).json({
+                error: 'Failed to get field',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Update a saved field
+     */
+    async updateField(req, res) {
+        try {
+            const result = await fieldService.updateField(req.params.id, req.body || {});
+
+            if (!result) {
+                return res.status(404).json({
+                    error: 'Field not found'
+                });
+            }
+
+            if (!result.valid) {
+                return res.status(400).json({
+                    error: result.error
+                });
+            }
+
+            res.json(result.field);
+
+        } catch (error) {
+            console.error('Error updating field:', error);
+            res.status(500).json({
+                error: 'Failed to update field',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Delete a saved field
+     */
+    async deleteField(req, res) {
+        try {
+            const deleted = await fieldService.deleteField(req.params.id);
+
+            if (!deleted) {
+                return res.status(404).json({
+                    error: 'Field not found'
+                });
+            }
+
+            res.status(204).end();
+
+        } catch (error) {
+            console.error('Error deleting field:', error);
+            res.status(500).json({
+                error: 'Failed to delete field',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Delineate management zones for a field boundary (or a saved field) from one scene
+     */
+    async delineateZones(req, res) {
+        try {
+            const parsed = parseZoneRequest(req.body || {});
+            if (!parsed.valid) {
+                return res.status(parsed.status || 400).json({
+                    error: parsed.error
+                });
+            }
+
+            const result = await zoneService.delineateZones(parsed.geometry, parsed.options);
+
+            res.json({
+                ...result,
+                fieldId: parsed.field?.id || null,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('Error delineating zones:', error);
+            res.status(500).json({
+                error: 'Failed to delineate management zones',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Export a variable-rate prescription map (zipped shapefile, ISO-XML TaskData or GeoJSON)
+     */
+    async exportPrescription(req, res) {
+        try {
+            const body = req.body || {};
+            const { format = 'shapefile' } = body;
+
+            if (!prescriptionService.formats.includes(format)) {
+                return res.status(400).json({
+                    error: `Format must be one of: ${prescriptionService.formats.join(', ')}`
+                });
+            }
+
+            const parsed = parseZoneRequest(body);
+            if (!parsed.valid) {
+                return res.status(parsed.status || 400).json({
+                    error: parsed.error
+                });
+            }
+
+            const validation = prescriptionService.validatePrescription(body);
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: validation.error
+                });
+            }
+
+            const prescription = await prescriptionService.createPrescription(parsed.geometry, validation.values, {
+                ...parsed.options,
+                name: validation.values.name || parsed.field?.name
+            });
+            const file = prescriptionService.render(prescription, format);
+
+            res.set('Content-Type', file.contentType);
+            res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+            res.send(file.body);
+
+        } catch (error) {
+            console.error('Error exporting prescription:', error);
+            res.status(500).json({
+                error: 'Failed to export prescription',
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = new FieldController();
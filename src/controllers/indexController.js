@@ -0,0 +1,108 @@
+const spectralIndexService = require('../services/spectralIndexService');
+const ExpressionParser = require('../utils/expressionParser');
+
+class IndexController {
+    /**
+     * List built-in, configured and custom spectral indices
+     */
+    async listIndices(req, res) {
+        try {
+            const indices = spectralIndexService.listIndices();
+
+            res.json({
+                count: indices.length,
+                indices,
+                bands: spectralIndexService.bands,
+                functions: ExpressionParser.getFunctionNames(),
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('Error listing indices:', error);
+            res.status(500).json({
+                error: 'Failed to list indices',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get a spectral index definition by id
+     */
+    async getIndex(req, res) {
+        try {
+            const index = spectralIndexService.getIndex(req.params.id);
+
+            if (!index) {
+                return res.status(404).json({
+                    error: 'Index not found'
+                });
+            }
+
+            res.json(index);
+
+        } catch (error) {
+            console.error('Error getting index:', error);
+            res.status(500).json({
+                error: 'Failed to get index',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Register a custom band-math index
+     */
+    async createIndex(req, res) {
+        try {
+            const result = await spectralIndexService.createIndex(req.body || {});
+
+            if (!result.valid) {
+                return res.status(400).json({
+                    error: result.error
+                });
+            }
+
+            res.status(201).json(result.index);
+
+        } catch (error) {
+            console.error('Error creating index:', error);
+            res.status(500).json({
+                error: 'Failed to create index',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Delete a custom index; built-in and configured indices cannot be deleted
+     */
+    async deleteIndex(req, res) {
+        try {
+            const result = await spectralIndexService.deleteIndex(req.params.id);
+
+            if (!result) {
+                return res.status(404).json({
+                    error: 'Index not found'
+                });
+            }
+
+            if (!result.deleted) {
+                return res.status(400).json({
+                    error: result.error
+                });
+            }
+
+            res.status(204).end();
+
+        } catch (error) {
+            console.error('Error deleting index:', error);
+            res.status(500).json({
+                error: 'Failed to delete index',
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = new IndexController();
@@ -0,0 +1,151 @@
+const jobService = require('../services/jobService');
+
+// Comment lines sent on idle progress streams so proxies keep the connection open
+const HEARTBEAT_INTERVAL = 15000;
+
+class JobController {
+    /**
+     * Queue an analysis job: { type: 'analysis' | 'field' | 'batch', params }
+     * Responds at once with the job id; progress comes from GET /api/jobs/:id or its event stream
+     */
+    async createJob(req, res) {
+        try {
+            const { type = 'analysis', params = {} } = req.body || {};
+
+            if (typeof params !== 'object' || Array.isArray(params)) {
+                return res.status(400).json({
+                    error: 'params must be an object'
+                });
+            }
+
+            const result = jobService.createJob(type, params);
+
+            if (!result.valid) {
+                return res.status(400).json({
+                    error: result.error
+                });
+            }
+
+            res.status(202)
+                .location(`/api/jobs/${result.job.id}`)
+                .json(jobService.describeJob(result.job));
+
+        } catch (error) {
+            console.error('Error creating job:', error);
+            res.status(500).json({
+                error: 'Failed to create job',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * List jobs, newest first, without their results
+     */
+    async listJobs(req, res) {
+        try {
+            const jobs = jobService.listJobs({ status: req.query.status, type: req.query.type })
+                .map(job => jobService.describeJob(job, { includeResult: false }));
+
+            res.json({
+                count: jobs.length,
+                running: jobs.filter(job => job.status === 'running').length,
+                queued: jobs.filter(job => job.status === 'queued').length,
+                jobs,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('Error listing jobs:', error);
+            res.status(500).json({
+                error: 'Failed to list jobs',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Status, progress and (once completed) result of a job
+     */
+    async getJob(req, res) {
+        try {
+            const job = jobService.getJob(req.params.id);
+
+            if (!job) {
+                return res.status(404).json({
+                    error: 'Job not found'
+                });
+            }
+
+            res.json(jobService.describeJob(job));
+
+        } catch (error) {
+            console.error('Error getting job:', error);
+            res.status(500).json({
+                error: 'Failed to get job',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Server-Sent Events stream of a job: `progress` events while it is queued or running, then one
+     * `completed` (with the result) or `failed` event, after which the stream closes
+     */
+    async streamJob(req, res) {
+        try {
+            const job = jobService.getJob(req.params.id);
+
+            if (!job) {
+                return res.status(404).json({
+                    error: 'Job not found'
+                });
+            }
+
+            res.set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive'
+            });
+            res.flushHeaders();
+
+            const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+            const close = () => {
+                clearInterval(heartbeat);
+                jobService.off('update', onUpdate);
+            };
+            const send = update => {
+                const event = jobService.isFinished(update) ? update.status : 'progress';
+                const data = jobService.describeJob(update, { includeResult: event === 'completed' });
+                res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+                if (event !== 'progress') {
+                    close();
+                    res.end();
+                }
+            };
+            function onUpdate(update) {
+                if (update.id === job.id) send(update);
+            }
+
+            jobService.on('update', onUpdate);
+            req.on('close', close);
+
+            // Current state first, so late subscribers (and reconnects) are up to date
+            send(job);
+
+        } catch (error) {
+            console.error('Error streaming job:', error);
+            if (res.headersSent) {
+                res.end();
+            } else {
+                res.status(500).json({
+                    error: 'Failed to stream job',
+                    message: error.message
+                });
+            }
+        }
+    }
+}
+
+module.exports = new JobController();
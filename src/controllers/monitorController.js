@@ -0,0 +1,194 @@
+const monitoringService = require('../services/monitoringService');
+
+class MonitorController {
+    /**
+     * List monitors, optionally for one field
+     */
+    async listMonitors(req, res) {
+        try {
+            const monitors = monitoringService.listMonitors({ fieldId: req.query.fieldId });
+
+            res.json({
+                count: monitors.length,
+                monitors,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('Error listing monitors:', error);
+            res.status(500).json({
+                error: 'Failed to list monitors',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Register a saved field for recurring monitoring
+     */
+    async createMonitor(req, res) {
+        try {
+            const result = await monitoringService.createMonitor(req.body || {});
+
+            if (!result.valid) {
+                return res.status(400).json({
+                    error: result.error
+                });
+            }
+
+            res.status(201).json(result.monitor);
+
+        } catch (error) {
+            console.error('Error creating monitor:', error);
+            res.status(500).json({
+                error: 'Failed to create monitor',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get a monitor by id
+     */
+    async getMonitor(req, res) {
+        try {
+            const monitor = monitoringService.getMonitor(req.params.id);
+
+            if (!monitor) {
+                return res.status(404).json({
+                    error: 'Monitor not found'
+                });
+            }
+
+            res.json(monitor);
+
+        } catch (error) {
+            console.error('Error getting monitor:', error);
+            res.status(500).json({
+                error: 'Failed to get monitor',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Update monitor settings (interval, thresholds, webhook, enabled)
+     */
+    async updateMonitor(req, res) {
+        try {
+            const result = await monitoringService.updateMonitor(req.params.id, req.body || {});
+
+            if (!result) {
+                return res.status(404).json({
+                    error: 'Monitor not found'
+                });
+            }
+
+            if (!result.valid) {
+                return res.status(400).json({
+                    error: result.error
+                });
+            }
+
+            res.json(result.monitor);
+
+        } catch (error) {
+            console.error('Error updating monitor:', error);
+            res.status(500).json({
+                error: 'Failed to update monitor',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Delete a monitor (its alerts are kept)
+     */
+    async deleteMonitor(req, res) {
+        try {
+            const deleted = await monitoringService.deleteMonitor(req.params.id);
+
+            if (!deleted) {
+                return res.status(404).json({
+                    error: 'Monitor not found'
+                });
+            }
+
+            res.status(204).end();
+
+        } catch (error) {
+            console.error('Error deleting monitor:', error);
+            res.status(500).json({
+                error: 'Failed to delete monitor',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Run a monitor now instead of waiting for the scheduler
+     */
+    async runMonitor(req, res) {
+        try {
+            if (!monitoringService.getMonitor(req.params.id)) {
+                return res.status(404).json({
+                    error: 'Monitor not found'
+                });
+            }
+
+            if (monitoringService.isRunning(req.params.id)) {
+                return res.status(409).json({
+                    error: 'Monitor is already running'
+                });
+            }
+
+            const result = await monitoringService.runMonitor(req.params.id);
+            res.json(result);
+
+        } catch (error) {
+            console.error('Error running monitor:', error);
+            res.status(500).json({
+                error: 'Failed to run monitor',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * List stored alerts, newest first
+     */
+    async listAlerts(req, res) {
+        try {
+            const { monitorId, fieldId, type, since, limit = 100 } = req.query;
+
+            if (since && isNaN(new Date(since).getTime())) {
+                return res.status(400).json({
+                    error: 'Invalid date format'
+                });
+            }
+
+            const alerts = monitoringService.listAlerts({
+                monitorId,
+                fieldId,
+                type,
+                since,
+                limit: Math.max(1, Math.min(1000, parseInt(limit) || 100))
+            });
+
+            res.json({
+                count: alerts.length,
+                alerts,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('Error listing alerts:', error);
+            res.status(500).json({
+                error: 'Failed to list alerts',
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = new MonitorController();
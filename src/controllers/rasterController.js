@@ -0,0 +1,188 @@
+const rasterService = require('../services/rasterService');
+const compositeService = require('../services/compositeService');
+const spectralIndexService = require('../services/spectralIndexService');
+const fieldService = require('../services/fieldService');
+const geoService = require('../services/geoService');
+const AnalysisUtils = require('../utils/analysisUtils');
+const ColorRamps = require('../utils/colorRamps');
+
+/**
+ * Validate the options shared by GET and POST raster requests
+ * @returns {Object} { valid: true, index, format, dateRange, options } or { valid: false, error }
+ */
+function parseRasterOptions(index, params) {
+    const { startDate, endDate, seed, composite, format = 'png', resolution } = params;
+
+    if (!spectralIndexService.hasIndex(index)) {
+        return { valid: false, error: `Index must be one of: ${spectralIndexService.getIndexIds().join(', ')}` };
+    }
+
+    if (!rasterService.formats.includes(format)) {
+        return { valid: false, error: `Format must be one of: ${rasterService.formats.join(', ')}` };
+    }
+
+    if (composite && !compositeService.methods.includes(composite)) {
+        return { valid: false, error: `Composite must be one of: ${compositeService.methods.join(', ')}` };
+    }
+
+    const pixelSize = resolution === undefined ? rasterService.defaultResolution : parseFloat(resolution);
+    if (isNaN(pixelSize) || pixelSize < 10 || pixelSize > 1000) {
+        return { valid: false, error: 'Resolution must be between 10 and 1000 meters' };
+    }
+
+    const dateRange = {
+        start: startDate || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+        end: endDate || new Date().toISOString().split('T')[0]
+    };
+
+    const dateCheck = AnalysisUtils.validateDateRange(dateRange.start, dateRange.end);
+    if (!dateCheck.valid) {
+        return { valid: false, error: dateCheck.error };
+    }
+
+    return {
+        valid: true,
+        index,
+        format,
+        dateRange,
+        options: { indices: [index], resolution: pixelSize, seed, composite }
+    };
+}
+
+/**
+ * Send a raster result as GeoTIFF, PNG or JSON (with an embedded PNG for map overlays)
+ */
+function sendRaster(res, result, index, format) {
+    const { grid } = result;
+    const date = result.scene.date ? result.scene.date.split('T')[0] : 'composite';
+    const filename = `${index}-${date}`;
+
+    if (format === 'tiff') {
+        res.set('Content-Type', 'image/tiff');
+        res.set('Content-Disposition', `attachment; filename="${filename}.tif"`);
+        return res.send(rasterService.toGeoTiff(result, index));
+    }
+
+    if (format === 'png') {
+        res.set('Content-Type', 'image/png');
+        res.set('Content-Disposition', `inline; filename="${filename}.png"`);
+        return res.send(rasterService.toPng(result, index));
+    }
+
+    res.json({
+        index,
+        bbox: grid.bbox,
+        // Leaflet imageOverlay bounds: [[south, west], [north, east]]
+        bounds: [[grid.bbox.minLat, grid.bbox.minLon], [grid.bbox.maxLat, grid.bbox.maxLon]],
+        width: grid.width,
+        height: grid.height,
+        resolution: grid.resolution,
+        scene: result.scene,
+        stats: result.stats[index],
+        validPixelFraction: result.validPixelFraction,
+        colorRamp: ColorRamps.getRamp(spectralIndexService.getIndex(index).ramp).map(([value, [r, g, b]]) => ({ value, color: `rgb(${r}, ${g}, ${b})` })),
+        image: `data:image/png;base64,${rasterService.toPng(result, index).toString('base64')}`,
+        timestamp: new Date().toISOString()
+    });
+}
+
+class RasterController {
+    /**
+     * Index raster around a point (lat, lon, radius in meters) or over a saved field (fieldId)
+     */
+    async getIndexRaster(req, res) {
+        try {
+            const parsed = parseRasterOptions(req.params.index, req.query);
+            if (!parsed.valid) {
+                return res.status(400).json({
+                    error: parsed.error
+                });
+            }
+
+            const { lat, lon, radius = 500, fieldId } = req.query;
+            let aoi;
+
+            if (fieldId) {
+                const field = fieldService.getField(fieldId);
+                if (!field) {
+                    return res.status(404).json({
+                        error: 'Field not found'
+                    });
+                }
+                aoi = { geometry: field.geometry };
+            } else {
+                const latitude = parseFloat(lat);
+                const longitude = parseFloat(lon);
+                const radiusMeters = parseFloat(radius);
+
+                if (isNaN(latitude) || isNaN(longitude)) {
+                    return res.status(400).json({
+                        error: 'Latitude and longitude, or a fieldId, are required'
+                    });
+                }
+
+                if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+                    return res.status(400).json({
+                        error: 'Coordinates out of valid range'
+                    });
+                }
+
+                if (isNaN(radiusMeters) || radiusMeters <= 0 || radiusMeters > 5000) {
+                    return res.status(400).json({
+                        error: 'Radius must be between 0 and 5000 meters'
+                    });
+                }
+
+                aoi = { bbox: rasterService.getBboxAround({ lat: latitude, lon: longitude }, radiusMeters) };
+            }
+
+            const result = await rasterService.createIndexRasters(aoi, parsed.dateRange, parsed.options);
+            sendRaster(res, result, parsed.index, parsed.format);
+
+        } catch (error) {
+            console.error('Error creating index raster:', error);
+            res.status(500).json({
+                error: 'Failed to create index raster',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Index raster over a GeoJSON field boundary; pixels outside the boundary are nodata
+     */
+    async getFieldIndexRaster(req, res) {
+        try {
+            const body = req.body || {};
+            const parsed = parseRasterOptions(req.params.index, { ...req.query, ...body });
+            if (!parsed.valid) {
+                return res.status(400).json({
+                    error: parsed.error
+                });
+            }
+
+            const validation = geoService.normalizeFieldGeometry(body.geometry);
+            if (!validation.valid) {
+                return res.status(400).json({
+                    error: validation.error
+                });
+            }
+
+            const result = await rasterService.createIndexRasters(
+                { geometry: validation.geometry },
+                parsed.dateRange,
+                parsed.options
+            );
+            sendRaster(res, result, parsed.index, parsed.format);
+
+        } catch (error) {
+            console.error('Error creating field index raster:', error);
+            res.status(500).json({
+                error: 'Failed to create index raster',
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = new RasterController();
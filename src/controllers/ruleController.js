@@ -0,0 +1,138 @@
+const ruleService = require('../services/ruleService');
+const soilAnalysisService = require('../services/soilAnalysisService');
+const analysisHistoryService = require('../services/analysisHistoryService');
+const RuleEngine = require('../utils/ruleEngine');
+
+class RuleController {
+    /**
+     * List the loaded recommendation rules, the files they came from and any rules skipped as invalid
+     */
+    async listRules(req, res) {
+        try {
+            const rules = ruleService.listRules();
+
+            res.json({
+                count: rules.length,
+                rules,
+                sources: ruleService.sources,
+                errors: ruleService.errors,
+                facts: ruleService.facts,
+                operators: RuleEngine.getOperators(),
+                filters: RuleEngine.getFilters(),
+                loadedAt: ruleService.loadedAt
+            });
+
+        } catch (error) {
+            console.error('Error listing rules:', error);
+            res.status(500).json({
+                error: 'Failed to list rules',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Re-read the rule files after they were edited
+     */
+    async reloadRules(req, res) {
+        try {
+            const result = ruleService.load();
+
+            if (!result.loaded) {
+                return res.status(400).json({
+                    error: 'Rule files could not be read; the current rules were kept',
+                    errors: result.errors
+                });
+            }
+
+            console.log(`📋 Reloaded ${result.rules} recommendation rules`);
+            res.json({
+                count: result.rules,
+                sources: ruleService.sources,
+                errors: result.errors,
+                loadedAt: ruleService.loadedAt
+            });
+
+        } catch (error) {
+            console.error('Error reloading rules:', error);
+            res.status(500).json({
+                error: 'Failed to reload rules',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Evaluate the rules against a sample analysis without running one: { analysisId } of a stored analysis,
+     * or { analysis } (an analysis response or its soilAnalysis part, with { location }), plus optional { rules }
+     * to try out; these replace loaded rules with the same id and are added after the others
+     */
+    async dryRun(req, res) {
+        try {
+            const { analysisId, location, rules } = req.body || {};
+            let { analysis } = req.body || {};
+
+            if (analysisId !== undefined) {
+                const record = analysisHistoryService.getAnalysis(analysisId);
+                if (!record) {
+                    return res.status(404).json({
+                        error: 'Analysis not found'
+                    });
+                }
+                analysis = record;
+            }
+
+            if (!analysis || typeof analysis !== 'object') {
+                return res.status(400).json({
+                    error: 'analysisId or analysis is required'
+                });
+            }
+
+            const soilAnalysis = analysis.soilAnalysis || analysis;
+            if (typeof soilAnalysis.moisture?.percentage !== 'number' || !soilAnalysis.composition || typeof soilAnalysis.composition !== 'object') {
+                return res.status(400).json({
+                    error: 'analysis must include moisture.percentage and composition'
+                });
+            }
+
+            const analysisLocation = analysis.location || location;
+            if (typeof analysisLocation?.lat !== 'number' || typeof analysisLocation?.lon !== 'number') {
+                return res.status(400).json({
+                    error: 'analysis must include a location { lat, lon }'
+                });
+            }
+
+            if (rules !== undefined && !Array.isArray(rules)) {
+                return res.status(400).json({
+                    error: 'rules must be a list of rules'
+                });
+            }
+
+            const validation = ruleService.validateRules(rules || [], 'request');
+            if (validation.errors.length > 0) {
+                return res.status(400).json({
+                    error: 'Invalid rules',
+                    errors: validation.errors
+                });
+            }
+
+            const result = soilAnalysisService.evaluateRules(analysis, { rules: validation.rules, location });
+
+            res.json({
+                matched: result.trace.filter(entry => entry.matched).map(entry => entry.id),
+                recommendations: result.recommendations,
+                trace: result.trace,
+                facts: result.facts
+            });
+
+        } catch (error) {
+            console.error('Error running rules:', error);
+            res.status(500).json({
+                error: 'Failed to run rules',
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = new RuleController();
@@ -2,6 +2,480 @@ const sentinelService = require('../services/sentinelService');
 const soilAnalysisService = require('../services/soilAnalysisService');
 const geoService = require('../services/geoService');
 const geocodingService = require('../services/geocodingService');
+const timeSeriesService = require('../services/timeSeriesService');
+const compositeService = require('../services/compositeService');
+const analysisHistoryService = require('../services/analysisHistoryService');
+const fieldService = require('../services/fieldService');
+const reportService = require('../services/reportService');
+const sarMoistureService = require('../services/sarMoistureService');
+const landsatService = require('../services/landsatService');
+const batchAnalysisService = require('../services/batchAnalysisService');
+const jobService = require('../services/jobService');
+const cropService = require('../services/cropService');
+const AnalysisUtils = require('../utils/analysisUtils');
+
+/**
+ * Shape a soil analysis result into the API response returned to clients
+ */
+function buildAnalysisResponse(location, locationInfo, dateRange, sentinelData, soilAnalysis, sarData = null) {
+    return {
+        location: {
+            ...location,
+            ...locationInfo
+        },
+        dateRange,
+        sentinelData: {
+            scenes: sentinelData.scenes?.length || 0,
+            cloudCover: sentinelData.averageCloudCover || 'N/A',
+            lastUpdate: sentinelData.lastUpdate || new Date().toISOString(),
+            sarScenes: sarData ? sarData.scenes.length : 0
+        },
+        soilAnalysis: {
+            moisture: soilAnalysis.moisture,
+            composition: soilAnalysis.composition,
+            ndvi: soilAnalysis.ndvi,
+            indices: soilAnalysis.indices,
+            temperature: soilAnalysis.temperature,
+            recommendations: soilAnalysis.recommendations,
+            composite: soilAnalysis.composite,
+            crop: soilAnalysis.crop,
+            cropSuitability: soilAnalysis.cropSuitability,
+            season: soilAnalysis.season
+        },
+        metadata: {
+            analysisDate: new Date().toISOString(),
+            dataSource: [
+                'Sentinel-2',
+                soilAnalysis.moisture.sources?.sar ? 'Sentinel-1' : null,
+                soilAnalysis.temperature.source === 'landsat' ? 'Landsat' : null
+            ].filter(Boolean).join(', '),
+            bandSource: soilAnalysis.bandSource,
+            // Product download queued for the scene while synthetic values stand in (see /api/sentinel/downloads/:id)
+            download: soilAnalysis.download,
+            confidence: soilAnalysis.confidence || 'medium',
+            validPixelFraction: soilAnalysis.mask?.validPixelFraction ?? null,
+            mask: soilAnalysis.mask
+        }
+    };
+}
+
+/**
+ * Validate the optional planted crop (id, name or alias) and its sowing date
+ * @returns {Object} { valid: true, crop (profile id), sowingDate } or { valid: false, error }
+ */
+function parseCropOptions({ crop, sowingDate }) {
+    const profile = crop ? cropService.getCrop(crop) : null;
+
+    if (crop && !profile) {
+        return { valid: false, error: `Crop must be one of: ${cropService.ids.join(', ')}` };
+    }
+
+    if (sowingDate && (!/^\d{4}-\d{2}-\d{2}$/.test(sowingDate) || isNaN(new Date(sowingDate).getTime()))) {
+        return { valid: false, error: 'sowingDate must be a date (YYYY-MM-DD)' };
+    }
+
+    if (sowingDate && !profile) {
+        return { valid: false, error: 'sowingDate requires a crop' };
+    }
+
+    return { valid: true, crop: profile ? profile.id : undefined, sowingDate: sowingDate || undefined };
+}
+
+/**
+ * Crop options for a saved field: the requested crop, else the field's registered crop when it is in the catalogue
+ */
+function parseSavedFieldCropOptions(field, { crop, sowingDate }) {
+    return parseCropOptions({
+        crop: crop || (cropService.getCrop(field.crop) ? field.crop : undefined),
+        sowingDate
+    });
+}
+
+/**
+ * Validate the query parameters of a point analysis
+ * @returns {Object} { valid: true, location, dateRange, seed, composite, sar, thermal, crop, sowingDate } or { valid: false, error }
+ */
+function parsePointAnalysisQuery(query) {
+    const { lat, lon, startDate, endDate, seed, composite, sar, thermal } = query;
+
+    if (lat === undefined || lat === '' || lon === undefined || lon === '') {
+        return { valid: false, error: 'Latitude and longitude are required' };
+    }
+
+    if (composite && !compositeService.methods.includes(composite)) {
+        return { valid: false, error: `Composite must be one of: ${compositeService.methods.join(', ')}` };
+    }
+
+    const cropOptions = parseCropOptions(query);
+    if (!cropOptions.valid) {
+        return cropOptions;
+    }
+
+    // Validate coordinates
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lon);
+
+    if (isNaN(latitude) || isNaN(longitude)) {
+        return { valid: false, error: 'Invalid coordinates provided' };
+    }
+
+    if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+        return { valid: false, error: 'Coordinates out of valid range' };
+    }
+
+    return {
+        valid: true,
+        location: { lat: latitude, lon: longitude },
+        dateRange: {
+            start: startDate || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+            end: endDate || new Date().toISOString().split('T')[0]
+        },
+        seed,
+        composite,
+        sar,
+        thermal,
+        crop: cropOptions.crop,
+        sowingDate: cropOptions.sowingDate
+    };
+}
+
+/**
+ * Whether an optional data source is requested: explicit `false` disables it, otherwise the configured default applies
+ */
+function isRequested(value, enabledByDefault) {
+    return value === undefined ? enabledByDefault : value !== false && value !== 'false';
+}
+
+/**
+ * Fetch the Sentinel-1 stack for the SAR moisture estimate, unless disabled (`sar=false` or SAR_MOISTURE_ENABLED=false)
+ * Radar is a supplement: failures are logged and the analysis continues with optical data only
+ * @param {Object} [options] - { geometry, seed, sar, items (shared search result, see searchBatchSupplements; null when it failed) }
+ * @returns {Promise<Object|null>}
+ */
+async function fetchSarData(location, dateRange, { geometry, seed, sar, items } = {}) {
+    if (!isRequested(sar, sarMoistureService.enabled) || items === null) return null;
+
+    try {
+        return await sentinelService.getSentinel1Data(location, sarMoistureService.getSearchRange(dateRange), { geometry, seed, items });
+    } catch (error) {
+        console.warn('⚠️ Sentinel-1 data unavailable, using optical moisture only:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Fetch Landsat thermal scenes for the land surface temperature, unless disabled (`thermal=false` or LANDSAT_ENABLED=false)
+ * Without thermal data the temperature falls back to the flagged heuristic estimate
+ * @param {Object} [options] - { seed, thermal, items (shared search result, see searchBatchSupplements; null when it failed) }
+ * @returns {Promise<Object|null>}
+ */
+async function fetchThermalData(location, dateRange, { seed, thermal, items } = {}) {
+    if (!isRequested(thermal, landsatService.enabled) || items === null) return null;
+
+    try {
+        return await landsatService.getThermalData(location, landsatService.getSearchRange(dateRange), { seed, items });
+    } catch (error) {
+        console.warn('⚠️ Landsat thermal data unavailable, estimating temperature:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Run the soil analysis pipeline for a single location
+ * @param {Function} [onProgress] - Called with (percent, stage) as the pipeline advances
+ * @returns {Promise<Object>} Analysis response
+ */
+async function runPointAnalysis({ location, dateRange, seed, composite, sar, thermal, crop, sowingDate }, onProgress = () => {}) {
+    // Get Sentinel-2 optical, Sentinel-1 radar and Landsat thermal data
+    console.log(`🛰️  Fetching Sentinel data for location: ${location.lat}, ${location.lon}`);
+    onProgress(10, 'Fetching satellite data');
+    const [sentinelData, sarData, thermalData] = await Promise.all([
+        sentinelService.getSentinelData(location, dateRange, { seed }),
+        fetchSarData(location, dateRange, { seed, sar }),
+        fetchThermalData(location, dateRange, { seed, thermal })
+    ]);
+    
+    // Perform soil analysis
+    console.log('🔬 Analyzing soil data...');
+    onProgress(60, 'Analyzing soil data');
+    const soilAnalysis = await soilAnalysisService.analyzeSoilData(sentinelData, location, { composite, sarData, thermalData, crop, sowingDate });
+    
+    // Get location information
+    onProgress(85, 'Looking up location');
+    const locationInfo = await geoService.getLocationInfo(location, { date: soilAnalysis.season?.date });
+
+    return buildAnalysisResponse(location, locationInfo, dateRange, sentinelData, soilAnalysis, sarData);
+}
+
+/**
+ * Run the soil analysis pipeline over a validated field geometry
+ * @param {Object} geometry - Normalized Polygon/MultiPolygon
+ * @param {Object} [options] - { startDate, endDate, maxSamples, seed, composite, sar, thermal, crop, sowingDate }
+ *   (crop and sowingDate validated with parseCropOptions)
+ * @param {Function} [onProgress] - Called with (percent, stage) as the pipeline advances
+ * @returns {Promise<Object>} Analysis response including `field` and per-field statistics
+ */
+async function runFieldAnalysis(geometry, options = {}, onProgress = () => {}) {
+    const { startDate, endDate, maxSamples = 100, seed, composite, sar, thermal, crop, sowingDate } = options;
+
+    const sampleLimit = Math.max(1, Math.min(500, parseInt(maxSamples) || 100));
+    const fieldInfo = geoService.getFieldInfo(geometry);
+    const samplePoints = geoService.createSampleGrid(geometry, sampleLimit);
+    const location = fieldInfo.centroid;
+    const dateRange = {
+        start: startDate || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+        end: endDate || new Date().toISOString().split('T')[0]
+    };
+
+    // Get Sentinel satellite data intersecting the field boundary
+    console.log(`🛰️  Fetching Sentinel data for field (${fieldInfo.areaHectares} ha, ${samplePoints.length} samples)`);
+    onProgress(10, 'Fetching satellite data');
+    const [sentinelData, sarData, thermalData] = await Promise.all([
+        sentinelService.getSentinelData(location, dateRange, {
+            geometry,
+            samplePoints,
+            seed
+        }),
+        fetchSarData(location, dateRange, { geometry, seed, sar }),
+        fetchThermalData(location, dateRange, { seed, thermal })
+    ]);
+
+    // Perform soil analysis over the field
+    console.log('🔬 Analyzing field soil data...');
+    onProgress(60, 'Analyzing field soil data');
+    const soilAnalysis = await soilAnalysisService.analyzeFieldData(sentinelData, location, { composite, sarData, thermalData, crop, sowingDate });
+
+    // Get location information for the field centroid
+    onProgress(85, 'Looking up location');
+    const locationInfo = await geoService.getLocationInfo(location, { date: soilAnalysis.season?.date });
+
+    const response = buildAnalysisResponse(location, locationInfo, dateRange, sentinelData, soilAnalysis, sarData);
+    response.field = {
+        geometry,
+        ...fieldInfo
+    };
+    response.soilAnalysis.fieldStatistics = soilAnalysis.fieldStatistics;
+
+    return response;
+}
+
+/**
+ * Store an analysis response in the history and tag it with the stored id
+ * Storage failures are logged but never fail the analysis request
+ */
+async function persistAnalysis(response) {
+    try {
+        const record = await analysisHistoryService.saveAnalysis(response);
+        response.analysisId = record.id;
+    } catch (error) {
+        console.warn('⚠️ Failed to store analysis:', error.message);
+    }
+    return response;
+}
+
+/**
+ * Search the Sentinel-1 and Landsat catalogues once for a group of batch points; each point then samples the shared items
+ * Mock data needs no search (items stay undefined and are generated per point); a failed search gives null items,
+ * and the group's points are analysed without that source
+ * @returns {Promise<Object>} { sarItems, thermalItems }
+ */
+async function searchBatchSupplements(group, { sar, thermal }) {
+    const search = async (label, needed, run) => {
+        if (!needed) return undefined;
+
+        try {
+            return await run();
+        } catch (error) {
+            console.warn(`⚠️ ${label} search failed for ${group.points.length} batch points:`, error.message);
+            return null;
+        }
+    };
+
+    const [sarItems, thermalItems] = await Promise.all([
+        search(
+            'Sentinel-1',
+            isRequested(sar, sarMoistureService.enabled) && !sentinelService.useMockData && sentinelService.provider.isConfigured(),
+            () => sentinelService.searchSentinel1(group.location, sarMoistureService.getSearchRange(group.dateRange), { geometry: group.geometry })
+        ),
+        search(
+            'Landsat',
+            isRequested(thermal, landsatService.enabled) && !landsatService.useMockData,
+            () => landsatService.searchThermal(group.location, landsatService.getSearchRange(group.dateRange), { geometry: group.geometry })
+        )
+    ]);
+
+    return { sarItems, thermalItems };
+}
+
+/**
+ * Run point analyses for a batch of points
+ * Points sharing a grid cell and date range share one Sentinel-2 search whose scenes are sampled at every point,
+ * and one Sentinel-1 and Landsat search whose items are read at every point;
+ * searches and point analyses run with bounded concurrency, and a failing point never fails the batch
+ * @param {Array} points - Parsed points (see batchAnalysisService.parseRequest)
+ * @param {Object} options - { dateRange, seed, composite, sar, thermal, store }
+ * @param {Function} [onProgress] - Called with (percent, stage) as searches and point analyses finish
+ * @returns {Promise<Object>} { searches, results: [{ index, id, ...response }], errors: [{ index, id, location, error }] }
+ */
+async function runBatchAnalysis(points, options, onProgress = () => {}) {
+    const { dateRange, seed, composite, sar, thermal, crop, sowingDate, store } = options;
+    const groups = batchAnalysisService.groupPoints(points, dateRange);
+    const sentinelByGroup = new Map();
+    const supplementsByGroup = new Map();
+    const results = [];
+    const errors = [];
+    let searched = 0;
+
+    console.log(`🛰️  Fetching Sentinel data for ${points.length} points in ${groups.length} searches`);
+    onProgress(0, `Fetching satellite data (${groups.length} searches)`);
+    await batchAnalysisService.mapWithConcurrency(groups, batchAnalysisService.concurrency, async group => {
+        try {
+            const [sentinelData, supplements] = await Promise.all([
+                sentinelService.getSentinelData(group.location, group.dateRange, {
+                    geometry: group.geometry,
+                    samplePoints: group.points.map(({ lat, lon }) => ({ lat, lon })),
+                    seed
+                }),
+                searchBatchSupplements(group, { sar, thermal })
+            ]);
+            sentinelByGroup.set(group, sentinelData);
+            supplementsByGroup.set(group, supplements);
+        } catch (error) {
+            console.warn(`⚠️ Sentinel search failed for ${group.points.length} batch points:`, error.message);
+            group.points.forEach(point => errors.push({
+                index: point.index,
+                id: point.id,
+                location: { lat: point.lat, lon: point.lon },
+                error: `Sentinel data unavailable: ${error.message}`
+            }));
+        }
+        // Searches take the first 30% of the progress, point analyses the rest
+        onProgress(++searched / groups.length * 30, `Fetched satellite data (${searched} of ${groups.length} searches)`);
+    });
+
+    const analyses = groups
+        .filter(group => sentinelByGroup.has(group))
+        .flatMap(group => group.points.map(point => ({ point, group })));
+
+    let analyzed = 0;
+    await batchAnalysisService.mapWithConcurrency(analyses, batchAnalysisService.concurrency, async ({ point, group }) => {
+        const location = { lat: point.lat, lon: point.lon };
+
+        try {
+            const sentinelData = batchAnalysisService.getPointSceneData(sentinelByGroup.get(group), point);
+            const { sarItems, thermalItems } = supplementsByGroup.get(group);
+            const [sarData, thermalData] = await Promise.all([
+                fetchSarData(location, group.dateRange, { seed, sar, items: sarItems }),
+                fetchThermalData(location, group.dateRange, { seed, thermal, items: thermalItems })
+            ]);
+
+            const soilAnalysis = await soilAnalysisService.analyzeSoilData(sentinelData, location, { composite, sarData, thermalData, crop, sowingDate });
+            const locationInfo = await geoService.getLocationInfo(location, { date: soilAnalysis.season?.date });
+            const response = buildAnalysisResponse(location, locationInfo, group.dateRange, sentinelData, soilAnalysis, sarData);
+
+            results.push({
+                index: point.index,
+                id: point.id,
+                ...(store ? await persistAnalysis(response) : response)
+            });
+        } catch (error) {
+            console.warn(`⚠️ Batch point ${point.id} failed:`, error.message);
+            errors.push({ index: point.index, id: point.id, location, error: error.message });
+        }
+        onProgress(30 + ++analyzed / analyses.length * 70, `Analyzed ${analyzed} of ${analyses.length} points`);
+    });
+
+    const byIndex = (a, b) => a.index - b.index;
+    return {
+        searches: groups.length,
+        results: results.sort(byIndex),
+        errors: errors.sort(byIndex)
+    };
+}
+
+/**
+ * Validate a batch analysis request
+ * Options (startDate, endDate, seed, composite, sar, thermal, crop, sowingDate, store) come from the body or form fields,
+ * then the query
+ * @returns {Object} { valid: true, points, invalid, options } or { valid: false, error }
+ */
+function parseBatchRequest(body, file = null, query = {}) {
+    const option = name => body[name] ?? query[name];
+    const composite = option('composite');
+
+    if (composite && !compositeService.methods.includes(composite)) {
+        return { valid: false, error: `Composite must be one of: ${compositeService.methods.join(', ')}` };
+    }
+
+    const cropOptions = parseCropOptions({ crop: option('crop'), sowingDate: option('sowingDate') });
+    if (!cropOptions.valid) {
+        return cropOptions;
+    }
+
+    const dateRange = {
+        start: option('startDate') || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+        end: option('endDate') || new Date().toISOString().split('T')[0]
+    };
+    const dateError = batchAnalysisService.validateDateRange(dateRange);
+    if (dateError) {
+        return { valid: false, error: dateError };
+    }
+
+    // Points with bad dates become per-point errors before they are grouped
+    const parsed = batchAnalysisService.parseRequest(body, file, dateRange);
+    if (!parsed.valid) {
+        return parsed;
+    }
+
+    return {
+        ...parsed,
+        options: {
+            dateRange,
+            seed: option('seed'),
+            composite,
+            sar: option('sar'),
+            thermal: option('thermal'),
+            crop: cropOptions.crop,
+            sowingDate: cropOptions.sowingDate,
+            // Batches can be large, so storing each result in the history is opt-in
+            store: isRequested(option('store'), false)
+        }
+    };
+}
+
+/**
+ * Run a validated batch request and shape the response, with invalid input points reported among the errors
+ */
+async function runBatchRequest({ points, invalid, options }, onProgress) {
+    const batch = await runBatchAnalysis(points, options, onProgress);
+    const errors = [...invalid, ...batch.errors].sort((a, b) => a.index - b.index);
+
+    return {
+        count: points.length + invalid.length,
+        succeeded: batch.results.length,
+        failed: errors.length,
+        searches: batch.searches,
+        dateRange: options.dateRange,
+        results: batch.results,
+        errors,
+        timestamp: new Date().toISOString()
+    };
+}
+
+/**
+ * Add the saved field's registry details to a field analysis response
+ */
+function describeSavedField(response, field) {
+    response.field = {
+        ...response.field,
+        id: field.id,
+        name: field.name,
+        owner: field.owner,
+        crop: field.crop,
+        tags: field.tags
+    };
+    return response;
+}
 
 class SoilController {
     /**
@@ -9,7 +483,186 @@ class SoilController {
      */
     async getSoilAnalysis(req, res) {
         try {
-            const { lat, lon, startDate, endDate } = req.query;
+            const query = parsePointAnalysisQuery(req.query);
+            
+            if (!query.valid) {
+                return res.status(400).json({ 
+                    error: query.error 
+                });
+            }
+
+            const response = await runPointAnalysis(query);
+            res.json(await persistAnalysis(response));
+
+        } catch (error) {
+            console.error('Error in soil analysis:', error);
+            res.status(500).json({ 
+                error: 'Failed to analyze soil data',
+                message: error.message 
+            });
+        }
+    }
+
+    /**
+     * Export a soil analysis as a PDF, CSV or GeoJSON report
+     * Exports a stored analysis when `analysisId` is given, otherwise runs a new point analysis
+     */
+    async exportSoilAnalysis(req, res) {
+        try {
+            const { format = 'pdf', analysisId } = req.query;
+
+            if (!reportService.formats.includes(format)) {
+                return res.status(400).json({ 
+                    error: `Format must be one of: ${reportService.formats.join(', ')}` 
+                });
+            }
+
+            let analysis;
+            if (analysisId) {
+                analysis = analysisHistoryService.getAnalysis(analysisId);
+
+                if (!analysis) {
+                    return res.status(404).json({ 
+                        error: 'Analysis not found' 
+                    });
+                }
+                analysis = { ...analysis, analysisId: analysis.id };
+            } else {
+                const query = parsePointAnalysisQuery(req.query);
+
+                if (!query.valid) {
+                    return res.status(400).json({ 
+                        error: query.error 
+                    });
+                }
+
+                analysis = await persistAnalysis(await runPointAnalysis(query));
+            }
+
+            const report = await reportService.render(analysis, format);
+
+            res.set('Content-Type', report.contentType);
+            res.set('Content-Disposition', `attachment; filename="${report.filename}"`);
+            res.send(report.body);
+
+        } catch (error) {
+            console.error('Error exporting soil analysis:', error);
+            res.status(500).json({ 
+                error: 'Failed to export soil analysis',
+                message: error.message 
+            });
+        }
+    }
+
+    /**
+     * Get soil analysis with per-field statistics for a GeoJSON field boundary
+     */
+    async getFieldAnalysis(req, res) {
+        try {
+            const { geometry, composite } = req.body || {};
+
+            const validation = geoService.normalizeFieldGeometry(geometry);
+            if (!validation.valid) {
+                return res.status(400).json({ 
+                    error: validation.error 
+                });
+            }
+
+            if (composite && !compositeService.methods.includes(composite)) {
+                return res.status(400).json({ 
+                    error: `Composite must be one of: ${compositeService.methods.join(', ')}` 
+                });
+            }
+
+            const cropOptions = parseCropOptions(req.body);
+            if (!cropOptions.valid) {
+                return res.status(400).json({ 
+                    error: cropOptions.error 
+                });
+            }
+
+            const response = await runFieldAnalysis(validation.geometry, { ...req.body, crop: cropOptions.crop, sowingDate: cropOptions.sowingDate });
+            res.json(await persistAnalysis(response));
+
+        } catch (error) {
+            console.error('Error in field soil analysis:', error);
+            res.status(500).json({ 
+                error: 'Failed to analyze field soil data',
+                message: error.message 
+            });
+        }
+    }
+
+    /**
+     * Run the field analysis for a saved field's geometry
+     */
+    async getSavedFieldAnalysis(req, res) {
+        try {
+            const { composite } = req.query;
+            const field = fieldService.getField(req.params.id);
+
+            if (!field) {
+                return res.status(404).json({ 
+                    error: 'Field not found' 
+                });
+            }
+
+            if (composite && !compositeService.methods.includes(composite)) {
+                return res.status(400).json({ 
+                    error: `Composite must be one of: ${compositeService.methods.join(', ')}` 
+                });
+            }
+
+            const cropOptions = parseSavedFieldCropOptions(field, req.query);
+            if (!cropOptions.valid) {
+                return res.status(400).json({ 
+                    error: cropOptions.error 
+                });
+            }
+
+            const response = await runFieldAnalysis(field.geometry, { ...req.query, crop: cropOptions.crop, sowingDate: cropOptions.sowingDate });
+            res.json(await persistAnalysis(describeSavedField(response, field)));
+
+        } catch (error) {
+            console.error('Error in saved field soil analysis:', error);
+            res.status(500).json({ 
+                error: 'Failed to analyze field soil data',
+                message: error.message 
+            });
+        }
+    }
+
+    /**
+     * Analyze many points at once: a JSON `points` array, a GeoJSON FeatureCollection of Points or an uploaded CSV (`file`)
+     * Options (startDate, endDate, seed, composite, sar, thermal, store) come from the body, form fields or query
+     */
+    async getBatchAnalysis(req, res) {
+        try {
+            const request = parseBatchRequest(req.body || {}, req.file, req.query);
+
+            if (!request.valid) {
+                return res.status(400).json({
+                    error: request.error
+                });
+            }
+
+            res.json(await runBatchRequest(request));
+
+        } catch (error) {
+            console.error('Error in batch soil analysis:', error);
+            res.status(500).json({
+                error: 'Failed to run batch soil analysis',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get NDVI/NDMI/moisture time series with trends and anomalies for a location
+     */
+    async getTimeSeries(req, res) {
+        try {
+            const { lat, lon, startDate, endDate, interval = 'weekly', seed } = req.query;
             
             if (!lat || !lon) {
                 return res.status(400).json({ 
@@ -17,70 +670,139 @@ class SoilController {
                 });
             }
 
-            // Validate coordinates
             const latitude = parseFloat(lat);
             const longitude = parseFloat(lon);
-            
-            if (isNaN(latitude) || isNaN(longitude)) {
+            const coordinateCheck = AnalysisUtils.validateCoordinates(latitude, longitude);
+
+            if (isNaN(latitude) || isNaN(longitude) || !coordinateCheck.valid) {
                 return res.status(400).json({ 
-                    error: 'Invalid coordinates provided' 
+                    error: coordinateCheck.error || 'Invalid coordinates provided' 
                 });
             }
 
-            if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+            if (!timeSeriesService.intervals[interval]) {
                 return res.status(400).json({ 
-                    error: 'Coordinates out of valid range' 
+                    error: `Interval must be one of: ${Object.keys(timeSeriesService.intervals).join(', ')}` 
                 });
             }
 
             const location = { lat: latitude, lon: longitude };
             const dateRange = {
-                start: startDate || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+                start: startDate || new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
                 end: endDate || new Date().toISOString().split('T')[0]
             };
 
-            // Get Sentinel satellite data
-            console.log(`🛰️  Fetching Sentinel data for location: ${lat}, ${lon}`);
-            const sentinelData = await sentinelService.getSentinelData(location, dateRange);
-            
-            // Perform soil analysis
-            console.log('🔬 Analyzing soil data...');
-            const soilAnalysis = await soilAnalysisService.analyzeSoilData(sentinelData, location);
-            
-            // Get location information
-            const locationInfo = await geoService.getLocationInfo(location);
-
-            const response = {
-                location: {
-                    ...location,
-                    ...locationInfo
-                },
+            const dateCheck = AnalysisUtils.validateDateRange(dateRange.start, dateRange.end);
+            if (!dateCheck.valid) {
+                return res.status(400).json({ 
+                    error: dateCheck.error 
+                });
+            }
+
+            // Every scene in the range is used, not just the best one
+            console.log(`📈 Building ${interval} time series for location: ${lat}, ${lon}`);
+            const sentinelData = await sentinelService.getSentinelData(location, dateRange, { seed, maxScenes: 100 });
+            const timeSeries = timeSeriesService.analyzeTimeSeries(sentinelData, location, interval);
+
+            res.json({
+                location,
                 dateRange,
-                sentinelData: {
-                    scenes: sentinelData.scenes?.length || 0,
-                    cloudCover: sentinelData.averageCloudCover || 'N/A',
-                    lastUpdate: sentinelData.lastUpdate || new Date().toISOString()
-                },
-                soilAnalysis: {
-                    moisture: soilAnalysis.moisture,
-                    composition: soilAnalysis.composition,
-                    ndvi: soilAnalysis.ndvi,
-                    temperature: soilAnalysis.temperature,
-                    recommendations: soilAnalysis.recommendations
-                },
+                ...timeSeries,
                 metadata: {
                     analysisDate: new Date().toISOString(),
                     dataSource: 'Sentinel-2',
-                    confidence: soilAnalysis.confidence || 'medium'
+                    anomalyThreshold: timeSeriesService.anomalyThreshold
                 }
+            });
+
+        } catch (error) {
+            console.error('Error building time series:', error);
+            res.status(500).json({ 
+                error: 'Failed to build time series',
+                message: error.message 
+            });
+        }
+    }
+
+    /**
+     * List stored analyses, optionally filtered by distance from a location, analysis date and scene date
+     */
+    async listAnalyses(req, res) {
+        try {
+            const { lat, lon, radius = 1000, startDate, endDate, sceneStartDate, sceneEndDate, fieldId, limit = 50, offset = 0 } = req.query;
+            const filters = {
+                radius: parseInt(radius),
+                startDate,
+                endDate,
+                sceneStartDate,
+                sceneEndDate,
+                fieldId,
+                limit: Math.max(1, Math.min(500, parseInt(limit) || 50)),
+                offset: Math.max(0, parseInt(offset) || 0)
             };
 
-            res.json(response);
+            if (lat !== undefined || lon !== undefined) {
+                filters.lat = parseFloat(lat);
+                filters.lon = parseFloat(lon);
+                const coordinateCheck = AnalysisUtils.validateCoordinates(filters.lat, filters.lon);
+
+                if (isNaN(filters.lat) || isNaN(filters.lon) || !coordinateCheck.valid) {
+                    return res.status(400).json({ 
+                        error: coordinateCheck.error || 'Both lat and lon must be valid coordinates' 
+                    });
+                }
+
+                if (isNaN(filters.radius) || filters.radius <= 0) {
+                    return res.status(400).json({ 
+                        error: 'Radius must be a positive number of meters' 
+                    });
+                }
+            }
+
+            if ([startDate, endDate, sceneStartDate, sceneEndDate].some(date => date && isNaN(new Date(date).getTime()))) {
+                return res.status(400).json({ 
+                    error: 'Invalid date format' 
+                });
+            }
+
+            const result = analysisHistoryService.queryAnalyses(filters);
+
+            res.json({
+                filters,
+                total: result.total,
+                count: result.analyses.length,
+                analyses: result.analyses,
+                timestamp: new Date().toISOString()
+            });
 
         } catch (error) {
-            console.error('Error in soil analysis:', error);
+            console.error('Error listing analyses:', error);
             res.status(500).json({ 
-                error: 'Failed to analyze soil data',
+                error: 'Failed to list analyses',
+                message: error.message 
+            });
+        }
+    }
+
+    /**
+     * Get a stored analysis by id
+     */
+    async getAnalysis(req, res) {
+        try {
+            const analysis = analysisHistoryService.getAnalysis(req.params.id);
+
+            if (!analysis) {
+                return res.status(404).json({ 
+                    error: 'Analysis not found' 
+                });
+            }
+
+            res.json(analysis);
+
+        } catch (error) {
+            console.error('Error getting analysis:', error);
+            res.status(500).json({ 
+                error: 'Failed to get analysis',
                 message: error.message 
             });
         }
@@ -130,7 +852,7 @@ class SoilController {
      */
     async getSentinelData(req, res) {
         try {
-            const { lat, lon, startDate, endDate, cloudCover = 20 } = req.query;
+            const { lat, lon, startDate, endDate, cloudCover = 20, seed } = req.query;
             
             if (!lat || !lon) {
                 return res.status(400).json({ 
@@ -146,7 +868,8 @@ class SoilController {
 
             const options = {
                 maxCloudCover: parseInt(cloudCover),
-                includeMetadata: true
+                includeMetadata: true,
+                seed
             };
 
             const sentinelData = await sentinelService.getSentinelData(location, dateRange, options);
@@ -265,4 +988,66 @@ class SoilController {
     }
 }
 
+// Background job types (see jobService); params mirror the synchronous endpoints
+jobService.registerType('analysis', {
+    validate: params => {
+        const query = parsePointAnalysisQuery(params);
+        return query.valid ? { valid: true, params: query } : query;
+    },
+    run: async (query, onProgress) => persistAnalysis(await runPointAnalysis(query, onProgress))
+});
+
+jobService.registerType('field', {
+    validate: params => {
+        if (params.composite && !compositeService.methods.includes(params.composite)) {
+            return { valid: false, error: `Composite must be one of: ${compositeService.methods.join(', ')}` };
+        }
+
+        if (params.fieldId) {
+            const field = fieldService.getField(params.fieldId);
+            if (!field) {
+                return { valid: false, error: 'Field not found' };
+            }
+
+            const cropOptions = parseSavedFieldCropOptions(field, params);
+            if (!cropOptions.valid) {
+                return cropOptions;
+            }
+
+            return { valid: true, params: { ...params, crop: cropOptions.crop, sowingDate: cropOptions.sowingDate, field } };
+        }
+
+        const validation = geoService.normalizeFieldGeometry(params.geometry);
+        if (!validation.valid) {
+            return validation;
+        }
+
+        const cropOptions = parseCropOptions(params);
+        if (!cropOptions.valid) {
+            return cropOptions;
+        }
+
+        return {
+            valid: true,
+            params: { ...params, crop: cropOptions.crop, sowingDate: cropOptions.sowingDate, geometry: validation.geometry }
+        };
+    },
+    run: async (params, onProgress) => {
+        if (params.field) {
+            const response = await runFieldAnalysis(params.field.geometry, params, onProgress);
+            return persistAnalysis(describeSavedField(response, params.field));
+        }
+
+        return persistAnalysis(await runFieldAnalysis(params.geometry, params, onProgress));
+    }
+});
+
+jobService.registerType('batch', {
+    validate: params => {
+        const request = parseBatchRequest(params);
+        return request.valid ? { valid: true, params: request } : request;
+    },
+    run: (request, onProgress) => runBatchRequest(request, onProgress)
+});
+
 module.exports = new SoilController();
@@ -0,0 +1,81 @@
+const tileService = require('../services/tileService');
+const spectralIndexService = require('../services/spectralIndexService');
+const compositeService = require('../services/compositeService');
+const ColorRamps = require('../utils/colorRamps');
+
+class TileController {
+    /**
+     * XYZ index tile (Web Mercator, 256 px) for map overlays
+     */
+    async getTile(req, res) {
+        try {
+            const { index } = req.params;
+            const { date = new Date().toISOString().split('T')[0], composite, seed } = req.query;
+            const z = Number(req.params.z);
+            const x = Number(req.params.x);
+            const y = Number(req.params.y);
+
+            if (!spectralIndexService.hasIndex(index)) {
+                return res.status(400).json({
+                    error: `Index must be one of: ${spectralIndexService.getIndexIds().join(', ')}`
+                });
+            }
+
+            const ramp = req.query.ramp || spectralIndexService.getIndex(index).ramp;
+
+            if (![z, x, y].every(Number.isInteger) || z < 0 || z > tileService.maxZoom ||
+                x < 0 || y < 0 || x >= Math.pow(2, z) || y >= Math.pow(2, z)) {
+                return res.status(400).json({
+                    error: 'Invalid tile coordinates'
+                });
+            }
+
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime())) {
+                return res.status(400).json({
+                    error: 'Date must be in YYYY-MM-DD format'
+                });
+            }
+
+            if (new Date(date) > new Date()) {
+                return res.status(400).json({
+                    error: 'Date cannot be in the future'
+                });
+            }
+
+            if (!ColorRamps.hasRamp(ramp)) {
+                return res.status(400).json({
+                    error: `Ramp must be one of: ${ColorRamps.getRampNames().join(', ')}`
+                });
+            }
+
+            if (composite && !compositeService.methods.includes(composite)) {
+                return res.status(400).json({
+                    error: `Composite must be one of: ${compositeService.methods.join(', ')}`
+                });
+            }
+
+            // The seed becomes part of the cache path
+            if (seed !== undefined && !/^[\w-]{1,64}$/.test(seed)) {
+                return res.status(400).json({
+                    error: 'Seed may only contain letters, digits, "-" and "_"'
+                });
+            }
+
+            const tile = await tileService.getTile({ index, z, x, y }, { date, ramp, composite, seed });
+
+            res.set('Content-Type', 'image/png');
+            res.set('Cache-Control', 'public, max-age=3600');
+            res.set('X-Tile-Cache', tile.cached ? 'HIT' : 'MISS');
+            res.send(tile.body);
+
+        } catch (error) {
+            console.error('Error rendering tile:', error);
+            res.status(500).json({
+                error: 'Failed to render tile',
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = new TileController();
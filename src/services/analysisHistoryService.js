@@ -0,0 +1,166 @@
+const path = require('path');
+const crypto = require('crypto');
+const turf = require('@turf/turf');
+const JsonFileStore = require('../utils/jsonFileStore');
+
+class AnalysisHistoryService {
+    constructor() {
+        this.store = new JsonFileStore(
+            process.env.ANALYSIS_STORE_PATH || path.join(__dirname, '../../data/analyses.json'),
+            'analyses'
+        );
+
+        // Oldest analyses are dropped beyond this many records; the whole file is rewritten on every save
+        this.maxRecords = parseInt(process.env.ANALYSIS_STORE_MAX_RECORDS) || 1000;
+    }
+
+    /**
+     * Persist an analysis response
+     * @param {Object} analysis - Response built by the soil controller
+     * @returns {Promise<Object>} Stored record ({ id, createdAt, type, sceneDate, ...compacted analysis })
+     */
+    async saveAnalysis(analysis) {
+        const records = this.store.load();
+        const record = {
+            id: crypto.randomUUID(),
+            createdAt: new Date().toISOString(),
+            type: analysis.field ? 'field' : 'point',
+            sceneDate: analysis.soilAnalysis?.season?.date || null,
+            ...this.compact(analysis)
+        };
+
+        records.push(record);
+        if (records.length > this.maxRecords) {
+            records.splice(0, records.length - this.maxRecords);
+        }
+
+        await this.store.save();
+        return record;
+    }
+
+    /**
+     * The part of an analysis response worth keeping: everything reports, rule dry runs and nearby lookups read,
+     * without the crop ranking (one entry per catalogued crop) and the per-class cloud mask counts
+     */
+    compact(analysis) {
+        const { cropSuitability, ...soilAnalysis } = analysis.soilAnalysis || {};
+        const { mask, ...metadata } = analysis.metadata || {};
+
+        return {
+            ...analysis,
+            ...(analysis.soilAnalysis ? { soilAnalysis } : {}),
+            ...(analysis.metadata ? { metadata } : {})
+        };
+    }
+
+    /**
+     * Get a stored analysis by id
+     * @returns {Object|null} Stored record or null when not found
+     */
+    getAnalysis(id) {
+        return this.store.load().find(record => record.id === id) || null;
+    }
+
+    /**
+     * Query stored analyses, newest first
+     * @param {Object} filters - { lat, lon, radius (meters), startDate, endDate, sceneStartDate, sceneEndDate, fieldId,
+     *   limit, offset }; startDate/endDate filter on when the analysis was run, sceneStartDate/sceneEndDate on the
+     *   acquisition date of the analysed scene
+     * @returns {Object} { total, analyses: [summary] }
+     */
+    queryAnalyses(filters = {}) {
+        const { lat, lon, radius = 1000, startDate, endDate, sceneStartDate, sceneEndDate, fieldId, limit = 50, offset = 0 } = filters;
+        const hasLocation = typeof lat === 'number' && typeof lon === 'number';
+        const start = this.parseBound(startDate);
+        const end = this.parseBound(endDate, true);
+        const sceneStart = this.parseBound(sceneStartDate);
+        const sceneEnd = this.parseBound(sceneEndDate, true);
+
+        const matches = this.store.load()
+            .map(record => ({
+                record,
+                distance: hasLocation ? this.distanceTo(record, { lat, lon }) : undefined
+            }))
+            .filter(({ record, distance }) => {
+                const createdAt = new Date(record.createdAt);
+                if (start && createdAt < start) return false;
+                if (end && createdAt > end) return false;
+                if (sceneStart || sceneEnd) {
+                    const sceneDate = this.getSceneDate(record);
+                    if (!sceneDate) return false;
+                    if (sceneStart && sceneDate < sceneStart) return false;
+                    if (sceneEnd && sceneDate > sceneEnd) return false;
+                }
+                if (fieldId && record.field?.id !== fieldId) return false;
+                return !hasLocation || distance <= radius;
+            })
+            .sort((a, b) => b.record.createdAt.localeCompare(a.record.createdAt));
+
+        return {
+            total: matches.length,
+            analyses: matches
+                .slice(offset, offset + limit)
+                .map(({ record, distance }) => this.summarize(record, distance))
+        };
+    }
+
+    /**
+     * Date filter bound; a bare end date includes the whole day
+     */
+    parseBound(date, isEnd = false) {
+        if (!date) return null;
+        return new Date(isEnd && !/T/.test(date) ? `${date}T23:59:59.999Z` : date);
+    }
+
+    /**
+     * Acquisition date of the analysed scene (records stored before sceneDate was kept carry it in the season)
+     * @returns {Date|null}
+     */
+    getSceneDate(record) {
+        const date = record.sceneDate || record.soilAnalysis?.season?.date;
+        return date ? new Date(date) : null;
+    }
+
+    /**
+     * Stored records within a radius of a location, newest first
+     */
+    findNearby(location, radius) {
+        return this.store.load()
+            .filter(record => this.distanceTo(record, location) <= radius)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Compact listing entry for a stored analysis
+     */
+    summarize(record, distance) {
+        return {
+            id: record.id,
+            createdAt: record.createdAt,
+            type: record.type,
+            location: {
+                lat: record.location.lat,
+                lon: record.location.lon,
+                city: record.location.city,
+                country: record.location.country
+            },
+            dateRange: record.dateRange,
+            sceneDate: this.getSceneDate(record)?.toISOString() || null,
+            moisture: record.soilAnalysis?.moisture?.percentage ?? null,
+            ndvi: record.soilAnalysis?.ndvi ?? null,
+            confidence: record.metadata?.confidence || null,
+            ...(record.field ? { fieldId: record.field.id || null, areaHectares: record.field.areaHectares } : {}),
+            ...(distance !== undefined ? { distance: Math.round(distance) } : {})
+        };
+    }
+
+    distanceTo(record, location) {
+        return turf.distance(
+            turf.point([location.lon, location.lat]),
+            turf.point([record.location.lon, record.location.lat]),
+            { units: 'meters' }
+        );
+    }
+}
+
+module.exports = new AnalysisHistoryService();
@@ -0,0 +1,252 @@
+const turf = require('@turf/turf');
+const CsvParser = require('../utils/csvParser');
+
+// Accepted column / property names for coordinates and point identifiers
+const LAT_KEYS = ['lat', 'latitude', 'y'];
+const LON_KEYS = ['lon', 'lng', 'long', 'longitude', 'x'];
+const ID_KEYS = ['id', 'name', 'point', 'sample'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Input parsing and scene sharing for batch analyses of many points
+ * Points are grouped by grid cell and date range; each group needs one Sentinel-2 search whose
+ * scenes are sampled at all of its points
+ */
+class BatchAnalysisService {
+    constructor() {
+        // Points accepted per batch request
+        this.maxPoints = parseInt(process.env.BATCH_MAX_POINTS) || 500;
+
+        // Searches and point analyses running at the same time
+        this.concurrency = parseInt(process.env.BATCH_CONCURRENCY) || 4;
+
+        // Grid cell size (degrees) of the point groups sharing a scene search
+        this.cellDegrees = parseFloat(process.env.BATCH_GROUP_CELL_DEGREES) || 0.25;
+    }
+
+    /**
+     * Read the points of a batch request
+     * @param {Object} body - { points: [{ lat, lon, id?, startDate?, endDate? }] } or a GeoJSON FeatureCollection of Points
+     * @param {Object} [file] - Uploaded CSV (multer file) with lat/lon columns and optional id, startDate, endDate
+     * @param {Object} [dateRange] - Default { start, end } of the batch; points whose own dates, or their dates
+     *   combined with the default, do not form a valid range are reported as invalid
+     * @returns {Object} { valid: true, points, invalid: [{ index, id, error }] } or { valid: false, error }
+     */
+    parseRequest(body = {}, file = null, dateRange = {}) {
+        let entries;
+
+        if (file) {
+            const { headers, records } = CsvParser.parse(file.buffer.toString('utf8'));
+            if (!LAT_KEYS.some(key => headers.includes(key)) || !LON_KEYS.some(key => headers.includes(key))) {
+                return { valid: false, error: `CSV needs latitude and longitude columns (${LAT_KEYS.join('/')}, ${LON_KEYS.join('/')})` };
+            }
+            entries = records.map(record => this.readPoint(record));
+        } else if (body.type === 'FeatureCollection' || body.featureCollection) {
+            const collection = body.type === 'FeatureCollection' ? body : body.featureCollection;
+            if (!Array.isArray(collection.features)) {
+                return { valid: false, error: 'FeatureCollection has no features array' };
+            }
+            entries = collection.features.map(feature => this.readFeature(feature));
+        } else if (Array.isArray(body.points)) {
+            entries = body.points.map(point => this.readPoint(point || {}));
+        } else {
+            return { valid: false, error: 'Provide points, a GeoJSON FeatureCollection of Points or a CSV file' };
+        }
+
+        if (entries.length === 0) {
+            return { valid: false, error: 'No points given' };
+        }
+        if (entries.length > this.maxPoints) {
+            return { valid: false, error: `At most ${this.maxPoints} points per batch (got ${entries.length})` };
+        }
+
+        const points = [];
+        const invalid = [];
+        entries.forEach((entry, index) => {
+            const id = entry.id ?? String(index);
+            const error = entry.error || this.validateDateRange({
+                start: entry.startDate ?? dateRange.start,
+                end: entry.endDate ?? dateRange.end
+            });
+
+            if (error) {
+                invalid.push({ index, id, error });
+            } else {
+                points.push({ ...entry, index, id });
+            }
+        });
+
+        return { valid: true, points, invalid };
+    }
+
+    /**
+     * Point from a plain object or CSV record; numbers may use a decimal comma
+     */
+    readPoint(record) {
+        const pick = keys => {
+            const key = Object.keys(record).find(candidate => keys.includes(candidate.toLowerCase()));
+            return key === undefined ? undefined : record[key];
+        };
+        const toNumber = value => typeof value === 'number' ? value : parseFloat(String(value ?? '').replace(',', '.'));
+
+        const id = pick(ID_KEYS);
+        const lat = toNumber(pick(LAT_KEYS));
+        const lon = toNumber(pick(LON_KEYS));
+
+        return this.validatePoint({
+            id: id === undefined || id === '' ? undefined : String(id),
+            lat,
+            lon,
+            startDate: record.startDate || record.startdate || undefined,
+            endDate: record.endDate || record.enddate || undefined
+        });
+    }
+
+    /**
+     * Point from a GeoJSON Point feature; properties may carry id/name and dates
+     */
+    readFeature(feature) {
+        const properties = feature?.properties || {};
+        const id = feature?.id ?? properties.id ?? properties.name;
+
+        if (feature?.geometry?.type !== 'Point') {
+            return { id, error: 'Feature geometry must be a Point' };
+        }
+
+        const [lon, lat] = feature.geometry.coordinates;
+        return this.validatePoint({
+            id: id === undefined ? undefined : String(id),
+            lat,
+            lon,
+            startDate: properties.startDate,
+            endDate: properties.endDate
+        });
+    }
+
+    validatePoint(point) {
+        if (typeof point.lat !== 'number' || typeof point.lon !== 'number' || isNaN(point.lat) || isNaN(point.lon)) {
+            return { id: point.id, error: 'Invalid coordinates provided' };
+        }
+        if (point.lat < -90 || point.lat > 90 || point.lon < -180 || point.lon > 180) {
+            return { id: point.id, error: 'Coordinates out of valid range' };
+        }
+
+        return point;
+    }
+
+    /**
+     * Validate a date range given as YYYY-MM-DD strings; either end may be missing
+     * @returns {string|null} Error message, or null when the range is valid
+     */
+    validateDateRange({ start, end }) {
+        const isDate = value => typeof value === 'string' && DATE_PATTERN.test(value) &&
+            // Rejects impossible days such as 2024-02-30, which Date rolls over into the next month
+            !isNaN(new Date(value).getTime()) && new Date(value).toISOString().startsWith(value);
+
+        if (start !== undefined && !isDate(start)) return 'startDate must be a date (YYYY-MM-DD)';
+        if (end !== undefined && !isDate(end)) return 'endDate must be a date (YYYY-MM-DD)';
+        if (start !== undefined && end !== undefined && start > end) return 'startDate must not be after endDate';
+
+        return null;
+    }
+
+    /**
+     * Group points sharing a grid cell and date range
+     * @param {Array} points - Parsed points
+     * @param {Object} dateRange - Default { start, end } for points without their own dates
+     * @returns {Array} [{ key, dateRange, points, location (centroid), geometry (padded bounding box) }]
+     */
+    groupPoints(points, dateRange) {
+        const groups = new Map();
+
+        points.forEach(point => {
+            const range = {
+                start: point.startDate || dateRange.start,
+                end: point.endDate || dateRange.end
+            };
+            const key = [
+                Math.floor(point.lon / this.cellDegrees),
+                Math.floor(point.lat / this.cellDegrees),
+                range.start,
+                range.end
+            ].join(':');
+
+            if (!groups.has(key)) {
+                groups.set(key, { key, dateRange: range, points: [] });
+            }
+            groups.get(key).points.push(point);
+        });
+
+        return [...groups.values()].map(group => {
+            const lats = group.points.map(point => point.lat);
+            const lons = group.points.map(point => point.lon);
+            const padding = 0.01;
+
+            return {
+                ...group,
+                location: {
+                    lat: lats.reduce((sum, lat) => sum + lat, 0) / lats.length,
+                    lon: lons.reduce((sum, lon) => sum + lon, 0) / lons.length
+                },
+                geometry: turf.bboxPolygon([
+                    Math.min(...lons) - padding,
+                    Math.min(...lats) - padding,
+                    Math.max(...lons) + padding,
+                    Math.max(...lats) + padding
+                ]).geometry
+            };
+        });
+    }
+
+    /**
+     * Scenes of a group search as seen from one of its points: the point's sample becomes the scene's
+     * bands, and scenes without a valid pixel at the point are left out
+     * @param {Object} sentinelData - Result of sentinelService.getSentinelData with the group points as samplePoints
+     */
+    getPointSceneData(sentinelData, point) {
+        const scenes = sentinelData.scenes
+            .map(scene => {
+                const sample = (scene.samples || []).find(candidate => candidate.lat === point.lat && candidate.lon === point.lon);
+                if (!sample) return null;
+
+                const { samples, ...rest } = scene;
+                return {
+                    ...rest,
+                    bands: sample.bands,
+                    ...(sample.scl !== undefined ? { scl: sample.scl } : {})
+                };
+            })
+            .filter(Boolean);
+
+        return {
+            ...sentinelData,
+            location: { lat: point.lat, lon: point.lon },
+            scenes,
+            totalScenes: scenes.length,
+            averageCloudCover: scenes.length > 0
+                ? Math.round(scenes.reduce((sum, scene) => sum + scene.cloudCover, 0) / scenes.length * 100) / 100
+                : 0
+        };
+    }
+
+    /**
+     * Map items through an async function with at most `limit` calls in flight; results keep the input order
+     */
+    async mapWithConcurrency(items, limit, fn) {
+        const results = new Array(items.length);
+        let nextIndex = 0;
+
+        const worker = async () => {
+            while (nextIndex < items.length) {
+                const index = nextIndex++;
+                results[index] = await fn(items[index], index);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+        return results;
+    }
+}
+
+module.exports = new BatchAnalysisService();
@@ -0,0 +1,221 @@
+const AnalysisUtils = require('../utils/analysisUtils');
+const spectralIndexService = require('./spectralIndexService');
+
+class CompositeService {
+    constructor() {
+        this.methods = ['median', 'max-ndvi', 'most-recent-clear'];
+
+        // Scenes at or below this cloud cover count as clear for most-recent-clear
+        this.clearCloudCover = parseFloat(process.env.COMPOSITE_CLEAR_CLOUD_COVER) || 10;
+
+        // Pixels below this quality are ignored by max-ndvi unless nothing better is available
+        this.minQuality = 0.5;
+    }
+
+    /**
+     * Combine band values across scenes into a single composite scene
+     * Compositing runs per pixel (field sample) when scenes carry samples, otherwise on scene-level bands
+     * @param {Array} scenes - Scenes from sentinelService.getSentinelData
+     * @param {string} method - median, max-ndvi or most-recent-clear
+     * @returns {Object} Scene-shaped composite with a `composite` section listing contributing scenes
+     */
+    createComposite(scenes, method) {
+        if (!this.methods.includes(method)) {
+            throw new Error(`Unsupported composite method: ${method}`);
+        }
+
+        const usable = scenes.filter(scene => scene.bands && Object.keys(scene.bands).length > 0);
+        if (usable.length === 0) {
+            throw new Error('No scenes with band data available for compositing');
+        }
+
+        // Field samples share the same grid across scenes, so index i is the same pixel everywhere
+        const pixelCount = usable.every(scene => scene.samples?.length === usable[0].samples?.length)
+            ? (usable[0].samples?.length || 0)
+            : 0;
+
+        const contributions = new Map(usable.map(scene => [scene.id, { weight: 0, pixels: 0 }]));
+        const compositePixels = [];
+        let noDataPixels = 0;
+
+        for (let p = 0; p < Math.max(1, pixelCount); p++) {
+            const stack = usable.map(scene => ({
+                scene,
+                bands: pixelCount > 0 ? scene.samples[p].bands : scene.bands,
+                quality: this.getPixelQuality(scene, pixelCount > 0 ? p : null)
+            })).filter(entry => entry.quality > 0);
+
+            if (stack.length === 0) continue;
+
+            // A pixel without a usable value in some band is left out, like a masked one
+            const result = this.compositePixel(stack, method);
+            if (!result) {
+                noDataPixels++;
+                continue;
+            }
+
+            result.contributors.forEach(({ sceneId, weight }) => {
+                const contribution = contributions.get(sceneId);
+                contribution.weight += weight;
+                contribution.pixels++;
+            });
+
+            compositePixels.push(pixelCount > 0
+                ? { lat: usable[0].samples[p].lat, lon: usable[0].samples[p].lon, bands: result.bands }
+                : { bands: result.bands });
+        }
+
+        if (compositePixels.length === 0) {
+            throw new Error('No clear pixels available for compositing');
+        }
+
+        const pixelsComposited = compositePixels.length;
+        const contributing = usable
+            .filter(scene => contributions.get(scene.id).pixels > 0)
+            .map(scene => ({
+                id: scene.id,
+                date: scene.date,
+                cloudCover: scene.cloudCover,
+                weight: Math.round(contributions.get(scene.id).weight / pixelsComposited * 1000) / 1000,
+                pixels: contributions.get(scene.id).pixels
+            }));
+
+        const totalWeight = contributing.reduce((sum, scene) => sum + scene.weight, 0) || 1;
+        const latest = contributing.reduce((a, b) => (new Date(a.date) > new Date(b.date) ? a : b));
+
+        const composite = {
+            id: `composite-${method}-${latest.date.split('T')[0]}`,
+            date: latest.date,
+            cloudCover: contributing.reduce((sum, scene) => sum + scene.cloudCover * scene.weight, 0) / totalWeight,
+            bands: AnalysisUtils.averageBands(compositePixels),
+            bandSource: usable[0].bandSource,
+            composite: {
+                method,
+                sceneCount: contributing.length,
+                pixels: pixelsComposited,
+                scenes: contributing
+            }
+        };
+
+        if (pixelCount > 0) {
+            composite.samples = compositePixels;
+        }
+
+        // Pixels masked in every scene, or without data in some band, leave gaps in the composite
+        if (usable.some(scene => scene.mask?.applied) || noDataPixels > 0) {
+            const totalPixels = Math.max(1, pixelCount);
+            composite.mask = {
+                applied: true,
+                validPixels: pixelsComposited,
+                totalPixels,
+                validPixelFraction: Math.round(pixelsComposited / totalPixels * 1000) / 1000,
+                excludedPixels: {
+                    masked_in_all_scenes: totalPixels - pixelsComposited - noDataPixels,
+                    ...(noDataPixels > 0 ? { no_data: noDataPixels } : {})
+                }
+            };
+        }
+
+        return composite;
+    }
+
+    /**
+     * Combine one pixel's stack of scene observations
+     * @returns {Object|null} { bands, contributors: [{ sceneId, weight }] }, or null when a band has no finite value in the stack
+     */
+    compositePixel(stack, method) {
+        if (method === 'median') {
+            const totalQuality = stack.reduce((sum, entry) => sum + entry.quality, 0);
+            const bands = {};
+
+            for (const band of Object.keys(stack[0].bands)) {
+                bands[band] = this.weightedMedian(stack.map(entry => ({ value: entry.bands[band], weight: entry.quality })));
+                if (bands[band] === null) return null;
+            }
+
+            return {
+                bands,
+                contributors: stack.map(entry => ({ sceneId: entry.scene.id, weight: entry.quality / totalQuality }))
+            };
+        }
+
+        let chosen;
+        if (method === 'max-ndvi') {
+            const candidates = stack.filter(entry => entry.quality >= this.minQuality);
+            chosen = (candidates.length > 0 ? candidates : stack).reduce((best, entry) =>
+                this.calculateNdvi(entry.bands) > this.calculateNdvi(best.bands) ? entry : best
+            );
+        } else {
+            // most-recent-clear: newest clear observation, else the best quality one
+            const clear = stack.filter(entry => this.isClear(entry));
+            chosen = clear.length > 0
+                ? clear.reduce((best, entry) => (new Date(entry.scene.date) > new Date(best.scene.date) ? entry : best))
+                : stack.reduce((best, entry) => (entry.quality > best.quality ? entry : best));
+        }
+
+        return {
+            bands: { ...chosen.bands },
+            contributors: [{ sceneId: chosen.scene.id, weight: 1 }]
+        };
+    }
+
+    /**
+     * Quality weight (0-1) of a scene's observation for one pixel
+     * Pixels masked by the Scene Classification Layer get zero quality and are left out
+     */
+    getPixelQuality(scene, pixelIndex) {
+        if (scene.mask?.applied) {
+            const valid = pixelIndex !== null
+                ? scene.samples[pixelIndex].valid !== false
+                : scene.mask.validPixels > 0;
+            if (!valid) return 0;
+        }
+
+        return Math.max(0, 1 - (scene.cloudCover || 0) / 100);
+    }
+
+    /**
+     * Whether a pixel observation counts as clear
+     * With an SCL mask every remaining (unmasked) pixel is clear, otherwise scene cloud cover decides
+     */
+    isClear(entry) {
+        if (entry.scene.mask?.applied) {
+            return entry.quality > 0;
+        }
+        return (entry.scene.cloudCover || 0) <= this.clearCloudCover;
+    }
+
+    /**
+     * Weighted median of { value, weight } entries
+     * @returns {number|null} Median of the finite, positively weighted values, or null when there are none
+     */
+    weightedMedian(entries) {
+        const sorted = entries
+            .filter(entry => typeof entry.value === 'number' && isFinite(entry.value) && entry.weight > 0)
+            .sort((a, b) => a.value - b.value);
+        if (sorted.length === 0) return null;
+
+        const half = sorted.reduce((sum, entry) => sum + entry.weight, 0) / 2;
+
+        let cumulative = 0;
+        for (let i = 0; i < sorted.length; i++) {
+            cumulative += sorted[i].weight;
+            if (cumulative > half) return sorted[i].value;
+            // Exactly half the weight on each side: average the two middle values
+            if (cumulative === half) return (sorted[i].value + sorted[i + 1].value) / 2;
+        }
+
+        return sorted[sorted.length - 1].value;
+    }
+
+    /**
+     * NDVI of a pixel observation, from the registered index definition
+     * Undefined values (zero or missing reflectances) rank below every real observation
+     */
+    calculateNdvi(bands) {
+        const { ndvi } = spectralIndexService.calculateIndices(bands, ['ndvi']);
+        return ndvi === null ? -1 : ndvi;
+    }
+}
+
+module.exports = new CompositeService();
@@ -0,0 +1,387 @@
+// Weights of the factors in the suitability score; factors without data are left out and the rest renormalized
+const SUITABILITY_WEIGHTS = {
+    ph: 0.25,
+    texture: 0.2,
+    moisture: 0.2,
+    temperature: 0.2,
+    ndvi: 0.15
+};
+
+// Texture score for the soil types of soilAnalysisService.determineSoilType
+const TEXTURE_SCORES = {
+    preferred: 1,
+    tolerated: 0.6,
+    other: 0.2
+};
+
+// Recommendation thresholds without a crop: moisture (%), NDVI and pH
+const GENERIC_THRESHOLDS = {
+    moisture: { critical: 15, low: 30, high: 85 },
+    ndvi: { critical: 0.1, low: 0.3 },
+    ph: { severe: 5.5, low: 6.2, high: 8.5 }
+};
+
+/**
+ * Crop profiles: tolerated ranges ({ min, optimal: [low, high], max }) of pH, soil moisture (%) and temperature (°C),
+ * preferred and tolerated soil types, and the growth stages by days after sowing with the expected NDVI range
+ * and, where it differs from the season, the optimal soil moisture
+ */
+const CROP_PROFILES = [
+    {
+        id: 'wheat',
+        name: 'Wheat',
+        aliases: ['winter wheat', 'spring wheat'],
+        ph: { min: 5.5, optimal: [6.0, 7.5], max: 8.5 },
+        texture: { preferred: ['Loam', 'Clay Loam', 'Silt'], tolerated: ['Sandy Loam', 'Clay'] },
+        moisture: { min: 25, optimal: [40, 70], max: 85 },
+        temperature: { min: 3, optimal: [12, 25], max: 32 },
+        stages: [
+            { id: 'germination', name: 'Germination', days: [0, 15], ndvi: [0.1, 0.3], moisture: [50, 75], advice: 'Keep the seedbed moist for even emergence; check the stand and resow gaps early' },
+            { id: 'tillering', name: 'Tillering', days: [15, 45], ndvi: [0.3, 0.6], advice: 'Apply the first nitrogen split and control weeds while the canopy is open' },
+            { id: 'stem_elongation', name: 'Stem elongation', days: [45, 80], ndvi: [0.5, 0.8], advice: 'Apply the main nitrogen dose and watch for foliar diseases' },
+            { id: 'heading', name: 'Heading and flowering', days: [80, 105], ndvi: [0.6, 0.85], moisture: [50, 75], critical: true, advice: 'Avoid water stress - yield is most sensitive now; protect the flag leaf from disease' },
+            { id: 'grain_fill', name: 'Grain fill', days: [105, 130], ndvi: [0.4, 0.75], advice: 'Maintain moderate moisture; late stress shrivels the grain' },
+            { id: 'maturity', name: 'Maturity', days: [130, 150], ndvi: [0.2, 0.45], moisture: [25, 50], advice: 'Stop irrigation and plan harvest at 13-15% grain moisture' }
+        ]
+    },
+    {
+        id: 'rice',
+        name: 'Rice',
+        aliases: ['paddy'],
+        ph: { min: 5.0, optimal: [5.5, 7.0], max: 8.0 },
+        texture: { preferred: ['Clay', 'Clay Loam', 'Silt'], tolerated: ['Loam'] },
+        moisture: { min: 60, optimal: [80, 100], max: 100 },
+        temperature: { min: 16, optimal: [22, 32], max: 38 },
+        stages: [
+            { id: 'seedling', name: 'Seedling', days: [0, 20], ndvi: [0.1, 0.3], advice: 'Keep a shallow water layer and control weeds before canopy closure' },
+            { id: 'tillering', name: 'Tillering', days: [20, 50], ndvi: [0.3, 0.6], advice: 'Top-dress nitrogen and keep 3-5 cm of standing water' },
+            { id: 'panicle_initiation', name: 'Panicle initiation', days: [50, 75], ndvi: [0.55, 0.8], critical: true, advice: 'Apply the panicle nitrogen dose; do not let the field dry out' },
+            { id: 'flowering', name: 'Flowering', days: [75, 95], ndvi: [0.6, 0.85], critical: true, advice: 'Keep the field flooded; heat above 35 °C now causes sterile grains' },
+            { id: 'ripening', name: 'Ripening', days: [95, 125], ndvi: [0.35, 0.7], moisture: [60, 85], advice: 'Drain the field 1-2 weeks before harvest' }
+        ]
+    },
+    {
+        id: 'maize',
+        name: 'Maize',
+        aliases: ['corn'],
+        ph: { min: 5.5, optimal: [5.8, 7.0], max: 8.0 },
+        texture: { preferred: ['Loam', 'Silt', 'Clay Loam', 'Sandy Loam'], tolerated: ['Clay', 'Sand'] },
+        moisture: { min: 30, optimal: [45, 75], max: 85 },
+        temperature: { min: 10, optimal: [18, 30], max: 35 },
+        stages: [
+            { id: 'emergence', name: 'Emergence', days: [0, 12], ndvi: [0.1, 0.3], advice: 'Check plant population and crusting; replant thin stands early' },
+            { id: 'vegetative', name: 'Vegetative growth', days: [12, 50], ndvi: [0.3, 0.7], advice: 'Side-dress nitrogen before V8 and keep weeds controlled' },
+            { id: 'silking', name: 'Tasseling and silking', days: [50, 75], ndvi: [0.65, 0.9], moisture: [55, 80], critical: true, advice: 'Irrigate to avoid any water stress - pollination failure cannot be recovered' },
+            { id: 'grain_fill', name: 'Grain fill', days: [75, 110], ndvi: [0.5, 0.8], advice: 'Maintain moisture through the dough stage' },
+            { id: 'maturity', name: 'Maturity', days: [110, 130], ndvi: [0.25, 0.5], moisture: [30, 55], advice: 'Stop irrigation at black layer and plan harvest' }
+        ]
+    },
+    {
+        id: 'soybean',
+        name: 'Soybean',
+        aliases: ['soybeans', 'soy'],
+        ph: { min: 5.8, optimal: [6.0, 7.0], max: 7.8 },
+        texture: { preferred: ['Loam', 'Silt', 'Clay Loam'], tolerated: ['Sandy Loam', 'Clay'] },
+        moisture: { min: 30, optimal: [45, 70], max: 85 },
+        temperature: { min: 10, optimal: [20, 30], max: 35 },
+        stages: [
+            { id: 'emergence', name: 'Emergence', days: [0, 10], ndvi: [0.1, 0.3], advice: 'Check nodulation and stand; avoid crusting after heavy rain' },
+            { id: 'vegetative', name: 'Vegetative growth', days: [10, 45], ndvi: [0.3, 0.7], advice: 'Control weeds before canopy closure' },
+            { id: 'flowering', name: 'Flowering', days: [45, 65], ndvi: [0.6, 0.85], advice: 'Scout for pests; moderate stress now is tolerated better than during pod fill' },
+            { id: 'pod_fill', name: 'Pod fill', days: [65, 100], ndvi: [0.6, 0.85], moisture: [50, 75], critical: true, advice: 'Irrigate to avoid water stress - seed number and size are set now' },
+            { id: 'maturity', name: 'Maturity', days: [100, 120], ndvi: [0.25, 0.5], moisture: [30, 55], advice: 'Stop irrigation and plan harvest before pods shatter' }
+        ]
+    },
+    {
+        id: 'cotton',
+        name: 'Cotton',
+        aliases: [],
+        ph: { min: 5.5, optimal: [5.8, 8.0], max: 8.5 },
+        texture: { preferred: ['Loam', 'Clay Loam', 'Sandy Loam'], tolerated: ['Clay', 'Silt'] },
+        moisture: { min: 25, optimal: [35, 65], max: 80 },
+        temperature: { min: 15, optimal: [21, 32], max: 38 },
+        stages: [
+            { id: 'emergence', name: 'Emergence', days: [0, 15], ndvi: [0.1, 0.25], advice: 'Protect seedlings from thrips and ensure an even stand' },
+            { id: 'squaring', name: 'Squaring', days: [15, 55], ndvi: [0.25, 0.55], advice: 'Apply nitrogen and scout for square-feeding pests' },
+            { id: 'flowering', name: 'Flowering', days: [55, 100], ndvi: [0.5, 0.8], moisture: [45, 70], critical: true, advice: 'Peak water demand - irrigate to avoid boll shedding' },
+            { id: 'boll_development', name: 'Boll development', days: [100, 140], ndvi: [0.5, 0.8], advice: 'Keep moisture moderate and manage excessive vegetative growth' },
+            { id: 'open_boll', name: 'Open boll', days: [140, 170], ndvi: [0.3, 0.55], moisture: [25, 45], advice: 'Stop irrigation and plan defoliation and harvest' }
+        ]
+    },
+    {
+        id: 'sugarcane',
+        name: 'Sugarcane',
+        aliases: ['sugar cane'],
+        ph: { min: 5.0, optimal: [6.0, 7.5], max: 8.5 },
+        texture: { preferred: ['Loam', 'Clay Loam'], tolerated: ['Clay', 'Sandy Loam', 'Silt'] },
+        moisture: { min: 35, optimal: [50, 80], max: 90 },
+        temperature: { min: 15, optimal: [24, 34], max: 40 },
+        stages: [
+            { id: 'germination', name: 'Germination', days: [0, 35], ndvi: [0.1, 0.3], advice: 'Keep the soil moist for sett germination; fill gaps within a month' },
+            { id: 'tillering', name: 'Tillering', days: [35, 120], ndvi: [0.3, 0.65], advice: 'Apply nitrogen, earth up and control weeds' },
+            { id: 'grand_growth', name: 'Grand growth', days: [120, 270], ndvi: [0.6, 0.9], moisture: [60, 85], critical: true, advice: 'Peak water and nutrient demand - irrigate regularly' },
+            { id: 'ripening', name: 'Ripening', days: [270, 360], ndvi: [0.45, 0.75], moisture: [35, 60], advice: 'Reduce irrigation to raise sugar content before harvest' }
+        ]
+    },
+    {
+        id: 'barley',
+        name: 'Barley',
+        aliases: [],
+        ph: { min: 6.0, optimal: [6.5, 7.8], max: 8.5 },
+        texture: { preferred: ['Loam', 'Clay Loam', 'Sandy Loam', 'Silt'], tolerated: ['Clay', 'Sand'] },
+        moisture: { min: 20, optimal: [35, 65], max: 80 },
+        temperature: { min: 2, optimal: [12, 22], max: 30 },
+        stages: [
+            { id: 'germination', name: 'Germination', days: [0, 12], ndvi: [0.1, 0.3], advice: 'Check emergence and resow gaps early' },
+            { id: 'tillering', name: 'Tillering', days: [12, 40], ndvi: [0.3, 0.6], advice: 'Apply nitrogen and control weeds' },
+            { id: 'stem_elongation', name: 'Stem elongation', days: [40, 70], ndvi: [0.5, 0.8], advice: 'Watch for lodging on fertile soils and for foliar diseases' },
+            { id: 'heading', name: 'Heading', days: [70, 90], ndvi: [0.6, 0.85], critical: true, advice: 'Avoid water stress during heading' },
+            { id: 'grain_fill', name: 'Grain fill', days: [90, 110], ndvi: [0.4, 0.7], advice: 'Maintain moderate moisture' },
+            { id: 'maturity', name: 'Maturity', days: [110, 125], ndvi: [0.2, 0.45], moisture: [20, 45], advice: 'Plan harvest once the grain is hard' }
+        ]
+    },
+    {
+        id: 'sorghum',
+        name: 'Sorghum',
+        aliases: ['milo'],
+        ph: { min: 5.5, optimal: [6.0, 7.5], max: 8.5 },
+        texture: { preferred: ['Loam', 'Sandy Loam', 'Clay Loam'], tolerated: ['Sand', 'Clay', 'Silt'] },
+        moisture: { min: 20, optimal: [30, 60], max: 80 },
+        temperature: { min: 12, optimal: [24, 33], max: 40 },
+        stages: [
+            { id: 'emergence', name: 'Emergence', days: [0, 12], ndvi: [0.1, 0.3], advice: 'Check the stand; sorghum seedlings compete poorly with weeds' },
+            { id: 'vegetative', name: 'Vegetative growth', days: [12, 40], ndvi: [0.3, 0.65], advice: 'Apply nitrogen and control weeds' },
+            { id: 'flowering', name: 'Boot and flowering', days: [40, 70], ndvi: [0.55, 0.85], moisture: [40, 65], critical: true, advice: 'Avoid water stress from boot to flowering' },
+            { id: 'grain_fill', name: 'Grain fill', days: [70, 100], ndvi: [0.45, 0.75], advice: 'Scout for head pests and birds' },
+            { id: 'maturity', name: 'Maturity', days: [100, 120], ndvi: [0.25, 0.5], moisture: [20, 45], advice: 'Plan harvest at physiological maturity' }
+        ]
+    },
+    {
+        id: 'potato',
+        name: 'Potato',
+        aliases: ['potatoes'],
+        ph: { min: 4.8, optimal: [5.2, 6.5], max: 7.5 },
+        texture: { preferred: ['Sandy Loam', 'Loam'], tolerated: ['Silt', 'Sand'] },
+        moisture: { min: 35, optimal: [60, 80], max: 90 },
+        temperature: { min: 7, optimal: [15, 22], max: 28 },
+        stages: [
+            { id: 'sprouting', name: 'Sprouting', days: [0, 20], ndvi: [0.1, 0.3], moisture: [50, 70], advice: 'Avoid waterlogging that rots seed tubers' },
+            { id: 'vegetative', name: 'Vegetative growth', days: [20, 45], ndvi: [0.3, 0.7], advice: 'Hill the rows and apply nitrogen' },
+            { id: 'tuber_initiation', name: 'Tuber initiation', days: [45, 60], ndvi: [0.6, 0.85], critical: true, advice: 'Keep moisture even - dry spells now reduce tuber number and cause scab' },
+            { id: 'tuber_bulking', name: 'Tuber bulking', days: [60, 100], ndvi: [0.65, 0.9], critical: true, advice: 'Peak water demand; scout for late blight' },
+            { id: 'maturation', name: 'Maturation', days: [100, 120], ndvi: [0.3, 0.6], moisture: [40, 60], advice: 'Reduce irrigation and kill the haulm two weeks before harvest' }
+        ]
+    }
+];
+
+/**
+ * Crop profile catalogue: growth stages, suitability scores and crop-specific recommendation thresholds
+ */
+class CropService {
+    constructor() {
+        this.profiles = new Map(CROP_PROFILES.map(profile => [profile.id, profile]));
+    }
+
+    get ids() {
+        return [...this.profiles.keys()];
+    }
+
+    listCrops() {
+        return [...this.profiles.values()];
+    }
+
+    /**
+     * Find a crop profile by id, name or alias (case-insensitive)
+     * @returns {Object|null}
+     */
+    getCrop(value) {
+        if (!value || typeof value !== 'string') return null;
+
+        const key = value.trim().toLowerCase();
+        return this.listCrops().find(profile =>
+            profile.id === key || profile.name.toLowerCase() === key || profile.aliases.includes(key)
+        ) || null;
+    }
+
+    /**
+     * Growth stage of a crop on a date
+     * Dates before sowing give a `pre_sowing` stage and dates after the last stage a `post_harvest` stage, both without
+     * an expected NDVI
+     * @returns {Object} { id, name, daysAfterSowing, days, ndvi, moisture, critical, advice }
+     */
+    getGrowthStage(profile, sowingDate, date) {
+        const daysAfterSowing = Math.floor((new Date(date) - new Date(sowingDate)) / (24 * 60 * 60 * 1000));
+        const lastStage = profile.stages[profile.stages.length - 1];
+
+        if (daysAfterSowing < 0) {
+            return {
+                id: 'pre_sowing',
+                name: 'Before sowing',
+                daysAfterSowing,
+                ndvi: null,
+                critical: false,
+                advice: 'Prepare the seedbed, correct pH and apply basal fertilizer before sowing'
+            };
+        }
+
+        if (daysAfterSowing >= lastStage.days[1]) {
+            return {
+                id: 'post_harvest',
+                name: 'After harvest',
+                daysAfterSowing,
+                ndvi: null,
+                critical: false,
+                advice: 'Manage crop residues and sow a cover crop to protect the soil'
+            };
+        }
+
+        const stage = profile.stages.find(candidate => daysAfterSowing < candidate.days[1]);
+        return {
+            ...stage,
+            daysAfterSowing,
+            critical: Boolean(stage.critical)
+        };
+    }
+
+    /**
+     * Crop context of an analysis
+     * @param {string} crop - Crop id, name or alias
+     * @param {string} [sowingDate] - Without it the growth stage is unknown and season-wide ranges apply
+     * @param {string} date - Date of the analyzed scene
+     * @returns {Object|null} { profile, sowingDate, stage }
+     */
+    getCropContext(crop, sowingDate, date) {
+        const profile = this.getCrop(crop);
+        if (!profile) return null;
+
+        return {
+            profile,
+            sowingDate: sowingDate || null,
+            stage: sowingDate ? this.getGrowthStage(profile, sowingDate, date) : null
+        };
+    }
+
+    /**
+     * Optimal soil moisture range (%) of a crop, for its growth stage when known
+     */
+    getMoistureRange(profile, stage = null) {
+        const optimal = stage?.moisture || profile.moisture.optimal;
+        return {
+            min: Math.min(profile.moisture.min, optimal[0]),
+            optimal,
+            max: Math.max(profile.moisture.max, optimal[1])
+        };
+    }
+
+    /**
+     * Suitability of a crop for the observed conditions
+     * @param {Object} conditions - { ph, soilType, moisture (%), temperature (°C), ndvi }
+     * @param {Object} [stage] - Growth stage; its expected NDVI range is scored when available
+     * @returns {Object} { crop, name, score (0-100), rating, factors: { name: { value, score, optimal } }, limitingFactors }
+     */
+    assessSuitability(profile, conditions, stage = null) {
+        const factors = {};
+
+        if (typeof conditions.ph === 'number') {
+            factors.ph = { value: conditions.ph, score: this.scoreRange(conditions.ph, profile.ph), optimal: profile.ph.optimal };
+        }
+        if (conditions.soilType) {
+            const fit = profile.texture.preferred.includes(conditions.soilType) ? 'preferred'
+                : profile.texture.tolerated.includes(conditions.soilType) ? 'tolerated'
+                : 'other';
+            factors.texture = { value: conditions.soilType, score: TEXTURE_SCORES[fit], optimal: profile.texture.preferred };
+        }
+        if (typeof conditions.moisture === 'number') {
+            const range = this.getMoistureRange(profile, stage);
+            factors.moisture = { value: conditions.moisture, score: this.scoreRange(conditions.moisture, range), optimal: range.optimal };
+        }
+        if (typeof conditions.temperature === 'number') {
+            factors.temperature = {
+                value: conditions.temperature,
+                score: this.scoreRange(conditions.temperature, profile.temperature),
+                optimal: profile.temperature.optimal
+            };
+        }
+        if (typeof conditions.ndvi === 'number' && stage?.ndvi) {
+            const [low, high] = stage.ndvi;
+            factors.ndvi = {
+                value: Math.round(conditions.ndvi * 1000) / 1000,
+                score: this.scoreRange(conditions.ndvi, { min: low / 2, optimal: [low, high], max: Math.min(1, high + 0.15) }),
+                optimal: stage.ndvi
+            };
+        }
+
+        const names = Object.keys(factors);
+        const totalWeight = names.reduce((sum, name) => sum + SUITABILITY_WEIGHTS[name], 0);
+        const score = totalWeight > 0
+            ? names.reduce((sum, name) => sum + factors[name].score * SUITABILITY_WEIGHTS[name], 0) / totalWeight * 100
+            : 0;
+
+        names.forEach(name => {
+            factors[name].score = Math.round(factors[name].score * 100) / 100;
+        });
+
+        return {
+            crop: profile.id,
+            name: profile.name,
+            score: Math.round(score),
+            rating: this.getSuitabilityRating(score),
+            factors,
+            limitingFactors: names.filter(name => factors[name].score < 0.5)
+        };
+    }
+
+    /**
+     * Suitability of every crop for the observed conditions (growth stage unknown), best first
+     */
+    rankCrops(conditions) {
+        return this.listCrops()
+            .map(profile => this.assessSuitability(profile, conditions))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    getSuitabilityRating(score) {
+        if (score >= 80) return 'high';
+        if (score >= 60) return 'moderate';
+        if (score >= 40) return 'marginal';
+        return 'unsuitable';
+    }
+
+    /**
+     * Recommendation thresholds for moisture (%), NDVI and pH
+     * Crop thresholds come from the profile (and the growth stage's moisture and NDVI when known); without a crop the
+     * generic thresholds apply
+     * @param {Object} [cropContext] - See getCropContext
+     * @returns {Object} { moisture: { critical, low, high }, ndvi: { critical, low, high } | null, ph: { severe, low, high } }
+     */
+    getThresholds(cropContext = null) {
+        if (!cropContext) return GENERIC_THRESHOLDS;
+
+        const { profile, stage } = cropContext;
+        const moisture = this.getMoistureRange(profile, stage);
+        let ndvi = GENERIC_THRESHOLDS.ndvi;
+        if (stage) {
+            // Bare soil is expected before sowing and after harvest
+            ndvi = stage.ndvi ? { critical: stage.ndvi[0] / 2, low: stage.ndvi[0], high: stage.ndvi[1] } : null;
+        }
+
+        return {
+            moisture: { critical: moisture.min, low: moisture.optimal[0], high: moisture.max },
+            ndvi,
+            ph: { severe: profile.ph.min, low: profile.ph.optimal[0], high: profile.ph.max }
+        };
+    }
+
+    /**
+     * Score a value against a { min, optimal: [low, high], max } range: 1 inside the optimum, falling linearly to 0 at the limits
+     */
+    scoreRange(value, range) {
+        const [low, high] = range.optimal;
+
+        if (value >= low && value <= high) return 1;
+        if (value < low) return value <= range.min ? 0 : (value - range.min) / (low - range.min);
+        return value >= range.max ? 0 : (range.max - value) / (range.max - high);
+    }
+}
+
+module.exports = new CropService();
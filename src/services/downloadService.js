@@ -0,0 +1,307 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Multihash function codes (STAC file:checksum) and the matching Node.js hash algorithms
+const MULTIHASH_ALGORITHMS = {
+    d5: 'md5',
+    11: 'sha1',
+    12: 'sha256',
+    13: 'sha512'
+};
+
+/**
+ * Background download queue for large product archives
+ * Downloads stream into a `.part` file, resume with HTTP Range requests after interruptions,
+ * are verified against the catalogue checksum and only then renamed to their final path
+ */
+class DownloadService {
+    constructor() {
+        // Downloads running at the same time; further jobs wait in the queue
+        this.concurrency = parseInt(process.env.DOWNLOAD_CONCURRENCY) || 2;
+
+        // Attempts per job; each retry resumes from the bytes already on disk
+        this.maxAttempts = parseInt(process.env.DOWNLOAD_MAX_ATTEMPTS) || 3;
+
+        // Wait before the first retry (ms); doubles with every further attempt
+        this.retryDelay = parseInt(process.env.DOWNLOAD_RETRY_DELAY) || 2000;
+
+        // A download without data for this long is aborted (and retried)
+        this.stallTimeout = parseInt(process.env.DOWNLOAD_STALL_TIMEOUT) || 60000;
+
+        // Finished jobs kept for status queries
+        this.maxFinishedJobs = 100;
+
+        this.jobs = new Map();
+        this.queue = [];
+        this.active = 0;
+    }
+
+    /**
+     * Queue a download, or return the job already downloading to the same path
+     * @param {Object} task - { sceneId, outputPath, checksum (multihash hex, optional), size (bytes, optional),
+     *   resolveAsset (async () => { href, headers }, called before every attempt so credentials stay fresh),
+     *   onComplete (async (job) => void, optional) }
+     * @returns {Object} Job; `job.promise` resolves with the job when the download completes
+     */
+    enqueue(task) {
+        const running = [...this.jobs.values()].find(job =>
+            job.outputPath === task.outputPath && ['queued', 'downloading', 'verifying'].includes(job.status)
+        );
+        if (running) return running;
+
+        const job = {
+            id: crypto.randomUUID(),
+            sceneId: task.sceneId,
+            status: 'queued',
+            outputPath: task.outputPath,
+            bytes: 0,
+            total: task.size || null,
+            resumedFrom: 0,
+            attempts: 0,
+            checksum: task.checksum ? { expected: task.checksum, verified: null } : null,
+            error: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            completedAt: null
+        };
+
+        // Keep the task and promise off the enumerable job so status responses stay plain data
+        Object.defineProperty(job, 'task', { value: task });
+        Object.defineProperty(job, 'promise', {
+            value: new Promise((resolve, reject) => {
+                Object.defineProperty(job, 'settle', { value: { resolve, reject } });
+            })
+        });
+        // Callers that do not wait for the job must not produce unhandled rejections
+        job.promise.catch(() => {});
+
+        this.jobs.set(job.id, job);
+        this.queue.push(job);
+        this.pruneJobs();
+        this.next();
+
+        return job;
+    }
+
+    /**
+     * Get a job by id
+     * @returns {Object|null}
+     */
+    getJob(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * All known jobs, newest first
+     */
+    listJobs() {
+        return [...this.jobs.values()].reverse();
+    }
+
+    /**
+     * Status of a job for API responses, with the progress fraction
+     */
+    describeJob(job) {
+        return {
+            ...job,
+            progress: job.total ? Math.round(job.bytes / job.total * 1000) / 1000 : null
+        };
+    }
+
+    /**
+     * Start queued jobs while there are free download slots
+     */
+    next() {
+        while (this.active < this.concurrency && this.queue.length > 0) {
+            const job = this.queue.shift();
+            this.active++;
+
+            this.run(job)
+                .then(() => job.settle.resolve(job))
+                .catch(error => job.settle.reject(error))
+                .finally(() => {
+                    this.active--;
+                    this.next();
+                });
+        }
+    }
+
+    /**
+     * Download with retries, verify the checksum and move the file into place
+     */
+    async run(job) {
+        const partialPath = `${job.outputPath}.part`;
+        job.startedAt = new Date().toISOString();
+        fs.mkdirSync(path.dirname(job.outputPath), { recursive: true });
+
+        try {
+            while (true) {
+                job.attempts++;
+                job.status = 'downloading';
+                try {
+                    await this.transfer(job, partialPath);
+                    break;
+                } catch (error) {
+                    if (job.attempts >= this.maxAttempts || error.response?.status === 404) throw error;
+
+                    const delay = this.retryDelay * 2 ** (job.attempts - 1);
+                    console.warn(`⚠️ Download of ${job.sceneId} interrupted (${error.message}), resuming in ${delay} ms...`);
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
+            }
+
+            if (job.checksum) {
+                job.status = 'verifying';
+                const actual = await this.hashFile(partialPath, job.checksum.expected);
+                job.checksum.actual = actual;
+                job.checksum.verified = actual === job.checksum.expected;
+
+                if (!job.checksum.verified) {
+                    // A corrupt file cannot be resumed into a good one
+                    fs.rmSync(partialPath, { force: true });
+                    throw new Error(`Checksum mismatch for ${job.sceneId}: expected ${job.checksum.expected}, got ${actual}`);
+                }
+            }
+
+            // Only expose complete archives under the final name
+            fs.renameSync(partialPath, job.outputPath);
+
+            if (job.task.onComplete) {
+                await job.task.onComplete(job);
+            }
+
+            job.status = 'completed';
+            job.completedAt = new Date().toISOString();
+            console.log(`✅ Scene ${job.sceneId} downloaded to ${job.outputPath}`);
+
+        } catch (error) {
+            job.status = 'failed';
+            job.error = error.message;
+            job.completedAt = new Date().toISOString();
+            console.error(`❌ Error downloading scene ${job.sceneId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Stream the remaining bytes of a download into the partial file
+     * Requests the range after the bytes already on disk; servers ignoring the range restart from zero
+     */
+    async transfer(job, partialPath) {
+        const existing = fs.existsSync(partialPath) ? fs.statSync(partialPath).size : 0;
+        if (job.total && existing === job.total) {
+            job.bytes = existing;
+            return;
+        }
+
+        const { href, headers } = await job.task.resolveAsset();
+
+        const response = await axios({
+            method: 'GET',
+            url: href,
+            headers: existing > 0 ? { ...headers, Range: `bytes=${existing}-` } : headers,
+            responseType: 'stream',
+            timeout: this.stallTimeout,
+            // A range starting at the end of the file means it was complete
+            validateStatus: status => (status >= 200 && status < 300) || status === 416
+        });
+
+        if (response.status === 416) {
+            response.data.resume();
+            if (job.total && existing !== job.total) {
+                fs.rmSync(partialPath, { force: true });
+                throw new Error('Partial download does not match the remote file, restarting');
+            }
+            job.bytes = existing;
+            job.total = job.total || existing;
+            return;
+        }
+
+        const resumed = response.status === 206;
+        if (resumed) {
+            const range = /\/(\d+)$/.exec(response.headers['content-range'] || '');
+            job.total = range ? parseInt(range[1]) : job.total;
+            job.resumedFrom = existing;
+            console.log(`📥 Resuming download of ${job.sceneId} at ${existing} bytes...`);
+        } else {
+            const length = parseInt(response.headers['content-length']);
+            job.total = isNaN(length) ? job.total : length;
+            console.log(`📥 Downloading scene ${job.sceneId}...`);
+        }
+        job.bytes = resumed ? existing : 0;
+
+        await new Promise((resolve, reject) => {
+            const writer = fs.createWriteStream(partialPath, { flags: resumed ? 'a' : 'w' });
+            let stallTimer = null;
+            const armStallTimer = () => {
+                clearTimeout(stallTimer);
+                stallTimer = setTimeout(() => response.data.destroy(new Error('Download stalled')), this.stallTimeout);
+            };
+            let failure = null;
+            const fail = error => {
+                if (failure) return;
+                failure = error;
+                clearTimeout(stallTimer);
+                // Flush the bytes received so far so the next attempt resumes after them
+                response.data.unpipe(writer);
+                writer.end();
+            };
+
+            armStallTimer();
+            response.data.on('data', chunk => {
+                job.bytes += chunk.length;
+                armStallTimer();
+            });
+            response.data.on('error', fail);
+            response.data.on('aborted', () => fail(new Error('Connection closed before the download finished')));
+            writer.on('error', error => {
+                clearTimeout(stallTimer);
+                reject(error);
+            });
+            writer.on('finish', () => {
+                clearTimeout(stallTimer);
+                if (failure) reject(failure);
+                else resolve();
+            });
+            response.data.pipe(writer);
+        });
+
+        if (job.total && job.bytes < job.total) {
+            throw new Error(`Download ended after ${job.bytes} of ${job.total} bytes`);
+        }
+    }
+
+    /**
+     * Hash a file with the algorithm of a multihash checksum
+     * @returns {Promise<string>} Multihash hex of the file
+     */
+    async hashFile(filePath, multihash) {
+        const prefix = multihash.slice(0, 4);
+        const algorithm = MULTIHASH_ALGORITHMS[prefix.slice(0, 2)];
+        if (!algorithm) {
+            throw new Error(`Unsupported checksum algorithm (multihash ${prefix})`);
+        }
+
+        const hash = crypto.createHash(algorithm);
+        await new Promise((resolve, reject) => {
+            fs.createReadStream(filePath)
+                .on('data', chunk => hash.update(chunk))
+                .on('error', reject)
+                .on('end', resolve);
+        });
+
+        return `${prefix}${hash.digest('hex')}`;
+    }
+
+    /**
+     * Drop the oldest finished jobs beyond maxFinishedJobs
+     */
+    pruneJobs() {
+        const finished = [...this.jobs.values()].filter(job => ['completed', 'failed'].includes(job.status));
+        finished.slice(0, Math.max(0, finished.length - this.maxFinishedJobs)).forEach(job => this.jobs.delete(job.id));
+    }
+}
+
+module.exports = new DownloadService();
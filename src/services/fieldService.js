@@ -0,0 +1,136 @@
+const path = require('path');
+const crypto = require('crypto');
+const geoService = require('./geoService');
+const JsonFileStore = require('../utils/jsonFileStore');
+
+class FieldService {
+    constructor() {
+        this.store = new JsonFileStore(
+            process.env.FIELD_STORE_PATH || path.join(__dirname, '../../data/fields.json'),
+            'fields'
+        );
+    }
+
+    /**
+     * List saved fields, optionally filtered by owner, crop or tag
+     */
+    listFields(filters = {}) {
+        const { owner, crop, tag } = filters;
+
+        return this.store.load()
+            .filter(field => !owner || field.owner === owner)
+            .filter(field => !crop || field.crop === crop)
+            .filter(field => !tag || field.tags.includes(tag))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get a saved field by id
+     * @returns {Object|null} Field or null when not found
+     */
+    getField(id) {
+        return this.store.load().find(field => field.id === id) || null;
+    }
+
+    /**
+     * Create a field
+     * @param {Object} input - { name, owner, crop, geometry, tags }
+     * @returns {Promise<Object>} { valid: true, field } or { valid: false, error }
+     */
+    async createField(input) {
+        const validation = this.validateField(input);
+        if (!validation.valid) return validation;
+
+        const now = new Date().toISOString();
+        const field = {
+            id: crypto.randomUUID(),
+            ...validation.values,
+            ...geoService.getFieldInfo(validation.values.geometry),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.store.load().push(field);
+        await this.store.save();
+
+        return { valid: true, field };
+    }
+
+    /**
+     * Update a field; attributes missing from the input keep their current values
+     * @returns {Promise<Object|null>} { valid: true, field }, { valid: false, error } or null when not found
+     */
+    async updateField(id, input) {
+        const field = this.getField(id);
+        if (!field) return null;
+
+        const validation = this.validateField({
+            name: field.name,
+            owner: field.owner,
+            crop: field.crop,
+            tags: field.tags,
+            geometry: field.geometry,
+            ...input
+        });
+        if (!validation.valid) return validation;
+
+        Object.assign(field, validation.values, geoService.getFieldInfo(validation.values.geometry), {
+            updatedAt: new Date().toISOString()
+        });
+        await this.store.save();
+
+        return { valid: true, field };
+    }
+
+    /**
+     * Delete a field
+     * @returns {Promise<boolean>} Whether the field existed
+     */
+    async deleteField(id) {
+        const fields = this.store.load();
+        const index = fields.findIndex(field => field.id === id);
+        if (index === -1) return false;
+
+        fields.splice(index, 1);
+        await this.store.save();
+        return true;
+    }
+
+    /**
+     * Validate and normalize field attributes
+     * @returns {Object} { valid: true, values } or { valid: false, error }
+     */
+    validateField(input = {}) {
+        const { name, owner = null, crop = null, tags = [], geometry } = input;
+
+        if (typeof name !== 'string' || name.trim() === '') {
+            return { valid: false, error: 'Field name is required' };
+        }
+
+        if ([owner, crop].some(value => value !== null && typeof value !== 'string')) {
+            return { valid: false, error: 'Owner and crop must be strings' };
+        }
+
+        if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+            return { valid: false, error: 'Tags must be an array of strings' };
+        }
+
+        const geometryCheck = geoService.normalizeFieldGeometry(geometry);
+        if (!geometryCheck.valid) {
+            return { valid: false, error: geometryCheck.error };
+        }
+
+        return {
+            valid: true,
+            values: {
+                name: name.trim(),
+                owner: owner ? owner.trim() : null,
+                crop: crop ? crop.trim() : null,
+                tags: [...new Set(tags.map(tag => tag.trim()).filter(Boolean))],
+                geometry: geometryCheck.geometry
+            }
+        };
+    }
+}
+
+module.exports = new FieldService();
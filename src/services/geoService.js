@@ -1,4 +1,29 @@
 const turf = require('@turf/turf');
+const mockDataProvider = require('./mockDataProvider');
+const AgroCalendar = require('../utils/agroCalendar');
+
+const CLIMATES = {
+    tropical: {
+        description: 'Tropical climate with high temperatures and humidity',
+        averageTemp: 26,
+        precipitation: 'high'
+    },
+    temperate: {
+        description: 'Temperate climate with moderate temperatures',
+        averageTemp: 15,
+        precipitation: 'moderate'
+    },
+    continental: {
+        description: 'Continental climate with seasonal temperature variations',
+        averageTemp: 10,
+        precipitation: 'moderate'
+    },
+    polar: {
+        description: 'Polar climate with very cold temperatures',
+        averageTemp: -5,
+        precipitation: 'low'
+    }
+};
 
 class GeoService {
     constructor() {
@@ -7,8 +32,10 @@ class GeoService {
 
     /**
      * Get detailed location information
+     * @param {Object} location - { lat, lon }
+     * @param {Object} [options] - { date } the seasons are reported for, e.g. the analysed scene's date (default today)
      */
-    async getLocationInfo(location) {
+    async getLocationInfo(location, options = {}) {
         const { lat, lon } = location;
         
         try {
@@ -21,7 +48,7 @@ class GeoService {
                 city: locationInfo.city || 'Unknown',
                 elevation: await this.getElevation(lat, lon),
                 timezone: this.getTimezone(lat, lon),
-                climate: this.getClimateInfo(lat, lon)
+                climate: this.getClimateInfo(lat, lon, options.date)
             };
         } catch (error) {
             console.error('Error getting location info:', error);
@@ -75,6 +102,9 @@ class GeoService {
         // Mock elevation based on rough geographic patterns
         // In production, use a real elevation service
         
+        // Seeded by coordinates so the same location always gets the same elevation
+        const random = mockDataProvider.createRandom('elevation', lat, lon);
+        
         // Rough elevation estimation based on latitude/longitude patterns
         let elevation = 100; // Base elevation in meters
         
@@ -82,16 +112,16 @@ class GeoService {
         if ((lat > 25 && lat < 50 && lon > -125 && lon < -100) || // Rocky Mountains
             (lat > 35 && lat < 50 && lon > -10 && lon < 20) ||    // Alps
             (lat > 25 && lat < 35 && lon > 70 && lon < 100)) {    // Himalayas
-            elevation += Math.random() * 2000 + 1000;
+            elevation += random() * 2000 + 1000;
         }
         
         // Coastal areas (lower elevation)
         if (this.isNearCoast(lat, lon)) {
-            elevation = Math.random() * 200;
+            elevation = random() * 200;
         }
         
         // Add some random variation
-        elevation += (Math.random() - 0.5) * 200;
+        elevation += (random() - 0.5) * 200;
         
         return Math.max(0, Math.round(elevation));
     }
@@ -112,40 +142,11 @@ class GeoService {
     }
 
     /**
-     * Get climate information based on location
+     * Get climate information based on location, with the seasons on a date (default today)
      */
-    getClimateInfo(lat, lon) {
-        const absLat = Math.abs(lat);
-        
-        let climate = {
-            zone: 'temperate',
-            description: 'Temperate climate with moderate temperatures',
-            averageTemp: 15,
-            precipitation: 'moderate'
-        };
-        
-        if (absLat < 23.5) {
-            climate = {
-                zone: 'tropical',
-                description: 'Tropical climate with high temperatures and humidity',
-                averageTemp: 26,
-                precipitation: 'high'
-            };
-        } else if (absLat > 66.5) {
-            climate = {
-                zone: 'polar',
-                description: 'Polar climate with very cold temperatures',
-                averageTemp: -5,
-                precipitation: 'low'
-            };
-        } else if (absLat > 40) {
-            climate = {
-                zone: 'continental',
-                description: 'Continental climate with seasonal temperature variations',
-                averageTemp: 10,
-                precipitation: 'moderate'
-            };
-        }
+    getClimateInfo(lat, lon, date) {
+        const zone = AgroCalendar.getClimateZone(lat);
+        const climate = { zone, ...CLIMATES[zone] };
         
         // Adjust for inland vs coastal
         if (this.isNearCoast(lat, lon)) {
@@ -154,7 +155,7 @@ class GeoService {
         }
         
         // Add seasonal information
-        climate.seasons = this.getSeasonalInfo(lat);
+        climate.seasons = this.getSeasonalInfo(lat, lon, date);
         
         return climate;
     }
@@ -205,29 +206,18 @@ class GeoService {
     }
 
     /**
-     * Get seasonal information
+     * Get seasonal information: the agro-calendar season (wet or dry in the tropics) on a date, default today
      */
-    getSeasonalInfo(lat) {
-        const hemisphere = lat >= 0 ? 'northern' : 'southern';
-        const currentMonth = new Date().getMonth();
-        
-        let currentSeason;
-        if (hemisphere === 'northern') {
-            if (currentMonth >= 2 && currentMonth <= 4) currentSeason = 'spring';
-            else if (currentMonth >= 5 && currentMonth <= 7) currentSeason = 'summer';
-            else if (currentMonth >= 8 && currentMonth <= 10) currentSeason = 'autumn';
-            else currentSeason = 'winter';
-        } else {
-            if (currentMonth >= 2 && currentMonth <= 4) currentSeason = 'autumn';
-            else if (currentMonth >= 5 && currentMonth <= 7) currentSeason = 'winter';
-            else if (currentMonth >= 8 && currentMonth <= 10) currentSeason = 'spring';
-            else currentSeason = 'summer';
-        }
+    getSeasonalInfo(lat, lon, date) {
+        const { season, hemisphere, regime, monsoon, wetSeason, description } = AgroCalendar.getSeason({ lat, lon }, date || new Date());
         
         return {
             hemisphere,
-            currentSeason,
-            description: `Currently ${currentSeason} in the ${hemisphere} hemisphere`
+            currentSeason: season,
+            regime,
+            monsoon,
+            wetSeason,
+            description
         };
     }
 
@@ -326,6 +316,104 @@ class GeoService {
         return point.lat >= bounds.minLat && point.lat <= bounds.maxLat &&
                point.lon >= bounds.minLon && point.lon <= bounds.maxLon;
     }
+
+    /**
+     * Validate a field boundary given as a GeoJSON Feature or bare Polygon/MultiPolygon geometry
+     * @param {Object} input - GeoJSON Feature or geometry
+     * @returns {Object} { valid, geometry } or { valid: false, error }
+     */
+    normalizeFieldGeometry(input) {
+        const geometry = input && input.type === 'Feature' ? input.geometry : input;
+
+        if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+            return { valid: false, error: 'Field boundary must be a GeoJSON Polygon or MultiPolygon' };
+        }
+
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+        if (!Array.isArray(polygons) || polygons.length === 0) {
+            return { valid: false, error: 'Field boundary has no coordinates' };
+        }
+
+        for (const rings of polygons) {
+            if (!Array.isArray(rings) || rings.length === 0) {
+                return { valid: false, error: 'Field boundary polygon has no rings' };
+            }
+
+            for (const ring of rings) {
+                if (!Array.isArray(ring) || ring.length < 4) {
+                    return { valid: false, error: 'Each polygon ring needs at least 4 positions' };
+                }
+
+                const invalidPosition = ring.some(position =>
+                    !Array.isArray(position) ||
+                    typeof position[0] !== 'number' || typeof position[1] !== 'number' ||
+                    !this.isValidCoordinate(position[1], position[0])
+                );
+                if (invalidPosition) {
+                    return { valid: false, error: 'Field boundary contains invalid coordinates' };
+                }
+
+                const first = ring[0];
+                const last = ring[ring.length - 1];
+                if (first[0] !== last[0] || first[1] !== last[1]) {
+                    return { valid: false, error: 'Polygon rings must be closed (first and last positions equal)' };
+                }
+            }
+        }
+
+        return { valid: true, geometry: { type: geometry.type, coordinates: geometry.coordinates } };
+    }
+
+    /**
+     * Get area, centroid and extent of a field boundary
+     */
+    getFieldInfo(geometry) {
+        const feature = turf.feature(geometry);
+        const [minLon, minLat, maxLon, maxLat] = turf.bbox(feature);
+        const [lon, lat] = turf.centroid(feature).geometry.coordinates;
+        const areaSqMeters = turf.area(feature);
+
+        return {
+            centroid: { lat, lon },
+            bbox: { minLon, minLat, maxLon, maxLat },
+            areaHectares: Math.round(areaSqMeters / 100) / 100
+        };
+    }
+
+    /**
+     * Create a regular grid of sample points covering a field boundary
+     * @param {Object} geometry - Polygon or MultiPolygon geometry
+     * @param {number} maxSamples - Approximate upper bound on the number of points
+     * @returns {Array} Array of { lat, lon } points inside the boundary
+     */
+    createSampleGrid(geometry, maxSamples = 100) {
+        const feature = turf.feature(geometry);
+        const [west, south, east, north] = turf.bbox(feature);
+        const centerLat = (south + north) / 2;
+        const cosLat = Math.max(0.01, Math.cos(centerLat * Math.PI / 180));
+
+        // Square cells in ground distance: longitude steps are widened by 1/cos(lat)
+        const extent = Math.max((east - west) * cosLat * (north - south), 1e-12);
+        const latStep = Math.sqrt(extent / maxSamples);
+        const lonStep = latStep / cosLat;
+
+        const points = [];
+        for (let lon = west + lonStep / 2; lon < east; lon += lonStep) {
+            for (let lat = south + latStep / 2; lat < north; lat += latStep) {
+                if (turf.booleanPointInPolygon(turf.point([lon, lat]), feature)) {
+                    points.push({ lat, lon });
+                }
+            }
+        }
+
+        // Very thin or small fields may not contain any grid point
+        if (points.length === 0) {
+            const [lon, lat] = turf.pointOnFeature(feature).geometry.coordinates;
+            points.push({ lat, lon });
+        }
+
+        return points;
+    }
 }
 
 module.exports = new GeoService();
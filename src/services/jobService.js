@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+/**
+ * Background queue for long-running analyses
+ * Job types are registered with a validator and a runner; jobs run with bounded concurrency, are retried
+ * with backoff when the runner fails, and emit an `update` event (with the job) on every state or progress change
+ */
+class JobService extends EventEmitter {
+    constructor() {
+        super();
+
+        // Jobs running at the same time; further jobs wait in the queue
+        this.concurrency = parseInt(process.env.JOB_CONCURRENCY) || 2;
+
+        // Attempts per job before it is marked failed
+        this.maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+
+        // Delay (ms) before the first retry; doubled for every further attempt
+        this.retryDelay = parseInt(process.env.JOB_RETRY_DELAY) || 5000;
+
+        // Finished jobs (and their results) kept for status queries
+        this.maxFinishedJobs = 100;
+
+        this.types = new Map();
+        this.jobs = new Map();
+        this.queue = [];
+        this.active = 0;
+
+        // Every progress stream subscribes to updates
+        this.setMaxListeners(0);
+    }
+
+    /**
+     * Register a job type
+     * @param {string} type
+     * @param {Object} handler - { validate (params => { valid, error } or { valid, params }; normalized params are passed to run),
+     *   run (async (params, reportProgress(percent, stage)) => result) }
+     */
+    registerType(type, handler) {
+        this.types.set(type, handler);
+    }
+
+    get typeNames() {
+        return [...this.types.keys()];
+    }
+
+    /**
+     * Validate and queue a job
+     * @returns {Object} { valid: true, job } or { valid: false, error }
+     */
+    createJob(type, params = {}) {
+        const handler = this.types.get(type);
+        if (!handler) {
+            return { valid: false, error: `Job type must be one of: ${this.typeNames.join(', ')}` };
+        }
+
+        const validation = handler.validate(params);
+        if (!validation.valid) {
+            return validation;
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            status: 'queued',
+            progress: { percent: 0, stage: 'Queued' },
+            params,
+            attempts: 0,
+            result: null,
+            error: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            completedAt: null
+        };
+
+        // Keep the normalized params off the enumerable job so status responses stay plain data
+        Object.defineProperty(job, 'runParams', { value: validation.params || params });
+
+        this.jobs.set(job.id, job);
+        this.queue.push(job);
+        this.pruneJobs();
+        this.emit('update', job);
+        this.next();
+
+        return { valid: true, job };
+    }
+
+    /**
+     * Get a job by id
+     * @returns {Object|null}
+     */
+    getJob(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * All known jobs, newest first
+     */
+    listJobs(filters = {}) {
+        return [...this.jobs.values()]
+            .filter(job => !filters.status || job.status === filters.status)
+            .filter(job => !filters.type || job.type === filters.type)
+            .reverse();
+    }
+
+    /**
+     * Whether a job has reached its final state
+     */
+    isFinished(job) {
+        return !ACTIVE_STATUSES.includes(job.status);
+    }
+
+    /**
+     * Start queued jobs while there are free slots
+     */
+    next() {
+        while (this.active < this.concurrency && this.queue.length > 0) {
+            const job = this.queue.shift();
+            this.active++;
+
+            this.run(job).finally(() => {
+                this.active--;
+                this.next();
+            });
+        }
+    }
+
+    /**
+     * Run a job with retries; failures are recorded on the job, never thrown
+     */
+    async run(job) {
+        const handler = this.types.get(job.type);
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+
+        while (true) {
+            job.attempts++;
+            this.setProgress(job, 0, job.attempts > 1 ? `Retrying (attempt ${job.attempts} of ${this.maxAttempts})` : 'Starting');
+
+            try {
+                job.result = await handler.run(job.runParams, (percent, stage) => this.setProgress(job, percent, stage));
+                job.status = 'completed';
+                job.error = null;
+                job.completedAt = new Date().toISOString();
+                this.setProgress(job, 100, 'Completed');
+                console.log(`✅ Job ${job.id} (${job.type}) completed`);
+                return;
+            } catch (error) {
+                job.error = error.message;
+
+                if (job.attempts >= this.maxAttempts) {
+                    job.status = 'failed';
+                    job.completedAt = new Date().toISOString();
+                    console.error(`❌ Job ${job.id} (${job.type}) failed:`, error.message);
+                    this.setProgress(job, job.progress.percent, 'Failed');
+                    return;
+                }
+
+                const delay = this.retryDelay * Math.pow(2, job.attempts - 1);
+                console.warn(`⚠️ Job ${job.id} (${job.type}) failed (${error.message}), retrying in ${delay}ms...`);
+                this.setProgress(job, job.progress.percent, `Attempt ${job.attempts} failed, retrying`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * Record progress and notify subscribers
+     */
+    setProgress(job, percent, stage) {
+        job.progress = {
+            percent: Math.max(0, Math.min(100, Math.round(percent))),
+            stage
+        };
+        this.emit('update', job);
+    }
+
+    /**
+     * Status of a job for API responses; the result is left out unless requested
+     */
+    describeJob(job, { includeResult = true } = {}) {
+        const { result, ...status } = job;
+        return includeResult ? { ...status, result } : status;
+    }
+
+    /**
+     * Drop the oldest finished jobs beyond maxFinishedJobs
+     */
+    pruneJobs() {
+        const finished = [...this.jobs.values()].filter(job => this.isFinished(job));
+        finished.slice(0, Math.max(0, finished.length - this.maxFinishedJobs)).forEach(job => this.jobs.delete(job.id));
+    }
+}
+
+module.exports = new JobService();
@@ -0,0 +1,220 @@
+const mockDataProvider = require('./mockDataProvider');
+const { createProvider } = require('./providers');
+const CogReader = require('../utils/cogReader');
+
+// TIRS band 10 thermal conversion constants (Collection 2 MTL files)
+const THERMAL_CONSTANTS = {
+    'landsat-8': { k1: 774.8853, k2: 1321.0789 },
+    'landsat-9': { k1: 799.0284, k2: 1329.2405 }
+};
+
+// Band 10 effective wavelength (µm) and h * c / sigma (µm K) for the emissivity correction
+const BAND10_WAVELENGTH = 10.895;
+const RHO = 14388;
+
+// NDVI thresholds method (Sobrino et al., 2004): bare soil and full vegetation emissivity
+const NDVI_SOIL = 0.2;
+const NDVI_VEGETATION = 0.5;
+const EMISSIVITY_SOIL = 0.973;
+const EMISSIVITY_VEGETATION = 0.99;
+
+// QA_PIXEL bits: dilated cloud, cirrus, cloud, cloud shadow
+const QA_CLOUD_MASK = (1 << 1) | (1 << 2) | (1 << 3) | (1 << 4);
+
+class LandsatService {
+    constructor() {
+        // Landsat Collection 2 Level-2 items from a STAC API or a local static catalogue (catalog.json path);
+        // the thermal asset holds band 10 TOA radiance
+        this.stacUrl = process.env.LANDSAT_STAC_URL || 'https://planetarycomputer.microsoft.com/api/stac/v1';
+        this.collection = process.env.LANDSAT_COLLECTION || 'landsat-c2-l2';
+        this.thermalAsset = process.env.LANDSAT_THERMAL_ASSET || 'trad';
+        this.maxCloudCover = parseInt(process.env.LANDSAT_MAX_CLOUD_COVER) || 60;
+        this.enabled = process.env.LANDSAT_ENABLED !== 'false';
+        this.useMockData = process.env.USE_MOCK_DATA === 'true';
+        this.apiTimeout = parseInt(process.env.API_TIMEOUT) || 30000;
+
+        // Landsat 8 and 9 together revisit every 8 days; older scenes are not used
+        this.maxGapDays = parseInt(process.env.LANDSAT_MAX_GAP_DAYS) || 16;
+
+        this.provider = /^https?:\/\//.test(this.stacUrl)
+            ? createProvider('stac', { url: this.stacUrl, timeout: this.apiTimeout })
+            : createProvider('static', { catalogPath: this.stacUrl });
+        this.mockDataProvider = mockDataProvider;
+    }
+
+    /**
+     * Date range to search: the analysis range, extended back so at least one revisit cycle is covered
+     */
+    getSearchRange(dateRange) {
+        const end = new Date(dateRange.end);
+        const windowStart = new Date(end.getTime() - this.maxGapDays * 24 * 60 * 60 * 1000);
+        const start = new Date(dateRange.start) < windowStart ? new Date(dateRange.start) : windowStart;
+
+        return {
+            start: start.toISOString().split('T')[0],
+            end: dateRange.end
+        };
+    }
+
+    /**
+     * Get Landsat 8/9 band 10 observations at a location
+     * @param {Object} [options] - { seed, maxScenes, items (catalogue items of an earlier searchThermal, read instead of searching) }
+     * @returns {Promise<Object>} { scenes: [{ id, date, platform, cloudCover, thermal: { radiance, clear } }], dataSource }
+     */
+    async getThermalData(location, dateRange, options = {}) {
+        const { maxScenes = 10 } = options;
+
+        if (this.useMockData) {
+            // Mock scenes carry brightness temperatures; encode them as band 10 radiance like real scenes
+            const data = this.mockDataProvider.generateLandsatData(location, dateRange, options);
+            data.scenes = data.scenes.map(({ brightnessKelvin, clear, ...scene }) => ({
+                ...scene,
+                thermal: { radiance: this.getRadiance(brightnessKelvin, scene.platform), clear }
+            }));
+            return data;
+        }
+
+        const items = options.items || await this.searchThermal(location, dateRange, { maxScenes });
+
+        const scenes = [];
+        for (const item of items) {
+            try {
+                const thermal = await this.sampleThermal(item, location);
+                if (!thermal) continue;
+
+                scenes.push({
+                    id: item.id,
+                    date: item.datetime,
+                    platform: item.properties.platform,
+                    cloudCover: item.cloudCover,
+                    thermal
+                });
+            } catch (error) {
+                console.warn(`⚠️ Could not read Landsat thermal band of ${item.id}:`, error.message);
+            }
+        }
+
+        return {
+            location,
+            dateRange,
+            scenes,
+            totalScenes: scenes.length,
+            lastUpdate: new Date().toISOString(),
+            dataSource: `${this.provider.dataSource} (${this.collection})`
+        };
+    }
+
+    /**
+     * Search the catalogue for Landsat 8/9 scenes
+     * Batch analyses search once for a group of points and pass the items to getThermalData for each point
+     * @param {Object} [options] - { geometry (defaults to the location), maxScenes }
+     * @returns {Promise<Array>} Catalogue items, newest first
+     */
+    async searchThermal(location, dateRange, { geometry = null, maxScenes = 10 } = {}) {
+        console.log(`🌡️ Searching Landsat thermal data for location: ${location.lat}, ${location.lon}`);
+
+        const items = await this.provider.search({
+            collection: this.collection,
+            geometry: geometry || { type: 'Point', coordinates: [location.lon, location.lat] },
+            dateRange,
+            maxCloudCover: this.maxCloudCover,
+            platforms: Object.keys(THERMAL_CONSTANTS),
+            limit: maxScenes
+        });
+
+        console.log(`✅ Found ${items.length} Landsat scenes`);
+        return items;
+    }
+
+    /**
+     * Read band 10 radiance and the QA cloud flags at a location from the item's Cloud Optimized GeoTIFFs
+     * @returns {Promise<Object|null>} { radiance (W/(m² sr µm)), clear }, or null outside the scene / over nodata
+     */
+    async sampleThermal(item, location) {
+        const thermalAsset = await this.provider.getAsset(item, this.thermalAsset);
+        if (!thermalAsset) return null;
+
+        const band = (item.assets[this.thermalAsset]['raster:bands'] || [])[0] || {};
+        const [raw] = await CogReader.sample(thermalAsset.href, [location], { headers: thermalAsset.headers });
+        if (raw === null || raw === band.nodata) return null;
+
+        let clear = true;
+        const qaAsset = await this.provider.getAsset(item, 'qa_pixel');
+        if (qaAsset) {
+            const [qa] = await CogReader.sample(qaAsset.href, [location], { headers: qaAsset.headers });
+            clear = qa !== null && (qa & QA_CLOUD_MASK) === 0;
+        }
+
+        return {
+            radiance: raw * (band.scale ?? 0.001) + (band.offset ?? 0),
+            clear
+        };
+    }
+
+    /**
+     * Land surface temperature from the clear Landsat scene closest to a date
+     * @param {Object} thermalData - Result of getThermalData
+     * @param {Object} options - { date, ndvi (from the Sentinel-2 scene, drives the emissivity) }
+     * @returns {Object|null} Temperature details, or null when no clear scene is within maxGapDays
+     */
+    estimateLandSurfaceTemperature(thermalData, options = {}) {
+        const { date, ndvi = 0 } = options;
+        const target = new Date(date).getTime();
+        const gapDays = scene => Math.abs(new Date(scene.date).getTime() - target) / (1000 * 60 * 60 * 24);
+
+        const candidates = (thermalData?.scenes || [])
+            .filter(scene => scene.thermal?.clear && THERMAL_CONSTANTS[scene.platform] && gapDays(scene) <= this.maxGapDays)
+            .sort((a, b) => gapDays(a) - gapDays(b));
+        if (candidates.length === 0) return null;
+
+        const scene = candidates[0];
+        const lst = this.calculateLandSurfaceTemperature(scene.thermal.radiance, ndvi, scene.platform);
+
+        return {
+            ...lst,
+            scene: {
+                id: scene.id,
+                date: scene.date,
+                platform: scene.platform,
+                gapDays: Math.round(gapDays(scene) * 10) / 10
+            }
+        };
+    }
+
+    /**
+     * Single-channel LST: band 10 radiance -> brightness temperature -> emissivity-corrected LST
+     * @returns {Object} { celsius, brightnessTemperature (°C), emissivity, vegetationFraction }
+     */
+    calculateLandSurfaceTemperature(radiance, ndvi, platform) {
+        const { k1, k2 } = THERMAL_CONSTANTS[platform];
+        const brightnessKelvin = k2 / Math.log(k1 / radiance + 1);
+
+        const vegetationFraction = Math.pow(
+            Math.max(0, Math.min(1, (ndvi - NDVI_SOIL) / (NDVI_VEGETATION - NDVI_SOIL))),
+            2
+        );
+        let emissivity;
+        if (ndvi < NDVI_SOIL) emissivity = EMISSIVITY_SOIL;
+        else if (ndvi > NDVI_VEGETATION) emissivity = EMISSIVITY_VEGETATION;
+        else emissivity = 0.004 * vegetationFraction + 0.986;
+
+        const lstKelvin = brightnessKelvin / (1 + (BAND10_WAVELENGTH * brightnessKelvin / RHO) * Math.log(emissivity));
+
+        return {
+            celsius: Math.round((lstKelvin - 273.15) * 10) / 10,
+            brightnessTemperature: Math.round((brightnessKelvin - 273.15) * 10) / 10,
+            emissivity: Math.round(emissivity * 10000) / 10000,
+            vegetationFraction: Math.round(vegetationFraction * 1000) / 1000
+        };
+    }
+
+    /**
+     * Band 10 radiance that a surface with the given brightness temperature (K) would produce
+     */
+    getRadiance(brightnessKelvin, platform) {
+        const { k1, k2 } = THERMAL_CONSTANTS[platform];
+        return k1 / (Math.exp(k2 / brightnessKelvin) - 1);
+    }
+}
+
+module.exports = new LandsatService();
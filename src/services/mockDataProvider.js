@@ -0,0 +1,293 @@
+const RandomUtils = require('../utils/randomUtils');
+const AnalysisUtils = require('../utils/analysisUtils');
+
+class MockDataProvider {
+    constructor() {
+        // Base seed mixed into every key, so a deployment can pick a different (but stable) mock world
+        this.baseSeed = process.env.MOCK_DATA_SEED || '';
+
+        // Factory returning a random function for a seed key; replace it to change the random source
+        this.randomFactory = seedKey => RandomUtils.createSeededRandom(seedKey);
+    }
+
+    /**
+     * Replace the random source used for all mock data
+     * @param {Function} randomFactory - (seedKey) => function returning values in [0, 1),
+     *   e.g. () => Math.random for non-reproducible data
+     */
+    setRandomFactory(randomFactory) {
+        this.randomFactory = randomFactory;
+    }
+
+    /**
+     * Create a random function keyed by the given parts (location, date, seed, ...)
+     * @returns {Function} Random function returning values in [0, 1)
+     */
+    createRandom(...keyParts) {
+        return this.randomFactory(RandomUtils.buildSeedKey(this.baseSeed, ...keyParts));
+    }
+
+    /**
+     * Generate mock Sentinel data for demonstration
+     * Scenes are keyed by location, acquisition date and the optional seed,
+     * so repeated requests return identical scenes
+     */
+    generateSentinelData(location, dateRange, options = {}) {
+        const { lat, lon } = location;
+        const { start, end } = dateRange;
+        const { includeMetadata = false, samplePoints = [], seed, maxScenes = 5 } = options;
+
+        // Generate realistic mock data based on location and season
+        const scenes = [];
+        const startDate = new Date(start);
+        const endDate = new Date(end);
+        const daysDiff = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
+
+        // Generate roughly weekly scenes for the date range (2-5 by default)
+        const numScenes = Math.min(Math.max(2, Math.floor(daysDiff / 7)), maxScenes);
+
+        for (let i = 0; i < numScenes; i++) {
+            const sceneDate = new Date(startDate.getTime() + (i * daysDiff / numScenes) * 24 * 60 * 60 * 1000);
+            const sceneDay = sceneDate.toISOString().split('T')[0];
+            const sceneRandom = this.createRandom(seed, 'scene', sceneDay, lat, lon);
+
+            const scene = {
+                id: `S2_${sceneDay}_${lat.toFixed(3)}_${lon.toFixed(3)}_${i}`,
+                date: sceneDate.toISOString(),
+                cloudCover: sceneRandom() * 15 + 5, // 5-20% cloud cover
+                bands: this.generateBandData(lat, lon, sceneDate, this.createRandom(seed, 'bands', sceneDay, lat, lon)),
+                bandSource: 'mock',
+                metadata: includeMetadata ? this.generateMetadata(sceneDate, sceneRandom) : undefined
+            };
+
+            if (samplePoints.length > 0) {
+                scene.samples = samplePoints.map(point => {
+                    const bands = this.generateBandData(
+                        point.lat,
+                        point.lon,
+                        sceneDate,
+                        this.createRandom(seed, 'bands', sceneDay, point.lat, point.lon)
+                    );
+                    return {
+                        lat: point.lat,
+                        lon: point.lon,
+                        bands,
+                        scl: this.generateSclClass(bands, scene.cloudCover, this.createRandom(seed, 'scl', sceneDay, point.lat, point.lon))
+                    };
+                });
+                scene.bands = AnalysisUtils.averageBands(scene.samples);
+            } else {
+                scene.scl = this.generateSclClass(scene.bands, scene.cloudCover, this.createRandom(seed, 'scl', sceneDay, lat, lon));
+            }
+
+            scenes.push(scene);
+        }
+
+        const avgCloudCover = scenes.reduce((sum, scene) => sum + scene.cloudCover, 0) / scenes.length;
+
+        return {
+            location,
+            dateRange,
+            scenes,
+            totalScenes: scenes.length,
+            averageCloudCover: Math.round(avgCloudCover * 100) / 100,
+            lastUpdate: new Date().toISOString(),
+            dataSource: 'Mock Sentinel-2 Data',
+            seed: seed || null
+        };
+    }
+
+    /**
+     * Generate mock Sentinel-1 GRD scenes (IW, VV/VH) on the 6-day revisit of the constellation
+     * Backscatter follows a slowly varying surface wetness, so change detection has a signal to find
+     */
+    generateSentinel1Data(location, dateRange, options = {}) {
+        const { lat, lon } = location;
+        const { start, end } = dateRange;
+        const { seed, maxScenes = 20 } = options;
+
+        const startDate = new Date(start);
+        const daysDiff = Math.max(1, Math.ceil((new Date(end) - startDate) / (1000 * 60 * 60 * 24)));
+        const numScenes = Math.min(Math.max(1, Math.floor(daysDiff / 6)), maxScenes);
+        const phase = this.createRandom(seed, 's1-phase', lat, lon)() * 2 * Math.PI;
+
+        const scenes = [];
+        for (let i = 0; i < numScenes; i++) {
+            const sceneDate = new Date(startDate.getTime() + (i * daysDiff / numScenes) * 24 * 60 * 60 * 1000);
+            const sceneDay = sceneDate.toISOString().split('T')[0];
+            const random = this.createRandom(seed, 's1', sceneDay, lat, lon);
+            const ascending = i % 2 === 0;
+
+            // Wetness cycles over roughly a month (rain events drying out), plus speckle
+            const wetness = 0.5 + 0.4 * Math.sin(phase + sceneDate.getTime() / (1000 * 60 * 60 * 24 * 30) * 2 * Math.PI);
+            const vv = -17 + wetness * 9 + (random() - 0.5) * 1.5;
+            const vh = vv - 6.5 - random() * 1.5;
+
+            scenes.push({
+                id: `S1_${sceneDay}_${lat.toFixed(3)}_${lon.toFixed(3)}_${i}`,
+                date: sceneDate.toISOString(),
+                orbitDirection: ascending ? 'ASCENDING' : 'DESCENDING',
+                relativeOrbit: ascending ? 44 : 139,
+                incidenceAngle: 30 + random() * 15,
+                polarisations: ['VV', 'VH'],
+                backscatter: {
+                    vv: Math.round(vv * 100) / 100,
+                    vh: Math.round(vh * 100) / 100
+                },
+                bandSource: 'mock'
+            });
+        }
+
+        return {
+            location,
+            dateRange,
+            scenes,
+            totalScenes: scenes.length,
+            lastUpdate: new Date().toISOString(),
+            dataSource: 'Mock Sentinel-1 Data',
+            seed: seed || null
+        };
+    }
+
+    /**
+     * Generate mock Landsat 8/9 thermal observations on their combined 8-day revisit
+     * Brightness temperature follows season and latitude; cloudy scenes are flagged not clear
+     */
+    generateLandsatData(location, dateRange, options = {}) {
+        const { lat, lon } = location;
+        const { start, end } = dateRange;
+        const { seed, maxScenes = 10 } = options;
+
+        const startDate = new Date(start);
+        const daysDiff = Math.max(1, Math.ceil((new Date(end) - startDate) / (1000 * 60 * 60 * 24)));
+        const numScenes = Math.min(Math.max(1, Math.floor(daysDiff / 8)), maxScenes);
+
+        const scenes = [];
+        for (let i = 0; i < numScenes; i++) {
+            const sceneDate = new Date(startDate.getTime() + (i * daysDiff / numScenes) * 24 * 60 * 60 * 1000);
+            const sceneDay = sceneDate.toISOString().split('T')[0];
+            const random = this.createRandom(seed, 'landsat', sceneDay, lat, lon);
+
+            // Northern hemisphere seasons peak in July, southern ones in January
+            const season = Math.cos((sceneDate.getMonth() - 6) * Math.PI / 6) * (lat >= 0 ? 1 : -1);
+            const celsius = 28 - Math.abs(lat) * 0.35 + season * 10 + (random() - 0.5) * 6;
+            const cloudCover = random() * 40;
+
+            scenes.push({
+                id: `LC0${i % 2 === 0 ? 8 : 9}_${sceneDay}_${lat.toFixed(3)}_${lon.toFixed(3)}`,
+                date: sceneDate.toISOString(),
+                platform: i % 2 === 0 ? 'landsat-8' : 'landsat-9',
+                cloudCover: Math.round(cloudCover * 100) / 100,
+                brightnessKelvin: celsius + 273.15 - 1.5,
+                clear: random() * 100 >= cloudCover
+            });
+        }
+
+        return {
+            location,
+            dateRange,
+            scenes,
+            totalScenes: scenes.length,
+            lastUpdate: new Date().toISOString(),
+            dataSource: 'Mock Landsat Collection 2 Data',
+            seed: seed || null
+        };
+    }
+
+    /**
+     * Generate mock band data (spectral bands for vegetation and soil analysis)
+     */
+    generateBandData(lat, lon, date, random) {
+        // Simulate seasonal variations and geographic patterns
+        const month = date.getMonth();
+        const seasonFactor = Math.cos((month - 5) * Math.PI / 6); // Peak in summer
+        const latitudeFactor = Math.cos(lat * Math.PI / 180); // Tropical vs temperate
+
+        // Create more varied moisture conditions based on location
+        const moistureVariation = random(); // 0-1 for different moisture scenarios
+        let moistureMultiplier = 1.0;
+
+        // Simulate different regional moisture conditions
+        if (Math.abs(lat) > 40) {
+            // Temperate regions - more variable
+            moistureMultiplier = 0.7 + moistureVariation * 0.6; // 0.7-1.3
+        } else if (Math.abs(lat) < 23.5) {
+            // Tropical regions - generally more humid but can vary
+            moistureMultiplier = 0.8 + moistureVariation * 0.5; // 0.8-1.3
+        } else {
+            // Subtropical - most variable
+            moistureMultiplier = 0.5 + moistureVariation * 0.8; // 0.5-1.3
+        }
+
+        // Base reflectance values with seasonal and geographic variations
+        const baseValues = {
+            B02: 0.08 + random() * 0.04, // Blue
+            B03: 0.10 + random() * 0.04, // Green
+            B04: 0.12 + random() * 0.04, // Red
+            B05: 0.15 + random() * 0.05, // Red Edge 1
+            B06: 0.18 + random() * 0.05, // Red Edge 2
+            B07: 0.20 + random() * 0.05, // Red Edge 3
+            B08: 0.20 + random() * 0.12, // NIR - increased variation
+            B8A: 0.19 + random() * 0.10, // NIR Narrow
+            B09: 0.05 + random() * 0.02, // Water Vapour
+            B11: 0.15 + random() * 0.10, // SWIR 1 - key for moisture
+            B12: 0.12 + random() * 0.08  // SWIR 2 - key for moisture
+        };
+
+        // Apply seasonal and latitude adjustments
+        Object.keys(baseValues).forEach(band => {
+            if (['B08', 'B8A'].includes(band)) {
+                // NIR bands are higher in growing season
+                baseValues[band] *= (1 + seasonFactor * latitudeFactor * 0.3);
+            }
+            if (['B11', 'B12'].includes(band)) {
+                // SWIR bands strongly affected by moisture content
+                baseValues[band] *= moistureMultiplier;
+                // Additional seasonal effect for SWIR
+                baseValues[band] *= (1 - seasonFactor * latitudeFactor * 0.15);
+            }
+
+            // Normalize to reasonable ranges
+            baseValues[band] = Math.max(0.01, Math.min(0.8, baseValues[band]));
+        });
+
+        return baseValues;
+    }
+
+    /**
+     * Generate a mock Scene Classification Layer (SCL) class for one pixel
+     * Clouds occur with the scene's cloud cover probability, followed by a small share of cloud shadow
+     */
+    generateSclClass(bands, cloudCover, random) {
+        const roll = random() * 100;
+        const cloudClasses = [8, 9, 10]; // Cloud medium/high probability, thin cirrus
+
+        if (roll < cloudCover) {
+            return cloudClasses[Math.floor(random() * cloudClasses.length)];
+        }
+        if (roll < cloudCover + 3) {
+            return 3; // Cloud shadow
+        }
+
+        const ndvi = (bands.B08 - bands.B04) / (bands.B08 + bands.B04);
+        return ndvi > 0.3 ? 4 : 5; // Vegetation or bare soil
+    }
+
+    /**
+     * Generate mock metadata for demonstration
+     */
+    generateMetadata(date, random) {
+        return {
+            satellite: 'Sentinel-2A',
+            sensor: 'MSI',
+            acquisitionDate: date.toISOString(),
+            processingLevel: 'Level-2A',
+            cloudCoverAssessment: random() * 20,
+            qualityIndicator: 'PASSED',
+            format: 'SAFE',
+            projection: 'EPSG:4326'
+        };
+    }
+}
+
+module.exports = new MockDataProvider();
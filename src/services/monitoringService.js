@@ -0,0 +1,379 @@
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const sentinelService = require('./sentinelService');
+const soilAnalysisService = require('./soilAnalysisService');
+const fieldService = require('./fieldService');
+const geoService = require('./geoService');
+const JsonFileStore = require('../utils/jsonFileStore');
+
+const DATA_DIR = path.join(__dirname, '../../data');
+
+class MonitoringService {
+    constructor() {
+        this.monitors = new JsonFileStore(process.env.MONITOR_STORE_PATH || path.join(DATA_DIR, 'monitors.json'), 'monitors');
+        this.alerts = new JsonFileStore(process.env.ALERT_STORE_PATH || path.join(DATA_DIR, 'alerts.json'), 'alerts');
+
+        // How often the scheduler looks for due monitors
+        this.checkIntervalSeconds = parseInt(process.env.MONITOR_CHECK_INTERVAL_SECONDS) || 60;
+
+        this.defaults = {
+            intervalMinutes: 24 * 60,
+            // First run looks back this far for scenes
+            lookbackDays: 30,
+            thresholds: {
+                moistureMin: 20, // % soil moisture
+                ndviDrop: 0.1 // NDVI decrease versus the previous observation
+            }
+        };
+
+        // Observations with fewer clear pixels than this are too cloudy to compare
+        this.minValidPixelFraction = 0.3;
+
+        this.webhookTimeout = 10000;
+        this.webhookRetries = 2;
+
+        this.timer = null;
+        this.running = new Set();
+    }
+
+    /**
+     * Start the scheduler that runs every due, enabled monitor
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.runDueMonitors(), this.checkIntervalSeconds * 1000);
+        // The scheduler alone should not keep the process alive
+        this.timer.unref();
+        console.log(`⏰ Monitoring scheduler started (checking every ${this.checkIntervalSeconds}s)`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async runDueMonitors() {
+        const now = Date.now();
+        const due = this.monitors.load().filter(monitor =>
+            monitor.enabled &&
+            (!monitor.lastRunAt || now - new Date(monitor.lastRunAt).getTime() >= monitor.intervalMinutes * 60 * 1000)
+        );
+
+        for (const monitor of due) {
+            try {
+                await this.runMonitor(monitor.id);
+            } catch (error) {
+                console.error(`Error running monitor ${monitor.id}:`, error.message);
+            }
+        }
+    }
+
+    listMonitors(filters = {}) {
+        return this.monitors.load().filter(monitor => !filters.fieldId || monitor.fieldId === filters.fieldId);
+    }
+
+    getMonitor(id) {
+        return this.monitors.load().find(monitor => monitor.id === id) || null;
+    }
+
+    /**
+     * Register a saved field for recurring monitoring
+     * @param {Object} input - { fieldId, intervalMinutes, thresholds: { moistureMin, ndviDrop }, webhookUrl, enabled }
+     * @returns {Promise<Object>} { valid: true, monitor } or { valid: false, error }
+     */
+    async createMonitor(input) {
+        const validation = this.validateMonitor(input);
+        if (!validation.valid) return validation;
+
+        const monitor = {
+            id: crypto.randomUUID(),
+            ...validation.values,
+            lastRunAt: null,
+            lastSceneDate: null,
+            lastObservation: null,
+            lastError: null,
+            createdAt: new Date().toISOString()
+        };
+
+        this.monitors.load().push(monitor);
+        await this.monitors.save();
+
+        return { valid: true, monitor };
+    }
+
+    /**
+     * Update a monitor; settings missing from the input keep their current values
+     * @returns {Promise<Object|null>} { valid: true, monitor }, { valid: false, error } or null when not found
+     */
+    async updateMonitor(id, input) {
+        const monitor = this.getMonitor(id);
+        if (!monitor) return null;
+
+        const validation = this.validateMonitor({
+            fieldId: monitor.fieldId,
+            intervalMinutes: monitor.intervalMinutes,
+            webhookUrl: monitor.webhookUrl,
+            enabled: monitor.enabled,
+            ...input,
+            thresholds: { ...monitor.thresholds, ...(input.thresholds || {}) }
+        });
+        if (!validation.valid) return validation;
+
+        Object.assign(monitor, validation.values);
+        await this.monitors.save();
+
+        return { valid: true, monitor };
+    }
+
+    async deleteMonitor(id) {
+        const monitors = this.monitors.load();
+        const index = monitors.findIndex(monitor => monitor.id === id);
+        if (index === -1) return false;
+
+        monitors.splice(index, 1);
+        await this.monitors.save();
+        return true;
+    }
+
+    /**
+     * Whether a run of the monitor is in progress (scheduled or on demand)
+     */
+    isRunning(id) {
+        return this.running.has(id);
+    }
+
+    /**
+     * Analyze scenes acquired since the monitor's last run and raise alerts
+     * @returns {Promise<Object>} { monitorId, newScenes, observations, alerts }
+     */
+    async runMonitor(id) {
+        const monitor = this.getMonitor(id);
+        if (!monitor) {
+            throw new Error(`Monitor not found: ${id}`);
+        }
+        if (this.running.has(id)) {
+            throw new Error(`Monitor ${id} is already running`);
+        }
+
+        this.running.add(id);
+        try {
+            const result = await this.checkForChanges(monitor);
+            monitor.lastError = null;
+            return result;
+        } catch (error) {
+            monitor.lastError = error.message;
+            throw error;
+        } finally {
+            monitor.lastRunAt = new Date().toISOString();
+            this.running.delete(id);
+            await this.monitors.save();
+        }
+    }
+
+    async checkForChanges(monitor) {
+        const field = fieldService.getField(monitor.fieldId);
+        if (!field) {
+            throw new Error(`Monitored field no longer exists: ${monitor.fieldId}`);
+        }
+
+        const location = field.centroid;
+        const since = monitor.lastSceneDate
+            ? new Date(monitor.lastSceneDate)
+            : new Date(Date.now() - this.defaults.lookbackDays * 24 * 60 * 60 * 1000);
+        const dateRange = {
+            start: since.toISOString().split('T')[0],
+            end: new Date().toISOString().split('T')[0]
+        };
+
+        console.log(`🔁 Monitor ${monitor.id}: checking "${field.name}" for scenes since ${dateRange.start}`);
+        const sentinelData = await sentinelService.getSentinelData(location, dateRange, {
+            geometry: field.geometry,
+            samplePoints: geoService.createSampleGrid(field.geometry, 50),
+            maxScenes: 20
+        });
+
+        const newScenes = (sentinelData.scenes || [])
+            .filter(scene => !monitor.lastSceneDate || new Date(scene.date) > new Date(monitor.lastSceneDate))
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+        const observations = [];
+        const alerts = [];
+        let previous = monitor.lastObservation;
+
+        for (const scene of newScenes) {
+            const analysis = await soilAnalysisService.analyzeSoilData({ ...sentinelData, scenes: [scene] }, location);
+            const observation = {
+                date: scene.date,
+                sceneId: scene.id,
+                moisture: analysis.moisture.percentage,
+                ndvi: Math.round(analysis.ndvi * 1000) / 1000,
+                validPixelFraction: analysis.mask?.validPixelFraction ?? null
+            };
+            monitor.lastSceneDate = scene.date;
+
+            if (observation.validPixelFraction !== null && observation.validPixelFraction < this.minValidPixelFraction) {
+                observations.push({ ...observation, skipped: 'too_cloudy' });
+                continue;
+            }
+
+            observations.push(observation);
+            alerts.push(...this.evaluateObservation(monitor, field, observation, previous));
+            previous = observation;
+        }
+
+        monitor.lastObservation = previous;
+
+        if (alerts.length > 0) {
+            this.alerts.load().push(...alerts);
+            await this.alerts.save();
+            console.log(`🚨 Monitor ${monitor.id}: ${alerts.length} alert(s) raised`);
+
+            if (monitor.webhookUrl) {
+                await Promise.all(alerts.map(alert => this.deliverAlert(alert, monitor.webhookUrl)));
+                await this.alerts.save();
+            }
+        }
+
+        return {
+            monitorId: monitor.id,
+            fieldId: field.id,
+            newScenes: newScenes.length,
+            observations,
+            alerts
+        };
+    }
+
+    /**
+     * Compare an observation against the monitor thresholds and the previous observation
+     */
+    evaluateObservation(monitor, field, observation, previous) {
+        const { moistureMin, ndviDrop } = monitor.thresholds;
+        const alerts = [];
+
+        if (observation.moisture < moistureMin) {
+            alerts.push(this.createAlert(monitor, field, observation, {
+                type: 'low_moisture',
+                severity: observation.moisture < moistureMin / 2 ? 'high' : 'medium',
+                message: `Soil moisture ${observation.moisture}% is below the ${moistureMin}% threshold`,
+                value: observation.moisture,
+                threshold: moistureMin
+            }));
+        }
+
+        if (previous && previous.ndvi - observation.ndvi > ndviDrop) {
+            const drop = Math.round((previous.ndvi - observation.ndvi) * 1000) / 1000;
+            alerts.push(this.createAlert(monitor, field, observation, {
+                type: 'ndvi_drop',
+                severity: drop > ndviDrop * 2 ? 'high' : 'medium',
+                message: `NDVI fell by ${drop} (from ${previous.ndvi} to ${observation.ndvi}) since ${previous.date.split('T')[0]}`,
+                value: observation.ndvi,
+                previousValue: previous.ndvi,
+                threshold: ndviDrop
+            }));
+        }
+
+        return alerts;
+    }
+
+    createAlert(monitor, field, observation, details) {
+        return {
+            id: crypto.randomUUID(),
+            monitorId: monitor.id,
+            fieldId: field.id,
+            fieldName: field.name,
+            ...details,
+            sceneId: observation.sceneId,
+            observationDate: observation.date,
+            createdAt: new Date().toISOString(),
+            delivery: monitor.webhookUrl
+                ? { status: 'pending', attempts: 0 }
+                : { status: 'not_configured', attempts: 0 }
+        };
+    }
+
+    /**
+     * POST an alert to the monitor's webhook, retrying failed attempts
+     */
+    async deliverAlert(alert, webhookUrl) {
+        while (alert.delivery.attempts <= this.webhookRetries) {
+            alert.delivery.attempts++;
+            try {
+                await axios.post(webhookUrl, { event: 'soil.alert', alert }, { timeout: this.webhookTimeout });
+                alert.delivery = { status: 'delivered', attempts: alert.delivery.attempts, deliveredAt: new Date().toISOString() };
+                return alert;
+            } catch (error) {
+                alert.delivery.lastError = error.message;
+            }
+        }
+
+        console.warn(`⚠️ Failed to deliver alert ${alert.id} to ${webhookUrl}:`, alert.delivery.lastError);
+        alert.delivery.status = 'failed';
+        return alert;
+    }
+
+    /**
+     * Stored alerts, newest first
+     * @param {Object} filters - { monitorId, fieldId, type, since, limit }
+     */
+    listAlerts(filters = {}) {
+        const { monitorId, fieldId, type, since, limit = 100 } = filters;
+        const sinceDate = since ? new Date(since) : null;
+
+        return this.alerts.load()
+            .filter(alert => !monitorId || alert.monitorId === monitorId)
+            .filter(alert => !fieldId || alert.fieldId === fieldId)
+            .filter(alert => !type || alert.type === type)
+            .filter(alert => !sinceDate || new Date(alert.createdAt) >= sinceDate)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, limit);
+    }
+
+    /**
+     * Validate and normalize monitor settings
+     * @returns {Object} { valid: true, values } or { valid: false, error }
+     */
+    validateMonitor(input = {}) {
+        const { fieldId, intervalMinutes = this.defaults.intervalMinutes, webhookUrl = null, enabled = true } = input;
+        const thresholds = { ...this.defaults.thresholds, ...(input.thresholds || {}) };
+
+        if (!fieldId || !fieldService.getField(fieldId)) {
+            return { valid: false, error: 'A saved fieldId is required' };
+        }
+
+        const interval = parseInt(intervalMinutes);
+        if (isNaN(interval) || interval < 5) {
+            return { valid: false, error: 'intervalMinutes must be at least 5' };
+        }
+
+        if (Object.values(thresholds).some(value => typeof value !== 'number' || !isFinite(value))) {
+            return { valid: false, error: 'Thresholds must be numbers' };
+        }
+
+        if (webhookUrl !== null) {
+            let url;
+            try {
+                url = new URL(webhookUrl);
+            } catch (error) {
+                return { valid: false, error: 'webhookUrl must be a valid URL' };
+            }
+            if (!['http:', 'https:'].includes(url.protocol)) {
+                return { valid: false, error: 'webhookUrl must use http or https' };
+            }
+        }
+
+        return {
+            valid: true,
+            values: {
+                fieldId,
+                intervalMinutes: interval,
+                thresholds: { moistureMin: thresholds.moistureMin, ndviDrop: thresholds.ndviDrop },
+                webhookUrl,
+                enabled: enabled !== false
+            }
+        };
+    }
+}
+
+module.exports = new MonitoringService();
@@ -0,0 +1,221 @@
+const AdmZip = require('adm-zip');
+const zoneService = require('./zoneService');
+const ShapefileWriter = require('../utils/shapefileWriter');
+const IsoXmlWriter = require('../utils/isoXmlWriter');
+const { version } = require('../../package.json');
+
+// Zone values a rate table can be keyed on
+const RATE_BASES = {
+    fertility: zone => zone.properties.composition.fertilityScore, // 0-100
+    moisture: zone => zone.properties.moisture.percentage // %
+};
+
+// Total product per rate unit: rate x hectares x factor
+const TOTAL_UNITS = {
+    'kg/ha': { unit: 'kg', factor: 1 },
+    'l/ha': { unit: 'l', factor: 1 },
+    'mm': { unit: 'm³', factor: 10 }
+};
+
+class PrescriptionService {
+    constructor() {
+        this.formats = ['shapefile', 'isoxml', 'geojson'];
+        this.bases = Object.keys(RATE_BASES);
+    }
+
+    /**
+     * Validate name, product, basis and rate table of a prescription request
+     * Rate table rows apply to zones whose basis value is in [min, max); either bound may be omitted
+     * @returns {Object} { valid: true, values } or { valid: false, error }
+     */
+    validatePrescription(input = {}) {
+        const { name = null, product = {}, basis, rateTable, defaultRate = 0 } = input;
+
+        if (name !== null && (typeof name !== 'string' || name.length > 100)) {
+            return { valid: false, error: 'Name must be a string of at most 100 characters' };
+        }
+
+        if (!product || typeof product.name !== 'string' || product.name.trim() === '') {
+            return { valid: false, error: 'Product name is required' };
+        }
+
+        if (!IsoXmlWriter.getRateUnits().includes(product.unit)) {
+            return { valid: false, error: `Product unit must be one of: ${IsoXmlWriter.getRateUnits().join(', ')}` };
+        }
+
+        if (!this.bases.includes(basis)) {
+            return { valid: false, error: `Basis must be one of: ${this.bases.join(', ')}` };
+        }
+
+        if (!Array.isArray(rateTable) || rateTable.length === 0) {
+            return { valid: false, error: 'Rate table must be a non-empty array of { min, max, rate } rows' };
+        }
+
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+        for (const row of rateTable) {
+            if (!row || !isNumber(row.rate) || row.rate < 0) {
+                return { valid: false, error: 'Every rate table row needs a non-negative numeric rate' };
+            }
+            if ((row.min !== undefined && !isNumber(row.min)) || (row.max !== undefined && !isNumber(row.max))) {
+                return { valid: false, error: 'Rate table min and max must be numbers' };
+            }
+            if (row.min !== undefined && row.max !== undefined && row.min >= row.max) {
+                return { valid: false, error: 'Rate table min must be below max' };
+            }
+        }
+
+        if (!isNumber(defaultRate) || defaultRate < 0) {
+            return { valid: false, error: 'Default rate must be a non-negative number' };
+        }
+
+        return {
+            valid: true,
+            values: {
+                name: name && name.trim() !== '' ? name.trim() : null,
+                product: { name: product.name.trim(), unit: product.unit },
+                basis,
+                rateTable: rateTable.map(({ min, max, rate }) => ({ min, max, rate })),
+                defaultRate
+            }
+        };
+    }
+
+    /**
+     * Build a variable-rate prescription over management zones
+     * @param {Object} geometry - Normalized field Polygon/MultiPolygon
+     * @param {Object} prescription - Validated { product, basis, rateTable, defaultRate }
+     * @param {Object} [options] - Zone options ({ zones, date, resolution, smoothing, seed, composite }) and { name }
+     * @returns {Promise<Object>} Prescription with zones as a GeoJSON FeatureCollection carrying `rate`
+     */
+    async createPrescription(geometry, prescription, options = {}) {
+        const { name = 'Field', ...zoneOptions } = options;
+        const { product, basis, rateTable, defaultRate } = prescription;
+
+        const zoning = await zoneService.delineateZones(geometry, zoneOptions);
+        const total = TOTAL_UNITS[product.unit];
+
+        const features = zoning.zones.features.map(zone => {
+            const basisValue = RATE_BASES[basis](zone);
+            const row = this.findRate(rateTable, basisValue);
+            const rate = row ? row.rate : defaultRate;
+
+            return {
+                type: 'Feature',
+                geometry: zone.geometry,
+                properties: {
+                    zone: zone.properties.zone,
+                    productivity: zone.properties.productivity,
+                    areaHectares: zone.properties.areaHectares,
+                    basis,
+                    basisValue,
+                    rate,
+                    unit: product.unit,
+                    matchedRateTable: Boolean(row),
+                    amount: Math.round(rate * zone.properties.areaHectares * total.factor * 100) / 100
+                }
+            };
+        });
+
+        return {
+            name,
+            product,
+            basis,
+            rateTable,
+            defaultRate,
+            field: { geometry, ...zoning.field },
+            scene: zoning.scene,
+            total: {
+                amount: Math.round(features.reduce((sum, feature) => sum + feature.properties.amount, 0) * 100) / 100,
+                unit: total.unit
+            },
+            zones: { type: 'FeatureCollection', features }
+        };
+    }
+
+    findRate(rateTable, value) {
+        if (typeof value !== 'number') return null;
+
+        return rateTable.find(row =>
+            (row.min === undefined || value >= row.min) &&
+            (row.max === undefined || value < row.max)
+        ) || null;
+    }
+
+    /**
+     * Render a prescription for download
+     * @returns {Object} { contentType, filename, body }
+     */
+    render(prescription, format) {
+        const filename = `prescription-${this.getFileName(prescription)}`;
+
+        switch (format) {
+            case 'shapefile':
+                return { contentType: 'application/zip', filename: `${filename}-shp.zip`, body: this.renderShapefile(prescription, filename) };
+            case 'isoxml':
+                return { contentType: 'application/zip', filename: `${filename}-isoxml.zip`, body: this.renderIsoXml(prescription) };
+            case 'geojson':
+                return {
+                    contentType: 'application/geo+json',
+                    filename: `${filename}.geojson`,
+                    body: JSON.stringify(prescription.zones, null, 2)
+                };
+            default:
+                throw new Error(`Unsupported prescription format: ${format}`);
+        }
+    }
+
+    /**
+     * Zipped shapefile with one polygon record per zone
+     */
+    renderShapefile(prescription, filename) {
+        const files = ShapefileWriter.writePolygons(prescription.zones.features, [
+            { name: 'ZONE', type: 'N', length: 4, value: zone => zone.properties.zone },
+            { name: 'RATE', type: 'N', length: 12, decimals: 2, value: zone => zone.properties.rate },
+            { name: 'UNIT', type: 'C', length: 8, value: zone => zone.properties.unit },
+            { name: 'PRODUCT', type: 'C', length: 50, value: () => prescription.product.name },
+            { name: 'BASIS', type: 'C', length: 10, value: zone => zone.properties.basis },
+            { name: 'BASIS_VAL', type: 'N', length: 10, decimals: 2, value: zone => zone.properties.basisValue },
+            { name: 'AREA_HA', type: 'N', length: 12, decimals: 2, value: zone => zone.properties.areaHectares }
+        ]);
+
+        const zip = new AdmZip();
+        Object.entries(files).forEach(([extension, content]) => {
+            zip.addFile(`${filename}.${extension}`, Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8'));
+        });
+        return zip.toBuffer();
+    }
+
+    /**
+     * Zipped ISOBUS TaskData folder (TASKDATA/TASKDATA.XML)
+     */
+    renderIsoXml(prescription) {
+        const xml = IsoXmlWriter.writeTaskData({
+            name: `${prescription.name} ${prescription.product.name}`,
+            field: {
+                name: prescription.name,
+                geometry: prescription.field.geometry,
+                areaSqMeters: prescription.field.areaHectares * 10000
+            },
+            product: prescription.product,
+            defaultRate: prescription.defaultRate,
+            zones: prescription.zones.features.map(zone => ({
+                name: `Zone ${zone.properties.zone}`,
+                rate: zone.properties.rate,
+                geometry: zone.geometry
+            })),
+            software: { manufacturer: 'Sentinel Soil Analysis', version }
+        });
+
+        const zip = new AdmZip();
+        zip.addFile('TASKDATA/TASKDATA.XML', Buffer.from(xml, 'utf8'));
+        return zip.toBuffer();
+    }
+
+    getFileName(prescription) {
+        const slug = value => value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'field';
+        const date = (prescription.scene.date || new Date().toISOString()).split('T')[0];
+        return `${slug(prescription.name)}-${slug(prescription.product.name)}-${date}`;
+    }
+}
+
+module.exports = new PrescriptionService();
@@ -0,0 +1,43 @@
+/**
+ * Satellite catalogue providers
+ *
+ * Every provider exposes the same interface over normalized STAC-like items
+ * ({ id, collection, datetime, cloudCover, geometry, properties, assets, provider }):
+ * - search(query) -> items, newest first
+ * - getItem(collection, id) -> item or null
+ * - getAsset(item, key) -> { href, headers } or null
+ * - isConfigured() -> whether the provider can be queried
+ * - isValidItemId(id) -> whether an id has the catalogue's item id format
+ */
+
+const ODataProvider = require('./odataProvider');
+const StacProvider = require('./stacProvider');
+const StaticStacProvider = require('./staticStacProvider');
+
+const PROVIDERS = {
+    odata: ODataProvider,
+    stac: StacProvider,
+    static: StaticStacProvider
+};
+
+/**
+ * Create a catalogue provider
+ * @param {string} [type] - 'odata' (Copernicus Data Space), 'stac' (STAC API) or 'static' (local catalogue);
+ *   defaults to CATALOGUE_PROVIDER
+ * @param {Object} [options] - Provider options
+ */
+function createProvider(type = process.env.CATALOGUE_PROVIDER || 'odata', options = {}) {
+    const Provider = PROVIDERS[type];
+    if (!Provider) {
+        throw new Error(`Unknown catalogue provider "${type}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+
+    return new Provider(options);
+}
+
+module.exports = {
+    createProvider,
+    ODataProvider,
+    StacProvider,
+    StaticStacProvider
+};
@@ -0,0 +1,259 @@
+/**
+ * Catalogue provider for the Copernicus Data Space Ecosystem OData API
+ * Products are normalized to STAC-like items; the full SAFE archive is the `product` asset
+ */
+
+const axios = require('axios');
+
+// Multihash prefixes (function code and digest length) for STAC file:checksum values
+const MULTIHASH_PREFIXES = {
+    MD5: 'd510',
+    SHA256: '1220'
+};
+
+// Logical collections and the OData filters selecting them
+const COLLECTIONS = {
+    'sentinel-2': [`Collection/Name eq 'SENTINEL-2'`],
+    'sentinel-1': [
+        `Collection/Name eq 'SENTINEL-1'`,
+        `Attributes/OData.CSC.StringAttribute/any(att:att/Name eq 'productType' and att/OData.CSC.StringAttribute/Value eq 'IW_GRDH_1S')`,
+        `Attributes/OData.CSC.StringAttribute/any(att:att/Name eq 'polarisationChannels' and att/OData.CSC.StringAttribute/Value eq 'VV&VH')`
+    ]
+};
+
+// Product ids are UUIDs
+const PRODUCT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class ODataProvider {
+    /**
+     * @param {Object} [options] - { baseUrl, downloadBaseUrl, username, password, timeout (ms) }
+     */
+    constructor(options = {}) {
+        this.name = 'odata';
+        this.baseUrl = options.baseUrl || process.env.SENTINEL_API_BASE_URL || 'https://catalogue.dataspace.copernicus.eu/odata/v1';
+        this.downloadBaseUrl = options.downloadBaseUrl || process.env.SENTINEL_DOWNLOAD_BASE_URL || 'https://zipper.dataspace.copernicus.eu/odata/v1';
+        this.timeout = options.timeout || parseInt(process.env.API_TIMEOUT) || 30000;
+        this.credentials = {
+            username: options.username || process.env.COPERNICUS_USERNAME,
+            password: options.password || process.env.COPERNICUS_PASSWORD
+        };
+        this.dataSource = 'Copernicus Data Space Ecosystem';
+
+        // Authentication token cache
+        this.authToken = null;
+        this.tokenExpiry = null;
+    }
+
+    /**
+     * Searching needs Copernicus credentials
+     */
+    isConfigured() {
+        return Boolean(this.credentials.username && this.credentials.password);
+    }
+
+    /**
+     * Whether an id has the format of a product id of this catalogue
+     */
+    isValidItemId(id) {
+        return typeof id === 'string' && PRODUCT_ID_PATTERN.test(id);
+    }
+
+    /**
+     * Authenticate with Copernicus Data Space Ecosystem
+     */
+    async authenticate() {
+        if (this.authToken && this.tokenExpiry && new Date() < this.tokenExpiry) {
+            return this.authToken;
+        }
+
+        try {
+            console.log('🔐 Authenticating with Copernicus Data Space...');
+
+            const response = await axios.post('https://identity.dataspace.copernicus.eu/auth/realms/CDSE/protocol/openid-connect/token',
+                new URLSearchParams({
+                    grant_type: 'password',
+                    username: this.credentials.username,
+                    password: this.credentials.password,
+                    client_id: 'cdse-public'
+                }),
+                {
+                    headers: {
+                        'Content-Type': 'application/x-www-form-urlencoded'
+                    },
+                    timeout: this.timeout
+                }
+            );
+
+            this.authToken = response.data.access_token;
+            this.tokenExpiry = new Date(Date.now() + (response.data.expires_in * 1000));
+
+            console.log('✅ Authentication successful');
+            return this.authToken;
+
+        } catch (error) {
+            console.error('❌ Authentication failed:', error.message);
+            if (error.response) {
+                console.error('Response status:', error.response.status);
+                console.error('Response data:', error.response.data);
+            }
+            throw new Error('Failed to authenticate with Copernicus Data Space');
+        }
+    }
+
+    /**
+     * Authenticated GET, retried once with a fresh token when the cached one was rejected
+     */
+    async request(url, params) {
+        for (let attempt = 0; ; attempt++) {
+            await this.authenticate();
+            try {
+                return await axios.get(url, {
+                    params,
+                    headers: { 'Authorization': `Bearer ${this.authToken}` },
+                    timeout: this.timeout
+                });
+            } catch (error) {
+                if (error.response?.status !== 401 || attempt > 0) throw error;
+
+                console.log('🔄 Authentication expired, retrying...');
+                this.authToken = null;
+            }
+        }
+    }
+
+    /**
+     * Search products intersecting a geometry
+     * @param {Object} query - { collection ('sentinel-2' | 'sentinel-1'), geometry (GeoJSON), dateRange: { start, end },
+     *   maxCloudCover, limit }
+     * @returns {Promise<Array>} Normalized items, newest first
+     */
+    async search(query) {
+        const { collection, geometry, dateRange, maxCloudCover, limit = 10 } = query;
+        const filters = COLLECTIONS[collection];
+        if (!filters) {
+            throw new Error(`Collection ${collection} is not available from the OData catalogue`);
+        }
+
+        const conditions = [
+            ...filters,
+            `OData.CSC.Intersects(area=geography'SRID=4326;${this.geometryToWKT(geometry)}')`,
+            `ContentDate/Start ge ${dateRange.start}T00:00:00.000Z`,
+            `ContentDate/Start le ${dateRange.end}T23:59:59.999Z`
+        ];
+        if (maxCloudCover !== undefined) {
+            conditions.push(`Attributes/OData.CSC.DoubleAttribute/any(att:att/Name eq 'cloudCover' and att/OData.CSC.DoubleAttribute/Value le ${maxCloudCover})`);
+        }
+
+        console.log('🌐 Making API request to Copernicus Data Space...');
+
+        const response = await this.request(`${this.baseUrl}/Products`, {
+            '$filter': conditions.join(' and '),
+            '$orderby': 'ContentDate/Start desc',
+            '$top': limit,
+            '$expand': 'Attributes'
+        });
+
+        return (response.data.value || []).map(product => this.toItem(product, collection));
+    }
+
+    /**
+     * Get a single product
+     * @returns {Promise<Object|null>} Normalized item, or null when the catalogue does not know it
+     */
+    async getItem(collection, id) {
+        try {
+            const response = await this.request(`${this.baseUrl}/Products(${encodeURIComponent(id)})`, { '$expand': 'Attributes' });
+            return this.toItem(response.data, collection);
+        } catch (error) {
+            if (error.response?.status === 404) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Resolve an asset to a URL and the headers needed to fetch it
+     * @returns {Promise<Object|null>} { href, headers }, or null when the item has no such asset
+     */
+    async getAsset(item, key) {
+        const asset = item.assets?.[key];
+        if (!asset) return null;
+
+        await this.authenticate();
+        return { href: asset.href, headers: { 'Authorization': `Bearer ${this.authToken}` } };
+    }
+
+    /**
+     * Normalize an OData product to a STAC-like item
+     */
+    toItem(product, collection) {
+        const attribute = name => this.extractAttributeValue(product.Attributes, name);
+        const orbitState = attribute('orbitDirection');
+
+        return {
+            id: product.Id,
+            collection,
+            datetime: product.ContentDate.Start,
+            cloudCover: attribute('cloudCover') ?? 0,
+            geometry: product.GeoFootprint || null,
+            properties: {
+                title: product.Name,
+                'product:type': attribute('productType') || product.ProductType || null,
+                'processing:level': attribute('processingLevel'),
+                'sat:relative_orbit': attribute('relativeOrbitNumber'),
+                'sat:orbit_state': orbitState ? orbitState.toLowerCase() : null,
+                's2:mgrs_tile': attribute('tileId'),
+                format: product.Format || null
+            },
+            assets: {
+                product: {
+                    href: `${this.downloadBaseUrl}/Products(${product.Id})/$value`,
+                    type: 'application/zip',
+                    'file:size': product.ContentLength,
+                    'file:checksum': this.extractChecksum(product),
+                    roles: ['data']
+                }
+            },
+            provider: this.name
+        };
+    }
+
+    /**
+     * Product checksum as a multihash (hex), preferring MD5; undefined when the catalogue gives none usable
+     */
+    extractChecksum(product) {
+        const checksums = product.Checksum || [];
+        for (const algorithm of Object.keys(MULTIHASH_PREFIXES)) {
+            const checksum = checksums.find(candidate => String(candidate.Algorithm).toUpperCase() === algorithm);
+            if (checksum?.Value) return `${MULTIHASH_PREFIXES[algorithm]}${checksum.Value.toLowerCase()}`;
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Extract specific attribute value from product attributes
+     */
+    extractAttributeValue(attributes, attributeName) {
+        const values = Array.isArray(attributes) ? attributes : attributes?.value;
+        if (!values) return null;
+
+        const attr = values.find(a => a.Name === attributeName);
+        return attr ? attr.Value : null;
+    }
+
+    /**
+     * Convert a GeoJSON Polygon/MultiPolygon to WKT for OData spatial queries
+     */
+    geometryToWKT(geometry) {
+        const ringToWKT = ring => `(${ring.map(([x, y]) => `${x} ${y}`).join(', ')})`;
+        const polygonToWKT = rings => `(${rings.map(ringToWKT).join(', ')})`;
+
+        if (geometry.type === 'MultiPolygon') {
+            return `MULTIPOLYGON(${geometry.coordinates.map(polygonToWKT).join(', ')})`;
+        }
+
+        return `POLYGON${polygonToWKT(geometry.coordinates)}`;
+    }
+}
+
+module.exports = ODataProvider;
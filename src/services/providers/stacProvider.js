@@ -0,0 +1,145 @@
+/**
+ * Catalogue provider for STAC APIs (e.g. Element84 Earth Search, Microsoft Planetary Computer)
+ * Items keep their STAC properties and per-band Cloud Optimized GeoTIFF assets
+ */
+
+const axios = require('axios');
+const StacClient = require('../../utils/stacClient');
+
+const ITEM_ID_PATTERN = /^[A-Za-z0-9._:-]{1,200}$/;
+
+class StacProvider {
+    /**
+     * @param {Object} [options] - { url (API root), collections ({ logical name: catalogue collection id }), timeout (ms) }
+     */
+    constructor(options = {}) {
+        this.name = 'stac';
+        this.url = options.url || process.env.STAC_API_URL || 'https://earth-search.aws.element84.com/v1';
+        this.timeout = options.timeout || parseInt(process.env.API_TIMEOUT) || 30000;
+        this.collections = {
+            'sentinel-2': process.env.STAC_SENTINEL2_COLLECTION || 'sentinel-2-l2a',
+            'sentinel-1': process.env.STAC_SENTINEL1_COLLECTION || 'sentinel-1-grd',
+            ...(options.collections || {})
+        };
+        this.dataSource = `STAC ${this.url}`;
+
+        this.client = new StacClient(this.url, { timeout: this.timeout });
+        this.sasTokens = new Map();
+    }
+
+    /**
+     * Public STAC APIs need no credentials
+     */
+    isConfigured() {
+        return Boolean(this.url);
+    }
+
+    /**
+     * Whether an id has the format of an item id (letters, digits and . _ : -)
+     */
+    isValidItemId(id) {
+        return typeof id === 'string' && ITEM_ID_PATTERN.test(id);
+    }
+
+    /**
+     * Catalogue collection id for a logical collection name; unknown names are used as given
+     */
+    getCollectionId(collection) {
+        return this.collections[collection] || collection;
+    }
+
+    /**
+     * Search items intersecting a geometry
+     * @param {Object} query - { collection, geometry (GeoJSON), dateRange: { start, end }, maxCloudCover,
+     *   platforms, instrumentMode, polarizations, limit }
+     * @returns {Promise<Array>} Normalized items, newest first
+     */
+    async search(query) {
+        const { collection, geometry, dateRange, maxCloudCover, platforms, instrumentMode, limit = 10 } = query;
+
+        const filters = {};
+        if (maxCloudCover !== undefined) filters['eo:cloud_cover'] = { lte: maxCloudCover };
+        if (platforms) filters.platform = { in: platforms };
+        if (instrumentMode) filters['sar:instrument_mode'] = { eq: instrumentMode };
+
+        const items = await this.client.search({
+            collections: [this.getCollectionId(collection)],
+            intersects: geometry,
+            datetime: `${dateRange.start}T00:00:00Z/${dateRange.end}T23:59:59Z`,
+            query: filters,
+            sortby: [{ field: 'properties.datetime', direction: 'desc' }]
+        }, limit);
+
+        // Not every API supports the sar extension in queries, so polarisations are checked here
+        return items
+            .filter(item => this.hasPolarizations(item, query.polarizations))
+            .map(item => this.toItem(item));
+    }
+
+    /**
+     * Get a single item
+     * @returns {Promise<Object|null>} Normalized item, or null when the catalogue does not know it
+     */
+    async getItem(collection, id) {
+        const item = await this.client.getItem(this.getCollectionId(collection), id);
+        return item ? this.toItem(item) : null;
+    }
+
+    /**
+     * Resolve an asset to a URL (signed when the catalogue requires it) and the headers needed to fetch it
+     * @returns {Promise<Object|null>} { href, headers }, or null when the item has no such asset
+     */
+    async getAsset(item, key) {
+        const asset = item.assets?.[key];
+        if (!asset) return null;
+
+        return { href: await this.signHref(asset.href, item.collection), headers: {} };
+    }
+
+    /**
+     * Planetary Computer assets need a short-lived SAS token; other catalogues are returned unchanged
+     */
+    async signHref(href, collection) {
+        if (!/\.blob\.core\.windows\.net\//.test(href) || !/planetarycomputer/.test(this.url)) return href;
+
+        const cached = this.sasTokens.get(collection);
+        if (!cached || cached.expiry < Date.now() + 60000) {
+            const response = await axios.get(`https://planetarycomputer.microsoft.com/api/sas/v1/token/${collection}`, {
+                timeout: this.timeout
+            });
+            this.sasTokens.set(collection, {
+                token: response.data.token,
+                expiry: new Date(response.data['msft:expiry']).getTime()
+            });
+        }
+
+        return `${href}?${this.sasTokens.get(collection).token}`;
+    }
+
+    /**
+     * Whether an item carries all requested polarisations (items without the property are kept)
+     */
+    hasPolarizations(item, polarizations) {
+        const available = item.properties?.['sar:polarizations'];
+        if (!polarizations || !available) return true;
+        return polarizations.every(polarization => available.includes(polarization));
+    }
+
+    /**
+     * Normalize a STAC item: common fields on top, STAC properties and assets as they are
+     */
+    toItem(item) {
+        return {
+            id: item.id,
+            collection: item.collection,
+            datetime: item.properties.datetime,
+            cloudCover: item.properties['eo:cloud_cover'] ?? 0,
+            geometry: item.geometry || null,
+            properties: item.properties,
+            assets: item.assets || {},
+            provider: this.name
+        };
+    }
+}
+
+module.exports = StacProvider;
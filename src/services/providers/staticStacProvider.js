@@ -0,0 +1,130 @@
+/**
+ * Catalogue provider for a static STAC catalogue on disk (catalog.json with child and item links)
+ * Searches are filtered in memory; meant for tests and offline deployments with a few local scenes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const turf = require('@turf/turf');
+const StacProvider = require('./stacProvider');
+
+class StaticStacProvider extends StacProvider {
+    /**
+     * @param {Object} [options] - { catalogPath (catalog.json, collection.json or an item collection), collections }
+     */
+    constructor(options = {}) {
+        super({ url: 'static', collections: options.collections });
+        this.name = 'static';
+        this.catalogPath = options.catalogPath || process.env.STAC_CATALOG_PATH || './data/stac/catalog.json';
+        this.dataSource = `STAC catalogue ${this.catalogPath}`;
+    }
+
+    /**
+     * The catalogue file has to exist
+     */
+    isConfigured() {
+        return fs.existsSync(this.catalogPath);
+    }
+
+    /**
+     * Search items whose bounding box intersects the geometry's
+     * @param {Object} query - Same as StacProvider#search
+     * @returns {Promise<Array>} Normalized items, newest first
+     */
+    async search(query) {
+        const { collection, geometry, dateRange, maxCloudCover, platforms, instrumentMode, limit = 10 } = query;
+        const collectionId = this.getCollectionId(collection);
+        const [minX, minY, maxX, maxY] = turf.bbox(geometry);
+        const start = new Date(`${dateRange.start}T00:00:00Z`);
+        const end = new Date(`${dateRange.end}T23:59:59Z`);
+
+        return this.loadItems()
+            .filter(item => {
+                const properties = item.properties;
+                const datetime = new Date(properties.datetime);
+                const [itemMinX, itemMinY, itemMaxX, itemMaxY] = item.bbox || turf.bbox(item.geometry);
+
+                return item.collection === collectionId &&
+                    datetime >= start && datetime <= end &&
+                    itemMinX <= maxX && itemMaxX >= minX && itemMinY <= maxY && itemMaxY >= minY &&
+                    (maxCloudCover === undefined || (properties['eo:cloud_cover'] ?? 0) <= maxCloudCover) &&
+                    (!platforms || platforms.includes(properties.platform)) &&
+                    (!instrumentMode || properties['sar:instrument_mode'] === instrumentMode) &&
+                    this.hasPolarizations(item, query.polarizations);
+            })
+            .sort((a, b) => new Date(b.properties.datetime) - new Date(a.properties.datetime))
+            .slice(0, limit)
+            .map(item => this.toItem(item));
+    }
+
+    /**
+     * Get a single item
+     * @returns {Promise<Object|null>} Normalized item, or null when the catalogue does not contain it
+     */
+    async getItem(collection, id) {
+        const collectionId = this.getCollectionId(collection);
+        const item = this.loadItems().find(candidate => candidate.id === id && candidate.collection === collectionId);
+        return item ? this.toItem(item) : null;
+    }
+
+    /**
+     * Asset hrefs are already resolved to local paths or URLs; nothing to sign
+     */
+    async getAsset(item, key) {
+        const asset = item.assets?.[key];
+        return asset ? { href: asset.href, headers: {} } : null;
+    }
+
+    /**
+     * Read all items reachable from the catalogue root, with relative asset hrefs made absolute
+     * The catalogue is read on every search, so scenes added to it are picked up without a restart
+     */
+    loadItems() {
+        const items = [];
+        const visited = new Set();
+
+        const visit = (filePath, collectionId) => {
+            const resolved = path.resolve(filePath);
+            if (visited.has(resolved)) return;
+            visited.add(resolved);
+
+            const document = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+            const directory = path.dirname(resolved);
+
+            if (document.type === 'Feature') {
+                items.push(this.resolveItem(document, directory, collectionId));
+                return;
+            }
+            if (document.type === 'FeatureCollection') {
+                document.features.forEach(item => items.push(this.resolveItem(item, directory, collectionId)));
+                return;
+            }
+
+            // Catalog or Collection: follow its links
+            const childCollection = document.type === 'Collection' ? document.id : collectionId;
+            (document.links || [])
+                .filter(link => link.rel === 'child' || link.rel === 'item')
+                .forEach(link => visit(path.resolve(directory, link.href), childCollection));
+        };
+
+        visit(this.catalogPath, null);
+        return items;
+    }
+
+    /**
+     * Fill in the collection from the parent and resolve relative asset hrefs against the item file
+     */
+    resolveItem(item, directory, collectionId) {
+        const assets = {};
+        Object.entries(item.assets || {}).forEach(([key, asset]) => {
+            assets[key] = {
+                ...asset,
+                href: /^[a-z]+:\/\//i.test(asset.href) ? asset.href : path.resolve(directory, asset.href)
+            };
+        });
+
+        return { ...item, collection: item.collection || collectionId, assets };
+    }
+}
+
+module.exports = StaticStacProvider;
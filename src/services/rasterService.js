@@ -0,0 +1,215 @@
+const turf = require('@turf/turf');
+const sentinelService = require('./sentinelService');
+const soilAnalysisService = require('./soilAnalysisService');
+const sceneMaskService = require('./sceneMaskService');
+const spectralIndexService = require('./spectralIndexService');
+const AnalysisUtils = require('../utils/analysisUtils');
+const ColorRamps = require('../utils/colorRamps');
+const GeoTiffWriter = require('../utils/geoTiffWriter');
+
+const METERS_PER_DEGREE_LAT = 110540;
+const METERS_PER_DEGREE_LON = 111320;
+
+class RasterService {
+    constructor() {
+        this.formats = ['png', 'tiff', 'json'];
+
+        // Larger AOIs are sampled more coarsely to stay within this many pixels per side
+        this.maxSize = parseInt(process.env.RASTER_MAX_SIZE) || 256;
+        this.defaultResolution = 10; // meters, Sentinel-2 native resolution
+    }
+
+    /**
+     * Compute per-pixel index rasters over an area of interest
+     * @param {Object} aoi - { geometry } (Polygon/MultiPolygon, pixels outside are nodata) or { bbox }
+     * @param {Object} dateRange - { start, end }
+     * @param {Object} [options] - { indices, resolution (meters), seed, composite }
+     * @returns {Promise<Object>} { grid, scene, rasters: { [index]: Float32Array }, stats, validPixelFraction }
+     */
+    async createIndexRasters(aoi, dateRange, options = {}) {
+        const { indices = ['ndvi'], resolution = this.defaultResolution, seed, composite } = options;
+
+        const bbox = aoi.bbox || this.getBbox(aoi.geometry);
+        const grid = this.createGrid(bbox, resolution);
+        const geometry = aoi.geometry || turf.bboxPolygon([bbox.minLon, bbox.minLat, bbox.maxLon, bbox.maxLat]).geometry;
+        const points = this.getPixelCenters(grid);
+
+        console.log(`🗺️  Building ${grid.width}x${grid.height} index rasters (${grid.resolution} m pixels)`);
+        const { scene, rasters, validPixels } = await this.sampleIndices(points, geometry, dateRange, {
+            indices,
+            seed,
+            composite,
+            clip: Boolean(aoi.geometry)
+        });
+
+        const stats = Object.fromEntries(indices.map(index => [
+            index,
+            AnalysisUtils.calculateStatistics(Array.from(rasters[index]))
+        ]));
+
+        return {
+            grid,
+            scene: this.describeScene(scene),
+            rasters,
+            stats,
+            validPixelFraction: Math.round(validPixels / points.length * 1000) / 1000
+        };
+    }
+
+    /**
+     * Fetch the analysis scene for an area and calculate indices at each point
+     * @param {Array} points - [{ lat, lon }] pixel centres
+     * @param {Object} geometry - Area covering all points, used for the scene search
+     * @param {Object} dateRange - { start, end }
+     * @param {Object} options - { indices, seed, composite, sceneDate (use the scene acquired closest to this date),
+     *   clip (points outside the geometry are nodata) }
+     * @returns {Promise<Object>} { scene, rasters: { [index]: Float32Array }, pixelSamples (sample or null per point), validPixels }
+     */
+    async sampleIndices(points, geometry, dateRange, options = {}) {
+        const { indices = ['ndvi'], seed, composite, sceneDate, clip = false } = options;
+        const [minLon, minLat, maxLon, maxLat] = turf.bbox(geometry);
+        const location = { lat: (minLat + maxLat) / 2, lon: (minLon + maxLon) / 2 };
+
+        const sentinelData = await sentinelService.getSentinelData(location, dateRange, {
+            geometry,
+            samplePoints: points,
+            seed
+        });
+
+        if (!sentinelData.scenes || sentinelData.scenes.length === 0) {
+            throw new Error('No satellite data available for analysis');
+        }
+
+        const scenes = sceneMaskService.maskScenes(sentinelData.scenes);
+        const scene = sceneDate && !composite
+            ? this.selectNearestScene(scenes, sceneDate)
+            : soilAnalysisService.selectAnalysisScene(scenes, { composite });
+
+        // Samples can be dropped (outside the tile, composite gaps), so match them to pixels by position
+        const samplesByPosition = new Map((scene.samples || []).map(sample => [this.positionKey(sample), sample]));
+        const rasters = Object.fromEntries(indices.map(index => [index, new Float32Array(points.length).fill(NaN)]));
+        const pixelSamples = new Array(points.length).fill(null);
+        let validPixels = 0;
+
+        points.forEach((point, i) => {
+            const sample = samplesByPosition.get(this.positionKey(point));
+            if (!sample || sample.valid === false) return;
+            if (clip && !turf.booleanPointInPolygon(turf.point([point.lon, point.lat]), geometry)) return;
+
+            const pixelIndices = spectralIndexService.calculateIndices(sample.bands, indices);
+            indices.forEach(index => {
+                rasters[index][i] = pixelIndices[index] === null ? NaN : pixelIndices[index];
+            });
+            pixelSamples[i] = sample;
+            validPixels++;
+        });
+
+        return { scene, rasters, pixelSamples, validPixels };
+    }
+
+    /**
+     * Scene acquired closest to a date, preferring lower cloud cover on ties
+     */
+    selectNearestScene(scenes, date) {
+        const target = new Date(date).getTime();
+        const distance = scene => Math.abs(new Date(scene.date).getTime() - target);
+
+        return scenes.reduce((nearest, current) => {
+            if (!nearest) return current;
+            if (distance(current) < distance(nearest)) return current;
+            if (distance(current) === distance(nearest) && current.cloudCover < nearest.cloudCover) return current;
+            return nearest;
+        }, null);
+    }
+
+    describeScene(scene) {
+        return {
+            id: scene.id,
+            date: scene.date,
+            cloudCover: Math.round(scene.cloudCover * 100) / 100,
+            bandSource: scene.bandSource,
+            composite: scene.composite
+        };
+    }
+
+    /**
+     * Regular WGS84 grid over a bounding box, approximately `resolution` meters per pixel
+     */
+    createGrid(bbox, resolution) {
+        const midLat = (bbox.minLat + bbox.maxLat) / 2;
+        const widthMeters = (bbox.maxLon - bbox.minLon) * METERS_PER_DEGREE_LON * Math.cos(midLat * Math.PI / 180);
+        const heightMeters = (bbox.maxLat - bbox.minLat) * METERS_PER_DEGREE_LAT;
+
+        let width = Math.max(1, Math.ceil(widthMeters / resolution));
+        let height = Math.max(1, Math.ceil(heightMeters / resolution));
+        const scale = Math.max(width, height) / this.maxSize;
+        if (scale > 1) {
+            width = Math.max(1, Math.round(width / scale));
+            height = Math.max(1, Math.round(height / scale));
+        }
+
+        return {
+            width,
+            height,
+            bbox,
+            resolution: Math.round(widthMeters / width * 100) / 100,
+            pixelArea: (widthMeters / width) * (heightMeters / height) // square meters
+        };
+    }
+
+    /**
+     * Pixel centre coordinates, row by row from the northern edge
+     */
+    getPixelCenters(grid) {
+        const { width, height, bbox } = grid;
+        const pixelWidth = (bbox.maxLon - bbox.minLon) / width;
+        const pixelHeight = (bbox.maxLat - bbox.minLat) / height;
+        const points = [];
+
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                points.push({
+                    lat: bbox.maxLat - (row + 0.5) * pixelHeight,
+                    lon: bbox.minLon + (col + 0.5) * pixelWidth
+                });
+            }
+        }
+
+        return points;
+    }
+
+    /**
+     * Bounding box around a point
+     * @param {number} radius - Half the box size in meters
+     */
+    getBboxAround(location, radius) {
+        const aoi = AnalysisUtils.calculateAOI(location.lat, location.lon, radius / 1000);
+        return { minLon: aoi.west, minLat: aoi.south, maxLon: aoi.east, maxLat: aoi.north };
+    }
+
+    getBbox(geometry) {
+        const [minLon, minLat, maxLon, maxLat] = turf.bbox(geometry);
+        return { minLon, minLat, maxLon, maxLat };
+    }
+
+    positionKey(point) {
+        return `${point.lat.toFixed(7)},${point.lon.toFixed(7)}`;
+    }
+
+    /**
+     * Encode one index raster as a Float32 GeoTIFF
+     */
+    toGeoTiff(result, index) {
+        return GeoTiffWriter.writeFloat32(result.rasters[index], result.grid);
+    }
+
+    /**
+     * Render one index raster as a colour-ramped, semi-transparent PNG overlay
+     */
+    toPng(result, index) {
+        const { ramp } = spectralIndexService.getIndex(index);
+        return ColorRamps.renderPng(result.rasters[index], result.grid.width, result.grid.height, ramp, 200);
+    }
+}
+
+module.exports = new RasterService();
@@ -0,0 +1,253 @@
+const PDFDocument = require('pdfkit');
+
+// Recommendation categories in report order (matches the web interface)
+const RECOMMENDATION_CATEGORIES = {
+    water_management: 'Water Management',
+    soil_health: 'Soil Health',
+    vegetation: 'Vegetation & Plant Health',
+    fertility: 'Soil Fertility',
+    ph_management: 'pH Management',
+    crop_planning: 'Crop Planning',
+    precision_agriculture: 'Precision Agriculture',
+    conservation: 'Conservation',
+    sustainability: 'Sustainability',
+    general: 'General Recommendations'
+};
+
+const PRIORITY_ORDER = { critical: 4, high: 3, medium: 2, low: 1 };
+
+class ReportService {
+    constructor() {
+        this.formats = ['pdf', 'csv', 'geojson'];
+    }
+
+    /**
+     * Render an analysis response as a downloadable report
+     * @param {Object} analysis - Response built by the soil controller (or a stored analysis)
+     * @param {string} format - pdf, csv or geojson
+     * @returns {Promise<Object>} { contentType, filename, body }
+     */
+    async render(analysis, format) {
+        const filename = `soil-report-${this.getReportName(analysis)}`;
+
+        switch (format) {
+            case 'pdf':
+                return { contentType: 'application/pdf', filename: `${filename}.pdf`, body: await this.renderPdf(analysis) };
+            case 'csv':
+                return { contentType: 'text/csv; charset=utf-8', filename: `${filename}.csv`, body: this.renderCsv(analysis) };
+            case 'geojson':
+                return {
+                    contentType: 'application/geo+json',
+                    filename: `${filename}.geojson`,
+                    body: JSON.stringify(this.renderGeoJson(analysis), null, 2)
+                };
+            default:
+                throw new Error(`Unsupported report format: ${format}`);
+        }
+    }
+
+    /**
+     * Report metrics as { key, section, name, value } rows, shared by every format
+     */
+    getMetrics(analysis) {
+        const { location = {}, dateRange = {}, soilAnalysis = {}, metadata = {} } = analysis;
+        const { moisture = {}, composition = {}, temperature = {} } = soilAnalysis;
+        const round = (value, decimals = 2) => (typeof value === 'number' ? Number(value.toFixed(decimals)) : value ?? null);
+
+        return [
+            { key: 'location_name', section: 'Location', name: 'Name', value: this.getLocationName(analysis) },
+            { key: 'latitude', section: 'Location', name: 'Latitude', value: round(location.lat, 6) },
+            { key: 'longitude', section: 'Location', name: 'Longitude', value: round(location.lon, 6) },
+            { key: 'region', section: 'Location', name: 'Region', value: location.region ?? null },
+            { key: 'country', section: 'Location', name: 'Country', value: location.country ?? null },
+            { key: 'climate_zone', section: 'Location', name: 'Climate zone', value: location.climate?.zone ?? null },
+            { key: 'field_area_ha', section: 'Location', name: 'Field area (ha)', value: analysis.field?.areaHectares ?? null },
+            { key: 'start_date', section: 'Imagery', name: 'Start date', value: dateRange.start ?? null },
+            { key: 'end_date', section: 'Imagery', name: 'End date', value: dateRange.end ?? null },
+            { key: 'scene_count', section: 'Imagery', name: 'Scenes analyzed', value: analysis.sentinelData?.scenes ?? null },
+            { key: 'cloud_cover', section: 'Imagery', name: 'Average cloud cover (%)', value: analysis.sentinelData?.cloudCover ?? null },
+            { key: 'moisture_percentage', section: 'Soil Moisture', name: 'Moisture (%)', value: round(moisture.percentage) },
+            { key: 'moisture_level', section: 'Soil Moisture', name: 'Level', value: moisture.level ?? null },
+            { key: 'ndmi', section: 'Soil Moisture', name: 'NDMI', value: round(moisture.ndmiValue, 3) },
+            { key: 'ndvi', section: 'Vegetation', name: 'NDVI', value: round(soilAnalysis.ndvi, 3) },
+            { key: 'soil_type', section: 'Composition', name: 'Soil type', value: composition.soilType ?? null },
+            { key: 'clay', section: 'Composition', name: 'Clay (%)', value: round(composition.clay, 1) },
+            { key: 'sand', section: 'Composition', name: 'Sand (%)', value: round(composition.sand, 1) },
+            { key: 'silt', section: 'Composition', name: 'Silt (%)', value: round(composition.silt, 1) },
+            { key: 'organic_matter', section: 'Composition', name: 'Organic matter (%)', value: round(composition.organicMatter, 1) },
+            { key: 'ph', section: 'Composition', name: 'pH', value: round(composition.ph, 1) },
+            { key: 'fertility_score', section: 'Composition', name: 'Fertility score', value: composition.fertility?.score ?? null },
+            { key: 'temperature_c', section: 'Temperature', name: 'Soil temperature (°C)', value: round(temperature.celsius, 1) },
+            { key: 'temperature_source', section: 'Temperature', name: 'Temperature source', value: temperature.source ?? null },
+            { key: 'confidence', section: 'Quality', name: 'Confidence', value: metadata.confidence ?? null },
+            { key: 'valid_pixel_fraction', section: 'Quality', name: 'Valid pixel fraction', value: metadata.validPixelFraction ?? null },
+            { key: 'band_source', section: 'Quality', name: 'Band source', value: metadata.bandSource ?? null },
+            { key: 'analysis_date', section: 'Quality', name: 'Analysis date', value: metadata.analysisDate ?? null }
+        ];
+    }
+
+    /**
+     * Group recommendations by category in report order, most urgent first
+     * @returns {Array} [{ category, title, recommendations }]
+     */
+    categorizeRecommendations(recommendations = []) {
+        const groups = {};
+        recommendations.forEach(recommendation => {
+            const category = RECOMMENDATION_CATEGORIES[recommendation.category] ? recommendation.category : 'general';
+            (groups[category] = groups[category] || []).push(recommendation);
+        });
+
+        return Object.keys(RECOMMENDATION_CATEGORIES)
+            .filter(category => groups[category])
+            .map(category => ({
+                category,
+                title: RECOMMENDATION_CATEGORIES[category],
+                recommendations: groups[category].sort((a, b) =>
+                    (PRIORITY_ORDER[b.priority] || 0) - (PRIORITY_ORDER[a.priority] || 0)
+                )
+            }));
+    }
+
+    /**
+     * Flat CSV: one row per metric, then one row per recommendation
+     */
+    renderCsv(analysis) {
+        const rows = [['section', 'name', 'value', 'priority', 'action', 'timeline']];
+
+        this.getMetrics(analysis).forEach(metric => {
+            rows.push([metric.section, metric.name, metric.value, '', '', '']);
+        });
+
+        this.categorizeRecommendations(analysis.soilAnalysis?.recommendations).forEach(group => {
+            group.recommendations.forEach(recommendation => {
+                rows.push([
+                    `Recommendations: ${group.title}`,
+                    recommendation.type,
+                    recommendation.message,
+                    recommendation.priority,
+                    recommendation.action,
+                    recommendation.timeline
+                ]);
+            });
+        });
+
+        return rows.map(row => row.map(value => this.escapeCsv(value)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    escapeCsv(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * GeoJSON Feature (field boundary or analysis point) with metrics and recommendations as properties
+     */
+    renderGeoJson(analysis) {
+        const properties = {};
+        this.getMetrics(analysis).forEach(metric => {
+            properties[metric.key] = metric.value;
+        });
+
+        if (analysis.analysisId) properties.analysis_id = analysis.analysisId;
+        if (analysis.field?.id) properties.field_id = analysis.field.id;
+
+        properties.recommendations = this.categorizeRecommendations(analysis.soilAnalysis?.recommendations).map(group => ({
+            category: group.category,
+            title: group.title,
+            items: group.recommendations.map(recommendation => ({
+                type: recommendation.type,
+                priority: recommendation.priority,
+                message: recommendation.message,
+                action: recommendation.action,
+                timeline: recommendation.timeline
+            }))
+        }));
+
+        return {
+            type: 'Feature',
+            geometry: analysis.field?.geometry || {
+                type: 'Point',
+                coordinates: [analysis.location.lon, analysis.location.lat]
+            },
+            properties
+        };
+    }
+
+    /**
+     * Printable A4 PDF report
+     * @returns {Promise<Buffer>}
+     */
+    renderPdf(analysis) {
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Soil Analysis Report - ${this.getLocationName(analysis)}` } });
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            doc.fontSize(20).fillColor('#2d5016').text('Soil Analysis Report');
+            doc.moveDown(0.3);
+            doc.fontSize(12).fillColor('#333333').text(this.getLocationName(analysis));
+            doc.fontSize(9).fillColor('#666666')
+                .text(`Generated ${new Date().toISOString().split('T')[0]} from Sentinel-2 imagery`);
+            doc.moveDown();
+
+            // Metrics grouped by section as a two-column table
+            let currentSection = null;
+            this.getMetrics(analysis)
+                .filter(metric => metric.value !== null && metric.value !== '')
+                .forEach(metric => {
+                    if (metric.section !== currentSection) {
+                        currentSection = metric.section;
+                        doc.moveDown(0.5);
+                        doc.fontSize(12).fillColor('#2d5016').text(currentSection);
+                        doc.moveDown(0.2);
+                    }
+
+                    const y = doc.y;
+                    doc.fontSize(10).fillColor('#666666').text(metric.name, 60, y, { width: 200 });
+                    doc.fillColor('#000000').text(String(metric.value), 270, y, { width: 275 });
+                    doc.x = doc.page.margins.left;
+                });
+
+            const groups = this.categorizeRecommendations(analysis.soilAnalysis?.recommendations);
+            if (groups.length > 0) {
+                doc.addPage();
+                doc.fontSize(16).fillColor('#2d5016').text('Recommendations');
+
+                groups.forEach(group => {
+                    doc.moveDown(0.6);
+                    doc.fontSize(13).fillColor('#2d5016').text(group.title);
+
+                    group.recommendations.forEach(recommendation => {
+                        doc.moveDown(0.3);
+                        doc.fontSize(11).fillColor('#000000')
+                            .text(`${recommendation.type} (${recommendation.priority || 'info'} priority)`);
+                        doc.fontSize(10).fillColor('#333333').text(recommendation.message);
+                        if (recommendation.action) doc.text(`Action: ${recommendation.action}`);
+                        if (recommendation.timeline) doc.fillColor('#666666').text(`Timeline: ${recommendation.timeline}`);
+                    });
+                });
+            }
+
+            doc.end();
+        });
+    }
+
+    getLocationName(analysis) {
+        if (analysis.field?.name) return analysis.field.name;
+
+        const { city, country, lat, lon } = analysis.location || {};
+        if (city && country && country !== 'Unknown') return `${city}, ${country}`;
+        return `${Number(lat).toFixed(4)}, ${Number(lon).toFixed(4)}`;
+    }
+
+    getReportName(analysis) {
+        const date = (analysis.metadata?.analysisDate || new Date().toISOString()).split('T')[0];
+        const { lat, lon } = analysis.location || {};
+        return `${Number(lat).toFixed(4)}_${Number(lon).toFixed(4)}_${date}`;
+    }
+}
+
+module.exports = new ReportService();
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const RuleEngine = require('../utils/ruleEngine');
+
+// Facts the recommendation rules may refer to (see SoilAnalysisService.buildRuleFacts)
+const RULE_FACTS = [
+    'moisture', 'composition', 'indices', 'temperature', 'location', 'season', 'month', 'calendar',
+    'crop', 'thresholds', 'target', 'suitedCrops', 'suitedCropCount', 'suitedCropNames', 'suitedCropScores'
+];
+
+const RULE_FILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+/**
+ * Recommendation rules loaded from JSON/YAML files
+ * RULES_PATH lists rule files or directories (comma separated; directories are read in file name order).
+ * Rules are applied in the order they are read; a rule whose id was already read replaces the earlier one in place,
+ * so a local file can change or disable (enabled: false) a default rule without editing it
+ */
+class RuleService {
+    constructor() {
+        this.rulesPaths = (process.env.RULES_PATH || path.join(__dirname, '../../rules'))
+            .split(',')
+            .map(entry => entry.trim())
+            .filter(Boolean);
+
+        this.rules = [];
+        this.sources = [];
+        this.errors = [];
+        this.loadedAt = null;
+
+        const result = this.load();
+        console.log(`📋 Loaded ${this.rules.length} recommendation rules from ${this.sources.length} file(s)`);
+        result.errors.forEach(error => console.warn(`⚠️ ${error.source}: ${error.rule ? `rule "${error.rule}": ` : ''}${error.error}`));
+        if (this.rules.length === 0) {
+            console.warn('⚠️ No recommendation rules loaded; analyses will not include recommendations');
+        }
+    }
+
+    get facts() {
+        return RULE_FACTS;
+    }
+
+    /**
+     * (Re)read the rule files; invalid rules are skipped and reported in errors
+     * A file that cannot be read or parsed keeps the current rules in place, so a half-saved edit cannot
+     * silently drop every rule the file holds
+     * @returns {Object} { loaded: false when the current rules were kept, errors, rules: count }
+     */
+    load() {
+        const files = this.findRuleFiles();
+        const rules = new Map();
+        const errors = [];
+        let unreadable = false;
+
+        files.forEach(file => {
+            let definitions;
+            try {
+                definitions = this.readRuleFile(file);
+            } catch (error) {
+                unreadable = true;
+                errors.push({ source: file, error: `Could not read rules: ${error.message}` });
+                return;
+            }
+
+            const validation = this.validateRules(definitions, file);
+            errors.push(...validation.errors);
+            validation.rules.forEach(rule => rules.set(rule.id, rule));
+        });
+
+        if (unreadable && this.loadedAt) {
+            return { loaded: false, errors, rules: this.rules.length };
+        }
+
+        this.rules = [...rules.values()];
+        this.sources = files;
+        this.errors = errors;
+        this.loadedAt = new Date().toISOString();
+
+        return { loaded: true, errors, rules: this.rules.length };
+    }
+
+    findRuleFiles() {
+        return this.rulesPaths.flatMap(entry => {
+            if (!fs.existsSync(entry)) {
+                console.warn(`⚠️ Rules path ${entry} does not exist`);
+                return [];
+            }
+
+            if (!fs.statSync(entry).isDirectory()) {
+                return [entry];
+            }
+
+            return fs.readdirSync(entry)
+                .filter(name => RULE_FILE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+                .sort()
+                .map(name => path.join(entry, name));
+        });
+    }
+
+    /**
+     * A rule file holds a list of rules, or { rules: [...] }
+     */
+    readRuleFile(file) {
+        const text = fs.readFileSync(file, 'utf8');
+        const content = path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : yaml.load(text);
+        const definitions = Array.isArray(content) ? content : content && content.rules;
+
+        if (!Array.isArray(definitions)) {
+            throw new Error('expected a list of rules or { rules: [...] }');
+        }
+
+        return definitions;
+    }
+
+    /**
+     * Validate rule definitions
+     * @param {Array} definitions
+     * @param {string} source - File (or 'request') the rules came from, recorded on each rule
+     * @returns {Object} { rules: valid rules, errors: [{ source, rule, error }] }
+     */
+    validateRules(definitions, source) {
+        const rules = [];
+        const errors = [];
+        const ids = new Set();
+
+        definitions.forEach((definition, index) => {
+            const validation = RuleEngine.validateRule(definition, RULE_FACTS);
+            const id = definition && typeof definition.id === 'string' ? definition.id : `#${index + 1}`;
+
+            if (!validation.valid) {
+                errors.push({ source, rule: id, error: validation.error });
+            } else if (ids.has(definition.id)) {
+                errors.push({ source, rule: id, error: 'Duplicate rule id' });
+            } else {
+                ids.add(definition.id);
+                rules.push({ ...definition, source });
+            }
+        });
+
+        return { rules, errors };
+    }
+
+    /**
+     * Loaded rules, in evaluation order
+     */
+    listRules() {
+        return this.rules;
+    }
+
+    /**
+     * Evaluate the loaded rules, optionally overlaid with extra rules (replacing loaded rules with the same id)
+     * @param {Object} facts
+     * @param {Object} [options] - { rules: validated extra rules, trace, resolveSeasonality }
+     * @returns {Object} { recommendations, trace? }
+     */
+    evaluate(facts, options = {}) {
+        let rules = this.rules;
+
+        if (options.rules && options.rules.length > 0) {
+            const merged = new Map(rules.map(rule => [rule.id, rule]));
+            options.rules.forEach(rule => merged.set(rule.id, rule));
+            rules = [...merged.values()];
+        }
+
+        return RuleEngine.evaluate(rules, facts, options);
+    }
+}
+
+module.exports = new RuleService();
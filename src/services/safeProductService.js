@@ -0,0 +1,328 @@
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const GeoTIFF = require('geotiff');
+const proj4 = require('proj4');
+const Jp2Reader = require('../utils/jp2Reader');
+
+// Band order used by the band_id attributes in Sentinel-2 product metadata
+const BAND_IDS = ['B01', 'B02', 'B03', 'B04', 'B05', 'B06', 'B07', 'B08', 'B8A', 'B09', 'B10', 'B11', 'B12'];
+
+// Bands consumed by the soil analysis
+const ANALYSIS_BANDS = ['B02', 'B03', 'B04', 'B05', 'B06', 'B07', 'B08', 'B8A', 'B09', 'B11', 'B12'];
+
+// Band raster file names - L2A: T43REQ_20240101T053211_B02_10m.jp2, L1C: T43REQ_20240101T053211_B02.jp2
+const BAND_FILE_PATTERN = /_(B\d{2}|B8A|SCL)(?:_(\d+)m)?\.(jp2|tiff?)$/i;
+
+class SafeProductService {
+    constructor() {
+        this.productsDir = process.env.SENTINEL_PRODUCTS_DIR || path.join(__dirname, '../../data/products');
+    }
+
+    /**
+     * Sample surface reflectance for a set of points from a downloaded Sentinel-2 SAFE product
+     * @param {string} productPath - Zipped SAFE archive, extracted .SAFE directory or a directory containing one
+     * @param {Array} points - Array of { lat, lon } points to sample
+     * @returns {Promise<Object>} { samples: [{ lat, lon, bands, scl? }], processingLevel, safeDirectory }
+     */
+    async sampleProduct(productPath, points) {
+        const safeDir = this.resolveSafeDirectory(productPath);
+        const metadata = this.readProductMetadata(safeDir);
+        const granuleDir = this.findGranuleDirectory(safeDir);
+        const geocoding = this.readTileGeocoding(granuleDir);
+        const bandFiles = this.findBandFiles(granuleDir);
+
+        const missingBands = ANALYSIS_BANDS.filter(band => !bandFiles[band]);
+        if (missingBands.length > 0) {
+            throw new Error(`SAFE product is missing band rasters: ${missingBands.join(', ')}`);
+        }
+
+        // Band rasters are in the tile's UTM projection
+        const projected = points.map(point => proj4('EPSG:4326', geocoding.projection, [point.lon, point.lat]));
+
+        const reflectances = {};
+        for (const band of ANALYSIS_BANDS) {
+            const values = await this.readBandValues(bandFiles[band], geocoding, projected);
+            reflectances[band] = values.map(value => this.toReflectance(value, band, metadata));
+        }
+
+        // Level-2A products carry a Scene Classification Layer used for pixel masking
+        const sclValues = bandFiles.SCL
+            ? await this.readBandValues(bandFiles.SCL, geocoding, projected)
+            : null;
+
+        // Drop points outside the tile or over no-data pixels
+        const samples = points
+            .map((point, i) => ({
+                lat: point.lat,
+                lon: point.lon,
+                bands: Object.fromEntries(ANALYSIS_BANDS.map(band => [band, reflectances[band][i]])),
+                ...(sclValues ? { scl: sclValues[i] } : {})
+            }))
+            .filter(sample => Object.values(sample.bands).every(value => value !== null));
+
+        return {
+            samples,
+            processingLevel: metadata.processingLevel,
+            safeDirectory: safeDir
+        };
+    }
+
+    /**
+     * Locate the .SAFE directory for a product, unpacking the archive on first use
+     */
+    resolveSafeDirectory(productPath) {
+        if (!fs.existsSync(productPath)) {
+            throw new Error(`Product not found: ${productPath}`);
+        }
+
+        let searchDir = productPath;
+
+        if (fs.statSync(productPath).isFile()) {
+            searchDir = productPath.replace(/\.zip$/i, '');
+
+            if (!fs.existsSync(searchDir)) {
+                console.log(`📦 Unpacking SAFE archive ${path.basename(productPath)}...`);
+                new AdmZip(productPath).extractAllTo(searchDir, true);
+            }
+        }
+
+        if (/\.SAFE$/i.test(searchDir)) {
+            return searchDir;
+        }
+
+        const safeEntry = fs.readdirSync(searchDir).find(entry => /\.SAFE$/i.test(entry));
+        if (!safeEntry) {
+            throw new Error(`No .SAFE directory found in ${searchDir}`);
+        }
+
+        return path.join(searchDir, safeEntry);
+    }
+
+    /**
+     * Read processing level, quantification value and per-band offsets from the product metadata
+     */
+    readProductMetadata(safeDir) {
+        const metadataFile = fs.readdirSync(safeDir).find(entry => /^MTD_MSIL(1C|2A)\.xml$/i.test(entry));
+        if (!metadataFile) {
+            throw new Error('SAFE product metadata (MTD_MSIL1C/MTD_MSIL2A.xml) not found');
+        }
+
+        const xml = fs.readFileSync(path.join(safeDir, metadataFile), 'utf8');
+        const processingLevel = /MSIL2A/i.test(metadataFile) ? 'Level-2A' : 'Level-1C';
+
+        // L2A: BOA_QUANTIFICATION_VALUE / BOA_ADD_OFFSET, L1C: QUANTIFICATION_VALUE / RADIO_ADD_OFFSET
+        const quantificationMatch = xml.match(/<(?:BOA_)?QUANTIFICATION_VALUE[^>]*>\s*([\d.]+)\s*</);
+        const quantification = quantificationMatch ? parseFloat(quantificationMatch[1]) : 10000;
+
+        // Offsets were introduced with processing baseline 04.00; older products have none
+        const offsets = {};
+        const offsetPattern = /<(?:BOA|RADIO)_ADD_OFFSET band_id="(\d+)"[^>]*>\s*(-?[\d.]+)\s*</g;
+        let match;
+        while ((match = offsetPattern.exec(xml)) !== null) {
+            const band = BAND_IDS[parseInt(match[1])];
+            if (band) offsets[band] = parseFloat(match[2]);
+        }
+
+        return { processingLevel, quantification, offsets };
+    }
+
+    /**
+     * Find the single granule (tile) directory of a SAFE product
+     */
+    findGranuleDirectory(safeDir) {
+        const granuleRoot = path.join(safeDir, 'GRANULE');
+        if (!fs.existsSync(granuleRoot)) {
+            throw new Error('SAFE product has no GRANULE directory');
+        }
+
+        const granule = fs.readdirSync(granuleRoot)
+            .find(entry => fs.statSync(path.join(granuleRoot, entry)).isDirectory());
+        if (!granule) {
+            throw new Error('SAFE product GRANULE directory is empty');
+        }
+
+        return path.join(granuleRoot, granule);
+    }
+
+    /**
+     * Read tile projection and per-resolution geoposition from the granule metadata (MTD_TL.xml)
+     */
+    readTileGeocoding(granuleDir) {
+        const metadataPath = path.join(granuleDir, 'MTD_TL.xml');
+        if (!fs.existsSync(metadataPath)) {
+            throw new Error('Granule metadata (MTD_TL.xml) not found');
+        }
+
+        const xml = fs.readFileSync(metadataPath, 'utf8');
+        const epsgMatch = xml.match(/<HORIZONTAL_CS_CODE>\s*EPSG:(\d+)\s*</);
+        if (!epsgMatch) {
+            throw new Error('Tile projection (HORIZONTAL_CS_CODE) not found in granule metadata');
+        }
+
+        const epsg = parseInt(epsgMatch[1]);
+        const geopositions = {};
+        const geopositionPattern = /<Geoposition resolution="(\d+)">([\s\S]*?)<\/Geoposition>/g;
+        let match;
+        while ((match = geopositionPattern.exec(xml)) !== null) {
+            const readValue = tag => parseFloat((match[2].match(new RegExp(`<${tag}>\\s*(-?[\\d.]+)\\s*<`)) || [])[1]);
+            geopositions[match[1]] = {
+                ulx: readValue('ULX'),
+                uly: readValue('ULY'),
+                xdim: readValue('XDIM'),
+                ydim: readValue('YDIM')
+            };
+        }
+
+        return {
+            epsg,
+            projection: this.getProjectionDefinition(epsg),
+            geopositions
+        };
+    }
+
+    /**
+     * Build a proj4 definition for the WGS84 / UTM zones used by Sentinel-2 tiles
+     */
+    getProjectionDefinition(epsg) {
+        if (epsg >= 32601 && epsg <= 32660) {
+            return `+proj=utm +zone=${epsg - 32600} +datum=WGS84 +units=m +no_defs`;
+        }
+        if (epsg >= 32701 && epsg <= 32760) {
+            return `+proj=utm +zone=${epsg - 32700} +south +datum=WGS84 +units=m +no_defs`;
+        }
+
+        throw new Error(`Unsupported tile projection EPSG:${epsg}`);
+    }
+
+    /**
+     * Map each band to its raster file, preferring the finest available resolution
+     */
+    findBandFiles(granuleDir) {
+        const imageRoot = path.join(granuleDir, 'IMG_DATA');
+        if (!fs.existsSync(imageRoot)) {
+            throw new Error('Granule has no IMG_DATA directory');
+        }
+
+        const files = [];
+        const walk = dir => {
+            fs.readdirSync(dir).forEach(entry => {
+                const fullPath = path.join(dir, entry);
+                if (fs.statSync(fullPath).isDirectory()) {
+                    walk(fullPath);
+                } else {
+                    files.push(fullPath);
+                }
+            });
+        };
+        walk(imageRoot);
+
+        const nativeResolution = { B02: 10, B03: 10, B04: 10, B08: 10, B01: 60, B09: 60, B10: 60 };
+        const bandFiles = {};
+
+        files.forEach(filePath => {
+            const match = path.basename(filePath).match(BAND_FILE_PATTERN);
+            if (!match) return;
+
+            const band = match[1].toUpperCase();
+            const resolution = match[2] ? parseInt(match[2]) : (nativeResolution[band] || 20);
+
+            if (!bandFiles[band] || resolution < bandFiles[band].resolution) {
+                bandFiles[band] = { path: filePath, resolution };
+            }
+        });
+
+        return bandFiles;
+    }
+
+    /**
+     * Bands with a raster in a product; archives are listed without unpacking them
+     * @param {string} productPath - Zipped SAFE archive or extracted product directory
+     * @returns {Array} Band names, e.g. ['B02', 'B03', ..., 'SCL']
+     */
+    listProductBands(productPath) {
+        if (fs.statSync(productPath).isDirectory()) {
+            const granuleDir = this.findGranuleDirectory(this.resolveSafeDirectory(productPath));
+            return Object.keys(this.findBandFiles(granuleDir)).sort();
+        }
+
+        const bands = new Set();
+        new AdmZip(productPath).getEntries().forEach(entry => {
+            const match = path.basename(entry.entryName).match(BAND_FILE_PATTERN);
+            if (match && /IMG_DATA/.test(entry.entryName)) bands.add(match[1].toUpperCase());
+        });
+
+        return [...bands].sort();
+    }
+
+    /**
+     * Read raw digital numbers of a band raster at projected point locations
+     * @returns {Promise<Array>} Digital number per point, or null when outside the raster
+     */
+    async readBandValues(bandFile, geocoding, projectedPoints) {
+        const geoposition = geocoding.geopositions[bandFile.resolution];
+        if (!geoposition) {
+            throw new Error(`No geoposition for ${bandFile.resolution}m resolution in granule metadata`);
+        }
+
+        const pixels = projectedPoints.map(([x, y]) => ({
+            col: Math.floor((x - geoposition.ulx) / geoposition.xdim),
+            row: Math.floor((y - geoposition.uly) / geoposition.ydim)
+        }));
+
+        // JPEG 2000 is decoded at full precision in a worker thread; GeoTIFF bands are read by window
+        if (/\.jp2$/i.test(bandFile.path)) {
+            return Jp2Reader.readPixels(bandFile.path, pixels);
+        }
+
+        const raster = await this.readGeoTiffRaster(bandFile.path, pixels);
+        return pixels.map(({ col, row }) => raster.getValue(col, row));
+    }
+
+    /**
+     * Read the window of a GeoTIFF band covering the requested pixels
+     */
+    async readGeoTiffRaster(filePath, pixels) {
+        const tiff = await GeoTIFF.fromFile(filePath);
+        const image = await tiff.getImage();
+        const width = image.getWidth();
+        const height = image.getHeight();
+
+        const inside = pixels.filter(({ col, row }) => col >= 0 && row >= 0 && col < width && row < height);
+        if (inside.length === 0) {
+            return { getValue: () => null };
+        }
+
+        const left = Math.min(...inside.map(p => p.col));
+        const top = Math.min(...inside.map(p => p.row));
+        const right = Math.max(...inside.map(p => p.col)) + 1;
+        const bottom = Math.max(...inside.map(p => p.row)) + 1;
+
+        const [data] = await image.readRasters({ window: [left, top, right, bottom], samples: [0] });
+        const windowWidth = right - left;
+
+        return {
+            getValue: (col, row) => {
+                if (col < left || row < top || col >= right || row >= bottom) return null;
+                return data[(row - top) * windowWidth + (col - left)];
+            }
+        };
+    }
+
+    /**
+     * Convert a digital number to surface reflectance using the product scale and offset
+     */
+    toReflectance(digitalNumber, band, metadata) {
+        // 0 is the no-data value in Sentinel-2 products
+        if (digitalNumber === null || digitalNumber === undefined || digitalNumber === 0) {
+            return null;
+        }
+
+        const offset = metadata.offsets[band] || 0;
+        const reflectance = (digitalNumber + offset) / metadata.quantification;
+
+        return Math.max(0, Math.min(1, reflectance));
+    }
+}
+
+module.exports = new SafeProductService();
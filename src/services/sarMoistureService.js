@@ -0,0 +1,132 @@
+/**
+ * Soil moisture from Sentinel-1 C-band VV backscatter
+ *
+ * 1. Water cloud model: remove the vegetation contribution from the total backscatter, using NDVI
+ *    from the optical scene as the vegetation descriptor
+ * 2. Change detection: scale the soil backscatter between the driest and wettest values seen in
+ *    the reference stack (same orbit direction when enough scenes exist) to a 0-1 relative moisture
+ */
+
+// Water cloud model parameters for VV with NDVI as vegetation descriptor (linear power units)
+const WCM_A = 0.05;
+const WCM_B = 0.4;
+
+// Typical bare soil VV backscatter for dry and saturated soils, used when the stack is too short
+const DRY_SOIL_DB = -20;
+const WET_SOIL_DB = -6;
+
+// Minimum reference scenes and dynamic range for change detection
+const MIN_REFERENCE_SCENES = 4;
+const MIN_DYNAMIC_RANGE_DB = 1;
+
+class SarMoistureService {
+    constructor() {
+        this.enabled = process.env.SAR_MOISTURE_ENABLED !== 'false';
+
+        // Days of Sentinel-1 history searched for the dry/wet reference
+        this.referenceDays = parseInt(process.env.SAR_REFERENCE_DAYS) || 90;
+
+        // SAR scenes further than this from the optical scene are not used
+        this.maxGapDays = parseInt(process.env.SAR_MAX_GAP_DAYS) || 12;
+    }
+
+    /**
+     * Date range to search Sentinel-1 scenes in: the analysis range, extended back to cover the reference period
+     */
+    getSearchRange(dateRange) {
+        const end = new Date(dateRange.end);
+        const referenceStart = new Date(end.getTime() - this.referenceDays * 24 * 60 * 60 * 1000);
+        const start = new Date(dateRange.start) < referenceStart ? new Date(dateRange.start) : referenceStart;
+
+        return {
+            start: start.toISOString().split('T')[0],
+            end: dateRange.end
+        };
+    }
+
+    /**
+     * Estimate soil moisture at a date from a Sentinel-1 scene stack
+     * @param {Object} sarData - Result of sentinelService.getSentinel1Data
+     * @param {Object} options - { date (target acquisition date), ndvi }
+     * @returns {Object|null} Estimate with percentage (5-95, same scale as the optical estimate), reliability (0-1)
+     *   and the bandSource of the backscatter ('COG' for calibrated catalogue assets, 'mock'),
+     *   or null when no scene is close enough to the date
+     */
+    estimateMoisture(sarData, options = {}) {
+        const { date, ndvi = 0 } = options;
+        const scenes = (sarData?.scenes || []).filter(scene => scene.backscatter && isFinite(scene.backscatter.vv));
+        if (scenes.length === 0) return null;
+
+        const target = new Date(date).getTime();
+        const gapDays = scene => Math.abs(new Date(scene.date).getTime() - target) / (1000 * 60 * 60 * 24);
+        const current = scenes.reduce((nearest, scene) => gapDays(scene) < gapDays(nearest) ? scene : nearest);
+        if (gapDays(current) > this.maxGapDays) return null;
+
+        // Compare like with like: incidence geometry differs between orbit directions
+        const sameOrbit = scenes.filter(scene => scene.orbitDirection === current.orbitDirection);
+        const reference = sameOrbit.length >= MIN_REFERENCE_SCENES ? sameOrbit : scenes;
+
+        const vegetation = Math.max(0, Math.min(1, ndvi));
+        const soilBackscatter = scene => this.removeVegetation(scene.backscatter.vv, vegetation, scene.incidenceAngle);
+        const soil = soilBackscatter(current);
+        const referenceValues = reference.map(soilBackscatter);
+        const dry = Math.min(...referenceValues);
+        const wet = Math.max(...referenceValues);
+
+        const useChangeDetection = reference.length >= MIN_REFERENCE_SCENES && wet - dry >= MIN_DYNAMIC_RANGE_DB;
+        const relative = useChangeDetection
+            ? (soil - dry) / (wet - dry)
+            : (soil - DRY_SOIL_DB) / (WET_SOIL_DB - DRY_SOIL_DB);
+        const relativeMoisture = Math.max(0, Math.min(1, relative));
+
+        // Dense canopies attenuate the soil signal; short stacks and old scenes are less trustworthy
+        const reliability = Math.max(0.1,
+            (useChangeDetection ? 1 : 0.6) *
+            (1 - Math.max(0, vegetation - 0.5)) *
+            (1 - gapDays(current) / (this.maxGapDays * 2))
+        );
+
+        return {
+            percentage: Math.round((5 + relativeMoisture * 90) * 100) / 100,
+            relativeMoisture: Math.round(relativeMoisture * 1000) / 1000,
+            method: useChangeDetection ? 'change-detection' : 'absolute-backscatter',
+            reliability: Math.round(reliability * 100) / 100,
+            bandSource: current.bandSource || null,
+            scene: {
+                id: current.id,
+                date: current.date,
+                orbitDirection: current.orbitDirection,
+                incidenceAngle: current.incidenceAngle !== undefined ? Math.round(current.incidenceAngle * 10) / 10 : null,
+                gapDays: Math.round(gapDays(current) * 10) / 10
+            },
+            backscatter: {
+                vv: current.backscatter.vv,
+                vh: current.backscatter.vh,
+                crossRatio: typeof current.backscatter.vh === 'number'
+                    ? Math.round((current.backscatter.vh - current.backscatter.vv) * 100) / 100
+                    : null,
+                soilVv: Math.round(soil * 100) / 100
+            },
+            reference: useChangeDetection
+                ? { scenes: reference.length, dryVv: Math.round(dry * 100) / 100, wetVv: Math.round(wet * 100) / 100 }
+                : { scenes: reference.length, dryVv: DRY_SOIL_DB, wetVv: WET_SOIL_DB }
+        };
+    }
+
+    /**
+     * Water cloud model: soil backscatter (dB) from total VV backscatter (dB)
+     * sigma0 = A * V * cos(theta) * (1 - tau²) + tau² * sigma0_soil, tau² = exp(-2 * B * V / cos(theta))
+     */
+    removeVegetation(vvDb, vegetation, incidenceAngle = 37) {
+        const cosTheta = Math.cos(incidenceAngle * Math.PI / 180);
+        const tau2 = Math.exp(-2 * WCM_B * vegetation / cosTheta);
+        const total = Math.pow(10, vvDb / 10);
+        const vegetationContribution = WCM_A * vegetation * cosTheta * (1 - tau2);
+
+        // Keep a floor so very dense canopies do not produce log(<= 0)
+        const soil = Math.max((total - vegetationContribution) / tau2, 1e-4);
+        return 10 * Math.log10(soil);
+    }
+}
+
+module.exports = new SarMoistureService();
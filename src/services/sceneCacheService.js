@@ -0,0 +1,287 @@
+const fs = require('fs');
+const path = require('path');
+const turf = require('@turf/turf');
+const JsonFileStore = require('../utils/jsonFileStore');
+const safeProductService = require('./safeProductService');
+
+/**
+ * Local cache of downloaded Sentinel-2 products
+ * Products live in the products directory; the index records what each one covers so scene
+ * searches can be answered locally, and least recently used products are evicted beyond a size limit
+ */
+class SceneCacheService {
+    constructor() {
+        this.enabled = process.env.SCENE_CACHE_ENABLED !== 'false';
+        this.directory = safeProductService.productsDir;
+        this.store = new JsonFileStore(
+            process.env.SCENE_CACHE_INDEX_PATH || path.join(__dirname, '../../data/scene-cache.json'),
+            'scenes'
+        );
+
+        // Total size of cached products (archives plus unpacked directories) before eviction starts
+        this.maxSizeBytes = (parseFloat(process.env.SCENE_CACHE_MAX_SIZE_GB) || 20) * 1024 * 1024 * 1024;
+
+        // Answer scene searches from the cache only, without querying the catalogue
+        this.offline = process.env.SCENE_CACHE_OFFLINE === 'true';
+
+        this.checked = false;
+    }
+
+    /**
+     * Index entries, dropping those whose product was removed from disk since the last run
+     */
+    getEntries() {
+        const entries = this.store.load();
+
+        if (!this.checked) {
+            this.checked = true;
+            const missing = entries.filter(entry => !fs.existsSync(entry.path));
+            if (missing.length > 0) {
+                console.warn(`⚠️ ${missing.length} cached scenes are missing on disk, removing them from the index`);
+                missing.forEach(entry => entries.splice(entries.indexOf(entry), 1));
+                // Callers read the index synchronously; the next save retries a failed write
+                this.store.save().catch(error => console.warn('⚠️ Could not update the scene cache index:', error.message));
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Whether a product is cached
+     */
+    has(id) {
+        return this.enabled && this.getEntries().some(entry => entry.id === id);
+    }
+
+    /**
+     * Record a downloaded product, then evict other products if the cache grew beyond its limit
+     * @param {Object} item - Catalogue item of the product (see ./providers)
+     * @param {string} productPath - Archive or extracted product directory
+     * @returns {Promise<Object>} Index entry
+     */
+    async add(item, productPath) {
+        const entries = this.getEntries();
+        const now = new Date().toISOString();
+
+        let bands = [];
+        try {
+            bands = safeProductService.listProductBands(productPath);
+        } catch (error) {
+            console.warn(`⚠️ Could not list the bands of ${item.id}:`, error.message);
+        }
+
+        const entry = {
+            id: item.id,
+            collection: item.collection,
+            provider: item.provider,
+            datetime: item.datetime,
+            cloudCover: item.cloudCover,
+            footprint: item.geometry,
+            bbox: item.geometry ? turf.bbox(item.geometry) : null,
+            bands,
+            path: productPath,
+            size: this.getSize(productPath),
+            properties: item.properties,
+            cachedAt: now,
+            lastAccessed: now
+        };
+
+        const existing = entries.findIndex(candidate => candidate.id === item.id);
+        if (existing >= 0) {
+            entries.splice(existing, 1, { ...entry, cachedAt: entries[existing].cachedAt });
+        } else {
+            entries.push(entry);
+        }
+
+        console.log(`🗄️ Cached scene ${item.id} (${bands.length} bands, ${(entry.size / 1024 / 1024).toFixed(1)} MB)`);
+
+        await this.evict(item.id);
+        return entry;
+    }
+
+    /**
+     * Get a cached product and mark it as used
+     * @returns {Promise<Object|null>} Index entry, or null when the product is not cached
+     */
+    async get(id) {
+        if (!this.enabled) return null;
+
+        const entry = this.getEntries().find(candidate => candidate.id === id);
+        if (!entry) return null;
+
+        await this.touch(entry);
+        return entry;
+    }
+
+    /**
+     * Mark a product as used; its size is measured again since products are unpacked on first use
+     */
+    async touch(entry) {
+        entry.lastAccessed = new Date().toISOString();
+        entry.size = this.getSize(entry.path);
+        await this.evict(entry.id);
+    }
+
+    /**
+     * Search cached products like a catalogue: intersecting the geometry's bounding box, within the dates
+     * @param {Object} query - { geometry, dateRange: { start, end }, maxCloudCover, limit }
+     * @returns {Array} Catalogue items (see ./providers), newest first, flagged `cached`
+     */
+    search(query) {
+        if (!this.enabled) return [];
+
+        const { geometry, dateRange, maxCloudCover, limit = 10 } = query;
+        const [minX, minY, maxX, maxY] = turf.bbox(geometry);
+        const start = new Date(`${dateRange.start}T00:00:00Z`);
+        const end = new Date(`${dateRange.end}T23:59:59Z`);
+
+        return this.getEntries()
+            .filter(entry => {
+                const datetime = new Date(entry.datetime);
+                return entry.bbox &&
+                    entry.bbox[0] <= maxX && entry.bbox[2] >= minX && entry.bbox[1] <= maxY && entry.bbox[3] >= minY &&
+                    datetime >= start && datetime <= end &&
+                    (maxCloudCover === undefined || entry.cloudCover <= maxCloudCover);
+            })
+            .sort((a, b) => new Date(b.datetime) - new Date(a.datetime))
+            .slice(0, limit)
+            .map(entry => this.toItem(entry));
+    }
+
+    /**
+     * Catalogue item for a cached product; the product asset points to the local copy
+     */
+    toItem(entry) {
+        return {
+            id: entry.id,
+            collection: entry.collection,
+            datetime: entry.datetime,
+            cloudCover: entry.cloudCover,
+            geometry: entry.footprint,
+            properties: entry.properties || {},
+            assets: {
+                product: { href: entry.path, 'file:size': entry.size, roles: ['data'] }
+            },
+            provider: entry.provider,
+            cached: true
+        };
+    }
+
+    /**
+     * Remove least recently used products until the cache fits its size limit
+     * @param {string} [keepId] - Product that must stay (the one just added or used)
+     * @returns {Promise<Array>} Removed entries
+     */
+    async evict(keepId) {
+        const entries = this.getEntries();
+        let totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+        const candidates = entries
+            .filter(entry => entry.id !== keepId)
+            .sort((a, b) => new Date(a.lastAccessed) - new Date(b.lastAccessed));
+
+        const removed = [];
+        for (const entry of candidates) {
+            if (totalSize <= this.maxSizeBytes) break;
+
+            this.deleteFiles(entry);
+            entries.splice(entries.indexOf(entry), 1);
+            totalSize -= entry.size;
+            removed.push(entry);
+        }
+
+        if (removed.length > 0) {
+            console.log(`🧹 Evicted ${removed.length} cached scenes to stay within ${this.formatSize(this.maxSizeBytes)}`);
+        }
+
+        await this.store.save();
+        return removed;
+    }
+
+    /**
+     * Remove a cached product and its files
+     * @returns {Promise<Object|null>} Removed entry, or null when the product is not cached
+     */
+    async remove(id) {
+        const entries = this.getEntries();
+        const entry = entries.find(candidate => candidate.id === id);
+        if (!entry) return null;
+
+        this.deleteFiles(entry);
+        entries.splice(entries.indexOf(entry), 1);
+        await this.store.save();
+
+        return entry;
+    }
+
+    /**
+     * Remove all cached products
+     * @returns {Promise<Object>} { removed, freedBytes }
+     */
+    async clear() {
+        const entries = this.getEntries();
+        const freedBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+        const removed = entries.length;
+
+        entries.forEach(entry => this.deleteFiles(entry));
+        entries.splice(0, entries.length);
+        await this.store.save();
+
+        console.log(`🧹 Cleared scene cache (${removed} scenes, ${this.formatSize(freedBytes)})`);
+        return { removed, freedBytes };
+    }
+
+    /**
+     * Cache settings, usage and the cached products (without their catalogue properties)
+     */
+    getStats() {
+        const entries = this.getEntries();
+        const totalSizeBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+        return {
+            enabled: this.enabled,
+            offline: this.offline,
+            directory: this.directory,
+            maxSizeBytes: this.maxSizeBytes,
+            totalSizeBytes,
+            usage: this.maxSizeBytes > 0 ? Math.round(totalSizeBytes / this.maxSizeBytes * 1000) / 1000 : null,
+            count: entries.length,
+            scenes: entries
+                .slice()
+                .sort((a, b) => new Date(b.lastAccessed) - new Date(a.lastAccessed))
+                .map(({ properties, footprint, ...entry }) => entry)
+        };
+    }
+
+    /**
+     * Disk size of a product: the archive and the directory it was unpacked to
+     */
+    getSize(productPath) {
+        const unpackedPath = productPath.replace(/\.zip$/i, '');
+        const paths = unpackedPath === productPath ? [productPath] : [productPath, unpackedPath];
+
+        const sizeOf = target => {
+            if (!fs.existsSync(target)) return 0;
+            const stat = fs.statSync(target);
+            if (!stat.isDirectory()) return stat.size;
+            return fs.readdirSync(target).reduce((sum, entry) => sum + sizeOf(path.join(target, entry)), 0);
+        };
+
+        return paths.reduce((sum, target) => sum + sizeOf(target), 0);
+    }
+
+    /**
+     * Delete a product's archive and unpacked directory
+     */
+    deleteFiles(entry) {
+        const unpackedPath = entry.path.replace(/\.zip$/i, '');
+        [entry.path, unpackedPath].forEach(target => fs.rmSync(target, { recursive: true, force: true }));
+    }
+
+    formatSize(bytes) {
+        return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+    }
+}
+
+module.exports = new SceneCacheService();
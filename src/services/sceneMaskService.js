@@ -0,0 +1,118 @@
+const AnalysisUtils = require('../utils/analysisUtils');
+
+// Sentinel-2 Level-2A Scene Classification Layer (SCL) classes
+const SCL_CLASSES = {
+    0: 'no_data',
+    1: 'saturated_defective',
+    2: 'dark_area',
+    3: 'cloud_shadow',
+    4: 'vegetation',
+    5: 'bare_soil',
+    6: 'water',
+    7: 'unclassified',
+    8: 'cloud_medium_probability',
+    9: 'cloud_high_probability',
+    10: 'thin_cirrus',
+    11: 'snow_ice'
+};
+
+class SceneMaskService {
+    constructor() {
+        // Land pixels usable for soil and vegetation analysis; everything else
+        // (no data, saturated, cloud shadow, water, clouds, cirrus, snow) is masked out
+        this.validClasses = (process.env.SCL_VALID_CLASSES || '2,4,5,7')
+            .split(',')
+            .map(value => parseInt(value))
+            .filter(value => !isNaN(value));
+    }
+
+    /**
+     * Apply SCL masking to every scene, dropping scenes without any valid pixel
+     * When every scene is fully masked they are all kept (unmasked bands, zero valid fraction)
+     * so the analysis still runs, with confidence reduced accordingly
+     * @param {Array} scenes - Scenes from sentinelService.getSentinelData
+     * @returns {Array} Masked scenes
+     */
+    maskScenes(scenes) {
+        const masked = scenes.map(scene => this.applyMask(scene));
+        const usable = masked.filter(scene => !scene.mask.applied || scene.mask.validPixels > 0);
+
+        if (usable.length === 0 && masked.length > 0) {
+            console.warn('⚠️ No clear pixels in any scene after SCL masking, using unmasked values');
+            return masked;
+        }
+
+        if (usable.length < masked.length) {
+            console.log(`☁️ Excluded ${masked.length - usable.length} scene(s) with no clear pixels after SCL masking`);
+        }
+
+        return usable;
+    }
+
+    /**
+     * Mark masked pixels of a scene and recompute its band values from valid pixels only
+     * Samples are flagged (not removed) so the sample grid stays aligned across scenes
+     */
+    applyMask(scene) {
+        const pixels = scene.samples || (scene.scl !== undefined ? [{ scl: scene.scl, bands: scene.bands }] : []);
+        const hasScl = pixels.length > 0 && pixels.every(pixel => pixel.scl !== undefined && pixel.scl !== null);
+
+        if (!hasScl) {
+            return {
+                ...scene,
+                mask: {
+                    applied: false,
+                    reason: 'No Scene Classification Layer (Level-1C or synthetic data)',
+                    validPixelFraction: null
+                }
+            };
+        }
+
+        const excludedPixels = {};
+        const markedPixels = pixels.map(pixel => {
+            const valid = this.isValidClass(pixel.scl);
+            if (!valid) {
+                const className = SCL_CLASSES[pixel.scl] || `class_${pixel.scl}`;
+                excludedPixels[className] = (excludedPixels[className] || 0) + 1;
+            }
+            return { ...pixel, valid };
+        });
+
+        const validPixels = markedPixels.filter(pixel => pixel.valid);
+        const maskedScene = {
+            ...scene,
+            mask: {
+                applied: true,
+                validPixels: validPixels.length,
+                totalPixels: markedPixels.length,
+                validPixelFraction: Math.round(validPixels.length / markedPixels.length * 1000) / 1000,
+                excludedPixels
+            }
+        };
+
+        if (validPixels.length > 0) {
+            maskedScene.bands = AnalysisUtils.averageBands(validPixels);
+        }
+        if (scene.samples) {
+            maskedScene.samples = markedPixels;
+        }
+
+        return maskedScene;
+    }
+
+    /**
+     * Check whether an SCL class is usable for analysis
+     */
+    isValidClass(sclClass) {
+        return this.validClasses.includes(sclClass);
+    }
+
+    /**
+     * Get the name of an SCL class
+     */
+    getClassName(sclClass) {
+        return SCL_CLASSES[sclClass] || 'unknown';
+    }
+}
+
+module.exports = new SceneMaskService();
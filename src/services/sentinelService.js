@@ -1,136 +1,133 @@
-const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
 const moment = require('moment');
+const safeProductService = require('./safeProductService');
+const mockDataProvider = require('./mockDataProvider');
+const sceneCacheService = require('./sceneCacheService');
+const downloadService = require('./downloadService');
+const { createProvider } = require('./providers');
+const AnalysisUtils = require('../utils/analysisUtils');
+const CogReader = require('../utils/cogReader');
+
+// Sentinel-2 band assets of STAC items: Planetary Computer uses band names, Earth Search common names
+const BAND_ASSETS = {
+    B02: ['B02', 'blue'],
+    B03: ['B03', 'green'],
+    B04: ['B04', 'red'],
+    B05: ['B05', 'rededge1'],
+    B06: ['B06', 'rededge2'],
+    B07: ['B07', 'rededge3'],
+    B08: ['B08', 'nir'],
+    B8A: ['B8A', 'nir08'],
+    B09: ['B09', 'nir09'],
+    B11: ['B11', 'swir16'],
+    B12: ['B12', 'swir22']
+};
+const SCL_ASSETS = ['SCL', 'scl'];
+
+// Backscatter assets of radiometrically terrain corrected Sentinel-1 items (e.g. Planetary Computer
+// sentinel-1-rtc): Cloud Optimized GeoTIFFs of gamma0 in linear power units
+const BACKSCATTER_ASSETS = {
+    vv: ['vv', 'VV'],
+    vh: ['vh', 'VH']
+};
+
+// Pixel spacing (m) and size of the window averaged around a point to reduce speckle
+const SPECKLE_WINDOW_SPACING = 10;
+const SPECKLE_WINDOW_SIZE = 3;
 
 class SentinelService {
     constructor() {
-        // Copernicus Data Space Ecosystem API endpoints
-        this.baseUrl = process.env.SENTINEL_API_BASE_URL || 'https://catalogue.dataspace.copernicus.eu/odata/v1';
-        this.downloadBaseUrl = process.env.SENTINEL_DOWNLOAD_BASE_URL || 'https://zipper.dataspace.copernicus.eu/odata/v1';
-        this.searchUrl = `${this.baseUrl}/Products`;
-        
-        // Authentication credentials
-        this.credentials = {
-            username: process.env.COPERNICUS_USERNAME,
-            password: process.env.COPERNICUS_PASSWORD
-        };
-        
+        // Scene catalogue (CATALOGUE_PROVIDER): Copernicus Data Space OData, a STAC API or a local STAC catalogue
+        this.provider = createProvider();
+
         // Configuration
         this.useMockData = process.env.USE_MOCK_DATA === 'true';
         this.defaultMaxCloudCover = parseInt(process.env.DEFAULT_MAX_CLOUD_COVER) || 20;
-        this.apiTimeout = parseInt(process.env.API_TIMEOUT) || 30000;
-        
-        // Authentication token cache
-        this.authToken = null;
-        this.tokenExpiry = null;
-        
-        console.log(`🛰️ Sentinel Service initialized - Mock Data: ${this.useMockData}`);
-        if (!this.useMockData && (!this.credentials.username || !this.credentials.password)) {
-            console.warn('⚠️ Real data enabled but credentials missing - will fallback to mock data');
+        this.extractBands = process.env.SENTINEL_EXTRACT_BANDS === 'true';
+        this.productsDir = safeProductService.productsDir;
+        this.mockDataProvider = mockDataProvider;
+
+        console.log(`🛰️ Sentinel Service initialized - Mock Data: ${this.useMockData}, Catalogue: ${this.provider.name}`);
+        if (!this.useMockData && !this.provider.isConfigured()) {
+            console.warn(`⚠️ Real data enabled but the ${this.provider.name} catalogue is not configured - will fallback to mock data`);
         }
     }
 
     /**
-     * Authenticate with Copernicus Data Space Ecosystem
+     * Replace the scene catalogue provider (see ./providers)
      */
-    async authenticate() {
-        if (this.authToken && this.tokenExpiry && new Date() < this.tokenExpiry) {
-            return this.authToken;
-        }
-
-        try {
-            console.log('🔐 Authenticating with Copernicus Data Space...');
-            
-            const response = await axios.post('https://identity.dataspace.copernicus.eu/auth/realms/CDSE/protocol/openid-connect/token', 
-                new URLSearchParams({
-                    grant_type: 'password',
-                    username: this.credentials.username,
-                    password: this.credentials.password,
-                    client_id: 'cdse-public'
-                }),
-                {
-                    headers: {
-                        'Content-Type': 'application/x-www-form-urlencoded'
-                    },
-                    timeout: this.apiTimeout
-                }
-            );
-
-            this.authToken = response.data.access_token;
-            this.tokenExpiry = new Date(Date.now() + (response.data.expires_in * 1000));
-            
-            console.log('✅ Authentication successful');
-            return this.authToken;
-            
-        } catch (error) {
-            console.error('❌ Authentication failed:', error.message);
-            if (error.response) {
-                console.error('Response status:', error.response.status);
-                console.error('Response data:', error.response.data);
-            }
-            throw new Error('Failed to authenticate with Copernicus Data Space');
-        }
+    setProvider(provider) {
+        this.provider = provider;
     }
 
     /**
      * Get Sentinel-2 satellite data for a given location and date range
      */
     async getSentinelData(location, dateRange, options = {}) {
+        let cached = [];
+
         try {
             const { lat, lon } = location;
             const { start, end } = dateRange;
-            const { maxCloudCover = this.defaultMaxCloudCover, includeMetadata = false } = options;
+            const {
+                maxCloudCover = this.defaultMaxCloudCover,
+                includeMetadata = false,
+                geometry = null,
+                samplePoints = [],
+                maxScenes = 10
+            } = options;
 
             console.log(`🔍 Searching Sentinel data for location: ${lat}, ${lon}`);
             console.log(`📅 Date range: ${start} to ${end}`);
 
-            if (this.useMockData || !this.credentials.username || !this.credentials.password) {
-                console.log('📝 Using mock data (configured or missing credentials)');
+            if (this.useMockData) {
+                console.log('📝 Using mock data (configured)');
                 return this.generateMockSentinelData(location, dateRange, options);
             }
 
-            // Authenticate before making API calls
-            await this.authenticate();
-
-            // Create bounding box around the location (approximately 1km radius)
-            const bbox = this.createBoundingBox(lat, lon, 0.01);
-            
-            // Build OData query for Sentinel-2 data
-            const searchParams = {
-                '$filter': [
-                    `Collection/Name eq 'SENTINEL-2'`,
-                    `OData.CSC.Intersects(area=geography'SRID=4326;POLYGON((${bbox.join(' ')}))')`,
-                    `ContentDate/Start ge ${start}T00:00:00.000Z`,
-                    `ContentDate/Start le ${end}T23:59:59.999Z`,
-                    `Attributes/OData.CSC.DoubleAttribute/any(att:att/Name eq 'cloudCover' and att/OData.CSC.DoubleAttribute/Value le ${maxCloudCover})`
-                ].join(' and '),
-                '$orderby': 'ContentDate/Start desc',
-                '$top': 10,
-                '$expand': includeMetadata ? 'Attributes' : ''
+            // Use the field boundary when given, otherwise a bounding box around the location (approximately 1km radius)
+            const query = {
+                collection: 'sentinel-2',
+                geometry: geometry || this.createBoundingBox(lat, lon, 0.01),
+                dateRange,
+                maxCloudCover,
+                limit: maxScenes
             };
 
-            console.log('🌐 Making API request to Copernicus Data Space...');
-            
-            const response = await axios.get(this.searchUrl, {
-                params: searchParams,
-                headers: {
-                    'Authorization': `Bearer ${this.authToken}`
-                },
-                timeout: this.apiTimeout
-            });
+            // Downloaded products are searched first; the catalogue is only asked when they are not enough
+            cached = sceneCacheService.search(query);
+            const catalogueAvailable = this.provider.isConfigured() && !sceneCacheService.offline;
+
+            if (cached.length >= maxScenes || (cached.length > 0 && !catalogueAvailable)) {
+                console.log(`🗄️ Using ${cached.length} cached Sentinel-2 scenes`);
+                return this.processSentinelResponse(cached, location, dateRange, includeMetadata, samplePoints);
+            }
+
+            if (!catalogueAvailable) {
+                console.log('📝 Using mock data (catalogue not configured or offline, no cached scenes)');
+                return this.generateMockSentinelData(location, dateRange, options);
+            }
 
-            console.log(`✅ Found ${response.data.value?.length || 0} Sentinel-2 scenes`);
-            
-            return this.processSentinelResponse(response.data, location, dateRange, includeMetadata);
+            const found = await this.provider.search(query);
+            console.log(`✅ Found ${found.length} Sentinel-2 scenes`);
+
+            // Cached copies replace their catalogue entries, so products are not downloaded again
+            const cachedIds = new Set(cached.map(item => item.id));
+            const items = [...cached, ...found.filter(item => !cachedIds.has(item.id))]
+                .sort((a, b) => new Date(b.datetime) - new Date(a.datetime))
+                .slice(0, maxScenes);
+
+            return this.processSentinelResponse(items, location, dateRange, includeMetadata, samplePoints);
 
         } catch (error) {
             console.error('❌ Error fetching Sentinel data:', error.message);
-            
-            if (error.response?.status === 401) {
-                console.log('🔄 Authentication expired, retrying...');
-                this.authToken = null;
-                return this.getSentinelData(location, dateRange, options);
+
+            if (cached.length > 0) {
+                console.log(`🔄 Falling back to ${cached.length} cached scenes...`);
+                return this.processSentinelResponse(cached, location, dateRange, options.includeMetadata, options.samplePoints);
             }
-            
+
             // Fallback to mock data on error
             console.log('🔄 Falling back to mock data...');
             return this.generateMockSentinelData(location, dateRange, options);
@@ -138,12 +135,163 @@ class SentinelService {
     }
 
     /**
-     * Process the response from Copernicus Data Space API
+     * Get Sentinel-1 (IW, dual polarisation VV/VH) scenes with measured backscatter for a location and date range
+     * Radar sees through clouds, so these scenes back up the optical moisture estimate. Backscatter is read from
+     * calibrated (RTC) COG assets when band extraction is enabled; uncalibrated GRD products carry no usable
+     * sigma0, so SAR is then reported as unavailable rather than estimated
+     * @param {Object} [options] - { geometry, seed, maxScenes, items (catalogue items of an earlier searchSentinel1, read instead of searching) }
+     * @returns {Promise<Object>} { scenes: [{ id, date, orbitDirection, relativeOrbit, backscatter: { vv, vh } (dB), bandSource }],
+     *   catalogueScenes, unavailable (reason, when no scene has backscatter), ... }
      */
-    async processSentinelResponse(data, location, dateRange, includeMetadata = false) {
+    async getSentinel1Data(location, dateRange, options = {}) {
+        try {
+            const { lat, lon } = location;
+            const { geometry = null, maxScenes = 20 } = options;
+
+            console.log(`📡 Searching Sentinel-1 data for location: ${lat}, ${lon}`);
+
+            if (this.useMockData || !this.provider.isConfigured()) {
+                return this.mockDataProvider.generateSentinel1Data(location, dateRange, options);
+            }
+
+            const items = options.items || await this.searchSentinel1(location, dateRange, { geometry, maxScenes });
+
+            const calibrated = items.filter(item => this.hasCalibratedBackscatter(item));
+            const scenes = [];
+
+            if (this.extractBands) {
+                for (const item of calibrated) {
+                    try {
+                        const backscatter = await this.readBackscatter(item, location);
+                        if (!backscatter) continue;
+
+                        scenes.push({
+                            id: item.id,
+                            name: item.properties.title || item.id,
+                            date: item.datetime,
+                            orbitDirection: item.properties['sat:orbit_state'] ? item.properties['sat:orbit_state'].toUpperCase() : null,
+                            relativeOrbit: item.properties['sat:relative_orbit'] ?? null,
+                            polarisations: ['VV', 'VH'],
+                            backscatter,
+                            bandSource: 'COG'
+                        });
+                    } catch (error) {
+                        console.warn(`⚠️ Backscatter extraction failed for ${item.id}:`, error.message);
+                    }
+                }
+            }
+
+            let unavailable = null;
+            if (scenes.length === 0) {
+                if (items.length === 0) unavailable = 'No Sentinel-1 scenes in the date range';
+                else if (!this.extractBands) unavailable = 'Backscatter extraction is disabled (SENTINEL_EXTRACT_BANDS=false)';
+                else if (calibrated.length === 0) unavailable = 'Catalogue items have no calibrated (RTC) backscatter assets';
+                else unavailable = 'No valid backscatter at the location';
+
+                console.log(`📡 Sentinel-1 backscatter unavailable: ${unavailable}`);
+            }
+
+            return {
+                location,
+                dateRange,
+                scenes,
+                totalScenes: scenes.length,
+                catalogueScenes: items.length,
+                unavailable,
+                lastUpdate: new Date().toISOString(),
+                dataSource: this.provider.dataSource
+            };
+
+        } catch (error) {
+            console.error('❌ Error fetching Sentinel-1 data:', error.message);
+
+            console.log('🔄 Falling back to mock Sentinel-1 data...');
+            return this.mockDataProvider.generateSentinel1Data(location, dateRange, options);
+        }
+    }
+
+    /**
+     * Search the catalogue for Sentinel-1 IW dual polarisation (VV/VH) scenes
+     * Batch analyses search once for a group of points and pass the items to getSentinel1Data for each point
+     * @param {Object} [options] - { geometry (defaults to a small box around the location), maxScenes }
+     * @returns {Promise<Array>} Catalogue items, newest first
+     */
+    async searchSentinel1(location, dateRange, { geometry = null, maxScenes = 20 } = {}) {
+        const items = await this.provider.search({
+            collection: 'sentinel-1',
+            geometry: geometry || this.createBoundingBox(location.lat, location.lon, 0.01),
+            dateRange,
+            instrumentMode: 'IW',
+            polarizations: ['VV', 'VH'],
+            limit: maxScenes
+        });
+
+        console.log(`✅ Found ${items.length} Sentinel-1 scenes`);
+        return items;
+    }
+
+    /**
+     * Whether a Sentinel-1 item carries radiometrically terrain corrected backscatter assets
+     */
+    hasCalibratedBackscatter(item) {
+        const calibrated = item.properties['sar:product_type'] === 'RTC' || /rtc/i.test(item.collection || '');
+        return calibrated && BACKSCATTER_ASSETS.vv.some(key => item.assets[key]);
+    }
+
+    /**
+     * Read VV/VH backscatter (dB) around a point from an item's calibrated COG assets
+     * Values are averaged in linear power over a small pixel window to reduce speckle
+     * @returns {Promise<Object|null>} { vv, vh } in dB (vh null when the item has no VH asset), or null without valid VV pixels
+     */
+    async readBackscatter(item, location) {
+        const points = this.createSpeckleWindow(location);
+
+        const read = async polarisation => {
+            const key = BACKSCATTER_ASSETS[polarisation].find(candidate => item.assets[candidate]);
+            if (!key) return null;
+
+            const asset = await this.provider.getAsset(item, key);
+            const values = (await CogReader.sample(asset.href, points, { headers: asset.headers }))
+                // 0 and negative values are no data
+                .filter(value => typeof value === 'number' && isFinite(value) && value > 0);
+            if (values.length === 0) return null;
+
+            const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+            return Math.round(10 * Math.log10(mean) * 100) / 100;
+        };
+
+        const [vv, vh] = await Promise.all([read('vv'), read('vh')]);
+        return vv === null ? null : { vv, vh };
+    }
+
+    /**
+     * Points of a SPECKLE_WINDOW_SIZE x SPECKLE_WINDOW_SIZE pixel window centred on a location
+     */
+    createSpeckleWindow({ lat, lon }) {
+        const latStep = SPECKLE_WINDOW_SPACING / 111320;
+        const lonStep = latStep / Math.cos(lat * Math.PI / 180);
+        const half = (SPECKLE_WINDOW_SIZE - 1) / 2;
+        const points = [];
+
+        for (let row = -half; row <= half; row++) {
+            for (let col = -half; col <= half; col++) {
+                points.push({ lat: lat + row * latStep, lon: lon + col * lonStep });
+            }
+        }
+
+        return points;
+    }
+
+    /**
+     * Turn catalogue items into scenes with band values
+     */
+    async processSentinelResponse(items, location, dateRange, includeMetadata = false, samplePoints = []) {
         const scenes = [];
+        const dataSource = items.length > 0 && items.every(item => item.cached)
+            ? 'Local scene cache'
+            : this.provider.dataSource;
         
-        if (!data.value || data.value.length === 0) {
+        if (items.length === 0) {
             console.log('⚠️ No Sentinel-2 data found for the specified criteria');
             return {
                 location,
@@ -152,28 +300,43 @@ class SentinelService {
                 totalScenes: 0,
                 averageCloudCover: 0,
                 lastUpdate: new Date().toISOString(),
-                dataSource: 'Copernicus Data Space Ecosystem',
+                dataSource,
                 message: 'No data available for the specified location and date range'
             };
         }
 
-        for (const product of data.value) {
+        for (const item of items) {
             try {
                 const scene = {
-                    id: product.Id,
-                    name: product.Name,
-                    date: product.ContentDate.Start,
-                    cloudCover: this.extractCloudCover(product.Attributes),
-                    size: product.ContentLength,
-                    geometry: product.Footprint,
-                    downloadUrl: `${this.downloadBaseUrl}/Products(${product.Id})/$value`,
-                    bands: await this.extractBandData(product),
-                    metadata: includeMetadata ? this.extractMetadata(product) : undefined
+                    id: item.id,
+                    name: item.properties.title || item.id,
+                    date: item.datetime,
+                    cloudCover: item.cloudCover,
+                    size: item.assets.product?.['file:size'],
+                    geometry: item.geometry,
+                    downloadUrl: item.cached ? undefined : item.assets.product?.href,
+                    cached: Boolean(item.cached),
+                    metadata: includeMetadata ? this.extractMetadata(item) : undefined
                 };
+
+                // Sample the field grid when given, otherwise just the requested location
+                const points = samplePoints.length > 0 ? samplePoints : [location];
+                const { samples, source, download } = await this.extractSceneBands(item, points);
+
+                scene.bandSource = source;
+                if (download) {
+                    scene.download = { id: download.id, status: download.status };
+                }
+                scene.bands = AnalysisUtils.averageBands(samples);
+                if (samplePoints.length > 0) {
+                    scene.samples = samples;
+                } else if (samples[0]?.scl !== undefined) {
+                    scene.scl = samples[0].scl;
+                }
                 
                 scenes.push(scene);
             } catch (error) {
-                console.warn(`⚠️ Error processing scene ${product.Id}:`, error.message);
+                console.warn(`⚠️ Error processing scene ${item.id}:`, error.message);
             }
         }
 
@@ -188,204 +351,213 @@ class SentinelService {
             totalScenes: scenes.length,
             averageCloudCover: Math.round(avgCloudCover * 100) / 100,
             lastUpdate: new Date().toISOString(),
-            dataSource: 'Copernicus Data Space Ecosystem'
+            dataSource
         };
     }
 
     /**
-     * Extract cloud cover percentage from product attributes
+     * Extract per-point band reflectances for an item
+     * Cached products are always sampled. Otherwise, when band extraction is enabled, samples the SAFE product
+     * (OData catalogue) once it is on disk or reads the per-band Cloud Optimized GeoTIFFs (STAC catalogues).
+     * Without extraction, while the product is still downloading, or if extraction fails, falls back to synthetic values
+     * @returns {Promise<Object>} { samples, source, download (the queued download job, when the product is not local yet) }
      */
-    extractCloudCover(attributes) {
-        if (!attributes || !attributes.value) return 0;
-        
-        const cloudCoverAttr = attributes.value.find(attr => 
-            attr.Name === 'cloudCover' && attr['@odata.type'] === '#OData.CSC.DoubleAttribute'
-        );
-        
-        return cloudCoverAttr ? cloudCoverAttr.Value : 0;
+    async extractSceneBands(item, points) {
+        const isCached = item.cached || sceneCacheService.has(item.id);
+        let download = null;
+
+        if (this.extractBands || isCached) {
+            try {
+                const product = item.assets.product ? await this.getLocalProduct(item) : null;
+
+                if (product && !product.path) {
+                    download = product.download;
+                    console.log(`📥 Product ${item.id} is downloading (job ${download.id}), using synthetic values until it is cached`);
+                } else {
+                    const source = product ? 'SAFE' : 'COG';
+                    const result = product
+                        ? await safeProductService.sampleProduct(product.path, points)
+                        : await this.sampleCogBands(item, points);
+
+                    if (result.samples.length > 0) {
+                        console.log(`🧪 Sampled ${result.samples.length} pixels from ${result.processingLevel} ${source} product ${item.properties.title || item.id}`);
+                        return { samples: result.samples, source };
+                    }
+
+                    console.warn(`⚠️ No valid pixels in product ${item.id} for the requested area`);
+                }
+            } catch (error) {
+                console.warn(`⚠️ Band extraction failed for ${item.id}, using synthetic values:`, error.message);
+            }
+        }
+
+        const samples = [];
+        for (const point of points) {
+            samples.push({
+                lat: point.lat,
+                lon: point.lon,
+                bands: await this.extractBandData(item, point)
+            });
+        }
+
+        return { samples, source: 'synthetic', download };
+    }
+
+    /**
+     * Sample surface reflectance from the band assets of a STAC Level-2A item
+     * @returns {Promise<Object>} { samples: [{ lat, lon, bands, scl? }], processingLevel }, points over no-data dropped
+     */
+    async sampleCogBands(item, points) {
+        const findAsset = keys => keys.find(key => item.assets[key]);
+        const missingBands = Object.keys(BAND_ASSETS).filter(band => !findAsset(BAND_ASSETS[band]));
+        if (missingBands.length > 0) {
+            throw new Error(`Item is missing band assets: ${missingBands.join(', ')}`);
+        }
+
+        const readAsset = async key => {
+            const asset = await this.provider.getAsset(item, key);
+            return CogReader.sample(asset.href, points, { headers: asset.headers });
+        };
+
+        const bands = Object.keys(BAND_ASSETS);
+        const sclKey = findAsset(SCL_ASSETS);
+        const [sclValues, ...bandValues] = await Promise.all([
+            sclKey ? readAsset(sclKey) : null,
+            ...bands.map(band => readAsset(findAsset(BAND_ASSETS[band])))
+        ]);
+
+        const reflectances = {};
+        bands.forEach((band, i) => {
+            const { scale, offset } = this.getReflectanceScaling(item, item.assets[findAsset(BAND_ASSETS[band])]);
+            // 0 is the no-data value in Sentinel-2 products
+            reflectances[band] = bandValues[i].map(value => value === null || value === 0
+                ? null
+                : Math.max(0, Math.min(1, value * scale + offset)));
+        });
+
+        const samples = points
+            .map((point, i) => ({
+                lat: point.lat,
+                lon: point.lon,
+                bands: Object.fromEntries(bands.map(band => [band, reflectances[band][i]])),
+                ...(sclValues ? { scl: sclValues[i] } : {})
+            }))
+            .filter(sample => Object.values(sample.bands).every(value => value !== null));
+
+        return { samples, processingLevel: item.properties['processing:level'] || 'Level-2A' };
+    }
+
+    /**
+     * Digital number to reflectance scaling of a band asset
+     * Uses the raster extension when the catalogue provides it, otherwise the Level-2A defaults
+     * (quantification 10000, -1000 offset from processing baseline 04.00)
+     */
+    getReflectanceScaling(item, asset) {
+        const band = (asset['raster:bands'] || [])[0] || {};
+        if (band.scale !== undefined) {
+            return { scale: band.scale, offset: band.offset ?? 0 };
+        }
+
+        const baseline = parseFloat(item.properties['s2:processing_baseline']);
+        return { scale: 0.0001, offset: baseline >= 4 ? -0.1 : 0 };
     }
 
     /**
-     * Extract spectral band data from Sentinel-2 product
-     * Note: This is a simplified version. Real band extraction would require downloading and processing the actual SAFE files
+     * Get the on-disk path of a product from the scene cache
+     * Products that are not on disk yet are queued for download and added to the cache when it completes;
+     * the download is never awaited, so requests do not wait for multi-gigabyte archives
+     * @returns {Promise<Object>} { path } of the local product, or { download } with the queued download job
      */
-    async extractBandData(product) {
+    async getLocalProduct(item) {
+        const entry = await sceneCacheService.get(item.id);
+        if (entry) return { path: entry.path };
+
+        const archivePath = path.join(this.productsDir, `${item.id}.zip`);
+        const extractedPath = path.join(this.productsDir, item.id);
+
+        // Products downloaded before the cache existed are adopted into it
+        const existing = [extractedPath, archivePath].find(candidate => fs.existsSync(candidate));
+        if (existing) {
+            if (sceneCacheService.enabled) {
+                await sceneCacheService.add(item, existing);
+            }
+            return { path: existing };
+        }
+
+        // Returns the running job when the product is already downloading
+        return { download: this.downloadScene(item, archivePath) };
+    }
+
+    /**
+     * Generate synthetic spectral band data from Sentinel-2 item metadata
+     * Used as a fallback when the product bands are not sampled
+     */
+    async extractBandData(item, point) {
         // For demonstration, we'll generate realistic band values based on the product metadata
         // In production, you would download and process the actual band files
         
-        const date = new Date(product.ContentDate.Start);
-        const cloudCover = this.extractCloudCover(product.Attributes);
+        const date = new Date(item.datetime);
+        const cloudCover = item.cloudCover;
         
         // Generate realistic band values influenced by cloud cover and season
         const seasonFactor = Math.cos((date.getMonth() - 5) * Math.PI / 6);
         const cloudFactor = 1 - (cloudCover / 100) * 0.3;
+        const random = this.mockDataProvider.createRandom('product', item.id, point?.lat, point?.lon);
         
         return {
-            B02: Math.max(0, 0.08 + (Math.random() * 0.04) * cloudFactor), // Blue
-            B03: Math.max(0, 0.10 + (Math.random() * 0.04) * cloudFactor), // Green
-            B04: Math.max(0, 0.12 + (Math.random() * 0.04) * cloudFactor), // Red
-            B05: Math.max(0, 0.15 + (Math.random() * 0.05) * cloudFactor), // Red Edge 1
-            B06: Math.max(0, 0.18 + (Math.random() * 0.05) * cloudFactor), // Red Edge 2
-            B07: Math.max(0, 0.20 + (Math.random() * 0.05) * cloudFactor), // Red Edge 3
-            B08: Math.max(0, (0.25 + (Math.random() * 0.10) * seasonFactor) * cloudFactor), // NIR
-            B8A: Math.max(0, (0.24 + (Math.random() * 0.08) * seasonFactor) * cloudFactor), // NIR Narrow
-            B09: Math.max(0, 0.05 + (Math.random() * 0.02) * cloudFactor), // Water Vapour
-            B11: Math.max(0, (0.20 + (Math.random() * 0.08) * seasonFactor) * cloudFactor), // SWIR 1
-            B12: Math.max(0, (0.15 + (Math.random() * 0.06) * seasonFactor) * cloudFactor)  // SWIR 2
+            B02: Math.max(0, 0.08 + (random() * 0.04) * cloudFactor), // Blue
+            B03: Math.max(0, 0.10 + (random() * 0.04) * cloudFactor), // Green
+            B04: Math.max(0, 0.12 + (random() * 0.04) * cloudFactor), // Red
+            B05: Math.max(0, 0.15 + (random() * 0.05) * cloudFactor), // Red Edge 1
+            B06: Math.max(0, 0.18 + (random() * 0.05) * cloudFactor), // Red Edge 2
+            B07: Math.max(0, 0.20 + (random() * 0.05) * cloudFactor), // Red Edge 3
+            B08: Math.max(0, (0.25 + (random() * 0.10) * seasonFactor) * cloudFactor), // NIR
+            B8A: Math.max(0, (0.24 + (random() * 0.08) * seasonFactor) * cloudFactor), // NIR Narrow
+            B09: Math.max(0, 0.05 + (random() * 0.02) * cloudFactor), // Water Vapour
+            B11: Math.max(0, (0.20 + (random() * 0.08) * seasonFactor) * cloudFactor), // SWIR 1
+            B12: Math.max(0, (0.15 + (random() * 0.06) * seasonFactor) * cloudFactor)  // SWIR 2
         };
     }
 
     /**
-     * Extract metadata from Sentinel-2 product
+     * Extract metadata from a Sentinel-2 item
      */
-    extractMetadata(product) {
+    extractMetadata(item) {
+        const properties = item.properties;
         const metadata = {
-            productId: product.Id,
-            productName: product.Name,
+            productId: item.id,
+            productName: properties.title || item.id,
             mission: 'Sentinel-2',
             instrumentName: 'MSI',
-            productType: product.ProductType,
-            processingLevel: this.extractAttributeValue(product.Attributes, 'processingLevel'),
-            orbitNumber: this.extractAttributeValue(product.Attributes, 'relativeOrbitNumber'),
-            tileId: this.extractAttributeValue(product.Attributes, 'tileId'),
-            acquisitionDate: product.ContentDate.Start,
-            size: product.ContentLength,
-            format: product.Format
+            productType: properties['product:type'] || properties['s2:product_type'] || null,
+            processingLevel: properties['processing:level'] || null,
+            orbitNumber: properties['sat:relative_orbit'] ?? null,
+            tileId: properties['s2:mgrs_tile'] || null,
+            acquisitionDate: item.datetime,
+            size: item.assets.product?.['file:size'],
+            format: properties.format || (item.assets.product ? 'SAFE' : 'COG'),
+            catalogue: item.provider
         };
 
         return metadata;
     }
 
-    /**
-     * Extract specific attribute value from product attributes
-     */
-    extractAttributeValue(attributes, attributeName) {
-        if (!attributes || !attributes.value) return null;
-        
-        const attr = attributes.value.find(a => a.Name === attributeName);
-        return attr ? attr.Value : null;
-    }
-
     /**
      * Generate mock Sentinel data for demonstration
      */
     generateMockSentinelData(location, dateRange, options = {}) {
-        const { lat, lon } = location;
-        const { start, end } = dateRange;
-        const { includeMetadata = false } = options;
-
-        // Generate realistic mock data based on location and season
-        const scenes = [];
-        const startDate = new Date(start);
-        const endDate = new Date(end);
-        const daysDiff = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
-
-        // Generate 2-5 scenes for the date range
-        const numScenes = Math.min(Math.max(2, Math.floor(daysDiff / 7)), 5);
-
-        for (let i = 0; i < numScenes; i++) {
-            const sceneDate = new Date(startDate.getTime() + (i * daysDiff / numScenes) * 24 * 60 * 60 * 1000);
-            
-            scenes.push({
-                id: `S2_${sceneDate.toISOString().split('T')[0]}_${lat.toFixed(3)}_${lon.toFixed(3)}_${i}`,
-                date: sceneDate.toISOString(),
-                cloudCover: Math.random() * 15 + 5, // 5-20% cloud cover
-                bands: this.generateMockBandData(lat, lon, sceneDate),
-                metadata: includeMetadata ? this.generateMockMetadata(sceneDate) : undefined
-            });
-        }
-
-        const avgCloudCover = scenes.reduce((sum, scene) => sum + scene.cloudCover, 0) / scenes.length;
-
-        return {
-            location,
-            dateRange,
-            scenes,
-            totalScenes: scenes.length,
-            averageCloudCover: Math.round(avgCloudCover * 100) / 100,
-            lastUpdate: new Date().toISOString(),
-            dataSource: 'Mock Sentinel-2 Data'
-        };
-    }
-
-    /**
-     * Generate mock band data (spectral bands for vegetation and soil analysis)
-     */
-    generateMockBandData(lat, lon, date) {
-        // Simulate seasonal variations and geographic patterns
-        const month = date.getMonth();
-        const seasonFactor = Math.cos((month - 5) * Math.PI / 6); // Peak in summer
-        const latitudeFactor = Math.cos(lat * Math.PI / 180); // Tropical vs temperate
-        
-        // Create more varied moisture conditions based on location
-        const moistureVariation = Math.random(); // 0-1 for different moisture scenarios
-        let moistureMultiplier = 1.0;
-        
-        // Simulate different regional moisture conditions
-        if (Math.abs(lat) > 40) {
-            // Temperate regions - more variable
-            moistureMultiplier = 0.7 + moistureVariation * 0.6; // 0.7-1.3
-        } else if (Math.abs(lat) < 23.5) {
-            // Tropical regions - generally more humid but can vary
-            moistureMultiplier = 0.8 + moistureVariation * 0.5; // 0.8-1.3
-        } else {
-            // Subtropical - most variable
-            moistureMultiplier = 0.5 + moistureVariation * 0.8; // 0.5-1.3
-        }
-        
-        // Base reflectance values with seasonal and geographic variations
-        const baseValues = {
-            B02: 0.08 + Math.random() * 0.04, // Blue
-            B03: 0.10 + Math.random() * 0.04, // Green
-            B04: 0.12 + Math.random() * 0.04, // Red
-            B05: 0.15 + Math.random() * 0.05, // Red Edge 1
-            B06: 0.18 + Math.random() * 0.05, // Red Edge 2
-            B07: 0.20 + Math.random() * 0.05, // Red Edge 3
-            B08: 0.20 + Math.random() * 0.12, // NIR - increased variation
-            B8A: 0.19 + Math.random() * 0.10, // NIR Narrow
-            B09: 0.05 + Math.random() * 0.02, // Water Vapour
-            B11: 0.15 + Math.random() * 0.10, // SWIR 1 - key for moisture
-            B12: 0.12 + Math.random() * 0.08  // SWIR 2 - key for moisture
-        };
-
-        // Apply seasonal and latitude adjustments
-        Object.keys(baseValues).forEach(band => {
-            if (['B08', 'B8A'].includes(band)) {
-                // NIR bands are higher in growing season
-                baseValues[band] *= (1 + seasonFactor * latitudeFactor * 0.3);
-            }
-            if (['B11', 'B12'].includes(band)) {
-                // SWIR bands strongly affected by moisture content
-                baseValues[band] *= moistureMultiplier;
-                // Additional seasonal effect for SWIR
-                baseValues[band] *= (1 - seasonFactor * latitudeFactor * 0.15);
-            }
-            
-            // Normalize to reasonable ranges
-            baseValues[band] = Math.max(0.01, Math.min(0.8, baseValues[band]));
-        });
-
-        return baseValues;
+        return this.mockDataProvider.generateSentinelData(location, dateRange, options);
     }
 
     /**
-     * Generate mock metadata for demonstration
+     * Replace the provider used to generate mock scenes
      */
-    generateMockMetadata(date) {
-        return {
-            satellite: 'Sentinel-2A',
-            sensor: 'MSI',
-            acquisitionDate: date.toISOString(),
-            processingLevel: 'Level-1C',
-            cloudCoverAssessment: Math.random() * 20,
-            qualityIndicator: 'PASSED',
-            format: 'SAFE',
-            projection: 'EPSG:4326'
-        };
+    setMockDataProvider(provider) {
+        this.mockDataProvider = provider;
     }
 
     /**
-     * Create a bounding box around a point
+     * Create a GeoJSON bounding box polygon around a point
      */
     createBoundingBox(lat, lon, delta) {
         const minLon = lon - delta;
@@ -393,52 +565,55 @@ class SentinelService {
         const maxLon = lon + delta;
         const maxLat = lat + delta;
         
-        // Return coordinates in the format expected by OData spatial queries
-        return [
-            `${minLon} ${minLat}`,
-            `${maxLon} ${minLat}`,
-            `${maxLon} ${maxLat}`,
-            `${minLon} ${maxLat}`,
-            `${minLon} ${minLat}` // Close the polygon
-        ];
+        return {
+            type: 'Polygon',
+            coordinates: [[
+                [minLon, minLat],
+                [maxLon, minLat],
+                [maxLon, maxLat],
+                [minLon, maxLat],
+                [minLon, minLat] // Close the polygon
+            ]]
+        };
     }
 
     /**
-     * Download a Sentinel-2 scene (requires authentication)
+     * Queue the download of a Sentinel-2 product archive into the scene cache
+     * @returns {Promise<Object|null>} Download job (see downloadService), or null when the catalogue does not know the scene
      */
-    async downloadScene(sceneId, outputPath) {
-        try {
-            await this.authenticate();
-            
-            const downloadUrl = `${this.downloadBaseUrl}/Products(${sceneId})/$value`;
-            
-            console.log(`📥 Downloading scene ${sceneId}...`);
-            
-            const response = await axios({
-                method: 'GET',
-                url: downloadUrl,
-                headers: {
-                    'Authorization': `Bearer ${this.authToken}`
-                },
-                responseType: 'stream',
-                timeout: 300000 // 5 minutes timeout for downloads
-            });
-            
-            // In a real implementation, you would stream the data to a file
-            console.log(`✅ Scene ${sceneId} download initiated`);
-            
-            return {
-                success: true,
-                downloadUrl,
-                outputPath,
-                message: 'Download initiated successfully'
-            };
-            
-        } catch (error) {
-            console.error(`❌ Error downloading scene ${sceneId}:`, error.message);
-            throw error;
+    async queueDownload(sceneId) {
+        const item = await this.provider.getItem('sentinel-2', sceneId);
+        if (!item) return null;
+
+        return this.downloadScene(item);
+    }
+
+    /**
+     * Download a Sentinel-2 product archive in the background (needs a catalogue serving full products, i.e. OData)
+     * Interrupted downloads resume, the archive is verified against the catalogue checksum and added to the scene cache
+     * @param {Object} item - Catalogue item of the product
+     * @param {string} [outputPath] - Archive path, by default in the products directory
+     * @returns {Object} Download job; `job.promise` resolves when the archive is in place
+     */
+    downloadScene(item, outputPath = path.join(this.productsDir, `${item.id}.zip`)) {
+        const product = item.assets.product;
+        if (!product) {
+            throw new Error(`The ${this.provider.name} catalogue does not serve product archives`);
         }
+
+        return downloadService.enqueue({
+            sceneId: item.id,
+            outputPath,
+            checksum: product['file:checksum'],
+            size: product['file:size'],
+            resolveAsset: () => this.provider.getAsset(item, 'product'),
+            onComplete: async job => {
+                if (sceneCacheService.enabled) {
+                    await sceneCacheService.add(item, job.outputPath);
+                }
+            }
+        });
     }
 }
 
-module.exports = new SentinelService();
+module.exports = new SentinelService();
\ No newline at end of file
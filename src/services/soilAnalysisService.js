@@ -1,14 +1,28 @@
-const turf = require('@turf/turf');
+const AnalysisUtils = require('../utils/analysisUtils');
+const AgroCalendar = require('../utils/agroCalendar');
+const compositeService = require('./compositeService');
+const sceneMaskService = require('./sceneMaskService');
+const analysisHistoryService = require('./analysisHistoryService');
+const spectralIndexService = require('./spectralIndexService');
+const sarMoistureService = require('./sarMoistureService');
+const landsatService = require('./landsatService');
+const cropService = require('./cropService');
+const ruleService = require('./ruleService');
 
-class SoilAnalysisService {
-    constructor() {
-        this.soilDatabase = this.initializeSoilDatabase();
-    }
+// Indices the moisture, composition and recommendation models use
+const SOIL_MODEL_INDICES = ['ndvi', 'evi', 'ndmi', 'bsi', 'savi'];
 
+class SoilAnalysisService {
     /**
      * Analyze soil data from Sentinel satellite imagery
+     * Pixels flagged by the Scene Classification Layer (clouds, shadows, water, snow, saturated)
+     * are masked out before any index is computed
+     * @param {Object} [options] - { composite: 'median' | 'max-ndvi' | 'most-recent-clear' } to combine
+     *   all scenes instead of using the single best one, { sarData } Sentinel-1 scenes to fuse into the moisture estimate,
+     *   { thermalData } Landsat thermal scenes for the land surface temperature, { crop, sowingDate } for crop suitability
+     *   and growth stage aware recommendations
      */
-    async analyzeSoilData(sentinelData, location) {
+    async analyzeSoilData(sentinelData, location, options = {}) {
         try {
             console.log('🔬 Starting soil analysis...');
             
@@ -16,44 +30,11 @@ class SoilAnalysisService {
                 throw new Error('No satellite data available for analysis');
             }
 
-            // Use the most recent scene with lowest cloud cover
-            const bestScene = this.selectBestScene(sentinelData.scenes);
-            console.log(`📊 Using scene: ${bestScene.id} (${bestScene.cloudCover}% cloud cover)`);
-
-            // Calculate vegetation indices
-            const indices = this.calculateVegetationIndices(bestScene.bands);
-            
-            // Analyze soil moisture
-            const moisture = this.analyzeSoilMoisture(bestScene.bands, indices, location);
-            
-            // Determine soil composition
-            const composition = this.analyzeSoilComposition(bestScene.bands, location);
-            
-            // Calculate soil temperature
-            const temperature = this.calculateSoilTemperature(bestScene.bands, location, new Date(bestScene.date));
-            
-            // Generate recommendations
-            const recommendations = this.generateRecommendations(moisture, composition, indices, location);
-            
-            // Calculate confidence based on cloud cover and data quality
-            const confidence = this.calculateConfidence(bestScene, sentinelData.scenes);
+            const scenes = sceneMaskService.maskScenes(sentinelData.scenes);
+            const bestScene = this.selectAnalysisScene(scenes, options);
+            console.log(`📊 Using scene: ${bestScene.id} (${Math.round(bestScene.cloudCover * 100) / 100}% cloud cover)`);
 
-            return {
-                sceneUsed: bestScene.id,
-                analysisDate: new Date().toISOString(),
-                moisture,
-                composition,
-                ndvi: indices.ndvi,
-                temperature,
-                recommendations,
-                confidence,
-                indices: {
-                    ndvi: indices.ndvi,
-                    evi: indices.evi,
-                    ndmi: indices.ndmi,
-                    bsi: indices.bsi
-                }
-            };
+            return this.analyzeScene(bestScene, scenes, location, options);
 
         } catch (error) {
             console.error('Error in soil analysis:', error);
@@ -61,6 +42,151 @@ class SoilAnalysisService {
         }
     }
 
+    /**
+     * Run the soil analysis on the band data of a single (possibly composite) scene
+     * @param {Object} [options] - { sarData } Sentinel-1 scenes to fuse into the moisture estimate,
+     *   { thermalData } Landsat thermal scenes for the land surface temperature,
+     *   { crop, sowingDate } the planted crop (see cropService) and its sowing date
+     */
+    analyzeScene(bestScene, allScenes, location, options = {}) {
+        // Calculate vegetation indices
+        const indices = this.calculateVegetationIndices(bestScene.bands);
+        
+        // Analyze soil moisture, backed by radar when Sentinel-1 scenes are available
+        const opticalMoisture = this.analyzeSoilMoisture(bestScene.bands, indices, location);
+        const sarMoisture = options.sarData
+            ? sarMoistureService.estimateMoisture(options.sarData, { date: bestScene.date, ndvi: indices.ndvi })
+            : null;
+        const moisture = this.fuseMoisture(opticalMoisture, sarMoisture, this.getOpticalReliability(bestScene));
+        if (options.sarData && !sarMoisture) {
+            moisture.sources.sarUnavailable = options.sarData.unavailable ||
+                `No Sentinel-1 scene within ${sarMoistureService.maxGapDays} days of the optical scene`;
+        }
+        
+        // Determine soil composition
+        const composition = this.analyzeSoilComposition(bestScene.bands, location);
+        
+        // Land surface temperature from Landsat band 10, or the spectral/seasonal estimate without thermal data
+        const landSurfaceTemperature = options.thermalData
+            ? landsatService.estimateLandSurfaceTemperature(options.thermalData, { date: bestScene.date, ndvi: indices.ndvi })
+            : null;
+        const temperature = landSurfaceTemperature
+            ? this.describeLandSurfaceTemperature(landSurfaceTemperature)
+            : this.calculateSoilTemperature(bestScene.bands, location, new Date(bestScene.date));
+        
+        // Crop growth stage on the scene date, and how well the conditions suit each crop
+        const cropContext = options.crop ? cropService.getCropContext(options.crop, options.sowingDate, bestScene.date) : null;
+        const conditions = {
+            ph: composition.ph,
+            soilType: composition.soilType,
+            moisture: moisture.percentage,
+            temperature: temperature.celsius,
+            ndvi: indices.ndvi
+        };
+        
+        // Generate recommendations, with seasonal advice for the scene date
+        const recommendations = this.generateRecommendations(moisture, composition, indices, location, {
+            temperature,
+            crop: cropContext,
+            date: bestScene.date
+        });
+        
+        // Calculate confidence based on cloud cover (or valid pixel fraction) and data quality
+        const confidence = this.calculateConfidence(bestScene, allScenes);
+
+        return {
+            sceneUsed: bestScene.id,
+            bandSource: bestScene.bandSource || 'synthetic',
+            download: bestScene.download || null,
+            analysisDate: new Date().toISOString(),
+            moisture,
+            composition,
+            ndvi: indices.ndvi,
+            temperature,
+            recommendations,
+            confidence,
+            mask: this.describeMask(bestScene, allScenes),
+            composite: bestScene.composite,
+            indices: spectralIndexService.calculateIndices(bestScene.bands),
+            crop: cropContext ? this.describeCrop(cropContext, conditions) : null,
+            cropSuitability: cropService.rankCrops(conditions),
+            season: { date: bestScene.date, ...AgroCalendar.getSeason(location, bestScene.date) }
+        };
+    }
+
+    /**
+     * Planted crop, its growth stage and its suitability for the observed conditions
+     */
+    describeCrop(cropContext, conditions) {
+        const { profile, sowingDate, stage } = cropContext;
+
+        return {
+            id: profile.id,
+            name: profile.name,
+            sowingDate,
+            stage,
+            suitability: cropService.assessSuitability(profile, conditions, stage)
+        };
+    }
+
+    /**
+     * Analyze soil data over a field boundary, adding per-field aggregate statistics
+     * computed from the sample points carried by each scene
+     */
+    async analyzeFieldData(sentinelData, location, options = {}) {
+        if (!sentinelData.scenes || sentinelData.scenes.length === 0) {
+            throw new Error('No satellite data available for analysis');
+        }
+
+        const scenes = sceneMaskService.maskScenes(sentinelData.scenes);
+        const scene = this.selectAnalysisScene(scenes, options);
+        const analysis = this.analyzeScene(scene, scenes, location, options);
+
+        // Statistics cover valid (unmasked) pixels only, unless the whole field is masked
+        const allSamples = scene.samples || [{ lat: location.lat, lon: location.lon, bands: scene.bands }];
+        const validSamples = allSamples.filter(sample => sample.valid !== false);
+        const samples = validSamples.length > 0 ? validSamples : allSamples;
+
+        const sampleResults = samples.map(sample => {
+            const sampleLocation = { lat: sample.lat, lon: sample.lon };
+            const indices = this.calculateVegetationIndices(sample.bands);
+
+            return {
+                indices,
+                moisture: this.analyzeSoilMoisture(sample.bands, indices, sampleLocation),
+                composition: this.analyzeSoilComposition(sample.bands, sampleLocation)
+            };
+        });
+
+        const statsOf = selector => AnalysisUtils.calculateStatistics(sampleResults.map(selector));
+
+        return {
+            ...analysis,
+            fieldStatistics: {
+                sampleCount: sampleResults.length,
+                moisture: statsOf(result => result.moisture.percentage),
+                ndvi: statsOf(result => result.indices.ndvi),
+                composition: {
+                    clay: statsOf(result => result.composition.clay),
+                    sand: statsOf(result => result.composition.sand),
+                    silt: statsOf(result => result.composition.silt),
+                    organicMatter: statsOf(result => result.composition.organicMatter),
+                    ph: statsOf(result => result.composition.ph)
+                }
+            }
+        };
+    }
+
+    /**
+     * Pick the scene to analyze: a multi-scene composite when requested,
+     * otherwise the most recent scene with lowest cloud cover
+     */
+    selectAnalysisScene(scenes, options = {}) {
+        return options.composite
+            ? compositeService.createComposite(scenes, options.composite)
+            : this.selectBestScene(scenes);
+    }
+
     /**
      * Select the best scene based on cloud cover and date
      */
@@ -78,29 +204,17 @@ class SoilAnalysisService {
     }
 
     /**
-     * Calculate various vegetation and soil indices
+     * Calculate the vegetation and soil indices the soil models are based on
+     * Undefined values (e.g. zero denominators) count as 0 so the models always get numbers
      */
     calculateVegetationIndices(bands) {
-        const { B02, B03, B04, B08, B8A, B11, B12 } = bands;
-        
-        // NDVI (Normalized Difference Vegetation Index)
-        const ndvi = (B08 - B04) / (B08 + B04);
-        
-        // EVI (Enhanced Vegetation Index)
-        const evi = 2.5 * ((B08 - B04) / (B08 + 6 * B04 - 7.5 * B02 + 1));
-        
-        // NDMI (Normalized Difference Moisture Index)
-        const ndmi = (B08 - B11) / (B08 + B11);
-        
-        // BSI (Bare Soil Index)
-        const bsi = ((B11 + B04) - (B08 + B02)) / ((B11 + B04) + (B08 + B02));
-        
-        return {
-            ndvi: Math.max(-1, Math.min(1, ndvi)),
-            evi: Math.max(-1, Math.min(1, evi)),
-            ndmi: Math.max(-1, Math.min(1, ndmi)),
-            bsi: Math.max(-1, Math.min(1, bsi))
-        };
+        const indices = spectralIndexService.calculateIndices(bands, SOIL_MODEL_INDICES);
+
+        Object.keys(indices).forEach(id => {
+            if (indices[id] === null) indices[id] = 0;
+        });
+
+        return indices;
     }
 
     /**
@@ -152,6 +266,56 @@ class SoilAnalysisService {
         };
     }
 
+    /**
+     * Share (0-1) of the optical scene that can be trusted: the clear pixel fraction after SCL
+     * masking, or the cloud-free share of the scene when no mask was applied
+     */
+    getOpticalReliability(scene) {
+        if (scene.mask?.applied) return scene.mask.validPixelFraction;
+        return Math.max(0, 1 - (scene.cloudCover || 0) / 100);
+    }
+
+    /**
+     * Combine the NDMI-based and the SAR-based moisture estimates, weighted by their reliability
+     * @param {Object} optical - Result of analyzeSoilMoisture
+     * @param {Object|null} sar - Result of sarMoistureService.estimateMoisture
+     * @param {number} opticalReliability - 0-1
+     * @returns {Object} Moisture with `source` ('optical', 'sar' or 'fused') naming what drove the value,
+     *   and the contributing estimates under `sources`
+     */
+    fuseMoisture(optical, sar, opticalReliability) {
+        const opticalSource = {
+            percentage: optical.percentage,
+            ndmiValue: optical.ndmiValue,
+            reliability: Math.round(opticalReliability * 100) / 100
+        };
+
+        if (!sar) {
+            return { ...optical, source: 'optical', sources: { optical: opticalSource, sar: null } };
+        }
+
+        const totalWeight = opticalReliability + sar.reliability;
+        const sarShare = totalWeight > 0 ? sar.reliability / totalWeight : 1;
+        const percentage = Math.round((optical.percentage * (1 - sarShare) + sar.percentage * sarShare) * 100) / 100;
+
+        // One source drives the value when it carries at least two thirds of the weight
+        let source = 'fused';
+        if (sarShare >= 2 / 3) source = 'sar';
+        else if (sarShare <= 1 / 3) source = 'optical';
+
+        return {
+            percentage,
+            level: this.getMoistureLevel(percentage),
+            description: this.getMoistureDescription(percentage),
+            ndmiValue: optical.ndmiValue,
+            source,
+            sources: {
+                optical: { ...opticalSource, weight: Math.round((1 - sarShare) * 100) / 100 },
+                sar: { ...sar, weight: Math.round(sarShare * 100) / 100 }
+            }
+        };
+    }
+
     /**
      * Analyze soil composition based on spectral signatures
      */
@@ -188,7 +352,26 @@ class SoilAnalysisService {
     }
 
     /**
-     * Calculate soil surface temperature
+     * Shape a Landsat land surface temperature like the estimated soil temperature
+     */
+    describeLandSurfaceTemperature(lst) {
+        return {
+            celsius: lst.celsius,
+            fahrenheit: Math.round((lst.celsius * 9/5 + 32) * 10) / 10,
+            description: this.getTemperatureDescription(lst.celsius),
+            source: 'landsat',
+            estimated: false,
+            brightnessTemperature: lst.brightnessTemperature,
+            emissivity: lst.emissivity,
+            vegetationFraction: lst.vegetationFraction,
+            scene: lst.scene
+        };
+    }
+
+    /**
+     * Estimate soil surface temperature without thermal data
+     * Sentinel-2 has no thermal band, so this is a heuristic from season, latitude and SWIR; the result is
+     * flagged `estimated` and only used when no clear Landsat thermal scene is available
      */
     calculateSoilTemperature(bands, location, date) {
         const { B11, B12 } = bands;
@@ -197,9 +380,8 @@ class SoilAnalysisService {
         // In reality, you'd need thermal bands from Landsat or MODIS
         let baseTemp = 15; // Base temperature in Celsius
         
-        // Seasonal adjustment
-        const month = date.getMonth();
-        const seasonalAdjustment = 10 * Math.sin((month - 3) * Math.PI / 6);
+        // Seasonal adjustment for the hemisphere and climate (see AgroCalendar)
+        const seasonalAdjustment = AgroCalendar.getTemperatureAnomaly(location, date);
         
         // Latitude adjustment
         const latitudeAdjustment = (30 - Math.abs(location.lat)) * 0.3;
@@ -213,6 +395,8 @@ class SoilAnalysisService {
             celsius: Math.round(temperature * 10) / 10,
             fahrenheit: Math.round((temperature * 9/5 + 32) * 10) / 10,
             description: this.getTemperatureDescription(temperature),
+            source: 'heuristic',
+            estimated: true,
             factors: {
                 seasonal: Math.round(seasonalAdjustment * 10) / 10,
                 latitude: Math.round(latitudeAdjustment * 10) / 10,
@@ -227,19 +411,21 @@ class SoilAnalysisService {
     async getSoilByLocation(location, parameters) {
         const { lat, lon, radius } = location;
         
-        // Find relevant soil data points within radius
-        const nearbyData = this.soilDatabase.filter(point => {
-            const distance = turf.distance(
-                turf.point([lon, lat]),
-                turf.point([point.lon, point.lat]),
-                { units: 'meters' }
-            );
-            return distance <= radius;
-        });
+        // Find stored analyses within radius (newest first)
+        const nearbyData = analysisHistoryService.findNearby({ lat, lon }, radius).map(record => ({
+            id: record.id,
+            lat: record.location.lat,
+            lon: record.location.lon,
+            analysisDate: record.createdAt,
+            moisture: record.soilAnalysis?.moisture,
+            composition: record.soilAnalysis?.composition,
+            temperature: record.soilAnalysis?.temperature,
+            ph: record.soilAnalysis?.composition?.ph
+        }));
 
         // Filter by requested parameters
         const filteredData = nearbyData.map(point => {
-            const filtered = { id: point.id, lat: point.lat, lon: point.lon };
+            const filtered = { id: point.id, lat: point.lat, lon: point.lon, analysisDate: point.analysisDate };
             
             if (parameters.includes('all') || parameters.includes('moisture')) {
                 filtered.moisture = point.moisture;
@@ -266,368 +452,172 @@ class SoilAnalysisService {
     }
 
     /**
-     * Generate agricultural and environmental recommendations
+     * Generate agricultural and environmental recommendations by evaluating the recommendation rules (see ruleService)
+     * Moisture, NDVI and pH thresholds come from the planted crop and its growth stage when known (see cropService.getThresholds)
+     * @param {Object} [context] - { temperature, crop: crop context from cropService.getCropContext,
+     *   date: scene date the seasonal advice is for (default now) }
      */
-    generateRecommendations(moisture, composition, indices, location) {
-        const recommendations = [];
-        
-        // Enhanced moisture recommendations with detailed analysis
-        if (moisture.percentage < 15) {
-            recommendations.push({
-                type: 'Critical Irrigation',
-                category: 'water_management',
-                priority: 'critical',
-                severity: 'high',
-                message: 'Critically low soil moisture detected. Immediate irrigation required to prevent crop stress.',
-                action: 'Implement emergency irrigation within 24-48 hours',
-                details: 'Install drip irrigation systems for efficient water use. Consider mulching to retain moisture.',
-                timeline: 'Immediate (0-2 days)',
-                cost: 'Medium',
-                impact: 'High - Prevents crop failure',
-                seasonality: this.getSeasonalAdvice('irrigation', location)
-            });
-        } else if (moisture.percentage < 30) {
-            recommendations.push({
-                type: 'Irrigation Management',
-                category: 'water_management',
-                priority: 'high',
-                severity: 'medium',
-                message: 'Soil moisture is below optimal levels. Regular irrigation recommended.',
-                action: 'Increase irrigation frequency by 30-50%',
-                details: 'Monitor soil moisture daily. Consider installing moisture sensors for precise irrigation timing.',
-                timeline: 'Short-term (1-2 weeks)',
-                cost: 'Low',
-                impact: 'Medium - Improves crop yield',
-                seasonality: this.getSeasonalAdvice('irrigation', location)
-            });
-        } else if (moisture.percentage > 85) {
-            recommendations.push({
-                type: 'Drainage Management',
-                category: 'water_management',
-                priority: 'high',
-                severity: 'medium',
-                message: 'Excessive soil moisture may lead to waterlogging and root rot.',
-                action: 'Improve drainage systems and reduce irrigation',
-                details: 'Install subsurface drainage tiles. Create raised beds for better drainage. Check for irrigation system leaks.',
-                timeline: 'Medium-term (2-4 weeks)',
-                cost: 'High',
-                impact: 'High - Prevents root diseases',
-                seasonality: this.getSeasonalAdvice('drainage', location)
-            });
-        }
-        
-        // Enhanced vegetation recommendations based on NDVI
-        if (indices.ndvi < 0.1) {
-            recommendations.push({
-                type: 'Urgent Revegetation',
-                category: 'vegetation',
-                priority: 'critical',
-                severity: 'high',
-                message: 'Extremely poor vegetation cover. Risk of soil erosion and degradation.',
-                action: 'Implement immediate soil stabilization and planting program',
-                details: 'Use erosion control blankets, plant fast-growing cover crops, apply organic mulch.',
-                timeline: 'Immediate (0-1 week)',
-                cost: 'High',
-                impact: 'Critical - Prevents soil loss',
-                seasonality: this.getSeasonalAdvice('planting', location)
-            });
-        } else if (indices.ndvi < 0.3) {
-            recommendations.push({
-                type: 'Vegetation Enhancement',
-                category: 'vegetation',
-                priority: 'high',
-                severity: 'medium',
-                message: 'Low vegetation density detected. Consider crop rotation or replanting.',
-                action: 'Plant cover crops or implement crop diversification',
-                details: 'Select drought-resistant varieties. Consider nitrogen-fixing legumes for soil improvement.',
-                timeline: 'Short-term (2-4 weeks)',
-                cost: 'Medium',
-                impact: 'Medium - Improves soil health',
-                seasonality: this.getSeasonalAdvice('planting', location)
-            });
-        }
-        
-        // Enhanced soil composition recommendations
-        if (composition.clay > 60) {
-            recommendations.push({
-                type: 'Soil Structure Improvement',
-                category: 'soil_health',
-                priority: 'medium',
-                severity: 'low',
-                message: 'High clay content restricts water infiltration and root development.',
-                action: 'Add organic amendments to improve soil structure',
-                details: 'Apply 2-4 inches of compost annually. Use gypsum to improve clay aggregation. Avoid working wet clay soil.',
-                timeline: 'Long-term (6-12 months)',
-                cost: 'Medium',
-                impact: 'Medium - Improves soil workability',
-                seasonality: this.getSeasonalAdvice('soil_amendment', location)
-            });
-        }
-        
-        if (composition.sand > 70) {
-            recommendations.push({
-                type: 'Water Retention Enhancement',
-                category: 'soil_health',
-                priority: 'medium',
-                severity: 'medium',
-                message: 'Sandy soil has poor water and nutrient retention capacity.',
-                action: 'Increase organic matter content and implement frequent, light irrigation',
-                details: 'Add compost, biochar, or well-aged manure. Use slow-release fertilizers. Consider polymer soil conditioners.',
-                timeline: 'Medium-term (3-6 months)',
-                cost: 'Medium',
-                impact: 'High - Improves nutrient retention',
-                seasonality: this.getSeasonalAdvice('soil_amendment', location)
-            });
-        }
-        
-        if (composition.organicMatter < 2) {
-            recommendations.push({
-                type: 'Organic Matter Enhancement',
-                category: 'fertility',
-                priority: 'high',
-                severity: 'medium',
-                message: 'Low organic matter reduces soil fertility and water retention.',
-                action: 'Implement comprehensive organic matter building program',
-                details: 'Apply 25-50 lbs compost per 1000 sq ft. Plant cover crops. Use crop residue management. Consider vermicomposting.',
-                timeline: 'Long-term (12-24 months)',
-                cost: 'Medium',
-                impact: 'High - Transforms soil health',
-                seasonality: this.getSeasonalAdvice('organic_matter', location)
-            });
-        }
-        
-        // Enhanced pH recommendations with specific amendments
-        if (composition.ph < 5.5) {
-            recommendations.push({
-                type: 'Severe Acidity Correction',
-                category: 'ph_management',
-                priority: 'high',
-                severity: 'high',
-                message: 'Severely acidic soil limits nutrient availability and microbial activity.',
-                action: 'Apply agricultural lime with ongoing pH monitoring',
-                details: 'Apply 2-4 tons/acre of ground limestone. Test pH every 6 months. Consider pelletized lime for easier application.',
-                timeline: 'Medium-term (6-12 months)',
-                cost: 'Medium',
-                impact: 'High - Unlocks soil nutrients',
-                seasonality: this.getSeasonalAdvice('liming', location)
-            });
-        } else if (composition.ph < 6.2) {
-            recommendations.push({
-                type: 'Mild Acidity Adjustment',
-                category: 'ph_management',
-                priority: 'medium',
-                severity: 'low',
-                message: 'Slightly acidic soil may benefit from pH adjustment for optimal crop growth.',
-                action: 'Apply moderate lime application',
-                details: 'Apply 1-2 tons/acre of agricultural lime. Monitor pH annually. Consider organic amendments like wood ash.',
-                timeline: 'Medium-term (6-12 months)',
-                cost: 'Low',
-                impact: 'Medium - Optimizes nutrient uptake',
-                seasonality: this.getSeasonalAdvice('liming', location)
-            });
-        } else if (composition.ph > 8.5) {
-            recommendations.push({
-                type: 'Alkalinity Reduction',
-                category: 'ph_management',
-                priority: 'high',
-                severity: 'high',
-                message: 'Highly alkaline soil restricts iron and zinc availability.',
-                action: 'Apply sulfur amendments and organic acidifiers',
-                details: 'Apply 10-20 lbs/1000 sq ft elemental sulfur. Use organic mulches. Consider iron sulfate for quick results.',
-                timeline: 'Long-term (12-18 months)',
-                cost: 'Medium',
-                impact: 'High - Prevents micronutrient deficiency',
-                seasonality: this.getSeasonalAdvice('acidification', location)
-            });
-        }
-        
-        // Advanced recommendations based on vegetation indices combinations
-        if (indices.ndvi > 0.7 && indices.ndmi < 0.3) {
-            recommendations.push({
-                type: 'Water Stress Management',
-                category: 'precision_agriculture',
-                priority: 'medium',
-                severity: 'medium',
-                message: 'Good vegetation cover but moisture stress detected in plants.',
-                action: 'Implement precision irrigation targeting plant water needs',
-                details: 'Use NDMI monitoring for irrigation scheduling. Consider deficit irrigation strategies during non-critical growth stages.',
-                timeline: 'Short-term (1-2 weeks)',
-                cost: 'Low',
-                impact: 'Medium - Optimizes water use efficiency',
-                seasonality: this.getSeasonalAdvice('precision_irrigation', location)
-            });
-        }
-        
-        // Soil health recommendations based on multiple factors
-        this.addSoilHealthRecommendations(recommendations, moisture, composition, indices, location);
-        
-        // Crop-specific recommendations
-        this.addCropRecommendations(recommendations, moisture, composition, indices, location);
-        
-        // Sustainability and environmental recommendations
-        this.addSustainabilityRecommendations(recommendations, moisture, composition, indices, location);
-        
-        return recommendations;
+    generateRecommendations(moisture, composition, indices, location, context = {}) {
+        const facts = this.buildRuleFacts(moisture, composition, indices, location, context);
+
+        return ruleService.evaluate(facts, {
+            resolveSeasonality: practice => this.getSeasonalAdvice(practice, location, context.date)
+        }).recommendations;
     }
 
     /**
-     * Add comprehensive soil health recommendations
+     * Evaluate the recommendation rules against a stored or sample analysis, explaining every rule
+     * @param {Object} analysis - An analysis response ({ location, soilAnalysis }) or its soilAnalysis part
+     * @param {Object} [options] - { rules: validated rules overlaid on the loaded ones, location, date (default the scene date) }
+     * @returns {Object} { recommendations, trace, facts }
      */
-    addSoilHealthRecommendations(recommendations, moisture, composition, indices, location) {
-        // Soil biology enhancement
-        if (composition.organicMatter < 3 && indices.ndvi < 0.5) {
-            recommendations.push({
-                type: 'Soil Biology Enhancement',
-                category: 'soil_health',
-                priority: 'medium',
-                severity: 'medium',
-                message: 'Poor soil biology indicated by low organic matter and vegetation health.',
-                action: 'Implement biological soil enhancement program',
-                details: 'Apply mycorrhizal inoculants, beneficial bacteria, and compost tea. Minimize soil disturbance.',
-                timeline: 'Medium-term (3-6 months)',
-                cost: 'Medium',
-                impact: 'High - Builds soil ecosystem',
-                seasonality: this.getSeasonalAdvice('soil_biology', location)
-            });
-        }
-        
-        // Erosion prevention
-        if (composition.sand > 60 && indices.ndvi < 0.4) {
-            recommendations.push({
-                type: 'Erosion Prevention',
-                category: 'conservation',
-                priority: 'high',
-                severity: 'high',
-                message: 'Sandy soil with poor vegetation cover is susceptible to erosion.',
-                action: 'Implement immediate erosion control measures',
-                details: 'Install windbreaks, create contour farming, use cover crops, apply erosion control matting.',
-                timeline: 'Immediate (0-2 weeks)',
-                cost: 'Medium',
-                impact: 'Critical - Prevents soil loss',
-                seasonality: this.getSeasonalAdvice('erosion_control', location)
-            });
-        }
+    evaluateRules(analysis, options = {}) {
+        const soilAnalysis = analysis.soilAnalysis || analysis;
+        const location = analysis.location || options.location || {};
+        const date = options.date || soilAnalysis.season?.date || new Date();
+        const indices = { ...soilAnalysis.indices, ndvi: soilAnalysis.indices?.ndvi ?? soilAnalysis.ndvi };
+
+        const profile = soilAnalysis.crop ? cropService.getCrop(soilAnalysis.crop.id) : null;
+        const cropContext = profile
+            ? { profile, sowingDate: soilAnalysis.crop.sowingDate || null, stage: soilAnalysis.crop.stage || null }
+            : null;
+
+        const facts = this.buildRuleFacts(soilAnalysis.moisture, soilAnalysis.composition, indices, location, {
+            temperature: soilAnalysis.temperature || null,
+            crop: cropContext,
+            date
+        });
+        const result = ruleService.evaluate(facts, {
+            rules: options.rules,
+            trace: true,
+            resolveSeasonality: practice => this.getSeasonalAdvice(practice, location, date)
+        });
+
+        return { ...result, facts };
     }
 
     /**
-     * Add crop-specific recommendations
+     * Facts the recommendation rules are evaluated against (ruleService lists their names)
      */
-    addCropRecommendations(recommendations, moisture, composition, indices, location) {
-        // Crop selection based on soil conditions
-        let cropSuggestions = [];
-        
-        if (composition.clay > 50 && moisture.percentage > 60) {
-            cropSuggestions = ['rice', 'cotton', 'soybeans'];
-        } else if (composition.sand > 60 && moisture.percentage < 40) {
-            cropSuggestions = ['drought-resistant crops', 'millet', 'sorghum'];
-        } else if (composition.ph >= 6.0 && composition.ph <= 7.5) {
-            cropSuggestions = ['corn', 'wheat', 'vegetables'];
-        }
-        
-        if (cropSuggestions.length > 0) {
-            recommendations.push({
-                type: 'Optimal Crop Selection',
-                category: 'crop_planning',
-                priority: 'low',
-                severity: 'low',
-                message: 'Current soil conditions are well-suited for specific crop types.',
-                action: `Consider planting: ${cropSuggestions.join(', ')}`,
-                details: 'These crops are well-adapted to your current soil conditions and will likely perform well with minimal amendments.',
-                timeline: 'Next planting season',
-                cost: 'Variable',
-                impact: 'Medium - Optimizes crop success',
-                seasonality: this.getSeasonalAdvice('crop_selection', location)
-            });
-        }
+    buildRuleFacts(moisture, composition, indices, location, context = {}) {
+        const cropContext = context.crop || null;
+        const temperature = context.temperature || null;
+        const conditions = {
+            ph: composition.ph,
+            soilType: composition.soilType,
+            moisture: moisture.percentage,
+            temperature: temperature?.celsius,
+            ndvi: indices.ndvi
+        };
+        const ranking = cropService.rankCrops(conditions);
+        const suited = ranking.filter(entry => entry.score >= 70).slice(0, 4);
+        const calendar = AgroCalendar.getSeason(location, context.date);
+
+        return {
+            moisture,
+            composition,
+            indices,
+            temperature,
+            location: {
+                ...location,
+                hemisphere: calendar.hemisphere
+            },
+            season: calendar.season,
+            month: calendar.month,
+            calendar,
+            thresholds: cropService.getThresholds(cropContext),
+            target: cropContext ? this.describeCropTarget(cropContext) : '',
+            crop: cropContext ? this.buildCropFacts(cropContext, conditions, ranking) : null,
+            suitedCrops: suited,
+            suitedCropCount: suited.length,
+            suitedCropNames: suited.map(entry => entry.name.toLowerCase()).join(', '),
+            suitedCropScores: suited.map(entry => `${entry.name} ${entry.score}/100`).join(', ')
+        };
     }
 
     /**
-     * Add sustainability and environmental recommendations
+     * The planted crop's profile ranges, growth stage and suitability, plus better suited alternatives
      */
-    addSustainabilityRecommendations(recommendations, moisture, composition, indices, location) {
-        // Carbon sequestration opportunities
-        if (composition.organicMatter < 4) {
-            recommendations.push({
-                type: 'Carbon Sequestration',
-                category: 'sustainability',
-                priority: 'low',
-                severity: 'low',
-                message: 'Opportunity to increase soil carbon storage and improve environmental sustainability.',
-                action: 'Implement carbon-building agricultural practices',
-                details: 'Use no-till farming, diverse crop rotations, cover cropping, and integrated livestock grazing.',
-                timeline: 'Long-term (2-5 years)',
-                cost: 'Low',
-                impact: 'High - Environmental and economic benefits',
-                seasonality: 'Year-round implementation'
-            });
-        }
-        
-        // Biodiversity enhancement
-        if (indices.ndvi < 0.6) {
-            recommendations.push({
-                type: 'Biodiversity Enhancement',
-                category: 'sustainability',
-                priority: 'low',
-                severity: 'low',
-                message: 'Enhance on-farm biodiversity to improve ecosystem services.',
-                action: 'Create habitat corridors and diverse plantings',
-                details: 'Plant native hedgerows, establish pollinator strips, create wildlife corridors, use diverse crop rotations.',
-                timeline: 'Long-term (1-3 years)',
-                cost: 'Medium',
-                impact: 'Medium - Ecosystem benefits',
-                seasonality: this.getSeasonalAdvice('biodiversity', location)
-            });
-        }
+    buildCropFacts(cropContext, conditions, ranking) {
+        const { profile, sowingDate, stage } = cropContext;
+        const suitability = cropService.assessSuitability(profile, conditions, stage);
+        const alternatives = ranking.filter(entry => entry.score > suitability.score && entry.rating !== 'unsuitable').slice(0, 3);
+
+        return {
+            id: profile.id,
+            name: profile.name,
+            ph: profile.ph,
+            moisture: profile.moisture,
+            temperature: profile.temperature,
+            sowingDate,
+            stage: stage ? {
+                ...stage,
+                daysUntilSowing: Math.max(0, -stage.daysAfterSowing),
+                optimalMoisture: cropService.getMoistureRange(profile, stage).optimal
+            } : null,
+            suitability,
+            alternatives: alternatives.length > 0
+                ? alternatives.map(entry => `${entry.name} (${entry.score})`).join(', ')
+                : null
+        };
+    }
+
+    /**
+     * Suffix naming the crop (and growth stage) recommendation thresholds refer to, e.g. " for wheat at tillering"
+     */
+    describeCropTarget(cropContext) {
+        const { profile, stage } = cropContext;
+        const stageName = stage?.days ? ` at ${stage.name.toLowerCase()}` : '';
+        return ` for ${profile.name.toLowerCase()}${stageName}`;
     }
 
     /**
      * Get seasonal advice for different management practices
+     * The season comes from the agro-calendar for the location and date: hemisphere-aware outside the tropics,
+     * wet or dry season within them
+     * @param {Date|string} [date] - Scene date; defaults to now
      */
-    getSeasonalAdvice(practice, location) {
-        const month = new Date().getMonth(); // 0-11
-        const season = this.getSeason(month, location);
+    getSeasonalAdvice(practice, location, date = new Date()) {
+        const { season } = AgroCalendar.getSeason(location, date);
         
         const seasonalAdvice = {
             irrigation: {
                 spring: 'Monitor emerging crops closely for water needs',
                 summer: 'Peak irrigation season - ensure adequate water supply',
-                fall: 'Reduce irrigation as temperatures cool',
-                winter: 'Minimal irrigation needed in most regions'
+                autumn: 'Reduce irrigation as temperatures cool',
+                winter: 'Minimal irrigation needed in most regions',
+                wet: 'Rely on rainfall - irrigate only during breaks in the rains',
+                dry: 'Main irrigation season - schedule water by crop stage'
             },
             planting: {
                 spring: 'Optimal time for most crop planting',
                 summer: 'Plant heat-tolerant varieties',
-                fall: 'Plant cool-season crops and cover crops',
-                winter: 'Limited planting options in temperate regions'
+                autumn: 'Plant cool-season crops and cover crops',
+                winter: 'Limited planting options in temperate regions',
+                wet: 'Main planting season for rainfed crops',
+                dry: 'Plant only with irrigation; prepare land for the coming rains'
             },
             soil_amendment: {
                 spring: 'Apply amendments before planting',
                 summer: 'Light applications to avoid plant stress',
-                fall: 'Ideal time for major soil amendments',
-                winter: 'Plan and prepare amendments for spring'
+                autumn: 'Ideal time for major soil amendments',
+                winter: 'Plan and prepare amendments for spring',
+                wet: 'Avoid heavy applications that the rains can wash away',
+                dry: 'Apply amendments before the rains start'
             },
             liming: {
                 spring: 'Apply lime before planting season',
                 summer: 'Avoid liming during hot weather',
-                fall: 'Best time for lime application',
-                winter: 'Good time for lime application in mild climates'
+                autumn: 'Best time for lime application',
+                winter: 'Good time for lime application in mild climates',
+                wet: 'Avoid liming on waterlogged soil',
+                dry: 'Best time for lime application, ahead of the rains'
             }
         };
         
         return seasonalAdvice[practice]?.[season] || 'Consult local agricultural extension for timing';
     }
 
-    /**
-     * Determine season based on month and location
-     */
-    getSeason(month, location) {
-        // Simplified seasonal determination (Northern Hemisphere default)
-        if (month >= 2 && month <= 4) return 'spring';
-        if (month >= 5 && month <= 7) return 'summer';
-        if (month >= 8 && month <= 10) return 'fall';
-        return 'winter';
-    }
-
     // Helper methods
     getMoistureLevel(percentage) {
         if (percentage < 15) return 'very_low';
@@ -741,11 +731,31 @@ class SoilAnalysisService {
         return moistureIndex;
     }
 
-    calculateConfidence(bestScene, allScenes) {
+    /**
+     * Confidence level (high/medium/low) of an analysis
+     * @param {boolean} [useMask=true] - Score the SCL mask's valid pixel fraction instead of scene cloud cover
+     */
+    calculateConfidence(bestScene, allScenes, useMask = true) {
+        const confidence = this.calculateConfidenceScore(bestScene, allScenes, useMask);
+
+        if (confidence > 80) return 'high';
+        if (confidence > 60) return 'medium';
+        return 'low';
+    }
+
+    /**
+     * Numeric (10-100) confidence score behind calculateConfidence
+     */
+    calculateConfidenceScore(bestScene, allScenes, useMask = true) {
         let confidence = 100;
         
-        // Reduce confidence based on cloud cover
-        confidence -= bestScene.cloudCover * 2;
+        if (useMask && bestScene.mask?.applied) {
+            // Cloudy pixels are already excluded, so only the share of the area lost to masking counts
+            confidence -= (1 - bestScene.mask.validPixelFraction) * 50;
+        } else {
+            // Reduce confidence based on cloud cover
+            confidence -= bestScene.cloudCover * 2;
+        }
         
         // Reduce confidence if limited data
         if (allScenes.length < 2) confidence -= 20;
@@ -755,29 +765,28 @@ class SoilAnalysisService {
         if (daysSinceCapture > 30) confidence -= 10;
         if (daysSinceCapture > 90) confidence -= 20;
         
-        confidence = Math.max(10, Math.min(100, confidence));
-        
-        if (confidence > 80) return 'high';
-        if (confidence > 60) return 'medium';
-        return 'low';
+        return Math.round(Math.max(10, Math.min(100, confidence)));
     }
 
     /**
-     * Initialize mock soil database for demonstration
+     * Summarize the SCL mask of the analyzed scene and how it changed the confidence
      */
-    initializeSoilDatabase() {
-        // This would be replaced with a real database in production
-        return [
-            {
-                id: 'soil_001',
-                lat: 40.7128,
-                lon: -74.0060,
-                moisture: { percentage: 45, level: 'moderate' },
-                composition: { clay: 35, sand: 40, silt: 25, organicMatter: 3.2, ph: 6.8 },
-                temperature: { celsius: 18.5 }
-            },
-            // Add more mock data points as needed
-        ];
+    describeMask(bestScene, allScenes) {
+        if (!bestScene.mask?.applied) {
+            return bestScene.mask || { applied: false, validPixelFraction: null };
+        }
+
+        const withMask = this.calculateConfidenceScore(bestScene, allScenes, true);
+        const withoutMask = this.calculateConfidenceScore(bestScene, allScenes, false);
+
+        return {
+            ...bestScene.mask,
+            confidenceImpact: {
+                withMask: { score: withMask, level: this.calculateConfidence(bestScene, allScenes, true) },
+                withoutMask: { score: withoutMask, level: this.calculateConfidence(bestScene, allScenes, false) },
+                scoreChange: withMask - withoutMask
+            }
+        };
     }
 }
 
@@ -0,0 +1,255 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ExpressionParser = require('../utils/expressionParser');
+const ColorRamps = require('../utils/colorRamps');
+const JsonFileStore = require('../utils/jsonFileStore');
+
+// Sentinel-2 L2A bands an expression may reference (surface reflectance, 0-1)
+const BANDS = ['B01', 'B02', 'B03', 'B04', 'B05', 'B06', 'B07', 'B08', 'B8A', 'B09', 'B10', 'B11', 'B12'];
+
+// Normalized differences and soil adjusted indices are clamped to [-1, 1]; ratio indices are not
+const NORMALIZED = [-1, 1];
+
+const BUILTIN_INDICES = [
+    { id: 'ndvi', name: 'NDVI', description: 'Normalized Difference Vegetation Index', expression: '(B08 - B04) / (B08 + B04)', range: NORMALIZED, ramp: 'ndvi' },
+    { id: 'evi', name: 'EVI', description: 'Enhanced Vegetation Index', expression: '2.5 * (B08 - B04) / (B08 + 6 * B04 - 7.5 * B02 + 1)', range: NORMALIZED, ramp: 'evi' },
+    { id: 'ndmi', name: 'NDMI', description: 'Normalized Difference Moisture Index', expression: '(B08 - B11) / (B08 + B11)', range: NORMALIZED, ramp: 'ndmi' },
+    { id: 'bsi', name: 'BSI', description: 'Bare Soil Index', expression: '((B11 + B04) - (B08 + B02)) / ((B11 + B04) + (B08 + B02))', range: NORMALIZED, ramp: 'bsi' },
+    { id: 'savi', name: 'SAVI', description: 'Soil Adjusted Vegetation Index (L = 0.5)', expression: '(B08 - B04) / (B08 + B04 + 0.5) * 1.5', range: NORMALIZED, ramp: 'savi' },
+    { id: 'msavi2', name: 'MSAVI2', description: 'Modified Soil Adjusted Vegetation Index', expression: '(2 * B08 + 1 - sqrt((2 * B08 + 1) ^ 2 - 8 * (B08 - B04))) / 2', range: NORMALIZED, ramp: 'ndvi' },
+    { id: 'ndwi', name: 'NDWI', description: 'Normalized Difference Water Index (McFeeters, open water)', expression: '(B03 - B08) / (B03 + B08)', range: NORMALIZED, ramp: 'ndmi' },
+    { id: 'gndvi', name: 'GNDVI', description: 'Green Normalized Difference Vegetation Index', expression: '(B08 - B03) / (B08 + B03)', range: NORMALIZED, ramp: 'ndvi' },
+    { id: 'nbr', name: 'NBR', description: 'Normalized Burn Ratio', expression: '(B08 - B12) / (B08 + B12)', range: NORMALIZED, ramp: 'ndvi' },
+    { id: 'ndre', name: 'NDRE', description: 'Normalized Difference Red Edge index', expression: '(B8A - B05) / (B8A + B05)', range: NORMALIZED, ramp: 'ndvi' },
+    { id: 'cire', name: 'CIre', description: 'Red-edge Chlorophyll Index', expression: 'B07 / B05 - 1', ramp: 'ndvi' },
+    { id: 'ireci', name: 'IRECI', description: 'Inverted Red-Edge Chlorophyll Index', expression: '(B07 - B04) / (B05 / B06)', ramp: 'ndvi' },
+    { id: 'mtci', name: 'MTCI', description: 'MERIS Terrestrial Chlorophyll Index', expression: '(B06 - B05) / (B05 - B04)', ramp: 'ndvi' },
+    { id: 's2rep', name: 'S2REP', description: 'Sentinel-2 Red-Edge Position (nm)', expression: '705 + 35 * ((B04 + B07) / 2 - B05) / (B06 - B05)', ramp: 'ndvi' }
+];
+
+const ID_PATTERN = /^[a-z][a-z0-9_]{1,31}$/;
+
+class SpectralIndexService {
+    constructor() {
+        this.bands = BANDS;
+        this.store = new JsonFileStore(
+            process.env.INDEX_STORE_PATH || path.join(__dirname, '../../data/indices.json'),
+            'indices'
+        );
+
+        this.definitions = new Map();
+        BUILTIN_INDICES.forEach(definition => this.register({ ...definition, source: 'builtin' }));
+        this.loadConfiguredIndices();
+        this.store.load().forEach(definition => {
+            const validation = this.validateDefinition(definition);
+            if (validation.valid && this.definitions.has(definition.id)) {
+                console.warn(`⚠️ Skipping stored index "${definition.id}": already configured`);
+            } else if (validation.valid) {
+                this.register({ ...validation.values, source: 'custom', createdAt: definition.createdAt });
+            } else {
+                console.warn(`⚠️ Skipping stored index "${definition.id}": ${validation.error}`);
+            }
+        });
+    }
+
+    /**
+     * Indices defined in the JSON file at SPECTRAL_INDICES_PATH: [{ id, name, description, expression, range, ramp }]
+     * Configured indices cannot be changed or deleted through the API
+     */
+    loadConfiguredIndices() {
+        const configPath = process.env.SPECTRAL_INDICES_PATH;
+        if (!configPath) return;
+
+        try {
+            const configured = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            const definitions = Array.isArray(configured) ? configured : configured.indices || [];
+
+            let loaded = 0;
+            definitions.forEach(definition => {
+                const validation = this.validateDefinition(definition || {});
+                if (validation.valid) {
+                    this.register({ ...validation.values, source: 'config' });
+                    loaded++;
+                } else {
+                    console.warn(`⚠️ Skipping configured index "${definition && definition.id}": ${validation.error}`);
+                }
+            });
+            console.log(`🧮 Loaded ${loaded} configured spectral indices from ${configPath}`);
+        } catch (error) {
+            console.warn(`⚠️ Could not read spectral indices ${configPath}:`, error.message);
+        }
+    }
+
+    register(definition) {
+        const { ast, variables } = ExpressionParser.parse(definition.expression, BANDS);
+        this.definitions.set(definition.id, {
+            ...definition,
+            bands: variables,
+            evaluate: ExpressionParser.compile(ast)
+        });
+    }
+
+    /**
+     * All index ids, built-in first
+     */
+    getIndexIds() {
+        return [...this.definitions.keys()];
+    }
+
+    hasIndex(id) {
+        return this.definitions.has(id);
+    }
+
+    /**
+     * Public description of an index
+     * @returns {Object|null} Definition without its compiled evaluator, or null when not found
+     */
+    getIndex(id) {
+        const definition = this.definitions.get(id);
+        if (!definition) return null;
+
+        const { evaluate, ...description } = definition;
+        return description;
+    }
+
+    listIndices() {
+        return this.getIndexIds().map(id => this.getIndex(id));
+    }
+
+    /**
+     * Key that changes whenever an index formula changes, so cached renderings of a
+     * re-created custom index are not reused
+     */
+    getCacheKey(id) {
+        const definition = this.definitions.get(id);
+        if (!definition || definition.source === 'builtin') return id;
+
+        const hash = crypto.createHash('sha1').update(`${definition.expression}|${definition.range}`).digest('hex');
+        return `${id}-${hash.slice(0, 8)}`;
+    }
+
+    /**
+     * Evaluate indices for one set of band values
+     * @param {Object} bands - Band reflectances keyed by band id
+     * @param {Array} [ids] - Indices to compute (default: all)
+     * @returns {Object} Values keyed by index id; null where the formula is undefined (e.g. division by zero or a missing band)
+     */
+    calculateIndices(bands, ids = this.getIndexIds()) {
+        const values = {};
+
+        ids.forEach(id => {
+            const definition = this.definitions.get(id);
+            if (!definition) throw new Error(`Unknown spectral index: ${id}`);
+
+            const value = definition.evaluate(bands);
+            if (typeof value !== 'number' || !isFinite(value)) {
+                values[id] = null;
+            } else {
+                values[id] = definition.range
+                    ? Math.max(definition.range[0], Math.min(definition.range[1], value))
+                    : value;
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * Register a custom index and persist it
+     * @param {Object} input - { id, name, description, expression, range, ramp }
+     * @returns {Promise<Object>} { valid: true, index } or { valid: false, error }
+     */
+    async createIndex(input) {
+        const validation = this.validateDefinition(input);
+        if (!validation.valid) return validation;
+
+        if (this.definitions.has(validation.values.id)) {
+            return { valid: false, error: `Index "${validation.values.id}" already exists` };
+        }
+
+        const definition = { ...validation.values, createdAt: new Date().toISOString() };
+        this.store.load().push(definition);
+        await this.store.save();
+        this.register({ ...definition, source: 'custom' });
+
+        console.log(`🧮 Registered custom index ${definition.id}: ${definition.expression}`);
+        return { valid: true, index: this.getIndex(definition.id) };
+    }
+
+    /**
+     * Delete a custom index
+     * @returns {Promise<Object|null>} { deleted: true }, { deleted: false, error } for built-in and
+     *   configured indices, or null when not found
+     */
+    async deleteIndex(id) {
+        const definition = this.definitions.get(id);
+        if (!definition) return null;
+
+        if (definition.source !== 'custom') {
+            return { deleted: false, error: `Index "${id}" is ${definition.source === 'builtin' ? 'built in' : 'configured'} and cannot be deleted` };
+        }
+
+        const records = this.store.load();
+        records.splice(records.findIndex(record => record.id === id), 1);
+        await this.store.save();
+        this.definitions.delete(id);
+
+        return { deleted: true };
+    }
+
+    /**
+     * Validate a custom index definition; the expression is parsed, never evaluated as code
+     * @returns {Object} { valid: true, values } or { valid: false, error }
+     */
+    validateDefinition(input = {}) {
+        const { id, name, description, expression, range, ramp = 'ndvi' } = input;
+
+        if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+            return { valid: false, error: 'Index id must be 2-32 lowercase letters, digits or underscores, starting with a letter' };
+        }
+
+        if (BUILTIN_INDICES.some(builtin => builtin.id === id)) {
+            return { valid: false, error: `Index "${id}" is built in` };
+        }
+
+        if (name !== undefined && (typeof name !== 'string' || name.length > 100)) {
+            return { valid: false, error: 'Name must be a string of at most 100 characters' };
+        }
+
+        if (description !== undefined && (typeof description !== 'string' || description.length > 500)) {
+            return { valid: false, error: 'Description must be a string of at most 500 characters' };
+        }
+
+        try {
+            ExpressionParser.parse(expression, BANDS);
+        } catch (error) {
+            return { valid: false, error: `Invalid expression: ${error.message}` };
+        }
+
+        if (range !== undefined && range !== null && !(
+            Array.isArray(range) && range.length === 2 &&
+            range.every(value => typeof value === 'number' && isFinite(value)) && range[0] < range[1]
+        )) {
+            return { valid: false, error: 'Range must be [min, max] with min below max' };
+        }
+
+        if (!ColorRamps.hasRamp(ramp)) {
+            return { valid: false, error: `Ramp must be one of: ${ColorRamps.getRampNames().join(', ')}` };
+        }
+
+        return {
+            valid: true,
+            values: {
+                id,
+                name: name || id.toUpperCase(),
+                description: description || '',
+                expression: expression.trim(),
+                range: range || undefined,
+                ramp
+            }
+        };
+    }
+}
+
+module.exports = new SpectralIndexService();
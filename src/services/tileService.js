@@ -0,0 +1,161 @@
+const fs = require('fs').promises;
+const path = require('path');
+const turf = require('@turf/turf');
+const rasterService = require('./rasterService');
+const spectralIndexService = require('./spectralIndexService');
+const ColorRamps = require('../utils/colorRamps');
+
+const TILE_SIZE = 256;
+
+class TileService {
+    constructor() {
+        this.cacheDir = process.env.TILE_CACHE_DIR || path.join(__dirname, '../../data/tiles');
+
+        // Tiles below the minimum zoom would cover far more than one Sentinel-2 granule
+        this.minZoom = parseInt(process.env.TILE_MIN_ZOOM) || 10;
+        this.maxZoom = 18;
+
+        // Indices are sampled on a coarser grid and scaled up to 256 px (64 px reaches the native 10 m at zoom 16)
+        this.gridSize = Math.max(1, Math.min(TILE_SIZE, parseInt(process.env.TILE_GRID_SIZE) || 64));
+
+        // Scenes acquired up to this many days before the requested date are considered
+        this.lookbackDays = parseInt(process.env.TILE_LOOKBACK_DAYS) || 30;
+
+        this.opacity = 200;
+        this.pending = new Map();
+    }
+
+    /**
+     * Get a rendered tile, from the disk cache when available
+     * @param {Object} tile - { index, z, x, y }
+     * @param {Object} options - { date (YYYY-MM-DD), ramp, composite, seed }
+     * @returns {Promise<Object>} { body: Buffer, cached: boolean }
+     */
+    async getTile(tile, options) {
+        const cachePath = this.getCachePath(tile, options);
+
+        try {
+            return { body: await fs.readFile(cachePath), cached: true };
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        // Concurrent requests for the same tile share one render
+        if (!this.pending.has(cachePath)) {
+            const render = this.renderTile(tile, options)
+                .then(async body => {
+                    await this.writeCache(cachePath, body);
+                    return body;
+                })
+                .finally(() => this.pending.delete(cachePath));
+            this.pending.set(cachePath, render);
+        }
+
+        return { body: await this.pending.get(cachePath), cached: false };
+    }
+
+    /**
+     * Render an index tile as a colour-ramped PNG
+     */
+    async renderTile(tile, options) {
+        const { index, z, x, y } = tile;
+        const { date, ramp = index, composite, seed } = options;
+
+        // Outside the supported zoom range tiles are blank rather than errors, so map layers keep working
+        if (z < this.minZoom) {
+            return ColorRamps.renderPng(new Float32Array(TILE_SIZE * TILE_SIZE).fill(NaN), TILE_SIZE, TILE_SIZE, ramp);
+        }
+
+        const bounds = this.getTileBounds(z, x, y);
+        const points = this.getTilePixelCenters(z, x, y, this.gridSize);
+        const geometry = turf.bboxPolygon([bounds.west, bounds.south, bounds.east, bounds.north]).geometry;
+        const end = new Date(`${date}T00:00:00Z`);
+        const start = new Date(end.getTime() - this.lookbackDays * 24 * 60 * 60 * 1000);
+
+        console.log(`🧩 Rendering ${index} tile ${z}/${x}/${y} for ${date}`);
+        const { rasters } = await rasterService.sampleIndices(points, geometry, {
+            start: start.toISOString().split('T')[0],
+            end: date
+        }, { indices: [index], seed, composite });
+
+        const values = this.upscale(rasters[index], this.gridSize, TILE_SIZE);
+        return ColorRamps.renderPng(values, TILE_SIZE, TILE_SIZE, ramp, this.opacity);
+    }
+
+    /**
+     * Geographic bounds of a Web Mercator (XYZ) tile
+     */
+    getTileBounds(z, x, y) {
+        return {
+            west: this.tileToLon(x, z),
+            east: this.tileToLon(x + 1, z),
+            north: this.tileToLat(y, z),
+            south: this.tileToLat(y + 1, z)
+        };
+    }
+
+    /**
+     * Pixel centre coordinates of a size x size grid over a tile, row by row from the north
+     * Rows are evenly spaced in Web Mercator so they line up with the map
+     */
+    getTilePixelCenters(z, x, y, size) {
+        const points = [];
+
+        for (let row = 0; row < size; row++) {
+            const lat = this.tileToLat(y + (row + 0.5) / size, z);
+            for (let col = 0; col < size; col++) {
+                points.push({ lat, lon: this.tileToLon(x + (col + 0.5) / size, z) });
+            }
+        }
+
+        return points;
+    }
+
+    tileToLon(x, z) {
+        return x / Math.pow(2, z) * 360 - 180;
+    }
+
+    tileToLat(y, z) {
+        const n = Math.PI - 2 * Math.PI * y / Math.pow(2, z);
+        return 180 / Math.PI * Math.atan(Math.sinh(n));
+    }
+
+    /**
+     * Nearest-neighbour upscaling of a square raster
+     */
+    upscale(values, size, targetSize) {
+        if (size === targetSize) return values;
+
+        const result = new Float32Array(targetSize * targetSize);
+        for (let row = 0; row < targetSize; row++) {
+            const sourceRow = Math.floor(row * size / targetSize);
+            for (let col = 0; col < targetSize; col++) {
+                result[row * targetSize + col] = values[sourceRow * size + Math.floor(col * size / targetSize)];
+            }
+        }
+
+        return result;
+    }
+
+    getCachePath(tile, options) {
+        const { index, z, x, y } = tile;
+        const { date, ramp = index, composite = 'best', seed } = options;
+        const variant = [date, composite, seed !== undefined ? `seed-${seed}` : null].filter(Boolean).join('_');
+
+        // Custom index keys include a formula hash so a re-created index never serves stale tiles
+        return path.join(this.cacheDir, spectralIndexService.getCacheKey(index), ramp, variant, String(z), String(x), `${y}.png`);
+    }
+
+    async writeCache(cachePath, body) {
+        try {
+            await fs.mkdir(path.dirname(cachePath), { recursive: true });
+            const tmpPath = `${cachePath}.${process.pid}.tmp`;
+            await fs.writeFile(tmpPath, body);
+            await fs.rename(tmpPath, cachePath);
+        } catch (error) {
+            console.warn('⚠️  Failed to cache tile:', error.message);
+        }
+    }
+}
+
+module.exports = new TileService();
@@ -0,0 +1,213 @@
+const moment = require('moment');
+const soilAnalysisService = require('./soilAnalysisService');
+const sceneMaskService = require('./sceneMaskService');
+const AnalysisUtils = require('../utils/analysisUtils');
+
+// Metrics tracked in every time series point
+const METRICS = ['ndvi', 'ndmi', 'evi', 'bsi', 'moisture'];
+
+class TimeSeriesService {
+    constructor() {
+        this.intervals = {
+            daily: 'day',
+            weekly: 'isoWeek',
+            monthly: 'month'
+        };
+
+        // Buckets deviating from the period mean by more than this many standard deviations are anomalies
+        this.anomalyThreshold = 1.5;
+    }
+
+    /**
+     * Build index and moisture time series for every valid scene
+     * @param {Object} sentinelData - Result of sentinelService.getSentinelData
+     * @param {Object} location - { lat, lon }
+     * @param {string} interval - daily, weekly or monthly
+     * @returns {Object} { observations, series, trends, anomalies }
+     */
+    analyzeTimeSeries(sentinelData, location, interval = 'weekly') {
+        if (!this.intervals[interval]) {
+            throw new Error(`Unsupported interval: ${interval}`);
+        }
+
+        const observations = this.extractObservations(sentinelData.scenes || [], location);
+        if (observations.length === 0) {
+            throw new Error('No valid satellite scenes available for time series analysis');
+        }
+
+        const series = this.resample(observations, sentinelData.dateRange, interval);
+        this.interpolateGaps(series);
+
+        const trends = {};
+        const anomalies = [];
+        METRICS.forEach(metric => {
+            trends[metric] = this.calculateTrend(observations, metric);
+            anomalies.push(...this.detectAnomalies(series, metric));
+        });
+
+        return {
+            interval,
+            sceneCount: observations.length,
+            observations,
+            series,
+            trends,
+            anomalies: anomalies.sort((a, b) => a.date.localeCompare(b.date))
+        };
+    }
+
+    /**
+     * Compute indices and moisture for each scene with usable band data, after SCL masking
+     */
+    extractObservations(scenes, location) {
+        return sceneMaskService.maskScenes(scenes)
+            .filter(scene => scene.bands && Object.keys(scene.bands).length > 0)
+            .map(scene => {
+                const indices = soilAnalysisService.calculateVegetationIndices(scene.bands);
+                const moisture = soilAnalysisService.analyzeSoilMoisture(scene.bands, indices, location);
+
+                return {
+                    date: scene.date,
+                    sceneId: scene.id,
+                    cloudCover: Math.round(scene.cloudCover * 100) / 100,
+                    validPixelFraction: scene.mask.validPixelFraction,
+                    ndvi: this.round(indices.ndvi),
+                    ndmi: this.round(indices.ndmi),
+                    evi: this.round(indices.evi),
+                    bsi: this.round(indices.bsi),
+                    moisture: moisture.percentage
+                };
+            })
+            .filter(observation => METRICS.every(metric => isFinite(observation[metric])))
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+
+    /**
+     * Average observations into daily/weekly/monthly buckets spanning the date range
+     */
+    resample(observations, dateRange, interval) {
+        const unit = this.intervals[interval];
+        const start = moment.utc(dateRange?.start || observations[0].date).startOf(unit);
+        const end = moment.utc(dateRange?.end || observations[observations.length - 1].date).startOf(unit);
+        const step = unit === 'isoWeek' ? 'week' : unit;
+
+        const buckets = [];
+        for (const cursor = start.clone(); !cursor.isAfter(end); cursor.add(1, step)) {
+            buckets.push({
+                date: cursor.format('YYYY-MM-DD'),
+                observations: 0,
+                interpolated: false,
+                ...Object.fromEntries(METRICS.map(metric => [metric, null]))
+            });
+        }
+
+        const bucketIndex = new Map(buckets.map((bucket, i) => [bucket.date, i]));
+        const sums = buckets.map(() => Object.fromEntries(METRICS.map(metric => [metric, 0])));
+
+        observations.forEach(observation => {
+            const key = moment.utc(observation.date).startOf(unit).format('YYYY-MM-DD');
+            const i = bucketIndex.get(key);
+            if (i === undefined) return;
+
+            buckets[i].observations++;
+            METRICS.forEach(metric => {
+                sums[i][metric] += observation[metric];
+            });
+        });
+
+        buckets.forEach((bucket, i) => {
+            if (bucket.observations === 0) return;
+            METRICS.forEach(metric => {
+                bucket[metric] = this.round(sums[i][metric] / bucket.observations);
+            });
+        });
+
+        return buckets;
+    }
+
+    /**
+     * Linearly interpolate empty buckets between observed ones (edges are left empty, not extrapolated)
+     */
+    interpolateGaps(series) {
+        const observed = series
+            .map((bucket, i) => (bucket.observations > 0 ? i : -1))
+            .filter(i => i >= 0);
+
+        for (let k = 0; k < observed.length - 1; k++) {
+            const from = observed[k];
+            const to = observed[k + 1];
+
+            for (let i = from + 1; i < to; i++) {
+                const fraction = (i - from) / (to - from);
+                METRICS.forEach(metric => {
+                    series[i][metric] = this.round(
+                        series[from][metric] + (series[to][metric] - series[from][metric]) * fraction
+                    );
+                });
+                series[i].interpolated = true;
+            }
+        }
+
+        return series;
+    }
+
+    /**
+     * Trend of a metric over the observed scenes, as slope per day and per 30 days
+     */
+    calculateTrend(observations, metric) {
+        const t0 = new Date(observations[0].date).getTime();
+        const points = observations.map(observation => ({
+            x: (new Date(observation.date).getTime() - t0) / (1000 * 60 * 60 * 24),
+            y: observation[metric]
+        }));
+
+        const stats = AnalysisUtils.calculateStatistics(points.map(p => p.y));
+        const fit = AnalysisUtils.calculateLinearTrend(points);
+
+        if (!fit) {
+            return { mean: stats.mean, slopePerDay: null, changePer30Days: null, r2: null, direction: 'insufficient_data' };
+        }
+
+        // Changes smaller than 1% of the metric's scale per 30 days are treated as stable
+        const scale = metric === 'moisture' ? 100 : 1;
+        const changePer30Days = fit.slope * 30;
+        let direction = 'stable';
+        if (changePer30Days > 0.01 * scale) direction = 'increasing';
+        if (changePer30Days < -0.01 * scale) direction = 'decreasing';
+
+        return {
+            mean: stats.mean,
+            slopePerDay: Math.round(fit.slope * 1e6) / 1e6,
+            changePer30Days: this.round(changePer30Days),
+            r2: this.round(fit.r2),
+            direction
+        };
+    }
+
+    /**
+     * Flag observed buckets deviating from the period mean
+     */
+    detectAnomalies(series, metric) {
+        const observed = series.filter(bucket => bucket.observations > 0);
+        const stats = AnalysisUtils.calculateStatistics(observed.map(bucket => bucket[metric]));
+
+        if (!stats.stdDev) return [];
+
+        return observed
+            .map(bucket => ({
+                date: bucket.date,
+                metric,
+                value: bucket[metric],
+                periodMean: stats.mean,
+                deviation: this.round(bucket[metric] - stats.mean),
+                zScore: this.round((bucket[metric] - stats.mean) / stats.stdDev)
+            }))
+            .filter(anomaly => Math.abs(anomaly.zScore) >= this.anomalyThreshold)
+            .map(anomaly => ({ ...anomaly, type: anomaly.deviation < 0 ? 'below_mean' : 'above_mean' }));
+    }
+
+    round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
+
+module.exports = new TimeSeriesService();
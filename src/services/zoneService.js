@@ -0,0 +1,182 @@
+const turf = require('@turf/turf');
+const rasterService = require('./rasterService');
+const soilAnalysisService = require('./soilAnalysisService');
+const geoService = require('./geoService');
+const AnalysisUtils = require('../utils/analysisUtils');
+const ClusterUtils = require('../utils/clusterUtils');
+const RasterUtils = require('../utils/rasterUtils');
+
+class ZoneService {
+    constructor() {
+        this.defaultZones = 3;
+        this.minZones = 2;
+        this.maxZones = 8;
+
+        // Scenes within this many days of the requested scene date are considered
+        this.sceneWindowDays = 15;
+
+        // Features clustered per pixel
+        this.features = ['ndvi', 'bsi', 'moisture'];
+    }
+
+    /**
+     * Delineate management zones by clustering pixel-level NDVI, BSI and soil moisture
+     * @param {Object} geometry - Normalized field Polygon/MultiPolygon
+     * @param {Object} [options] - { zones, date (scene date), resolution (meters), smoothing (majority filter passes), seed, composite }
+     * @returns {Promise<Object>} Zones as a GeoJSON FeatureCollection plus scene and field details
+     */
+    async delineateZones(geometry, options = {}) {
+        const {
+            zones = this.defaultZones,
+            date,
+            resolution = rasterService.defaultResolution,
+            smoothing = 1,
+            seed,
+            composite
+        } = options;
+
+        const fieldInfo = geoService.getFieldInfo(geometry);
+        const grid = rasterService.createGrid(rasterService.getBbox(geometry), resolution);
+        const points = rasterService.getPixelCenters(grid);
+
+        console.log(`🧭 Delineating ${zones} zones over ${grid.width}x${grid.height} pixels (${grid.resolution} m)`);
+        const { scene, rasters, pixelSamples, validPixels } = await rasterService.sampleIndices(
+            points,
+            geometry,
+            this.getDateRange(date),
+            { indices: ['ndvi', 'bsi', 'ndmi'], seed, composite, sceneDate: date, clip: true }
+        );
+
+        if (validPixels === 0) {
+            throw new Error('No valid pixels inside the field for the selected scene');
+        }
+
+        // Feature vectors of valid pixels
+        const pixels = [];
+        pixelSamples.forEach((sample, i) => {
+            if (!sample) return;
+
+            const indices = soilAnalysisService.calculateVegetationIndices(sample.bands);
+            const moisture = soilAnalysisService.analyzeSoilMoisture(sample.bands, indices, fieldInfo.centroid);
+            pixels.push({
+                index: i,
+                sample,
+                values: { ndvi: rasters.ndvi[i], bsi: rasters.bsi[i], ndmi: rasters.ndmi[i], moisture: moisture.percentage }
+            });
+        });
+
+        const vectors = ClusterUtils.standardize(pixels.map(pixel => this.features.map(feature => pixel.values[feature])));
+        const clustering = ClusterUtils.kmeans(vectors, zones, { seed: seed !== undefined ? `zones|${seed}` : 'zones' });
+
+        let labels = new Int32Array(points.length).fill(-1);
+        pixels.forEach((pixel, p) => {
+            labels[pixel.index] = clustering.labels[p];
+        });
+        labels = RasterUtils.majorityFilter(labels, grid.width, grid.height, smoothing);
+
+        // Number zones from lowest to highest mean NDVI so zone 1 is always the weakest
+        const members = new Map();
+        pixels.forEach(pixel => {
+            const label = labels[pixel.index];
+            if (!members.has(label)) members.set(label, []);
+            members.get(label).push(pixel);
+        });
+        const ordered = [...members.entries()]
+            .map(([label, zonePixels]) => ({ label, pixels: zonePixels, meanNdvi: this.mean(zonePixels.map(pixel => pixel.values.ndvi)) }))
+            .sort((a, b) => a.meanNdvi - b.meanNdvi);
+
+        const features = ordered.map((zone, rank) => turf.feature(
+            RasterUtils.polygonize(labels, grid, zone.label),
+            this.describeZone(zone.pixels, rank, ordered.length, grid, validPixels, scene.date)
+        ));
+
+        return {
+            field: fieldInfo,
+            scene: rasterService.describeScene(scene),
+            requestedZones: zones,
+            zoneCount: features.length,
+            resolution: grid.resolution,
+            validPixelFraction: Math.round(validPixels / points.length * 1000) / 1000,
+            features: this.features,
+            iterations: clustering.iterations,
+            zones: turf.featureCollection(features)
+        };
+    }
+
+    /**
+     * Zone properties: statistics and recommendations for the zone's average spectral response
+     * @param {string} sceneDate - Date the seasonal advice is for
+     */
+    describeZone(zonePixels, rank, zoneCount, grid, totalPixels, sceneDate) {
+        const statsOf = key => AnalysisUtils.calculateStatistics(zonePixels.map(pixel => pixel.values[key]));
+        const location = {
+            lat: this.mean(zonePixels.map(pixel => pixel.sample.lat)),
+            lon: this.mean(zonePixels.map(pixel => pixel.sample.lon))
+        };
+
+        const bands = AnalysisUtils.averageBands(zonePixels.map(pixel => pixel.sample));
+        const indices = soilAnalysisService.calculateVegetationIndices(bands);
+        const moisture = soilAnalysisService.analyzeSoilMoisture(bands, indices, location);
+        const composition = soilAnalysisService.analyzeSoilComposition(bands, location);
+
+        return {
+            zone: rank + 1,
+            productivity: this.getProductivityClass(rank, zoneCount),
+            pixelCount: zonePixels.length,
+            areaHectares: Math.round(zonePixels.length * grid.pixelArea / 10000 * 100) / 100,
+            share: Math.round(zonePixels.length / totalPixels * 1000) / 1000,
+            statistics: {
+                ndvi: statsOf('ndvi'),
+                bsi: statsOf('bsi'),
+                ndmi: statsOf('ndmi'),
+                moisture: statsOf('moisture')
+            },
+            moisture: {
+                percentage: moisture.percentage,
+                level: moisture.level
+            },
+            composition: {
+                soilType: composition.soilType,
+                organicMatter: Math.round(composition.organicMatter * 10) / 10,
+                ph: composition.ph,
+                fertilityScore: composition.fertility?.score
+            },
+            recommendations: soilAnalysisService.generateRecommendations(moisture, composition, indices, location, { date: sceneDate })
+        };
+    }
+
+    getProductivityClass(rank, zoneCount) {
+        if (rank === 0) return 'low';
+        if (rank === zoneCount - 1) return 'high';
+        return 'medium';
+    }
+
+    /**
+     * Search window for the requested scene date (default: the last 30 days)
+     */
+    getDateRange(date) {
+        const today = new Date().toISOString().split('T')[0];
+
+        if (!date) {
+            return {
+                start: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+                end: today
+            };
+        }
+
+        const center = new Date(date).getTime();
+        const windowMs = this.sceneWindowDays * 24 * 60 * 60 * 1000;
+        const end = new Date(center + windowMs).toISOString().split('T')[0];
+
+        return {
+            start: new Date(center - windowMs).toISOString().split('T')[0],
+            end: end > today ? today : end
+        };
+    }
+
+    mean(values) {
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+}
+
+module.exports = new ZoneService();
@@ -0,0 +1,149 @@
+/**
+ * Agricultural calendar: the season at a location on a date
+ * Outside the tropics seasons follow the hemisphere (meteorological seasons: March-May is spring in the north
+ * and autumn in the south). In the tropics the year is split into wet and dry seasons instead, timed by the
+ * regional monsoon where there is one, by the sun's passage otherwise; near the equator it rains year-round.
+ * Regions are rough bounding boxes, in the same spirit as GeoService.isNearCoast
+ */
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Meteorological seasons of the northern hemisphere by month (0-11); the southern hemisphere is six months apart
+const TEMPERATE_SEASONS = ['winter', 'winter', 'spring', 'spring', 'spring', 'summer', 'summer', 'summer', 'autumn', 'autumn', 'autumn', 'winter'];
+
+// Wet season months (1-12, inclusive, may wrap the year end) of the main monsoon systems
+const MONSOON_REGIONS = [
+    { id: 'south_asian', name: 'South Asian monsoon', bounds: { minLat: 5, maxLat: 32, minLon: 60, maxLon: 98 }, wetSeason: [6, 9] },
+    { id: 'east_asian', name: 'Southeast Asian monsoon', bounds: { minLat: 5, maxLat: 25, minLon: 98, maxLon: 125 }, wetSeason: [5, 10] },
+    { id: 'west_african', name: 'West African monsoon', bounds: { minLat: 5, maxLat: 20, minLon: -20, maxLon: 15 }, wetSeason: [6, 9] },
+    { id: 'north_american', name: 'North American monsoon', bounds: { minLat: 20, maxLat: 33, minLon: -115, maxLon: -103 }, wetSeason: [7, 9] },
+    { id: 'australian', name: 'Australian monsoon', bounds: { minLat: -20, maxLat: -10, minLon: 120, maxLon: 150 }, wetSeason: [12, 3] }
+];
+
+// Outside monsoon regions the tropical wet season follows the overhead sun
+const TROPICAL_WET_SEASONS = { northern: [5, 10], southern: [11, 4] };
+
+// Within this latitude of the equator there is no marked dry season
+const EQUATORIAL_LATITUDE = 5;
+
+const TROPIC_LATITUDE = 23.5;
+
+class AgroCalendar {
+    static getHemisphere(lat) {
+        return lat >= 0 ? 'northern' : 'southern';
+    }
+
+    /**
+     * Latitude-based climate zone, as reported by GeoService.getClimateInfo
+     * @returns {string} tropical, temperate, continental or polar
+     */
+    static getClimateZone(lat) {
+        const absLat = Math.abs(lat);
+        if (absLat < TROPIC_LATITUDE) return 'tropical';
+        if (absLat > 66.5) return 'polar';
+        if (absLat > 40) return 'continental';
+        return 'temperate';
+    }
+
+    /**
+     * Monsoon system governing the rains at a location, or null
+     */
+    static getMonsoon(lat, lon) {
+        return MONSOON_REGIONS.find(({ bounds }) =>
+            lat >= bounds.minLat && lat <= bounds.maxLat &&
+            lon >= bounds.minLon && lon <= bounds.maxLon
+        ) || null;
+    }
+
+    /**
+     * Season at a location on a date
+     * @param {Object} location - { lat, lon }
+     * @param {Date|string} [date] - e.g. the scene date; defaults to now
+     * @returns {Object} { season (spring, summer, autumn, winter, wet or dry), hemisphere, climateZone,
+     *   regime (seasonal, monsoon, tropical_wet_dry or equatorial), monsoon, wetSeason: { start, end } month names, month (1-12), description }
+     */
+    static getSeason(location, date = new Date()) {
+        const { lat, lon } = location;
+        const month = new Date(date).getUTCMonth() + 1;
+        const hemisphere = this.getHemisphere(lat);
+        const climateZone = this.getClimateZone(lat);
+        const monsoon = this.getMonsoon(lat, lon);
+
+        const info = { hemisphere, climateZone, regime: 'seasonal', monsoon: null, wetSeason: null, month };
+
+        if (monsoon) {
+            const wet = this.isInMonthRange(month, monsoon.wetSeason);
+            return {
+                season: wet ? 'wet' : 'dry',
+                ...info,
+                regime: 'monsoon',
+                monsoon: monsoon.name,
+                wetSeason: this.describeMonthRange(monsoon.wetSeason),
+                description: `${wet ? 'Wet' : 'Dry'} season of the ${monsoon.name} (rains ${this.formatMonthRange(monsoon.wetSeason)})`
+            };
+        }
+
+        if (climateZone === 'tropical' && Math.abs(lat) < EQUATORIAL_LATITUDE) {
+            return {
+                season: 'wet',
+                ...info,
+                regime: 'equatorial',
+                description: 'Equatorial climate with rain year-round'
+            };
+        }
+
+        if (climateZone === 'tropical') {
+            const range = TROPICAL_WET_SEASONS[hemisphere];
+            const wet = this.isInMonthRange(month, range);
+            return {
+                season: wet ? 'wet' : 'dry',
+                ...info,
+                regime: 'tropical_wet_dry',
+                wetSeason: this.describeMonthRange(range),
+                description: `${wet ? 'Wet' : 'Dry'} season in the ${hemisphere} tropics (rains ${this.formatMonthRange(range)})`
+            };
+        }
+
+        const season = TEMPERATE_SEASONS[hemisphere === 'northern' ? month - 1 : (month + 5) % 12];
+        return {
+            season,
+            ...info,
+            description: `${season.charAt(0).toUpperCase()}${season.slice(1)} in the ${hemisphere} hemisphere`
+        };
+    }
+
+    /**
+     * Seasonal deviation (°C) of the surface temperature from its annual mean
+     * The warmest time is mid-July in the north and mid-January in the south, or the month before the rains
+     * in monsoon regions (the rains cool the surface); the swing grows with latitude, from 2°C near the equator to 10°C
+     */
+    static getTemperatureAnomaly(location, date = new Date()) {
+        const { lat, lon } = location;
+        const day = new Date(date);
+        const dayOfYear = (Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()) - Date.UTC(day.getUTCFullYear(), 0, 0)) / 86400000;
+
+        const monsoon = this.getMonsoon(lat, lon);
+        const peakMonth = monsoon
+            ? (monsoon.wetSeason[0] + 10) % 12          // month (0-11) before the rains start
+            : lat >= 0 ? 6 : 0;                         // July or January
+        const peakDay = peakMonth * 30.4 + 15;
+
+        const amplitude = Math.max(2, Math.min(10, Math.abs(lat) * 0.25));
+        return amplitude * Math.cos(2 * Math.PI * (dayOfYear - peakDay) / 365);
+    }
+
+    static isInMonthRange(month, [start, end]) {
+        return start <= end ? month >= start && month <= end : month >= start || month <= end;
+    }
+
+    static describeMonthRange([start, end]) {
+        return { start: MONTH_NAMES[start - 1], end: MONTH_NAMES[end - 1] };
+    }
+
+    static formatMonthRange(range) {
+        const { start, end } = this.describeMonthRange(range);
+        return `${start}-${end}`;
+    }
+}
+
+module.exports = AgroCalendar;
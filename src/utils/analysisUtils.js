@@ -51,64 +51,76 @@ class AnalysisUtils {
     }
 
     /**
-     * Calculate vegetation indices from spectral bands
+     * Calculate summary statistics (mean, min, max, standard deviation) for a set of values
      */
-    static calculateIndices(bands) {
-        const { B02, B03, B04, B08, B11, B12 } = bands;
-        
-        // Ensure all bands are valid numbers
-        const validBands = Object.values(bands).every(band => 
-            typeof band === 'number' && band >= 0 && band <= 1
-        );
-        
-        if (!validBands) {
-            throw new Error('Invalid spectral band values');
+    static calculateStatistics(values) {
+        const valid = values.filter(value => typeof value === 'number' && isFinite(value));
+
+        if (valid.length === 0) {
+            return { mean: null, min: null, max: null, stdDev: null, count: 0 };
         }
-        
-        const indices = {};
-        
-        // NDVI (Normalized Difference Vegetation Index)
-        indices.ndvi = this.safeCalculation(() => (B08 - B04) / (B08 + B04));
-        
-        // EVI (Enhanced Vegetation Index)
-        indices.evi = this.safeCalculation(() => 
-            2.5 * ((B08 - B04) / (B08 + 6 * B04 - 7.5 * B02 + 1))
-        );
-        
-        // NDMI (Normalized Difference Moisture Index)
-        indices.ndmi = this.safeCalculation(() => (B08 - B11) / (B08 + B11));
-        
-        // BSI (Bare Soil Index)
-        indices.bsi = this.safeCalculation(() => 
-            ((B11 + B04) - (B08 + B02)) / ((B11 + B04) + (B08 + B02))
-        );
-        
-        // SAVI (Soil Adjusted Vegetation Index)
-        const L = 0.5; // Soil brightness correction factor
-        indices.savi = this.safeCalculation(() => 
-            ((B08 - B04) / (B08 + B04 + L)) * (1 + L)
-        );
-        
-        return indices;
+
+        const mean = valid.reduce((sum, value) => sum + value, 0) / valid.length;
+        const variance = valid.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / valid.length;
+        const round = value => Math.round(value * 1000) / 1000;
+
+        return {
+            mean: round(mean),
+            min: round(Math.min(...valid)),
+            max: round(Math.max(...valid)),
+            stdDev: round(Math.sqrt(variance)),
+            count: valid.length
+        };
     }
 
     /**
-     * Safe mathematical calculation with bounds checking
+     * Fit a least-squares line through { x, y } points
+     * @returns {Object} { slope, intercept, r2 } or null with fewer than two distinct x values
      */
-    static safeCalculation(calculation) {
-        try {
-            const result = calculation();
-            
-            if (isNaN(result) || !isFinite(result)) {
-                return 0;
-            }
-            
-            // Clamp to realistic range for indices
-            return Math.max(-1, Math.min(1, result));
-        } catch (error) {
-            console.warn('Calculation error:', error);
-            return 0;
-        }
+    static calculateLinearTrend(points) {
+        const valid = points.filter(p => isFinite(p.x) && isFinite(p.y));
+        if (valid.length < 2) return null;
+
+        const n = valid.length;
+        const meanX = valid.reduce((sum, p) => sum + p.x, 0) / n;
+        const meanY = valid.reduce((sum, p) => sum + p.y, 0) / n;
+
+        let sxx = 0;
+        let sxy = 0;
+        let syy = 0;
+        valid.forEach(p => {
+            sxx += (p.x - meanX) * (p.x - meanX);
+            sxy += (p.x - meanX) * (p.y - meanY);
+            syy += (p.y - meanY) * (p.y - meanY);
+        });
+
+        if (sxx === 0) return null;
+
+        const slope = sxy / sxx;
+        return {
+            slope,
+            intercept: meanY - slope * meanX,
+            r2: syy === 0 ? 1 : (sxy * sxy) / (sxx * syy)
+        };
+    }
+
+    /**
+     * Average band values across samples to get area-level reflectance
+     */
+    static averageBands(samples) {
+        const totals = {};
+
+        samples.forEach(sample => {
+            Object.entries(sample.bands).forEach(([band, value]) => {
+                totals[band] = (totals[band] || 0) + value;
+            });
+        });
+
+        Object.keys(totals).forEach(band => {
+            totals[band] /= samples.length;
+        });
+
+        return totals;
     }
 
     /**
@@ -200,55 +212,6 @@ class AnalysisUtils {
         return correctedValue;
     }
 
-    /**
-     * Generate realistic mock spectral data based on location and season
-     */
-    static generateRealisticSpectralData(location, date = new Date()) {
-        const { lat, lon } = location;
-        const month = date.getMonth();
-        
-        // Base reflectance values for different land types
-        const baseReflectance = {
-            B02: 0.08,  // Blue
-            B03: 0.10,  // Green
-            B04: 0.12,  // Red
-            B05: 0.15,  // Red Edge 1
-            B06: 0.18,  // Red Edge 2
-            B07: 0.20,  // Red Edge 3
-            B08: 0.25,  // NIR
-            B8A: 0.24,  // Narrow NIR
-            B11: 0.15,  // SWIR 1
-            B12: 0.10   // SWIR 2
-        };
-        
-        // Apply geographic variations
-        const latEffect = Math.cos(lat * Math.PI / 180); // 0 at poles, 1 at equator
-        const seasonEffect = Math.cos((month - 5) * Math.PI / 6); // Peak in summer (NH)
-        
-        // Modify reflectance values
-        Object.keys(baseReflectance).forEach(band => {
-            let value = baseReflectance[band];
-            
-            // Vegetation bands respond to season and latitude
-            if (['B05', 'B06', 'B07', 'B08', 'B8A'].includes(band)) {
-                value *= (1 + seasonEffect * latEffect * 0.4);
-            }
-            
-            // Soil/moisture bands
-            if (['B11', 'B12'].includes(band)) {
-                value *= (1 - seasonEffect * latEffect * 0.2);
-            }
-            
-            // Add random variation
-            value += (Math.random() - 0.5) * 0.05;
-            
-            // Ensure realistic bounds
-            baseReflectance[band] = Math.max(0.01, Math.min(0.8, value));
-        });
-        
-        return baseReflectance;
-    }
-
     /**
      * Format numbers for display
      */
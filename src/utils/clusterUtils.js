@@ -0,0 +1,129 @@
+/**
+ * K-means clustering helpers for management zone delineation
+ */
+
+const RandomUtils = require('./randomUtils');
+
+class ClusterUtils {
+    /**
+     * Scale each feature to zero mean and unit variance so no feature dominates the distance
+     * @param {Array} vectors - [[f1, f2, ...], ...]
+     * @returns {Array} Standardized copies of the vectors
+     */
+    static standardize(vectors) {
+        if (vectors.length === 0) return [];
+
+        const dimensions = vectors[0].length;
+        const means = new Array(dimensions).fill(0);
+        const stdDevs = new Array(dimensions).fill(0);
+
+        vectors.forEach(vector => vector.forEach((value, d) => { means[d] += value / vectors.length; }));
+        vectors.forEach(vector => vector.forEach((value, d) => { stdDevs[d] += Math.pow(value - means[d], 2) / vectors.length; }));
+
+        return vectors.map(vector => vector.map((value, d) => {
+            const stdDev = Math.sqrt(stdDevs[d]);
+            return stdDev > 0 ? (value - means[d]) / stdDev : 0;
+        }));
+    }
+
+    /**
+     * Cluster vectors into k groups (k-means++ initialization, Lloyd iterations)
+     * @param {Array} vectors - [[f1, f2, ...], ...]
+     * @param {number} k - Number of clusters
+     * @param {Object} [options] - { seed, maxIterations }
+     * @returns {Object} { labels: Int32Array, centroids, iterations }
+     */
+    static kmeans(vectors, k, options = {}) {
+        const { seed = 'kmeans', maxIterations = 100 } = options;
+        const random = RandomUtils.createSeededRandom(seed);
+        const clusters = Math.min(k, vectors.length);
+        const labels = new Int32Array(vectors.length).fill(-1);
+
+        const centroids = this.initializeCentroids(vectors, clusters, random);
+        let iterations = 0;
+
+        for (; iterations < maxIterations; iterations++) {
+            let changed = false;
+
+            vectors.forEach((vector, i) => {
+                const label = this.nearestCentroid(vector, centroids);
+                if (label !== labels[i]) {
+                    labels[i] = label;
+                    changed = true;
+                }
+            });
+
+            if (!changed) break;
+
+            // Move each centroid to the mean of its members (empty clusters keep their position)
+            const sums = centroids.map(centroid => centroid.map(() => 0));
+            const counts = new Array(clusters).fill(0);
+            vectors.forEach((vector, i) => {
+                counts[labels[i]]++;
+                vector.forEach((value, d) => { sums[labels[i]][d] += value; });
+            });
+            sums.forEach((sum, c) => {
+                if (counts[c] > 0) centroids[c] = sum.map(value => value / counts[c]);
+            });
+        }
+
+        return { labels, centroids, iterations };
+    }
+
+    /**
+     * k-means++: spread initial centroids by picking points with probability proportional to squared distance
+     */
+    static initializeCentroids(vectors, k, random) {
+        const centroids = [vectors[Math.floor(random() * vectors.length)]];
+        const distances = vectors.map(vector => this.squaredDistance(vector, centroids[0]));
+
+        while (centroids.length < k) {
+            const total = distances.reduce((sum, distance) => sum + distance, 0);
+
+            // All remaining points coincide with a centroid
+            if (total === 0) {
+                centroids.push(vectors[Math.floor(random() * vectors.length)]);
+                continue;
+            }
+
+            let target = random() * total;
+            let index = 0;
+            while (index < vectors.length - 1 && target >= distances[index]) {
+                target -= distances[index];
+                index++;
+            }
+
+            centroids.push(vectors[index]);
+            vectors.forEach((vector, i) => {
+                distances[i] = Math.min(distances[i], this.squaredDistance(vector, vectors[index]));
+            });
+        }
+
+        return centroids.map(centroid => centroid.slice());
+    }
+
+    static nearestCentroid(vector, centroids) {
+        let nearest = 0;
+        let nearestDistance = Infinity;
+
+        centroids.forEach((centroid, c) => {
+            const distance = this.squaredDistance(vector, centroid);
+            if (distance < nearestDistance) {
+                nearest = c;
+                nearestDistance = distance;
+            }
+        });
+
+        return nearest;
+    }
+
+    static squaredDistance(a, b) {
+        let sum = 0;
+        for (let d = 0; d < a.length; d++) {
+            sum += Math.pow(a[d] - b[d], 2);
+        }
+        return sum;
+    }
+}
+
+module.exports = ClusterUtils;
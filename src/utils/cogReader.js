@@ -0,0 +1,75 @@
+/**
+ * Point sampling of (Cloud Optimized) GeoTIFFs from local files or over HTTP range requests
+ * Points are given in WGS84 and projected to the raster's CRS from its GeoKeys
+ */
+
+const GeoTIFF = require('geotiff');
+const proj4 = require('proj4');
+
+class CogReader {
+    /**
+     * Read the first sample of a raster at WGS84 points
+     * @param {string} source - File path or http(s) URL
+     * @param {Array} points - [{ lat, lon }]
+     * @param {Object} [options] - { headers } for remote sources
+     * @returns {Promise<Array>} Value per point, or null outside the raster
+     */
+    static async sample(source, points, options = {}) {
+        const tiff = /^https?:\/\//.test(source)
+            ? await GeoTIFF.fromUrl(source, { headers: options.headers || {} })
+            : await GeoTIFF.fromFile(source);
+        const image = await tiff.getImage();
+
+        const projection = this.getProjection(image.getGeoKeys());
+        const [originX, originY] = image.getOrigin();
+        const [resolutionX, resolutionY] = image.getResolution();
+        const width = image.getWidth();
+        const height = image.getHeight();
+
+        const pixels = points.map(point => {
+            const [x, y] = projection ? proj4('EPSG:4326', projection, [point.lon, point.lat]) : [point.lon, point.lat];
+            const col = Math.floor((x - originX) / resolutionX);
+            const row = Math.floor((y - originY) / resolutionY);
+            return col >= 0 && row >= 0 && col < width && row < height ? { col, row } : null;
+        });
+
+        const inside = pixels.filter(Boolean);
+        if (inside.length === 0) return pixels.map(() => null);
+
+        // One window read covering all points
+        const window = inside.reduce((box, { col, row }) => [
+            Math.min(box[0], col),
+            Math.min(box[1], row),
+            Math.max(box[2], col + 1),
+            Math.max(box[3], row + 1)
+        ], [Infinity, Infinity, -Infinity, -Infinity]);
+
+        const [data] = await image.readRasters({ window, samples: [0] });
+        const windowWidth = window[2] - window[0];
+
+        return pixels.map(pixel => pixel ? data[(pixel.row - window[1]) * windowWidth + (pixel.col - window[0])] : null);
+    }
+
+    /**
+     * proj4 definition for a raster's CRS; null for geographic WGS84 rasters
+     * Supports the WGS84 / UTM zones used by Sentinel-2 and Landsat
+     */
+    static getProjection(geoKeys = {}) {
+        const epsg = geoKeys.ProjectedCSTypeGeoKey;
+
+        if (!epsg) {
+            if (!geoKeys.GeographicTypeGeoKey || geoKeys.GeographicTypeGeoKey === 4326) return null;
+            throw new Error(`Unsupported raster CRS EPSG:${geoKeys.GeographicTypeGeoKey}`);
+        }
+        if (epsg >= 32601 && epsg <= 32660) {
+            return `+proj=utm +zone=${epsg - 32600} +datum=WGS84 +units=m +no_defs`;
+        }
+        if (epsg >= 32701 && epsg <= 32760) {
+            return `+proj=utm +zone=${epsg - 32700} +south +datum=WGS84 +units=m +no_defs`;
+        }
+
+        throw new Error(`Unsupported raster CRS EPSG:${epsg}`);
+    }
+}
+
+module.exports = CogReader;
@@ -0,0 +1,147 @@
+/**
+ * Colour ramps for index rasters and PNG rendering
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
+
+// [value, [r, g, b]] stops, ascending; values outside the range are clamped to the end colours
+const RAMPS = {
+    ndvi: [
+        [-0.2, [140, 81, 10]],
+        [0.1, [216, 179, 101]],
+        [0.3, [246, 232, 195]],
+        [0.5, [145, 207, 96]],
+        [0.7, [26, 152, 80]],
+        [0.9, [0, 104, 55]]
+    ],
+    ndmi: [
+        [-0.5, [166, 97, 26]],
+        [-0.2, [223, 194, 125]],
+        [0, [245, 245, 245]],
+        [0.2, [146, 197, 222]],
+        [0.4, [67, 147, 195]],
+        [0.6, [5, 48, 97]]
+    ],
+    bsi: [
+        [-0.4, [26, 152, 80]],
+        [-0.1, [166, 217, 106]],
+        [0, [255, 255, 191]],
+        [0.2, [253, 174, 97]],
+        [0.4, [140, 81, 10]]
+    ]
+};
+
+// Indices without their own ramp use the closest match
+RAMPS.evi = RAMPS.ndvi;
+RAMPS.savi = RAMPS.ndvi;
+
+/**
+ * Load additional or replacement ramps from the JSON file in COLOR_RAMPS_PATH
+ * Format: { "<name>": [[value, [r, g, b]], ...] } with values ascending
+ */
+function loadCustomRamps() {
+    const rampPath = process.env.COLOR_RAMPS_PATH;
+    if (!rampPath) return;
+
+    try {
+        const ramps = JSON.parse(fs.readFileSync(path.resolve(rampPath), 'utf8'));
+
+        Object.entries(ramps).forEach(([name, stops]) => {
+            const valid = Array.isArray(stops) && stops.length >= 2 && stops.every((stop, i) =>
+                Array.isArray(stop) &&
+                typeof stop[0] === 'number' &&
+                (i === 0 || stop[0] > stops[i - 1][0]) &&
+                Array.isArray(stop[1]) && stop[1].length === 3 &&
+                stop[1].every(channel => Number.isInteger(channel) && channel >= 0 && channel <= 255)
+            );
+
+            if (!valid) {
+                console.warn(`⚠️  Ignoring colour ramp "${name}": expected ascending [value, [r, g, b]] stops`);
+                return;
+            }
+
+            RAMPS[name] = stops;
+        });
+
+        console.log(`🎨 Loaded colour ramps from ${rampPath}`);
+    } catch (error) {
+        console.warn(`⚠️  Could not load colour ramps from ${rampPath}:`, error.message);
+    }
+}
+
+loadCustomRamps();
+
+class ColorRamps {
+    /**
+     * Names of all available ramps (built-in and configured)
+     */
+    static getRampNames() {
+        return Object.keys(RAMPS);
+    }
+
+    static hasRamp(name) {
+        return Object.prototype.hasOwnProperty.call(RAMPS, name);
+    }
+
+    /**
+     * Get the colour stops of a ramp (defaults to the NDVI ramp)
+     */
+    static getRamp(name) {
+        return RAMPS[name] || RAMPS.ndvi;
+    }
+
+    /**
+     * Interpolated colour of a value on a ramp
+     * @returns {Array} [r, g, b]
+     */
+    static getColor(ramp, value) {
+        if (value <= ramp[0][0]) return ramp[0][1];
+
+        for (let i = 1; i < ramp.length; i++) {
+            const [upperValue, upperColor] = ramp[i];
+            if (value <= upperValue) {
+                const [lowerValue, lowerColor] = ramp[i - 1];
+                const t = (value - lowerValue) / (upperValue - lowerValue);
+                return lowerColor.map((channel, c) => Math.round(channel + (upperColor[c] - channel) * t));
+            }
+        }
+
+        return ramp[ramp.length - 1][1];
+    }
+
+    /**
+     * Render a raster as a colour-ramped RGBA PNG; NaN pixels are transparent
+     * @param {Float32Array} values - Row-major pixel values
+     * @param {number} width
+     * @param {number} height
+     * @param {string} rampName - Ramp to use (ndvi, ndmi, bsi, ...)
+     * @param {number} [opacity=255] - Alpha of valid pixels
+     * @returns {Buffer} PNG file contents
+     */
+    static renderPng(values, width, height, rampName, opacity = 255) {
+        const ramp = this.getRamp(rampName);
+        const png = new PNG({ width, height });
+
+        for (let i = 0; i < width * height; i++) {
+            const value = values[i];
+            const offset = i * 4;
+
+            if (!Number.isFinite(value)) {
+                png.data[offset + 3] = 0;
+                continue;
+            }
+
+            const [r, g, b] = this.getColor(ramp, value);
+            png.data[offset] = r;
+            png.data[offset + 1] = g;
+            png.data[offset + 2] = b;
+            png.data[offset + 3] = opacity;
+        }
+
+        return PNG.sync.write(png);
+    }
+}
+
+module.exports = ColorRamps;
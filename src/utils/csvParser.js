@@ -0,0 +1,81 @@
+/**
+ * Minimal CSV reader (RFC 4180 quoting) for uploaded point lists
+ */
+
+class CsvParser {
+    /**
+     * Parse CSV text with a header row into records
+     * The delimiter (comma, semicolon or tab) is detected from the header row
+     * @param {string} text
+     * @returns {Object} { headers, records: [{ header: value }] } with headers lower-cased and trimmed
+     */
+    static parse(text) {
+        const content = String(text).replace(/^\uFEFF/, '');
+        const firstLine = content.split(/\r?\n/, 1)[0];
+        const delimiter = [',', ';', '\t']
+            .reduce((best, candidate) => firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+
+        const rows = this.parseRows(content, delimiter).filter(row => row.some(value => value.trim() !== ''));
+        if (rows.length === 0) {
+            return { headers: [], records: [] };
+        }
+
+        const headers = rows[0].map(header => header.trim().toLowerCase());
+        const records = rows.slice(1).map(row => {
+            const record = {};
+            headers.forEach((header, i) => {
+                record[header] = (row[i] ?? '').trim();
+            });
+            return record;
+        });
+
+        return { headers, records };
+    }
+
+    /**
+     * Split CSV text into rows of raw field values
+     */
+    static parseRows(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+}
+
+module.exports = CsvParser;
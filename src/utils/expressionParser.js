@@ -0,0 +1,229 @@
+/**
+ * Safe parser for band-math expressions such as "(B08 - B04) / (B08 + B04)"
+ * Expressions are parsed into a syntax tree and compiled to closures; nothing is eval'd
+ *
+ * Grammar:
+ *   expression := term (('+' | '-') term)*
+ *   term       := unary (('*' | '/') unary)*
+ *   unary      := '-' unary | '+' unary | power
+ *   power      := primary ('^' unary)?
+ *   primary    := number | band | function '(' expression (',' expression)* ')' | '(' expression ')'
+ */
+
+// Maps rather than plain objects, so names like "constructor" or "toString" do not resolve to prototype members
+const FUNCTIONS = new Map([
+    ['sqrt', { arity: [1, 1], fn: Math.sqrt }],
+    ['abs', { arity: [1, 1], fn: Math.abs }],
+    ['exp', { arity: [1, 1], fn: Math.exp }],
+    ['log', { arity: [1, 1], fn: Math.log }],
+    ['min', { arity: [2, Infinity], fn: Math.min }],
+    ['max', { arity: [2, Infinity], fn: Math.max }]
+]);
+
+const OPERATORS = new Map([
+    ['+', (a, b) => a + b],
+    ['-', (a, b) => a - b],
+    ['*', (a, b) => a * b],
+    ['/', (a, b) => a / b],
+    ['^', (a, b) => Math.pow(a, b)]
+]);
+
+const MAX_LENGTH = 500;
+const MAX_DEPTH = 50;
+
+class ExpressionParser {
+    /**
+     * Names of the functions expressions may call
+     */
+    static getFunctionNames() {
+        return [...FUNCTIONS.keys()];
+    }
+
+    /**
+     * Parse an expression into a syntax tree
+     * @param {string} expression
+     * @param {Array} variables - Allowed variable names (e.g. band ids), matched case-insensitively
+     * @returns {Object} { ast, variables: names used }
+     * @throws {Error} With the position of the first syntax error
+     */
+    static parse(expression, variables) {
+        if (typeof expression !== 'string' || expression.trim() === '') {
+            throw new Error('Expression must be a non-empty string');
+        }
+
+        if (expression.length > MAX_LENGTH) {
+            throw new Error(`Expression must be at most ${MAX_LENGTH} characters`);
+        }
+
+        const tokens = this.tokenize(expression);
+        const allowed = new Map(variables.map(name => [name.toUpperCase(), name]));
+        const used = new Set();
+        let position = 0;
+        let depth = 0;
+
+        const peek = () => tokens[position];
+        const fail = (message, token = peek()) => {
+            throw new Error(`${message} at position ${token ? token.position + 1 : expression.length + 1}`);
+        };
+        const expect = value => {
+            if (!peek() || peek().value !== value) fail(`Expected "${value}"`);
+            position++;
+        };
+        const nest = parse => {
+            if (++depth > MAX_DEPTH) fail('Expression is nested too deeply');
+            const node = parse();
+            depth--;
+            return node;
+        };
+
+        const parseExpression = () => nest(() => {
+            let node = parseTerm();
+            while (peek() && (peek().value === '+' || peek().value === '-')) {
+                const operator = tokens[position++].value;
+                node = { type: 'binary', operator, left: node, right: parseTerm() };
+            }
+            return node;
+        });
+
+        const parseTerm = () => {
+            let node = parseUnary();
+            while (peek() && (peek().value === '*' || peek().value === '/')) {
+                const operator = tokens[position++].value;
+                node = { type: 'binary', operator, left: node, right: parseUnary() };
+            }
+            return node;
+        };
+
+        const parseUnary = () => nest(() => {
+            if (peek() && (peek().value === '-' || peek().value === '+')) {
+                const operator = tokens[position++].value;
+                const operand = parseUnary();
+                return operator === '-' ? { type: 'negate', operand } : operand;
+            }
+            return parsePower();
+        });
+
+        const parsePower = () => {
+            const base = parsePrimary();
+            if (peek() && peek().value === '^') {
+                position++;
+                return { type: 'binary', operator: '^', left: base, right: parseUnary() };
+            }
+            return base;
+        };
+
+        const parsePrimary = () => {
+            const token = peek();
+            if (!token) fail('Unexpected end of expression');
+
+            if (token.type === 'number') {
+                position++;
+                return { type: 'number', value: token.value };
+            }
+
+            if (token.value === '(') {
+                position++;
+                const node = parseExpression();
+                expect(')');
+                return node;
+            }
+
+            if (token.type === 'identifier') {
+                position++;
+                const name = token.value.toLowerCase();
+
+                if (peek() && peek().value === '(') {
+                    const definition = FUNCTIONS.get(name);
+                    if (!definition) fail(`Unknown function "${token.value}"`, token);
+
+                    position++;
+                    const args = [parseExpression()];
+                    while (peek() && peek().value === ',') {
+                        position++;
+                        args.push(parseExpression());
+                    }
+                    expect(')');
+
+                    if (args.length < definition.arity[0] || args.length > definition.arity[1]) {
+                        fail(`Wrong number of arguments for ${name}()`, token);
+                    }
+                    return { type: 'call', name, args };
+                }
+
+                const variable = allowed.get(token.value.toUpperCase());
+                if (!variable) fail(`Unknown band "${token.value}"`, token);
+                used.add(variable);
+                return { type: 'variable', name: variable };
+            }
+
+            return fail(`Unexpected "${token.value}"`);
+        };
+
+        const ast = parseExpression();
+        if (position < tokens.length) fail(`Unexpected "${peek().value}"`);
+
+        return { ast, variables: [...used] };
+    }
+
+    static tokenize(expression) {
+        const tokens = [];
+        const pattern = /(\d+\.?\d*(?:[eE][-+]?\d+)?|\.\d+(?:[eE][-+]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|([-+*/^(),])/y;
+        let position = 0;
+
+        while (position < expression.length) {
+            if (/\s/.test(expression[position])) {
+                position++;
+                continue;
+            }
+
+            pattern.lastIndex = position;
+            const match = pattern.exec(expression);
+            if (!match) {
+                throw new Error(`Unexpected character "${expression[position]}" at position ${position + 1}`);
+            }
+
+            if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]), position });
+            else if (match[2] !== undefined) tokens.push({ type: 'identifier', value: match[2], position });
+            else tokens.push({ type: 'operator', value: match[3], position });
+
+            position = pattern.lastIndex;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Compile a syntax tree into a function of a variables object
+     * @returns {Function} values => number (NaN/Infinity when undefined, e.g. division by zero)
+     */
+    static compile(ast) {
+        switch (ast.type) {
+            case 'number':
+                return () => ast.value;
+            case 'variable':
+                return values => values[ast.name];
+            case 'negate': {
+                const operand = this.compile(ast.operand);
+                return values => -operand(values);
+            }
+            case 'binary': {
+                const left = this.compile(ast.left);
+                const right = this.compile(ast.right);
+                const operator = OPERATORS.get(ast.operator);
+                if (!operator) throw new Error(`Unknown operator: ${ast.operator}`);
+                return values => operator(left(values), right(values));
+            }
+            case 'call': {
+                const args = ast.args.map(arg => this.compile(arg));
+                const definition = FUNCTIONS.get(ast.name);
+                if (!definition) throw new Error(`Unknown function: ${ast.name}`);
+                const { fn } = definition;
+                return values => fn(...args.map(arg => arg(values)));
+            }
+            default:
+                throw new Error(`Unknown expression node: ${ast.type}`);
+        }
+    }
+}
+
+module.exports = ExpressionParser;
@@ -0,0 +1,106 @@
+/**
+ * Minimal GeoTIFF writer for single-band Float32 rasters in WGS84 (EPSG:4326)
+ * geotiff.js can only write 8-bit rasters, so index maps are encoded here
+ */
+
+// TIFF field types
+const SHORT = 3;
+const LONG = 4;
+const ASCII = 2;
+const DOUBLE = 12;
+
+const TYPE_SIZES = { [ASCII]: 1, [SHORT]: 2, [LONG]: 4, [DOUBLE]: 8 };
+
+class GeoTiffWriter {
+    /**
+     * Encode a Float32 raster as an uncompressed little-endian GeoTIFF
+     * @param {Float32Array} values - Row-major pixel values, first row is the northern edge; NaN is nodata
+     * @param {Object} grid - { width, height, bbox: { minLon, minLat, maxLon, maxLat } }
+     * @returns {Buffer}
+     */
+    static writeFloat32(values, grid) {
+        const { width, height, bbox } = grid;
+        const pixelWidth = (bbox.maxLon - bbox.minLon) / width;
+        const pixelHeight = (bbox.maxLat - bbox.minLat) / height;
+
+        const geoKeys = [
+            1, 1, 0, 3, // GeoKeyDirectory header: version 1.1.0, 3 keys
+            1024, 0, 1, 2, // GTModelTypeGeoKey: geographic
+            1025, 0, 1, 1, // GTRasterTypeGeoKey: pixel is area
+            2048, 0, 1, 4326 // GeographicTypeGeoKey: WGS84
+        ];
+
+        // Tags must be written in ascending order
+        const tags = [
+            { tag: 256, type: LONG, values: [width] }, // ImageWidth
+            { tag: 257, type: LONG, values: [height] }, // ImageLength
+            { tag: 258, type: SHORT, values: [32] }, // BitsPerSample
+            { tag: 259, type: SHORT, values: [1] }, // Compression: none
+            { tag: 262, type: SHORT, values: [1] }, // PhotometricInterpretation: BlackIsZero
+            { tag: 273, type: LONG, values: [0] }, // StripOffsets (patched below)
+            { tag: 277, type: SHORT, values: [1] }, // SamplesPerPixel
+            { tag: 278, type: LONG, values: [height] }, // RowsPerStrip
+            { tag: 279, type: LONG, values: [width * height * 4] }, // StripByteCounts
+            { tag: 284, type: SHORT, values: [1] }, // PlanarConfiguration: chunky
+            { tag: 339, type: SHORT, values: [3] }, // SampleFormat: IEEE float
+            { tag: 33550, type: DOUBLE, values: [pixelWidth, pixelHeight, 0] }, // ModelPixelScale
+            { tag: 33922, type: DOUBLE, values: [0, 0, 0, bbox.minLon, bbox.maxLat, 0] }, // ModelTiepoint
+            { tag: 34735, type: SHORT, values: geoKeys }, // GeoKeyDirectory
+            { tag: 42113, type: ASCII, values: 'nan\0' } // GDAL_NODATA
+        ];
+
+        const ifdOffset = 8;
+        const ifdSize = 2 + tags.length * 12 + 4;
+
+        // Values longer than 4 bytes go after the IFD, then the pixel data
+        let extraOffset = ifdOffset + ifdSize;
+        tags.forEach(entry => {
+            entry.byteLength = TYPE_SIZES[entry.type] * entry.values.length;
+            if (entry.byteLength > 4) {
+                entry.offset = extraOffset;
+                extraOffset += entry.byteLength + (entry.byteLength % 2);
+            }
+        });
+        const dataOffset = extraOffset;
+        tags.find(entry => entry.tag === 273).values = [dataOffset];
+
+        const buffer = Buffer.alloc(dataOffset + width * height * 4);
+        buffer.write('II', 0, 'ascii');
+        buffer.writeUInt16LE(42, 2);
+        buffer.writeUInt32LE(ifdOffset, 4);
+        buffer.writeUInt16LE(tags.length, ifdOffset);
+
+        tags.forEach((entry, i) => {
+            const position = ifdOffset + 2 + i * 12;
+            buffer.writeUInt16LE(entry.tag, position);
+            buffer.writeUInt16LE(entry.type, position + 2);
+            buffer.writeUInt32LE(entry.values.length, position + 4);
+            this.writeValues(buffer, entry, entry.byteLength > 4 ? entry.offset : position + 8);
+            if (entry.byteLength > 4) {
+                buffer.writeUInt32LE(entry.offset, position + 8);
+            }
+        });
+        buffer.writeUInt32LE(0, ifdOffset + 2 + tags.length * 12); // No further IFDs
+
+        for (let i = 0; i < values.length; i++) {
+            buffer.writeFloatLE(values[i], dataOffset + i * 4);
+        }
+
+        return buffer;
+    }
+
+    static writeValues(buffer, entry, offset) {
+        if (entry.type === ASCII) {
+            buffer.write(entry.values, offset, 'ascii');
+            return;
+        }
+
+        entry.values.forEach((value, i) => {
+            if (entry.type === SHORT) buffer.writeUInt16LE(value, offset + i * 2);
+            if (entry.type === LONG) buffer.writeUInt32LE(value, offset + i * 4);
+            if (entry.type === DOUBLE) buffer.writeDoubleLE(value, offset + i * 8);
+        });
+    }
+}
+
+module.exports = GeoTiffWriter;
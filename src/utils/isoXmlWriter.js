@@ -0,0 +1,104 @@
+/**
+ * ISOBUS ISO 11783-10 TaskData (ISO-XML) writer for polygon based prescriptions
+ */
+
+// Setpoint application rate DDIs (ISO 11783-11) and the factor from the rate unit to the DDI unit
+const RATE_UNITS = {
+    'kg/ha': { ddi: '0006', factor: 100 }, // Setpoint Mass Per Area Application Rate, mg/m²
+    'l/ha': { ddi: '0001', factor: 100 }, // Setpoint Volume Per Area Application Rate, mm³/m²
+    'mm': { ddi: '0001', factor: 1000000 } // Irrigation depth as volume per area, mm³/m²
+};
+
+// Polygon and line string types
+const PLN_PARTFIELD_BOUNDARY = 1;
+const PLN_TREATMENT_ZONE = 2;
+const LSG_EXTERIOR = 1;
+const LSG_INTERIOR = 2;
+const PNT_OTHER = 2;
+
+class IsoXmlWriter {
+    static getRateUnits() {
+        return Object.keys(RATE_UNITS);
+    }
+
+    /**
+     * Build TASKDATA.XML for one task with one treatment zone per prescription zone
+     * @param {Object} task - { name, field: { name, geometry, areaSqMeters }, product: { name, unit },
+     *   defaultRate, zones: [{ name, rate, geometry }], software: { manufacturer, version } }
+     * @returns {string} XML document
+     */
+    static writeTaskData(task) {
+        const { ddi, factor } = RATE_UNITS[task.product.unit];
+        const processData = rate => this.element('PDV', { A: ddi, B: Math.round(rate * factor), C: 'PDT1' });
+
+        // Zone 0 covers default and lost-position rates, zone 1 outside the field; prescription zones follow
+        const treatmentZones = [
+            this.element('TZN', { A: 0, B: 'Default' }, [processData(task.defaultRate)]),
+            this.element('TZN', { A: 1, B: 'Out of field' }, [processData(0)]),
+            ...task.zones.map((zone, i) => this.element('TZN', { A: i + 2, B: zone.name }, [
+                processData(zone.rate),
+                ...this.polygons(zone.geometry, PLN_TREATMENT_ZONE)
+            ]))
+        ];
+
+        const root = this.element('ISO11783_TaskData', {
+            VersionMajor: 4,
+            VersionMinor: 3,
+            ManagementSoftwareManufacturer: task.software.manufacturer,
+            ManagementSoftwareVersion: task.software.version,
+            DataTransferOrigin: 1 // FMIS
+        }, [
+            this.element('PDT', { A: 'PDT1', B: task.product.name }),
+            this.element('PFD', {
+                A: 'PFD1',
+                C: task.field.name,
+                D: Math.round(task.field.areaSqMeters)
+            }, this.polygons(task.field.geometry, PLN_PARTFIELD_BOUNDARY)),
+            this.element('TSK', {
+                A: 'TSK1',
+                B: task.name,
+                E: 'PFD1',
+                G: 1, // Planned
+                H: 0,
+                I: 0,
+                J: 1
+            }, treatmentZones)
+        ]);
+
+        return `<?xml version="1.0" encoding="UTF-8"?>\n${root}\n`;
+    }
+
+    /**
+     * PLN elements for a Polygon/MultiPolygon (one PLN per polygon, holes as interior line strings)
+     */
+    static polygons(geometry, type) {
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+
+        return polygons.map(polygon => this.element('PLN', { A: type }, polygon.map((ring, r) =>
+            this.element('LSG', { A: r === 0 ? LSG_EXTERIOR : LSG_INTERIOR }, ring.map(([lon, lat]) =>
+                this.element('PNT', { A: PNT_OTHER, C: lat.toFixed(9), D: lon.toFixed(9) })
+            ))
+        )));
+    }
+
+    static element(name, attributes, children = []) {
+        const attributeText = Object.entries(attributes)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => ` ${key}="${this.escape(value)}"`)
+            .join('');
+
+        return children.length === 0
+            ? `<${name}${attributeText}/>`
+            : `<${name}${attributeText}>\n${children.join('\n')}\n</${name}>`;
+    }
+
+    static escape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+module.exports = IsoXmlWriter;
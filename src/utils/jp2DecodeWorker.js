@@ -0,0 +1,42 @@
+/**
+ * Worker thread for Jp2Reader: decodes a JPEG 2000 raster and posts back the values at the requested pixels
+ */
+
+const fs = require('fs');
+const { parentPort, workerData } = require('worker_threads');
+const openjpeg = require('@cornerstonejs/codec-openjpeg');
+
+async function readPixels({ filePath, pixels }) {
+    // OpenJPEG logs every header it reads; keep the server log clean
+    const codec = await openjpeg({ print: () => {}, printErr: () => {} });
+    const encoded = fs.readFileSync(filePath);
+
+    const decoder = new codec.J2KDecoder();
+    try {
+        decoder.getEncodedBuffer(encoded.length).set(encoded);
+        decoder.decode();
+
+        const { width, height, bitsPerSample, isSigned, componentCount } = decoder.getFrameInfo();
+        if (!width || !height) {
+            throw new Error('not a JPEG 2000 raster');
+        }
+
+        const decoded = decoder.getDecodedBuffer();
+        const SampleArray = bitsPerSample > 8
+            ? (isSigned ? Int16Array : Uint16Array)
+            : (isSigned ? Int8Array : Uint8Array);
+        const samples = new SampleArray(decoded.buffer, decoded.byteOffset, width * height * componentCount);
+
+        return pixels.map(({ col, row }) => {
+            if (col < 0 || row < 0 || col >= width || row >= height) return null;
+            return samples[(row * width + col) * componentCount];
+        });
+    } finally {
+        decoder.delete();
+    }
+}
+
+readPixels(workerData).then(
+    values => parentPort.postMessage({ values }),
+    error => parentPort.postMessage({ error: error instanceof Error ? error.message : `OpenJPEG error ${error}` })
+);
@@ -0,0 +1,44 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+/**
+ * Full-precision JPEG 2000 reads for Sentinel-2 band rasters
+ * Decoding (OpenJPEG compiled to WebAssembly) runs in a worker thread, so a full 10980x10980 tile
+ * does not block the event loop; only the requested pixel values are sent back
+ */
+class Jp2Reader {
+    /**
+     * Read raster values at pixel positions
+     * @param {string} filePath - .jp2 file (or raw J2K codestream)
+     * @param {Array} pixels - [{ col, row }]
+     * @returns {Promise<Array>} Value per pixel (first component, at the codestream's native bit depth), null outside the raster
+     */
+    static readPixels(filePath, pixels) {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(path.join(__dirname, 'jp2DecodeWorker.js'), {
+                workerData: { filePath, pixels }
+            });
+            let settled = false;
+
+            worker.once('message', message => {
+                settled = true;
+                if (message.error) {
+                    reject(new Error(`Could not decode ${path.basename(filePath)}: ${message.error}`));
+                } else {
+                    resolve(message.values);
+                }
+            });
+            worker.once('error', error => {
+                settled = true;
+                reject(error);
+            });
+            worker.once('exit', code => {
+                if (!settled) {
+                    reject(new Error(`JPEG 2000 decoder exited with code ${code} while reading ${path.basename(filePath)}`));
+                }
+            });
+        });
+    }
+}
+
+module.exports = Jp2Reader;
@@ -0,0 +1,58 @@
+/**
+ * Small file-based JSON collection store
+ * The whole collection is kept in memory and rewritten on every save
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class JsonFileStore {
+    /**
+     * @param {string} filePath - JSON file holding the collection
+     * @param {string} collection - Key of the record array inside the file (e.g. 'analyses')
+     */
+    constructor(filePath, collection) {
+        this.filePath = filePath;
+        this.collection = collection;
+        this.records = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Records of the collection, loaded from disk on first use
+     */
+    load() {
+        if (this.records) return this.records;
+
+        this.records = [];
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                this.records = Array.isArray(stored[this.collection]) ? stored[this.collection] : [];
+                console.log(`🗄️ Loaded ${this.records.length} stored ${this.collection}`);
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not read ${this.collection} store ${this.filePath}:`, error.message);
+        }
+
+        return this.records;
+    }
+
+    /**
+     * Write the collection to disk; writes are serialized and go through a temporary file
+     * so a crash never leaves a truncated store behind
+     */
+    save() {
+        // A failed write must not block the ones queued after it
+        this.writeQueue = this.writeQueue.catch(() => {}).then(async () => {
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tempPath, JSON.stringify({ [this.collection]: this.load() }));
+            await fs.promises.rename(tempPath, this.filePath);
+        });
+
+        return this.writeQueue;
+    }
+}
+
+module.exports = JsonFileStore;
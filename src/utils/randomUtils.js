@@ -0,0 +1,49 @@
+/**
+ * Seedable random number helpers for reproducible mock data
+ */
+
+class RandomUtils {
+    /**
+     * Hash a string to a 32-bit unsigned integer (FNV-1a)
+     */
+    static hashString(value) {
+        let hash = 0x811c9dc5;
+        const str = String(value);
+
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        return hash >>> 0;
+    }
+
+    /**
+     * Create a deterministic random function returning values in [0, 1), like Math.random
+     * @param {string|number} seed - Any seed; strings are hashed
+     * @returns {Function} Seeded random function (mulberry32)
+     */
+    static createSeededRandom(seed) {
+        let state = typeof seed === 'number' ? seed >>> 0 : this.hashString(seed);
+
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Build a stable seed key from parts (numbers are rounded so float noise does not change the key)
+     */
+    static buildSeedKey(...parts) {
+        return parts
+            .filter(part => part !== undefined && part !== null && part !== '')
+            .map(part => typeof part === 'number' ? part.toFixed(5) : String(part))
+            .join('|');
+    }
+}
+
+module.exports = RandomUtils;
@@ -0,0 +1,225 @@
+/**
+ * Helpers for classified (integer label) rasters on a regular WGS84 grid
+ * Labels are stored row by row from the northern edge; -1 is nodata
+ */
+
+class RasterUtils {
+    /**
+     * 3x3 majority filter to remove isolated pixels; nodata pixels stay nodata
+     * @param {Int32Array} labels
+     * @param {number} width
+     * @param {number} height
+     * @param {number} [passes=1]
+     * @returns {Int32Array}
+     */
+    static majorityFilter(labels, width, height, passes = 1) {
+        let current = labels;
+
+        for (let pass = 0; pass < passes; pass++) {
+            const filtered = new Int32Array(current.length);
+
+            for (let row = 0; row < height; row++) {
+                for (let col = 0; col < width; col++) {
+                    const i = row * width + col;
+                    filtered[i] = current[i];
+                    if (current[i] < 0) continue;
+
+                    const counts = new Map();
+                    for (let dRow = -1; dRow <= 1; dRow++) {
+                        for (let dCol = -1; dCol <= 1; dCol++) {
+                            const r = row + dRow;
+                            const c = col + dCol;
+                            if (r < 0 || r >= height || c < 0 || c >= width) continue;
+
+                            const label = current[r * width + c];
+                            if (label >= 0) counts.set(label, (counts.get(label) || 0) + 1);
+                        }
+                    }
+
+                    // Only replace a pixel when another label clearly dominates its neighbourhood
+                    let best = current[i];
+                    counts.forEach((count, label) => {
+                        if (count > counts.get(best)) best = label;
+                    });
+                    filtered[i] = best;
+                }
+            }
+
+            current = filtered;
+        }
+
+        return current;
+    }
+
+    /**
+     * Trace the outline of all pixels with a given label into a GeoJSON MultiPolygon
+     * Pixels that only touch diagonally become separate polygons
+     * @param {Int32Array} labels
+     * @param {Object} grid - { width, height, bbox: { minLon, minLat, maxLon, maxLat } }
+     * @param {number} label
+     * @returns {Object|null} MultiPolygon geometry, or null when no pixel has the label
+     */
+    static polygonize(labels, grid, label) {
+        const { width, height, bbox } = grid;
+        const inZone = (col, row) => col >= 0 && col < width && row >= 0 && row < height && labels[row * width + col] === label;
+
+        // Boundary edges between grid vertices (i = column edge, j = row edge), zone on the left going
+        // counter-clockwise on the map: outer rings come out counter-clockwise, holes clockwise
+        const edges = new Map();
+        const addEdge = (i, j, di, dj) => {
+            const key = `${i},${j}`;
+            if (!edges.has(key)) edges.set(key, []);
+            edges.get(key).push({ i, j, di, dj, used: false });
+        };
+
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                if (!inZone(col, row)) continue;
+                if (!inZone(col, row + 1)) addEdge(col, row + 1, 1, 0); // south: west to east
+                if (!inZone(col + 1, row)) addEdge(col + 1, row + 1, 0, -1); // east: south to north
+                if (!inZone(col, row - 1)) addEdge(col + 1, row, -1, 0); // north: east to west
+                if (!inZone(col - 1, row)) addEdge(col, row, 0, 1); // west: north to south
+            }
+        }
+
+        if (edges.size === 0) return null;
+
+        const rings = [];
+        edges.forEach(startEdges => startEdges.forEach(startEdge => {
+            if (startEdge.used) return;
+            this.splitRing(this.traceRing(startEdge, edges)).forEach(ring => rings.push(this.toRing(ring)));
+        }));
+
+        const toCoordinate = ([i, j]) => [
+            bbox.minLon + i * (bbox.maxLon - bbox.minLon) / width,
+            bbox.maxLat - j * (bbox.maxLat - bbox.minLat) / height
+        ];
+
+        const outers = [];
+        const holes = [];
+        rings.forEach(ring => {
+            const area = this.signedArea(ring.vertices);
+            (area > 0 ? outers : holes).push({ ...ring, area: Math.abs(area) });
+        });
+
+        // A hole belongs to the smallest outer ring around the zone pixel next to it
+        const polygons = outers.map(outer => ({ outer, holes: [] }));
+        holes.forEach(hole => {
+            const owner = polygons
+                .filter(polygon => this.containsPoint(polygon.outer.vertices, hole.insidePoint))
+                .sort((a, b) => a.outer.area - b.outer.area)[0];
+            if (owner) owner.holes.push(hole);
+        });
+
+        return {
+            type: 'MultiPolygon',
+            coordinates: polygons.map(polygon => [polygon.outer, ...polygon.holes].map(ring => {
+                const coordinates = ring.vertices.map(toCoordinate);
+                coordinates.push(coordinates[0]);
+                return coordinates;
+            }))
+        };
+    }
+
+    /**
+     * Follow boundary edges from a start edge back to its origin
+     * At vertices shared by two diagonal pixels the left-most turn (towards the zone) is taken
+     * @returns {Array} Edges of the closed ring
+     */
+    static traceRing(startEdge, edges) {
+        const ring = [];
+
+        let edge = startEdge;
+        while (edge && !edge.used) {
+            edge.used = true;
+            ring.push(edge);
+
+            const next = (edges.get(`${edge.i + edge.di},${edge.j + edge.dj}`) || []).filter(candidate => !candidate.used);
+            const turns = [
+                [edge.dj, -edge.di], // left
+                [edge.di, edge.dj], // straight
+                [-edge.dj, edge.di] // right
+            ];
+            edge = turns
+                .map(([di, dj]) => next.find(candidate => candidate.di === di && candidate.dj === dj))
+                .find(Boolean);
+        }
+
+        return ring;
+    }
+
+    /**
+     * Split a ring that passes through the same vertex twice into simple rings touching at that vertex
+     * (e.g. a C-shaped zone closing on a diagonal becomes an outer ring and a hole)
+     */
+    static splitRing(ring) {
+        const rings = [];
+        const stack = [];
+        const positions = new Map();
+
+        ring.forEach(edge => {
+            positions.set(`${edge.i},${edge.j}`, stack.length);
+            stack.push(edge);
+
+            const end = `${edge.i + edge.di},${edge.j + edge.dj}`;
+            if (positions.has(end)) {
+                const closed = stack.splice(positions.get(end));
+                closed.forEach(closedEdge => positions.delete(`${closedEdge.i},${closedEdge.j}`));
+                rings.push(closed);
+            }
+        });
+
+        return rings;
+    }
+
+    /**
+     * Corner vertices of a simple ring, plus the centre of the pixel left of its first edge
+     * (inside the zone), used to match holes to their polygon
+     */
+    static toRing(ring) {
+        const vertices = [];
+        ring.forEach((edge, e) => {
+            const previous = ring[(e + ring.length - 1) % ring.length];
+            if (previous.di !== edge.di || previous.dj !== edge.dj) {
+                vertices.push([edge.i, edge.j]);
+            }
+        });
+
+        const [first] = ring;
+        const insidePoint = [
+            first.i + first.di / 2 + first.dj / 2,
+            first.j + first.dj / 2 - first.di / 2
+        ];
+
+        return { vertices, insidePoint };
+    }
+
+    /**
+     * Shoelace area in grid units, positive for counter-clockwise rings on the map (rows grow southwards)
+     */
+    static signedArea(vertices) {
+        let area = 0;
+        vertices.forEach(([i1, j1], index) => {
+            const [i2, j2] = vertices[(index + 1) % vertices.length];
+            area += i1 * (-j2) - i2 * (-j1);
+        });
+        return area / 2;
+    }
+
+    /**
+     * Ray casting point-in-ring test in grid units
+     */
+    static containsPoint(vertices, [x, y]) {
+        let inside = false;
+        for (let a = 0, b = vertices.length - 1; a < vertices.length; b = a++) {
+            const [xa, ya] = vertices[a];
+            const [xb, yb] = vertices[b];
+            if ((ya > y) !== (yb > y) && x < (xb - xa) * (y - ya) / (yb - ya) + xa) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+}
+
+module.exports = RasterUtils;
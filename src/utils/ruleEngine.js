@@ -0,0 +1,365 @@
+/**
+ * Evaluator for data-driven recommendation rules
+ * A rule is plain data (JSON or YAML), so nothing in it is ever executed as code:
+ *
+ *   id:        unique rule id, e.g. "critical-irrigation"
+ *   group:     optional; only the first matching rule of a group fires (an if / else-if chain)
+ *   enabled:   optional, false to switch the rule off
+ *   when:      condition (see below)
+ *   recommendation: { type, category, priority, severity, message, action, details, timeline, cost, impact, seasonality }
+ *   overrides: optional [{ when, recommendation }] - fields replaced when their condition also matches
+ *
+ * Conditions combine { all: [...] }, { any: [...] } and { not: condition } over comparisons
+ * { fact: 'moisture.percentage', op: 'lt', value: 15 }; a value may name another fact: { value: { fact: 'thresholds.moisture.low' } }
+ * Texts may insert facts with {{path}}, optionally filtered: {{indices.ndvi|round:2}}, {{crop.stage.ndvi|join:-}}, {{crop.name|lower}}
+ * seasonality is either a text or { practice } for the caller to resolve
+ */
+
+const COMPARISONS = {
+    lt: (actual, expected) => typeof actual === 'number' && actual < expected,
+    lte: (actual, expected) => typeof actual === 'number' && actual <= expected,
+    gt: (actual, expected) => typeof actual === 'number' && actual > expected,
+    gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+    eq: (actual, expected) => actual === expected,
+    ne: (actual, expected) => actual !== undefined && actual !== expected,
+    in: (actual, expected) => expected.includes(actual),
+    notIn: (actual, expected) => actual !== undefined && !expected.includes(actual),
+    between: (actual, expected) => typeof actual === 'number' && actual >= expected[0] && actual <= expected[1],
+    exists: (actual, expected) => (actual !== undefined && actual !== null) === expected
+};
+
+const NUMERIC_OPERATORS = ['lt', 'lte', 'gt', 'gte'];
+const LIST_OPERATORS = ['in', 'notIn'];
+
+const FILTERS = {
+    round: (value, digits = '2') => typeof value === 'number' ? Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits) : value,
+    join: (value, separator = ', ') => Array.isArray(value) ? value.join(separator) : value,
+    lower: value => typeof value === 'string' ? value.toLowerCase() : value,
+    upper: value => typeof value === 'string' ? value.toUpperCase() : value
+};
+
+const PRIORITIES = ['critical', 'high', 'medium', 'low'];
+const SEVERITIES = ['high', 'medium', 'low'];
+const TEXT_FIELDS = ['type', 'category', 'message', 'action', 'details', 'timeline', 'cost', 'impact'];
+const REQUIRED_FIELDS = ['type', 'category', 'priority', 'message', 'action'];
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]{1,63}$/;
+const PATH_PATTERN = /^[a-zA-Z_]\w*(\.\w+)*$/;
+const TEMPLATE_PATTERN = /\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)(?::([^}]*))?)?\}\}/g;
+const MAX_DEPTH = 10;
+
+class RuleEngine {
+    static getOperators() {
+        return Object.keys(COMPARISONS);
+    }
+
+    static getFilters() {
+        return Object.keys(FILTERS);
+    }
+
+    /**
+     * Validate a rule definition
+     * @param {Object} rule
+     * @param {Array} facts - Fact names conditions and templates may start with (e.g. 'moisture')
+     * @returns {Object} { valid: true } or { valid: false, error }
+     */
+    static validateRule(rule, facts) {
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+            return { valid: false, error: 'Rule must be an object' };
+        }
+
+        if (typeof rule.id !== 'string' || !ID_PATTERN.test(rule.id)) {
+            return { valid: false, error: 'Rule id must be 2-64 lowercase letters, digits, dashes or underscores' };
+        }
+
+        if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+            return { valid: false, error: 'enabled must be true or false' };
+        }
+
+        if (rule.group !== undefined && (typeof rule.group !== 'string' || rule.group.trim() === '')) {
+            return { valid: false, error: 'group must be a non-empty string' };
+        }
+
+        if (rule.description !== undefined && typeof rule.description !== 'string') {
+            return { valid: false, error: 'description must be a string' };
+        }
+
+        const error = this.validateCondition(rule.when, facts, 'when') ||
+            this.validateRecommendation(rule.recommendation, facts, { partial: false });
+        if (error) {
+            return { valid: false, error };
+        }
+
+        if (rule.overrides !== undefined) {
+            if (!Array.isArray(rule.overrides)) {
+                return { valid: false, error: 'overrides must be a list' };
+            }
+
+            for (const [index, override] of rule.overrides.entries()) {
+                const overrideError = !override || typeof override !== 'object'
+                    ? 'must be an object'
+                    : this.validateCondition(override.when, facts, 'when') ||
+                        this.validateRecommendation(override.recommendation, facts, { partial: true });
+                if (overrideError) {
+                    return { valid: false, error: `overrides[${index}]: ${overrideError}` };
+                }
+            }
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * @returns {string|null} The first problem found in a condition tree
+     */
+    static validateCondition(condition, facts, location, depth = 0) {
+        if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+            return `${location} must be a condition object`;
+        }
+
+        if (depth > MAX_DEPTH) {
+            return `${location} is nested more than ${MAX_DEPTH} levels deep`;
+        }
+
+        for (const combinator of ['all', 'any']) {
+            if (condition[combinator] !== undefined) {
+                if (!Array.isArray(condition[combinator]) || condition[combinator].length === 0) {
+                    return `${location}.${combinator} must be a non-empty list of conditions`;
+                }
+                for (const [index, child] of condition[combinator].entries()) {
+                    const error = this.validateCondition(child, facts, `${location}.${combinator}[${index}]`, depth + 1);
+                    if (error) return error;
+                }
+                return null;
+            }
+        }
+
+        if (condition.not !== undefined) {
+            return this.validateCondition(condition.not, facts, `${location}.not`, depth + 1);
+        }
+
+        const { fact, op, value } = condition;
+        const factError = this.validateFactPath(fact, facts);
+        if (factError) {
+            return `${location}: ${factError}`;
+        }
+
+        if (!COMPARISONS[op]) {
+            return `${location}: op must be one of: ${this.getOperators().join(', ')}`;
+        }
+
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            const referenceError = this.validateFactPath(value.fact, facts);
+            return referenceError ? `${location}: value ${referenceError}` : null;
+        }
+
+        if (NUMERIC_OPERATORS.includes(op) && (typeof value !== 'number' || !isFinite(value))) {
+            return `${location}: ${op} needs a numeric value or { fact }`;
+        }
+
+        if (LIST_OPERATORS.includes(op) && !Array.isArray(value)) {
+            return `${location}: ${op} needs a list value`;
+        }
+
+        if (op === 'between' && !(
+            Array.isArray(value) && value.length === 2 &&
+            value.every(bound => typeof bound === 'number' && isFinite(bound)) && value[0] <= value[1]
+        )) {
+            return `${location}: between needs [min, max]`;
+        }
+
+        if (op === 'exists' && value !== undefined && typeof value !== 'boolean') {
+            return `${location}: exists takes true or false`;
+        }
+
+        if (['eq', 'ne'].includes(op) && value === undefined) {
+            return `${location}: ${op} needs a value`;
+        }
+
+        return null;
+    }
+
+    static validateFactPath(fact, facts) {
+        if (typeof fact !== 'string' || !PATH_PATTERN.test(fact)) {
+            return 'fact must be a dotted path such as "moisture.percentage"';
+        }
+
+        const root = fact.split('.')[0];
+        return facts.includes(root) ? null : `unknown fact "${root}" (expected one of: ${facts.join(', ')})`;
+    }
+
+    /**
+     * @returns {string|null} The first problem found in a recommendation (or a partial one, for overrides)
+     */
+    static validateRecommendation(recommendation, facts, { partial }) {
+        if (!recommendation || typeof recommendation !== 'object' || Array.isArray(recommendation)) {
+            return 'recommendation must be an object';
+        }
+
+        if (!partial) {
+            const missing = REQUIRED_FIELDS.find(field => recommendation[field] === undefined);
+            if (missing) {
+                return `recommendation.${missing} is required`;
+            }
+        }
+
+        const allowed = [...TEXT_FIELDS, 'priority', 'severity', 'seasonality'];
+        const unknown = Object.keys(recommendation).find(field => !allowed.includes(field));
+        if (unknown) {
+            return `recommendation.${unknown} is not a recommendation field (expected: ${allowed.join(', ')})`;
+        }
+
+        if (recommendation.priority !== undefined && !PRIORITIES.includes(recommendation.priority)) {
+            return `recommendation.priority must be one of: ${PRIORITIES.join(', ')}`;
+        }
+
+        if (recommendation.severity !== undefined && !SEVERITIES.includes(recommendation.severity)) {
+            return `recommendation.severity must be one of: ${SEVERITIES.join(', ')}`;
+        }
+
+        for (const field of TEXT_FIELDS) {
+            if (recommendation[field] === undefined) continue;
+            if (typeof recommendation[field] !== 'string') {
+                return `recommendation.${field} must be a string`;
+            }
+            const error = this.validateTemplate(recommendation[field], facts);
+            if (error) {
+                return `recommendation.${field}: ${error}`;
+            }
+        }
+
+        const { seasonality } = recommendation;
+        if (seasonality !== undefined && typeof seasonality !== 'string' &&
+            !(seasonality && typeof seasonality.practice === 'string')) {
+            return 'recommendation.seasonality must be a string or { practice }';
+        }
+
+        return null;
+    }
+
+    static validateTemplate(template, facts) {
+        for (const [, path, filter] of template.matchAll(TEMPLATE_PATTERN)) {
+            const error = this.validateFactPath(path, facts);
+            if (error) return error;
+            if (filter && !FILTERS[filter]) {
+                return `filter must be one of: ${this.getFilters().join(', ')}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Evaluate rules in order against a set of facts
+     * @param {Array} rules - Validated rules
+     * @param {Object} facts
+     * @param {Object} [options] - { resolveSeasonality: practice => text, trace: true to explain every rule }
+     * @returns {Object} { recommendations, trace? }
+     */
+    static evaluate(rules, facts, options = {}) {
+        const recommendations = [];
+        const trace = [];
+        const firedGroups = new Set();
+
+        rules.forEach(rule => {
+            const entry = { id: rule.id, group: rule.group, matched: false };
+            if (options.trace) trace.push(entry);
+
+            if (rule.enabled === false) {
+                entry.skipped = 'disabled';
+                return;
+            }
+
+            if (rule.group && firedGroups.has(rule.group)) {
+                entry.skipped = `an earlier rule in group "${rule.group}" matched`;
+                return;
+            }
+
+            entry.conditions = [];
+            entry.matched = this.evaluateCondition(rule.when, facts, entry.conditions);
+            if (!entry.matched) return;
+
+            if (rule.group) firedGroups.add(rule.group);
+
+            const fields = { ...rule.recommendation };
+            (rule.overrides || []).forEach(override => {
+                if (this.evaluateCondition(override.when, facts, [])) {
+                    Object.assign(fields, override.recommendation);
+                }
+            });
+
+            recommendations.push(this.render(fields, facts, rule.id, options.resolveSeasonality));
+        });
+
+        return options.trace ? { recommendations, trace } : { recommendations };
+    }
+
+    /**
+     * @param {Array} comparisons - Receives { fact, op, value, actual, result } for every comparison evaluated
+     */
+    static evaluateCondition(condition, facts, comparisons) {
+        if (condition.all) {
+            return condition.all.every(child => this.evaluateCondition(child, facts, comparisons));
+        }
+        if (condition.any) {
+            return condition.any.some(child => this.evaluateCondition(child, facts, comparisons));
+        }
+        if (condition.not) {
+            return !this.evaluateCondition(condition.not, facts, comparisons);
+        }
+
+        const actual = this.resolve(facts, condition.fact);
+        const value = condition.value && typeof condition.value === 'object' && !Array.isArray(condition.value)
+            ? this.resolve(facts, condition.value.fact)
+            : condition.op === 'exists' && condition.value === undefined ? true : condition.value;
+
+        // A comparison against a fact the analysis does not have (e.g. no crop thresholds) never matches
+        const result = value === undefined || value === null
+            ? false
+            : COMPARISONS[condition.op](actual, value);
+
+        comparisons.push({ fact: condition.fact, op: condition.op, value, actual, result });
+        return result;
+    }
+
+    /**
+     * Value at a dotted path, or undefined when any part is missing
+     */
+    static resolve(facts, path) {
+        return path.split('.').reduce((value, key) => value === undefined || value === null ? undefined : value[key], facts);
+    }
+
+    static render(fields, facts, ruleId, resolveSeasonality) {
+        const recommendation = {};
+
+        Object.entries(fields).forEach(([field, value]) => {
+            if (TEXT_FIELDS.includes(field)) {
+                recommendation[field] = this.renderTemplate(value, facts);
+            } else if (field === 'seasonality' && typeof value === 'object') {
+                recommendation[field] = resolveSeasonality ? resolveSeasonality(value.practice) : value.practice;
+            } else if (field === 'seasonality') {
+                recommendation[field] = this.renderTemplate(value, facts);
+            } else {
+                recommendation[field] = value;
+            }
+        });
+
+        recommendation.rule = ruleId;
+        return recommendation;
+    }
+
+    static renderTemplate(template, facts) {
+        return template.replace(TEMPLATE_PATTERN, (match, path, filter, argument) => {
+            let value = this.resolve(facts, path);
+            if (filter) {
+                value = argument === undefined ? FILTERS[filter](value) : FILTERS[filter](value, argument);
+            }
+
+            if (value === undefined || value === null) return '';
+            if (typeof value === 'number') return String(Math.round(value * 100) / 100);
+            if (Array.isArray(value)) return value.join(', ');
+            return String(value);
+        });
+    }
+}
+
+module.exports = RuleEngine;
@@ -0,0 +1,178 @@
+/**
+ * Minimal ESRI Shapefile writer for polygon layers in WGS84
+ * Produces the .shp, .shx, .dbf, .prj and .cpg members of a shapefile
+ */
+
+const SHAPE_TYPE_POLYGON = 5;
+const HEADER_LENGTH = 100;
+
+const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+    'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+class ShapefileWriter {
+    /**
+     * Encode Polygon/MultiPolygon features and their attributes
+     * @param {Array} features - GeoJSON features
+     * @param {Array} fields - Attribute columns: [{ name (max 10 chars), type: 'N' | 'C', length, decimals, value: feature => value }]
+     * @returns {Object} { shp, shx, dbf, prj, cpg } Buffers/strings keyed by file extension
+     */
+    static writePolygons(features, fields) {
+        const records = features.map(feature => this.encodePolygon(feature.geometry));
+        const bbox = this.mergeBoxes(records.map(record => record.bbox));
+
+        const shpLength = HEADER_LENGTH + records.reduce((sum, record) => sum + 8 + record.content.length, 0);
+        const shp = Buffer.alloc(shpLength);
+        const shx = Buffer.alloc(HEADER_LENGTH + records.length * 8);
+        this.writeHeader(shp, shpLength, bbox);
+        this.writeHeader(shx, shx.length, bbox);
+
+        let offset = HEADER_LENGTH;
+        records.forEach((record, i) => {
+            // Offsets and lengths are counted in 16-bit words
+            shx.writeInt32BE(offset / 2, HEADER_LENGTH + i * 8);
+            shx.writeInt32BE(record.content.length / 2, HEADER_LENGTH + i * 8 + 4);
+
+            shp.writeInt32BE(i + 1, offset);
+            shp.writeInt32BE(record.content.length / 2, offset + 4);
+            record.content.copy(shp, offset + 8);
+            offset += 8 + record.content.length;
+        });
+
+        return {
+            shp,
+            shx,
+            dbf: this.writeDbf(features, fields),
+            prj: WGS84_PRJ,
+            cpg: 'UTF-8'
+        };
+    }
+
+    static writeHeader(buffer, length, bbox) {
+        buffer.writeInt32BE(9994, 0); // File code
+        buffer.writeInt32BE(length / 2, 24);
+        buffer.writeInt32LE(1000, 28); // Version
+        buffer.writeInt32LE(SHAPE_TYPE_POLYGON, 32);
+        buffer.writeDoubleLE(bbox[0], 36);
+        buffer.writeDoubleLE(bbox[1], 44);
+        buffer.writeDoubleLE(bbox[2], 52);
+        buffer.writeDoubleLE(bbox[3], 60);
+    }
+
+    /**
+     * Polygon record content; shapefiles expect clockwise outer rings and counter-clockwise holes,
+     * the reverse of GeoJSON
+     */
+    static encodePolygon(geometry) {
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+        const rings = [];
+        polygons.forEach(polygon => polygon.forEach((ring, r) => {
+            rings.push(this.isClockwise(ring) === (r === 0) ? ring : ring.slice().reverse());
+        }));
+
+        const points = rings.flat();
+        const bbox = points.reduce((box, [x, y]) => [
+            Math.min(box[0], x),
+            Math.min(box[1], y),
+            Math.max(box[2], x),
+            Math.max(box[3], y)
+        ], [Infinity, Infinity, -Infinity, -Infinity]);
+
+        const content = Buffer.alloc(44 + rings.length * 4 + points.length * 16);
+        content.writeInt32LE(SHAPE_TYPE_POLYGON, 0);
+        bbox.forEach((value, i) => content.writeDoubleLE(value, 4 + i * 8));
+        content.writeInt32LE(rings.length, 36);
+        content.writeInt32LE(points.length, 40);
+
+        let pointIndex = 0;
+        rings.forEach((ring, r) => {
+            content.writeInt32LE(pointIndex, 44 + r * 4);
+            pointIndex += ring.length;
+        });
+
+        const pointsOffset = 44 + rings.length * 4;
+        points.forEach(([x, y], i) => {
+            content.writeDoubleLE(x, pointsOffset + i * 16);
+            content.writeDoubleLE(y, pointsOffset + i * 16 + 8);
+        });
+
+        return { content, bbox };
+    }
+
+    static isClockwise(ring) {
+        let sum = 0;
+        for (let i = 0; i < ring.length - 1; i++) {
+            sum += (ring[i + 1][0] - ring[i][0]) * (ring[i + 1][1] + ring[i][1]);
+        }
+        return sum > 0;
+    }
+
+    static mergeBoxes(boxes) {
+        if (boxes.length === 0) return [0, 0, 0, 0];
+
+        return [
+            Math.min(...boxes.map(box => box[0])),
+            Math.min(...boxes.map(box => box[1])),
+            Math.max(...boxes.map(box => box[2])),
+            Math.max(...boxes.map(box => box[3]))
+        ];
+    }
+
+    /**
+     * dBASE III attribute table
+     */
+    static writeDbf(features, fields) {
+        const headerLength = 32 + fields.length * 32 + 1;
+        const recordLength = 1 + fields.reduce((sum, field) => sum + field.length, 0);
+        const buffer = Buffer.alloc(headerLength + features.length * recordLength + 1, 0x20);
+        const now = new Date();
+
+        buffer.fill(0, 0, headerLength);
+        buffer.writeUInt8(0x03, 0);
+        buffer.writeUInt8(now.getFullYear() - 1900, 1);
+        buffer.writeUInt8(now.getMonth() + 1, 2);
+        buffer.writeUInt8(now.getDate(), 3);
+        buffer.writeUInt32LE(features.length, 4);
+        buffer.writeUInt16LE(headerLength, 8);
+        buffer.writeUInt16LE(recordLength, 10);
+
+        fields.forEach((field, i) => {
+            const offset = 32 + i * 32;
+            buffer.write(field.name.slice(0, 10), offset, 'ascii');
+            buffer.write(field.type, offset + 11, 'ascii');
+            buffer.writeUInt8(field.length, offset + 16);
+            buffer.writeUInt8(field.decimals || 0, offset + 17);
+        });
+        buffer.writeUInt8(0x0D, headerLength - 1);
+
+        features.forEach((feature, r) => {
+            let offset = headerLength + r * recordLength + 1; // Deletion flag stays a space
+            fields.forEach(field => {
+                buffer.write(this.formatValue(field, field.value(feature)), offset, 'utf8');
+                offset += field.length;
+            });
+        });
+        buffer.writeUInt8(0x1A, buffer.length - 1);
+
+        return buffer;
+    }
+
+    /**
+     * Numbers are right-aligned, text left-aligned and cut to the column width in bytes
+     */
+    static formatValue(field, value) {
+        if (value === null || value === undefined) return ''.padEnd(field.length);
+
+        if (field.type === 'N') {
+            const text = Number(value).toFixed(field.decimals || 0);
+            return text.length > field.length ? ''.padEnd(field.length) : text.padStart(field.length);
+        }
+
+        let text = String(value);
+        while (Buffer.byteLength(text, 'utf8') > field.length) {
+            text = text.slice(0, -1);
+        }
+        return text + ' '.repeat(field.length - Buffer.byteLength(text, 'utf8'));
+    }
+}
+
+module.exports = ShapefileWriter;
@@ -0,0 +1,65 @@
+/**
+ * Minimal client for STAC APIs (item search and item lookup)
+ * https://github.com/radiantearth/stac-api-spec
+ */
+
+const axios = require('axios');
+
+class StacClient {
+    /**
+     * @param {string} baseUrl - STAC API root, e.g. https://planetarycomputer.microsoft.com/api/stac/v1
+     * @param {Object} [options] - { timeout (ms), headers }
+     */
+    constructor(baseUrl, options = {}) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.timeout = options.timeout || 30000;
+        this.headers = options.headers || {};
+    }
+
+    /**
+     * Search items, following `next` links until `maxItems` are collected
+     * @param {Object} params - STAC search body: { collections, intersects | bbox, datetime, query, sortby, limit }
+     * @param {number} [maxItems=50]
+     * @returns {Promise<Array>} STAC items (GeoJSON Features)
+     */
+    async search(params, maxItems = 50) {
+        const items = [];
+        let request = { method: 'POST', url: `${this.baseUrl}/search`, data: { limit: Math.min(maxItems, 100), ...params } };
+
+        while (request && items.length < maxItems) {
+            const response = await axios({
+                ...request,
+                headers: { ...this.headers, ...(request.headers || {}) },
+                timeout: this.timeout
+            });
+
+            items.push(...(response.data.features || []));
+
+            const next = (response.data.links || []).find(link => link.rel === 'next');
+            request = next
+                ? { method: next.method || 'GET', url: next.href, data: next.body, headers: next.headers }
+                : null;
+        }
+
+        return items.slice(0, maxItems);
+    }
+
+    /**
+     * Get a single item
+     * @returns {Promise<Object|null>} Item, or null when the catalogue does not know it
+     */
+    async getItem(collection, id) {
+        try {
+            const response = await axios.get(
+                `${this.baseUrl}/collections/${encodeURIComponent(collection)}/items/${encodeURIComponent(id)}`,
+                { headers: this.headers, timeout: this.timeout }
+            );
+            return response.data;
+        } catch (error) {
+            if (error.response?.status === 404) return null;
+            throw error;
+        }
+    }
+}
+
+module.exports = StacClient;
@@ -0,0 +1,87 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const analysisHistoryService = require('../src/services/analysisHistoryService');
+const JsonFileStore = require('../src/utils/jsonFileStore');
+
+/**
+ * Analysis response as built by the soil controller, for a scene acquired on `sceneDate`
+ */
+function analysis(sceneDate, overrides = {}) {
+    return {
+        location: { lat: 43.5, lon: 1.4, city: 'Toulouse', country: 'France' },
+        dateRange: { start: '2024-06-01', end: '2024-06-30' },
+        sentinelData: { scenes: 3, cloudCover: 12 },
+        soilAnalysis: {
+            moisture: { percentage: 21.5, level: 'Moderate' },
+            composition: { ph: 6.8 },
+            ndvi: 0.52,
+            recommendations: [{ category: 'Water', message: 'Monitor moisture' }],
+            cropSuitability: [{ crop: 'wheat', score: 80 }, { crop: 'maize', score: 72 }],
+            season: { date: sceneDate, season: 'summer' }
+        },
+        metadata: { confidence: 'high', validPixelFraction: 0.9, mask: { classes: { cloud: 12, clear: 88 } } },
+        ...overrides
+    };
+}
+
+describe('analysisHistoryService', function () {
+    const original = { store: analysisHistoryService.store, maxRecords: analysisHistoryService.maxRecords };
+    let tempDir;
+
+    beforeEach(function () {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'analyses-'));
+        analysisHistoryService.store = new JsonFileStore(path.join(tempDir, 'analyses.json'), 'analyses');
+    });
+
+    afterEach(function () {
+        Object.assign(analysisHistoryService, original);
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('stores a compact record with the scene date', async function () {
+        const record = await analysisHistoryService.saveAnalysis(analysis('2024-06-12T10:56:31.024Z'));
+        const [stored] = JSON.parse(fs.readFileSync(analysisHistoryService.store.filePath, 'utf8')).analyses;
+
+        assert.deepStrictEqual(stored, record);
+        assert.strictEqual(record.type, 'point');
+        assert.strictEqual(record.sceneDate, '2024-06-12T10:56:31.024Z');
+        assert.strictEqual(record.soilAnalysis.cropSuitability, undefined);
+        assert.strictEqual(record.metadata.mask, undefined);
+        // Reports and rule dry runs still have what they read
+        assert.deepStrictEqual(record.soilAnalysis.recommendations, [{ category: 'Water', message: 'Monitor moisture' }]);
+        assert.deepStrictEqual(record.soilAnalysis.composition, { ph: 6.8 });
+        assert.strictEqual(record.metadata.confidence, 'high');
+    });
+
+    it('drops the oldest records beyond the limit', async function () {
+        analysisHistoryService.maxRecords = 2;
+
+        const first = await analysisHistoryService.saveAnalysis(analysis('2024-06-01T10:00:00.000Z'));
+        await analysisHistoryService.saveAnalysis(analysis('2024-06-02T10:00:00.000Z'));
+        await analysisHistoryService.saveAnalysis(analysis('2024-06-03T10:00:00.000Z'));
+
+        assert.strictEqual(analysisHistoryService.store.load().length, 2);
+        assert.strictEqual(analysisHistoryService.getAnalysis(first.id), null);
+    });
+
+    it('filters on the scene date separately from the analysis date', async function () {
+        const june = await analysisHistoryService.saveAnalysis(analysis('2024-06-12T10:56:31.024Z'));
+        const july = await analysisHistoryService.saveAnalysis(analysis('2024-07-02T10:56:31.024Z'));
+        await analysisHistoryService.saveAnalysis(analysis(undefined));
+        // Stored before the scene date was kept at the top level
+        const legacy = { ...analysis('2024-06-30T10:56:31.024Z'), id: 'legacy', createdAt: '2024-07-01T08:00:00.000Z', type: 'point' };
+        analysisHistoryService.store.load().push(legacy);
+
+        const ids = filters => analysisHistoryService.queryAnalyses(filters).analyses.map(summary => summary.id);
+
+        assert.deepStrictEqual(ids({ sceneStartDate: '2024-06-01', sceneEndDate: '2024-06-30' }), [june.id, 'legacy']);
+        assert.deepStrictEqual(ids({ sceneStartDate: '2024-07-01' }), [july.id]);
+        // The legacy analysis was run on 2024-07-01, the others today
+        assert.deepStrictEqual(ids({ startDate: '2024-06-01', endDate: '2024-06-30' }), []);
+        assert.deepStrictEqual(ids({ startDate: '2024-07-01', endDate: '2024-07-01' }), ['legacy']);
+        assert.strictEqual(analysisHistoryService.queryAnalyses({ sceneEndDate: '2024-06-12' }).analyses[0].sceneDate, '2024-06-12T10:56:31.024Z');
+    });
+});
@@ -0,0 +1,238 @@
+const assert = require('assert');
+const path = require('path');
+
+const batchAnalysisService = require('../src/services/batchAnalysisService');
+const landsatService = require('../src/services/landsatService');
+const sentinelService = require('../src/services/sentinelService');
+const soilController = require('../src/controllers/soilController');
+const { createProvider } = require('../src/services/providers');
+
+const CATALOG = path.join(__dirname, 'fixtures', 'stac', 'catalog.json');
+
+/**
+ * Call a controller handler with a JSON body and collect the response
+ */
+async function callHandler(handler, body) {
+    const res = {
+        statusCode: 200,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(payload) {
+            this.body = payload;
+            return this;
+        }
+    };
+
+    await handler({ body, query: {} }, res);
+    return res;
+}
+
+describe('batchAnalysisService parsing', function () {
+    const csv = text => ({ buffer: Buffer.from(text) });
+
+    it('reads CSV files with any accepted coordinate header', function () {
+        const parsed = batchAnalysisService.parseRequest({}, csv('Name;Latitude;Longitude\n"Field A";43,51;1,41\n'));
+        const short = batchAnalysisService.parseRequest({}, csv('y,x,sample\n43.51,1.41,S1\n'));
+
+        assert.deepStrictEqual(parsed.points, [{ id: 'Field A', lat: 43.51, lon: 1.41, startDate: undefined, endDate: undefined, index: 0 }]);
+        assert.deepStrictEqual(short.points.map(point => [point.id, point.lat, point.lon]), [['S1', 43.51, 1.41]]);
+    });
+
+    it('reads per-point dates from CSV columns', function () {
+        const parsed = batchAnalysisService.parseRequest({}, csv('lat,lon,startDate,endDate\n43.5,1.4,2024-06-01,2024-06-15\n'));
+
+        assert.deepStrictEqual([parsed.points[0].startDate, parsed.points[0].endDate], ['2024-06-01', '2024-06-15']);
+    });
+
+    it('rejects CSV files without coordinate columns', function () {
+        assert.deepStrictEqual(
+            batchAnalysisService.parseRequest({}, csv('name,easting,northing\nA,500000,4800000\n')),
+            { valid: false, error: 'CSV needs latitude and longitude columns (lat/latitude/y, lon/lng/long/longitude/x)' }
+        );
+    });
+
+    it('reports bad rows by index and keeps the others', function () {
+        const parsed = batchAnalysisService.parseRequest({}, csv('id,lat,lon\nA,43.5,1.4\nB,north,1.4\nC,95,1.4\n,43.6,\n'));
+
+        assert.deepStrictEqual(parsed.points.map(point => point.id), ['A']);
+        assert.deepStrictEqual(parsed.invalid, [
+            { index: 1, id: 'B', error: 'Invalid coordinates provided' },
+            { index: 2, id: 'C', error: 'Coordinates out of valid range' },
+            { index: 3, id: '3', error: 'Invalid coordinates provided' }
+        ]);
+    });
+
+    it('reads GeoJSON Point features', function () {
+        const parsed = batchAnalysisService.parseRequest({
+            type: 'FeatureCollection',
+            features: [
+                { type: 'Feature', properties: { name: 'well' }, geometry: { type: 'Point', coordinates: [1.41, 43.51] } },
+                { type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: [[1.4, 43.5], [1.5, 43.6]] } }
+            ]
+        });
+
+        assert.deepStrictEqual(parsed.points.map(point => [point.id, point.lat, point.lon]), [['well', 43.51, 1.41]]);
+        assert.deepStrictEqual(parsed.invalid, [{ index: 1, id: '1', error: 'Feature geometry must be a Point' }]);
+    });
+});
+
+describe('batchAnalysisService grouping', function () {
+    const range = { start: '2024-06-01', end: '2024-06-30' };
+    const point = (id, lat, lon, dates = {}) => ({ id, lat, lon, ...dates });
+    const groupIds = groups => groups.map(group => group.points.map(entry => entry.id));
+
+    it('groups points in the same 0.25 degree cell', function () {
+        const groups = batchAnalysisService.groupPoints([
+            point('a', 43.51, 1.41),
+            point('b', 43.74, 1.26),
+            // Across the cell edges at 1.25 E and 43.75 N
+            point('c', 43.51, 1.24),
+            point('d', 43.76, 1.41)
+        ], range);
+
+        assert.strictEqual(batchAnalysisService.cellDegrees, 0.25);
+        assert.deepStrictEqual(groupIds(groups), [['a', 'b'], ['c'], ['d']]);
+        assert.deepStrictEqual(groups.map(group => group.key), [
+            '5:174:2024-06-01:2024-06-30',
+            '4:174:2024-06-01:2024-06-30',
+            '5:175:2024-06-01:2024-06-30'
+        ]);
+    });
+
+    it('keeps cells on either side of the equator and the prime meridian apart', function () {
+        const groups = batchAnalysisService.groupPoints([
+            point('ne', 0.1, 0.1),
+            point('sw', -0.1, -0.1),
+            point('nw', 0.1, -0.1)
+        ], range);
+
+        assert.deepStrictEqual(groupIds(groups), [['ne'], ['sw'], ['nw']]);
+    });
+
+    it('splits points of one cell with different dates', function () {
+        const groups = batchAnalysisService.groupPoints([
+            point('default', 43.51, 1.41),
+            point('explicit', 43.52, 1.42, { startDate: '2024-06-01', endDate: '2024-06-30' }),
+            point('july', 43.53, 1.43, { startDate: '2024-07-01', endDate: '2024-07-31' })
+        ], range);
+
+        assert.deepStrictEqual(groupIds(groups), [['default', 'explicit'], ['july']]);
+        assert.deepStrictEqual(groups[1].dateRange, { start: '2024-07-01', end: '2024-07-31' });
+    });
+
+    it('searches around the centroid with a padded bounding box', function () {
+        const [group] = batchAnalysisService.groupPoints([point('a', 43.5, 1.3), point('b', 43.6, 1.45)], range);
+        const round = value => Math.round(value * 1e6) / 1e6;
+
+        assert.deepStrictEqual([round(group.location.lat), round(group.location.lon)], [43.55, 1.375]);
+        assert.deepStrictEqual(group.geometry.coordinates[0].map(corner => corner.map(round)), [
+            [1.29, 43.49], [1.46, 43.49], [1.46, 43.61], [1.29, 43.61], [1.29, 43.49]
+        ]);
+    });
+});
+
+describe('batch analysis dates', function () {
+    const range = { start: '2024-06-01', end: '2024-06-30' };
+
+    it('validates date ranges', function () {
+        assert.strictEqual(batchAnalysisService.validateDateRange(range), null);
+        assert.strictEqual(batchAnalysisService.validateDateRange({ start: '2024-06-01' }), null);
+        assert.strictEqual(batchAnalysisService.validateDateRange({ start: '2024-02-30' }), 'startDate must be a date (YYYY-MM-DD)');
+        assert.strictEqual(batchAnalysisService.validateDateRange({ end: '01/06/2024' }), 'endDate must be a date (YYYY-MM-DD)');
+        assert.strictEqual(batchAnalysisService.validateDateRange({ start: 20240601 }), 'startDate must be a date (YYYY-MM-DD)');
+        assert.strictEqual(batchAnalysisService.validateDateRange({ start: '2024-07-01', end: '2024-06-01' }), 'startDate must not be after endDate');
+    });
+
+    it('reports points with bad dates as invalid before grouping', function () {
+        const parsed = batchAnalysisService.parseRequest({
+            points: [
+                { id: 'ok', lat: 43.5, lon: 1.4, startDate: '2024-06-10' },
+                { id: 'format', lat: 43.5, lon: 1.4, startDate: 'June' },
+                { id: 'order', lat: 43.5, lon: 1.4, endDate: '2024-05-01' }
+            ]
+        }, null, range);
+
+        assert.deepStrictEqual(parsed.points.map(point => point.id), ['ok']);
+        assert.deepStrictEqual(parsed.invalid, [
+            { index: 1, id: 'format', error: 'startDate must be a date (YYYY-MM-DD)' },
+            // The point's end date comes before the batch start date
+            { index: 2, id: 'order', error: 'startDate must not be after endDate' }
+        ]);
+    });
+});
+
+describe('batch analysis', function () {
+    const original = {
+        provider: sentinelService.provider,
+        useMockData: sentinelService.useMockData,
+        extractBands: sentinelService.extractBands,
+        landsatMock: landsatService.useMockData
+    };
+    const searches = { sentinel1: 0, thermal: 0 };
+
+    before(function () {
+        sentinelService.setProvider(createProvider('static', { catalogPath: CATALOG }));
+        sentinelService.useMockData = false;
+        sentinelService.extractBands = false;
+        landsatService.useMockData = false;
+
+        sentinelService.searchSentinel1 = async () => {
+            searches.sentinel1++;
+            return [];
+        };
+        landsatService.searchThermal = async () => {
+            searches.thermal++;
+            return [];
+        };
+    });
+
+    after(function () {
+        delete sentinelService.searchSentinel1;
+        delete landsatService.searchThermal;
+        sentinelService.setProvider(original.provider);
+        sentinelService.useMockData = original.useMockData;
+        sentinelService.extractBands = original.extractBands;
+        landsatService.useMockData = original.landsatMock;
+    });
+
+    it('searches Sentinel-1 and Landsat once per group of points', async function () {
+        const res = await callHandler(soilController.getBatchAnalysis, {
+            points: [
+                { id: 'a', lat: 43.51, lon: 1.41 },
+                { id: 'b', lat: 43.515, lon: 1.415 },
+                { id: 'c', lat: 43.505, lon: 1.405 }
+            ],
+            startDate: '2024-06-01',
+            endDate: '2024-06-30'
+        });
+
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(res.body.searches, 1);
+        assert.strictEqual(res.body.succeeded, 3);
+        assert.deepStrictEqual(searches, { sentinel1: 1, thermal: 1 });
+        res.body.results.forEach(result => {
+            assert.strictEqual(result.soilAnalysis.moisture.sources.sarUnavailable, 'No Sentinel-1 scenes in the date range');
+        });
+    });
+
+    it('rejects invalid batch dates with 400 and fails only points with bad dates', async function () {
+        const rejected = await callHandler(soilController.getBatchAnalysis, {
+            points: [{ lat: 43.51, lon: 1.41 }],
+            startDate: '2024-06-31'
+        });
+        const partial = await callHandler(soilController.getBatchAnalysis, {
+            points: [{ id: 'bad', lat: 43.51, lon: 1.41, endDate: 'yesterday' }],
+            startDate: '2024-06-01',
+            endDate: '2024-06-30',
+            sar: false,
+            thermal: false
+        });
+
+        assert.strictEqual(rejected.statusCode, 400);
+        assert.deepStrictEqual(rejected.body, { error: 'startDate must be a date (YYYY-MM-DD)' });
+        assert.strictEqual(partial.statusCode, 200);
+        assert.deepStrictEqual(partial.body.errors, [{ index: 0, id: 'bad', error: 'endDate must be a date (YYYY-MM-DD)' }]);
+    });
+});
@@ -0,0 +1,91 @@
+const assert = require('assert');
+
+const compositeService = require('../src/services/compositeService');
+const spectralIndexService = require('../src/services/spectralIndexService');
+
+function scene(id, date, cloudCover, samples) {
+    return {
+        id,
+        date,
+        cloudCover,
+        bands: samples[0].bands,
+        samples: samples.map((sample, i) => ({ lat: 43.5, lon: 1.4 + i * 0.001, ...sample }))
+    };
+}
+
+describe('compositeService', function () {
+    describe('max-ndvi', function () {
+        it('ranks pixels with the NDVI of the index service', function () {
+            const bands = { B04: 0.08, B08: 0.41 };
+            assert.strictEqual(compositeService.calculateNdvi(bands), spectralIndexService.calculateIndices(bands, ['ndvi']).ndvi);
+        });
+
+        it('ranks undefined NDVI below every observation', function () {
+            assert.strictEqual(compositeService.calculateNdvi({ B04: 0, B08: 0 }), -1);
+            assert.strictEqual(compositeService.calculateNdvi({ B04: 0.1 }), -1);
+        });
+
+        it('picks the greenest observation of each pixel', function () {
+            const scenes = [
+                scene('early', '2024-06-01T10:56:21Z', 5, [
+                    { bands: { B04: 0.05, B08: 0.45 } },
+                    { bands: { B04: 0.12, B08: 0.20 } }
+                ]),
+                scene('late', '2024-06-11T10:56:19Z', 5, [
+                    { bands: { B04: 0.10, B08: 0.30 } },
+                    { bands: { B04: 0.04, B08: 0.38 } }
+                ])
+            ];
+
+            const composite = compositeService.createComposite(scenes, 'max-ndvi');
+
+            assert.deepStrictEqual(composite.samples.map(sample => sample.bands), [
+                { B04: 0.05, B08: 0.45 },
+                { B04: 0.04, B08: 0.38 }
+            ]);
+            assert.deepStrictEqual(composite.composite.scenes.map(entry => [entry.id, entry.pixels]), [['early', 1], ['late', 1]]);
+        });
+    });
+
+    describe('median', function () {
+        it('weights observations by quality', function () {
+            assert.strictEqual(compositeService.weightedMedian([
+                { value: 0.1, weight: 0.2 },
+                { value: 0.3, weight: 0.9 },
+                { value: 0.2, weight: 0.3 }
+            ]), 0.3);
+            assert.strictEqual(compositeService.weightedMedian([{ value: 0.1, weight: 1 }, { value: 0.3, weight: 1 }]), 0.2);
+        });
+
+        it('has no median for an empty stack', function () {
+            assert.strictEqual(compositeService.weightedMedian([]), null);
+            assert.strictEqual(compositeService.weightedMedian([{ value: null, weight: 1 }, { value: NaN, weight: 1 }]), null);
+            assert.strictEqual(compositeService.weightedMedian([{ value: 0.2, weight: 0 }]), null);
+        });
+
+        it('skips pixels without a value in some band', function () {
+            const scenes = [
+                scene('early', '2024-06-01T10:56:21Z', 0, [
+                    { bands: { B04: 0.05, B08: 0.45 } },
+                    { bands: { B04: null, B08: 0.20 } }
+                ]),
+                scene('late', '2024-06-11T10:56:19Z', 0, [
+                    { bands: { B04: 0.07, B08: 0.41 } },
+                    { bands: { B04: null, B08: 0.38 } }
+                ])
+            ];
+
+            const composite = compositeService.createComposite(scenes, 'median');
+
+            assert.strictEqual(composite.samples.length, 1);
+            assert.strictEqual(composite.samples[0].lon, scenes[0].samples[0].lon);
+            assert.deepStrictEqual(composite.mask, {
+                applied: true,
+                validPixels: 1,
+                totalPixels: 2,
+                validPixelFraction: 0.5,
+                excludedPixels: { masked_in_all_scenes: 0, no_data: 1 }
+            });
+        });
+    });
+});
@@ -0,0 +1,38 @@
+const assert = require('assert');
+
+const CsvParser = require('../src/utils/csvParser');
+
+describe('CsvParser', function () {
+    it('reads quoted fields with delimiters, escaped quotes and line breaks', function () {
+        const { headers, records } = CsvParser.parse('id,note,lat,lon\n"P1","north, by the ""old"" barn\nnear the road",43.5,1.4\n');
+
+        assert.deepStrictEqual(headers, ['id', 'note', 'lat', 'lon']);
+        assert.deepStrictEqual(records, [{ id: 'P1', note: 'north, by the "old" barn\nnear the road', lat: '43.5', lon: '1.4' }]);
+    });
+
+    it('detects semicolon and tab delimiters from the header row', function () {
+        assert.deepStrictEqual(CsvParser.parse('lat;lon\n43,5;1,4').records, [{ lat: '43,5', lon: '1,4' }]);
+        assert.deepStrictEqual(CsvParser.parse('lat\tlon\n43.5\t1.4').records, [{ lat: '43.5', lon: '1.4' }]);
+    });
+
+    it('normalizes headers and handles a byte order mark and CRLF line endings', function () {
+        const { headers, records } = CsvParser.parse('\uFEFF Latitude ,LNG,StartDate\r\n43.5,1.4,2024-06-01\r\n');
+
+        assert.deepStrictEqual(headers, ['latitude', 'lng', 'startdate']);
+        assert.deepStrictEqual(records, [{ latitude: '43.5', lng: '1.4', startdate: '2024-06-01' }]);
+    });
+
+    it('skips blank rows and fills missing trailing fields', function () {
+        const { records } = CsvParser.parse('id,lat,lon\n\nA,43.5\n , , \nB,43.6,1.5,extra\n');
+
+        assert.deepStrictEqual(records, [
+            { id: 'A', lat: '43.5', lon: '' },
+            { id: 'B', lat: '43.6', lon: '1.5' }
+        ]);
+    });
+
+    it('returns no headers for empty input', function () {
+        assert.deepStrictEqual(CsvParser.parse(''), { headers: [], records: [] });
+        assert.deepStrictEqual(CsvParser.parse('\n\n'), { headers: [], records: [] });
+    });
+});
@@ -0,0 +1,230 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const downloadService = require('../src/services/downloadService');
+
+const CONTENT = crypto.randomBytes(64 * 1024);
+const MD5 = `d510${crypto.createHash('md5').update(CONTENT).digest('hex')}`;
+
+// Timers may fire a millisecond early as measured by Date.now()
+const TIMER_SLACK = 2;
+
+/**
+ * Local product server; `handler(req, res, requestNumber)` answers each request, every request is recorded
+ */
+function startServer(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push({ range: req.headers.range || null, authorization: req.headers.authorization || null, time: Date.now() });
+        handler(req, res, requests.length);
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}/product`,
+                requests,
+                close: () => new Promise(done => {
+                    server.closeAllConnections();
+                    server.close(done);
+                })
+            });
+        });
+    });
+}
+
+/**
+ * Serve the product, honouring Range requests like the Copernicus download service
+ */
+function serveProduct(req, res) {
+    const range = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+    const start = range ? parseInt(range[1]) : 0;
+
+    if (start >= CONTENT.length) {
+        res.writeHead(416, { 'Content-Range': `bytes */${CONTENT.length}` });
+        return res.end();
+    }
+
+    res.writeHead(range ? 206 : 200, {
+        'Content-Length': CONTENT.length - start,
+        ...(range ? { 'Content-Range': `bytes ${start}-${CONTENT.length - 1}/${CONTENT.length}` } : {})
+    });
+    res.end(CONTENT.subarray(start));
+}
+
+describe('downloadService', function () {
+    const original = {
+        concurrency: downloadService.concurrency,
+        maxAttempts: downloadService.maxAttempts,
+        retryDelay: downloadService.retryDelay
+    };
+    let tempDir;
+    let server;
+
+    const enqueue = (name, task = {}) => downloadService.enqueue({
+        sceneId: name,
+        outputPath: path.join(tempDir, `${name}.zip`),
+        resolveAsset: async () => ({ href: server.url, headers: { Authorization: 'Bearer token' } }),
+        ...task
+    });
+
+    beforeEach(function () {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'downloads-'));
+        downloadService.retryDelay = 20;
+    });
+
+    afterEach(async function () {
+        Object.assign(downloadService, original);
+        if (server) await server.close();
+        server = null;
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('downloads with the asset headers and verifies the checksum', async function () {
+        server = await startServer(serveProduct);
+
+        const job = await enqueue('complete', { checksum: MD5 }).promise;
+
+        assert.strictEqual(job.status, 'completed');
+        assert.deepStrictEqual(job.checksum, { expected: MD5, verified: true, actual: MD5 });
+        assert.strictEqual(server.requests[0].authorization, 'Bearer token');
+        assert.ok(fs.readFileSync(job.outputPath).equals(CONTENT));
+        assert.strictEqual(fs.existsSync(`${job.outputPath}.part`), false);
+    });
+
+    it('resumes from the partial file with a Range request', async function () {
+        server = await startServer(serveProduct);
+        fs.writeFileSync(path.join(tempDir, 'resumed.zip.part'), CONTENT.subarray(0, 1000));
+
+        const job = await enqueue('resumed', { checksum: MD5 }).promise;
+
+        assert.strictEqual(server.requests[0].range, 'bytes=1000-');
+        assert.strictEqual(job.resumedFrom, 1000);
+        assert.strictEqual(job.bytes, CONTENT.length);
+        assert.strictEqual(job.total, CONTENT.length);
+        assert.ok(fs.readFileSync(job.outputPath).equals(CONTENT));
+    });
+
+    it('treats 416 at the end of the file as a complete download', async function () {
+        server = await startServer(serveProduct);
+        fs.writeFileSync(path.join(tempDir, 'finished.zip.part'), CONTENT);
+
+        const job = await enqueue('finished').promise;
+
+        assert.strictEqual(job.status, 'completed');
+        assert.strictEqual(job.bytes, CONTENT.length);
+        assert.strictEqual(server.requests.length, 1);
+        assert.ok(fs.readFileSync(job.outputPath).equals(CONTENT));
+    });
+
+    it('restarts from zero when 416 shows the partial file does not match the remote one', async function () {
+        server = await startServer(serveProduct);
+        fs.writeFileSync(path.join(tempDir, 'mismatch.zip.part'), Buffer.concat([CONTENT, Buffer.alloc(10)]));
+
+        const job = await enqueue('mismatch', { size: CONTENT.length, checksum: MD5 }).promise;
+
+        assert.deepStrictEqual(server.requests.map(request => request.range), [`bytes=${CONTENT.length + 10}-`, null]);
+        assert.strictEqual(job.attempts, 2);
+        assert.ok(fs.readFileSync(job.outputPath).equals(CONTENT));
+    });
+
+    it('retries interrupted downloads with backoff, resuming where they stopped', async function () {
+        server = await startServer((req, res, requestNumber) => {
+            if (requestNumber === 1) {
+                // Send half of the product, then drop the connection
+                res.writeHead(200, { 'Content-Length': CONTENT.length });
+                res.write(CONTENT.subarray(0, CONTENT.length / 2), () => res.destroy());
+                return;
+            }
+            serveProduct(req, res);
+        });
+
+        const job = await enqueue('interrupted', { checksum: MD5 }).promise;
+
+        assert.strictEqual(job.attempts, 2);
+        assert.strictEqual(server.requests[1].range, `bytes=${CONTENT.length / 2}-`);
+        assert.strictEqual(job.resumedFrom, CONTENT.length / 2);
+        assert.ok(server.requests[1].time - server.requests[0].time >= downloadService.retryDelay - TIMER_SLACK);
+        assert.ok(fs.readFileSync(job.outputPath).equals(CONTENT));
+    });
+
+    it('fails after the last attempt, doubling the wait between attempts', async function () {
+        server = await startServer((req, res) => {
+            res.writeHead(503);
+            res.end();
+        });
+        downloadService.maxAttempts = 3;
+
+        const job = enqueue('unavailable');
+        await assert.rejects(job.promise, /status code 503/);
+
+        assert.strictEqual(job.status, 'failed');
+        assert.strictEqual(job.attempts, 3);
+        assert.match(job.error, /503/);
+        assert.strictEqual(server.requests.length, 3);
+
+        const [first, second, third] = server.requests.map(request => request.time);
+        assert.ok(second - first >= 20 - TIMER_SLACK);
+        assert.ok(third - second >= 40 - TIMER_SLACK);
+    });
+
+    it('does not retry products the server does not know', async function () {
+        server = await startServer((req, res) => {
+            res.writeHead(404);
+            res.end();
+        });
+
+        const job = enqueue('missing');
+        await assert.rejects(job.promise, /status code 404/);
+
+        assert.strictEqual(job.attempts, 1);
+    });
+
+    it('runs at most `concurrency` downloads at once and queues the others', async function () {
+        const held = [];
+        let open = 0;
+        let maxOpen = 0;
+        server = await startServer((req, res) => {
+            open++;
+            maxOpen = Math.max(maxOpen, open);
+            held.push(() => {
+                open--;
+                serveProduct(req, res);
+            });
+        });
+        downloadService.concurrency = 2;
+
+        const jobs = ['first', 'second', 'third'].map(name => enqueue(name));
+        while (held.length < 2) await new Promise(resolve => setTimeout(resolve, 5));
+
+        assert.deepStrictEqual(jobs.map(job => job.status), ['downloading', 'downloading', 'queued']);
+
+        // Release requests as they arrive until all jobs are done
+        const release = setInterval(() => held.splice(0).forEach(respond => respond()), 5);
+        try {
+            await Promise.all(jobs.map(job => job.promise));
+        } finally {
+            clearInterval(release);
+        }
+
+        assert.strictEqual(maxOpen, 2);
+        assert.deepStrictEqual(jobs.map(job => job.status), ['completed', 'completed', 'completed']);
+    });
+
+    it('fails on a checksum mismatch and discards the corrupt file', async function () {
+        server = await startServer(serveProduct);
+        const expected = `d510${'0'.repeat(32)}`;
+
+        const job = enqueue('corrupt', { checksum: expected });
+        await assert.rejects(job.promise, /Checksum mismatch for corrupt/);
+
+        assert.strictEqual(job.status, 'failed');
+        assert.deepStrictEqual(job.checksum, { expected, verified: false, actual: MD5 });
+        assert.strictEqual(fs.existsSync(job.outputPath), false);
+        assert.strictEqual(fs.existsSync(`${job.outputPath}.part`), false);
+    });
+});
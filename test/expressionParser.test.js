@@ -0,0 +1,62 @@
+const assert = require('assert');
+
+const ExpressionParser = require('../src/utils/expressionParser');
+const spectralIndexService = require('../src/services/spectralIndexService');
+
+const BANDS = ['B02', 'B03', 'B04', 'B08', 'B11'];
+
+function evaluate(expression, values) {
+    const { ast } = ExpressionParser.parse(expression, BANDS);
+    return ExpressionParser.compile(ast)(values);
+}
+
+describe('ExpressionParser', function () {
+    it('evaluates band math with precedence, unary minus and functions', function () {
+        const values = { B04: 0.1, B08: 0.5, B11: 0.2 };
+
+        assert.strictEqual(evaluate('(B08 - B04) / (B08 + B04)', values), (0.5 - 0.1) / (0.5 + 0.1));
+        assert.strictEqual(evaluate('-B04 + 2 * B08 ^ 2', values), -0.1 + 2 * Math.pow(0.5, 2));
+        assert.strictEqual(evaluate('max(b04, B11, sqrt(B08))', values), Math.sqrt(0.5));
+    });
+
+    it('reports the bands an expression uses', function () {
+        assert.deepStrictEqual(ExpressionParser.parse('(b08 - B04) / (B08 + B04)', BANDS).variables, ['B08', 'B04']);
+    });
+
+    it('rejects object prototype members as functions', function () {
+        ['constructor', 'toString', 'hasOwnProperty', '__proto__', 'valueOf'].forEach(name => {
+            assert.throws(
+                () => ExpressionParser.parse(`${name}(B04)`, BANDS),
+                { message: `Unknown function "${name}" at position 1` }
+            );
+        });
+    });
+
+    it('rejects unknown functions, bands and characters with their position', function () {
+        assert.throws(() => ExpressionParser.parse('B08 + ndvi(B04)', BANDS), { message: 'Unknown function "ndvi" at position 7' });
+        assert.throws(() => ExpressionParser.parse('B08 + B99', BANDS), { message: 'Unknown band "B99" at position 7' });
+        assert.throws(() => ExpressionParser.parse('B08 + toString', BANDS), { message: 'Unknown band "toString" at position 7' });
+        assert.throws(() => ExpressionParser.parse('B08 ; B04', BANDS), { message: 'Unexpected character ";" at position 5' });
+        assert.throws(() => ExpressionParser.parse('sqrt(B04, B08)', BANDS), { message: 'Wrong number of arguments for sqrt() at position 1' });
+        assert.throws(() => ExpressionParser.parse('(B08 - B04', BANDS), { message: 'Expected ")" at position 11' });
+    });
+
+    it('lists the callable functions', function () {
+        assert.deepStrictEqual(ExpressionParser.getFunctionNames(), ['sqrt', 'abs', 'exp', 'log', 'min', 'max']);
+    });
+
+    it('refuses to compile calls to functions it does not define', function () {
+        assert.throws(
+            () => ExpressionParser.compile({ type: 'call', name: 'constructor', args: [{ type: 'number', value: 1 }] }),
+            /Unknown function: constructor/
+        );
+    });
+});
+
+describe('spectralIndexService custom index validation', function () {
+    it('rejects expressions calling prototype members', function () {
+        const validation = spectralIndexService.validateDefinition({ id: 'bad', expression: 'constructor(B04)' });
+
+        assert.deepStrictEqual(validation, { valid: false, error: 'Invalid expression: Unknown function "constructor" at position 1' });
+    });
+});
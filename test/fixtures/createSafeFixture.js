@@ -0,0 +1,158 @@
+/**
+ * Writes the tiny Sentinel-2 Level-2A SAFE product used by the band extraction tests:
+ * a 60 m x 60 m tile corner (6x6 pixels at 10 m, 3x3 at 20 m, 1x1 at 60 m) with 16-bit JPEG 2000 bands
+ * and an 8-bit Scene Classification Layer. Run with `node test/fixtures/createSafeFixture.js` after changing it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const openjpeg = require('@cornerstonejs/codec-openjpeg');
+
+const PRODUCT = 'S2A_MSIL2A_20240601T104621_N0510_R051_T31TCJ_20240601T150212.SAFE';
+const GRANULE = 'L2A_T31TCJ_A046567_20240601T104915';
+const FILE_PREFIX = 'T31TCJ_20240601T104621';
+
+// Upper left corner of the tile in EPSG:32631 (UTM 31N)
+const ULX = 399960;
+const ULY = 4800000;
+
+const BANDS = {
+    10: ['B02', 'B03', 'B04', 'B08'],
+    20: ['B04', 'B05', 'B06', 'B07', 'B8A', 'B11', 'B12'],
+    60: ['B09']
+};
+
+// Scene Classification Layer at 20 m: vegetation, bare soil, cloud (high probability) / cloud shadow, ...
+const SCL = [
+    [4, 5, 9],
+    [3, 4, 8],
+    [5, 7, 4]
+];
+
+/**
+ * Digital number of a band pixel; odd low digits check that no precision is lost in decoding
+ */
+function digitalNumber(band, resolution, row, col) {
+    const bandIndex = ['B02', 'B03', 'B04', 'B05', 'B06', 'B07', 'B08', 'B8A', 'B09', 'B11', 'B12'].indexOf(band);
+    return 2000 + bandIndex * 400 + row * 40 + col * 3 + 1 + (resolution === 20 && band === 'B04' ? 5000 : 0);
+}
+
+function box(type, data) {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + data.length, 0);
+    header.write(type, 4, 'ascii');
+    return Buffer.concat([header, data]);
+}
+
+/**
+ * Losslessly encode a single-band raster as a JP2 file (signature, file type, header and codestream boxes)
+ */
+function encodeJp2(codec, rows, bitsPerSample) {
+    const height = rows.length;
+    const width = rows[0].length;
+
+    const encoder = new codec.J2KEncoder();
+    const input = encoder.getDecodedBuffer({ width, height, bitsPerSample, componentCount: 1, isSigned: false, isUsingColorTransform: false });
+    const SampleArray = bitsPerSample > 8 ? Uint16Array : Uint8Array;
+    new SampleArray(input.buffer, input.byteOffset, width * height).set(rows.flat());
+    encoder.setQuality(true, 0);
+    // The default five wavelet levels need tiles larger than these few pixels
+    encoder.setDecompositions(0);
+    encoder.encode();
+    const codestream = Buffer.from(encoder.getEncodedBuffer());
+    encoder.delete();
+
+    const imageHeader = Buffer.alloc(14);
+    imageHeader.writeUInt32BE(height, 0);
+    imageHeader.writeUInt32BE(width, 4);
+    imageHeader.writeUInt16BE(1, 8);
+    imageHeader[10] = bitsPerSample - 1;
+    imageHeader[11] = 7;
+
+    return Buffer.concat([
+        box('jP  ', Buffer.from([0x0D, 0x0A, 0x87, 0x0A])),
+        box('ftyp', Buffer.concat([Buffer.from('jp2 '), Buffer.alloc(4), Buffer.from('jp2 ')])),
+        box('jp2h', Buffer.concat([box('ihdr', imageHeader), box('colr', Buffer.from([1, 0, 0, 0, 0, 0, 17]))])),
+        box('jp2c', codestream)
+    ]);
+}
+
+function productMetadata() {
+    const offsets = Array.from({ length: 13 }, (_, bandId) =>
+        `        <BOA_ADD_OFFSET band_id="${bandId}">-1000</BOA_ADD_OFFSET>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<n1:Level-2A_User_Product xmlns:n1="https://psd-14.sentinel2.eo.esa.int/PSD/User_Product_Level-2A.xsd">
+  <n1:General_Info>
+    <Product_Info>
+      <PRODUCT_TYPE>S2MSI2A</PRODUCT_TYPE>
+      <PROCESSING_BASELINE>05.10</PROCESSING_BASELINE>
+    </Product_Info>
+    <Product_Image_Characteristics>
+      <QUANTIFICATION_VALUES_LIST>
+        <BOA_QUANTIFICATION_VALUE unit="none">10000</BOA_QUANTIFICATION_VALUE>
+      </QUANTIFICATION_VALUES_LIST>
+      <BOA_ADD_OFFSET_VALUES_LIST>
+${offsets}
+      </BOA_ADD_OFFSET_VALUES_LIST>
+    </Product_Image_Characteristics>
+  </n1:General_Info>
+</n1:Level-2A_User_Product>
+`;
+}
+
+function tileMetadata() {
+    const geopositions = Object.keys(BANDS).map(resolution => `      <Geoposition resolution="${resolution}">
+        <ULX>${ULX}</ULX>
+        <ULY>${ULY}</ULY>
+        <XDIM>${resolution}</XDIM>
+        <YDIM>-${resolution}</YDIM>
+      </Geoposition>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<n1:Level-2A_Tile_ID xmlns:n1="https://psd-14.sentinel2.eo.esa.int/PSD/S2_PDI_Level-2A_Tile_Metadata.xsd">
+  <n1:Geometric_Info>
+    <Tile_Geocoding metadataLevel="Brief">
+      <HORIZONTAL_CS_NAME>WGS84 / UTM zone 31N</HORIZONTAL_CS_NAME>
+      <HORIZONTAL_CS_CODE>EPSG:32631</HORIZONTAL_CS_CODE>
+${geopositions}
+    </Tile_Geocoding>
+  </n1:Geometric_Info>
+</n1:Level-2A_Tile_ID>
+`;
+}
+
+async function createFixture(outputDir = __dirname) {
+    const codec = await openjpeg({ print: () => {}, printErr: () => {} });
+    const safeDir = path.join(outputDir, PRODUCT);
+    const granuleDir = path.join(safeDir, 'GRANULE', GRANULE);
+
+    fs.rmSync(safeDir, { recursive: true, force: true });
+    fs.mkdirSync(granuleDir, { recursive: true });
+    fs.writeFileSync(path.join(safeDir, 'MTD_MSIL2A.xml'), productMetadata());
+    fs.writeFileSync(path.join(granuleDir, 'MTD_TL.xml'), tileMetadata());
+
+    Object.entries(BANDS).forEach(([resolution, bands]) => {
+        const size = 60 / resolution;
+        const imageDir = path.join(granuleDir, 'IMG_DATA', `R${resolution}m`);
+        fs.mkdirSync(imageDir, { recursive: true });
+
+        bands.forEach(band => {
+            const rows = Array.from({ length: size }, (_, row) =>
+                Array.from({ length: size }, (_, col) => digitalNumber(band, Number(resolution), row, col)));
+            fs.writeFileSync(path.join(imageDir, `${FILE_PREFIX}_${band}_${resolution}m.jp2`), encodeJp2(codec, rows, 16));
+        });
+
+        if (resolution === '20') {
+            fs.writeFileSync(path.join(imageDir, `${FILE_PREFIX}_SCL_20m.jp2`), encodeJp2(codec, SCL, 8));
+        }
+    });
+
+    return safeDir;
+}
+
+module.exports = { PRODUCT, ULX, ULY, SCL, digitalNumber, createFixture };
+
+if (require.main === module) {
+    createFixture().then(safeDir => console.log(`Wrote ${safeDir}`));
+}
@@ -0,0 +1,82 @@
+/**
+ * Minimal single-band Float32 GeoTIFF writer (WGS84, north-up) for raster fixtures built at test time
+ * geotiff.js can only write 8-bit rasters, which cannot hold linear backscatter or reflectance values
+ */
+
+const fs = require('fs');
+
+const TYPES = { SHORT: 3, LONG: 4, DOUBLE: 12 };
+const TYPE_SIZES = { 3: 2, 4: 4, 12: 8 };
+
+/**
+ * @param {string} filePath
+ * @param {Object} raster - { values: rows of numbers, west, north (upper left corner), resolution (degrees) }
+ */
+function writeGeoTiff(filePath, { values, west, north, resolution }) {
+    const height = values.length;
+    const width = values[0].length;
+
+    const entries = [
+        [256, TYPES.LONG, [width]],
+        [257, TYPES.LONG, [height]],
+        [258, TYPES.SHORT, [32]], // BitsPerSample
+        [259, TYPES.SHORT, [1]], // Compression: none
+        [262, TYPES.SHORT, [1]], // Photometric: min is black
+        [273, TYPES.LONG, [0]], // StripOffsets, filled in below
+        [277, TYPES.SHORT, [1]], // SamplesPerPixel
+        [278, TYPES.LONG, [height]], // RowsPerStrip
+        [279, TYPES.LONG, [width * height * 4]], // StripByteCounts
+        [284, TYPES.SHORT, [1]], // PlanarConfiguration
+        [339, TYPES.SHORT, [3]], // SampleFormat: IEEE float
+        [33550, TYPES.DOUBLE, [resolution, resolution, 0]], // ModelPixelScale
+        [33922, TYPES.DOUBLE, [0, 0, 0, west, north, 0]], // ModelTiepoint
+        // GeoKeyDirectory: geographic model, pixel is area, WGS84
+        [34735, TYPES.SHORT, [1, 1, 0, 3, 1024, 0, 1, 2, 1025, 0, 1, 1, 2048, 0, 1, 4326]]
+    ];
+
+    const ifdSize = 2 + entries.length * 12 + 4;
+    let dataOffset = 8 + ifdSize;
+    const extra = [];
+
+    const ifd = Buffer.alloc(ifdSize);
+    ifd.writeUInt16LE(entries.length, 0);
+
+    const writeValues = (buffer, offset, type, items) => items.forEach((item, i) => {
+        if (type === TYPES.SHORT) buffer.writeUInt16LE(item, offset + i * 2);
+        else if (type === TYPES.LONG) buffer.writeUInt32LE(item, offset + i * 4);
+        else buffer.writeDoubleLE(item, offset + i * 8);
+    });
+
+    const extraSize = entries.reduce((size, [, type, items]) => {
+        const bytes = items.length * TYPE_SIZES[type];
+        return bytes > 4 ? size + bytes : size;
+    }, 0);
+    const stripOffset = dataOffset + extraSize;
+    entries.find(([tag]) => tag === 273)[2][0] = stripOffset;
+
+    entries.forEach(([tag, type, items], i) => {
+        const position = 2 + i * 12;
+        const bytes = items.length * TYPE_SIZES[type];
+        ifd.writeUInt16LE(tag, position);
+        ifd.writeUInt16LE(type, position + 2);
+        ifd.writeUInt32LE(items.length, position + 4);
+
+        if (bytes <= 4) {
+            writeValues(ifd, position + 8, type, items);
+        } else {
+            const block = Buffer.alloc(bytes);
+            writeValues(block, 0, type, items);
+            ifd.writeUInt32LE(dataOffset, position + 8);
+            extra.push(block);
+            dataOffset += bytes;
+        }
+    });
+
+    const header = Buffer.from([0x49, 0x49, 42, 0, 8, 0, 0, 0]);
+    const pixels = Buffer.alloc(width * height * 4);
+    values.flat().forEach((value, i) => pixels.writeFloatLE(value, i * 4));
+
+    fs.writeFileSync(filePath, Buffer.concat([header, ifd, ...extra, pixels]));
+}
+
+module.exports = { writeGeoTiff };
@@ -0,0 +1,37 @@
+const assert = require('assert');
+
+const geoService = require('../src/services/geoService');
+
+describe('geoService seasons', function () {
+    const toulouse = { lat: 43.6, lon: 1.44 };
+    const sydney = { lat: -33.87, lon: 151.21 };
+    const delhi = { lat: 28.6, lon: 77.2 };
+
+    it('reports the seasons on the given date', async function () {
+        const winter = await geoService.getLocationInfo(toulouse, { date: '2024-01-15T10:56:21Z' });
+        const summer = await geoService.getLocationInfo(toulouse, { date: '2024-07-15T10:56:21Z' });
+
+        assert.strictEqual(winter.climate.seasons.currentSeason, 'winter');
+        assert.strictEqual(summer.climate.seasons.currentSeason, 'summer');
+        assert.strictEqual(summer.climate.seasons.hemisphere, 'northern');
+    });
+
+    it('follows the hemisphere and monsoon of the location', async function () {
+        const southern = await geoService.getLocationInfo(sydney, { date: '2024-07-15' });
+        const monsoon = geoService.getClimateInfo(delhi.lat, delhi.lon, '2024-08-01');
+        const dry = geoService.getClimateInfo(delhi.lat, delhi.lon, '2024-01-15');
+
+        assert.strictEqual(southern.climate.seasons.hemisphere, 'southern');
+        assert.strictEqual(southern.climate.seasons.currentSeason, 'winter');
+        assert.strictEqual(monsoon.seasons.regime, 'monsoon');
+        assert.strictEqual(monsoon.seasons.currentSeason, 'wet');
+        assert.strictEqual(dry.seasons.currentSeason, 'dry');
+    });
+
+    it('defaults to today without a date', function () {
+        assert.deepStrictEqual(
+            geoService.getSeasonalInfo(toulouse.lat, toulouse.lon),
+            geoService.getSeasonalInfo(toulouse.lat, toulouse.lon, new Date())
+        );
+    });
+});
@@ -0,0 +1,129 @@
+const assert = require('assert');
+
+const jobService = require('../src/services/jobService');
+
+// Timers may fire a millisecond early as measured by Date.now()
+const TIMER_SLACK = 2;
+
+/**
+ * Resolve with the job once it reached its final state
+ */
+function finished(job) {
+    return new Promise(resolve => {
+        const onUpdate = updated => {
+            if (updated === job && jobService.isFinished(job)) {
+                jobService.off('update', onUpdate);
+                resolve(job);
+            }
+        };
+        jobService.on('update', onUpdate);
+        onUpdate(job);
+    });
+}
+
+describe('jobService', function () {
+    const original = {
+        concurrency: jobService.concurrency,
+        maxAttempts: jobService.maxAttempts,
+        retryDelay: jobService.retryDelay
+    };
+    let attempts;
+
+    before(function () {
+        // Fails until the attempt named in its params, reporting progress on the way
+        jobService.registerType('test-flaky', {
+            validate: params => Number.isInteger(params.succeedOn)
+                ? { valid: true, params: { ...params, label: `flaky-${params.succeedOn}` } }
+                : { valid: false, error: 'succeedOn must be an integer' },
+            run: async (params, reportProgress) => {
+                attempts.push({ params, time: Date.now() });
+                reportProgress(50, 'Half way');
+                if (attempts.length < params.succeedOn) {
+                    throw new Error(`Attempt ${attempts.length} failed`);
+                }
+                return { label: params.label };
+            }
+        });
+    });
+
+    beforeEach(function () {
+        attempts = [];
+        jobService.maxAttempts = 3;
+        jobService.retryDelay = 20;
+    });
+
+    after(function () {
+        jobService.types.delete('test-flaky');
+        Object.assign(jobService, original);
+    });
+
+    it('validates params with the registered type', function () {
+        assert.deepStrictEqual(jobService.createJob('test-flaky', { succeedOn: 'soon' }), { valid: false, error: 'succeedOn must be an integer' });
+        assert.match(jobService.createJob('unknown', {}).error, /^Job type must be one of: .*test-flaky/);
+    });
+
+    it('retries with doubling backoff until the runner succeeds', async function () {
+        const { job } = jobService.createJob('test-flaky', { succeedOn: 3 });
+        await finished(job);
+
+        assert.strictEqual(job.status, 'completed');
+        assert.strictEqual(job.attempts, 3);
+        assert.strictEqual(job.error, null);
+        // The runner gets the normalized params, the job keeps the submitted ones
+        assert.deepStrictEqual(job.result, { label: 'flaky-3' });
+        assert.deepStrictEqual(job.params, { succeedOn: 3 });
+
+        const [first, second, third] = attempts.map(attempt => attempt.time);
+        assert.ok(second - first >= 20 - TIMER_SLACK);
+        assert.ok(third - second >= 40 - TIMER_SLACK);
+    });
+
+    it('fails after the last attempt with the last error', async function () {
+        const { job } = jobService.createJob('test-flaky', { succeedOn: 10 });
+        await finished(job);
+
+        assert.strictEqual(job.status, 'failed');
+        assert.strictEqual(job.attempts, 3);
+        assert.strictEqual(attempts.length, 3);
+        assert.strictEqual(job.error, 'Attempt 3 failed');
+        assert.strictEqual(job.result, null);
+        assert.deepStrictEqual(job.progress, { percent: 50, stage: 'Failed' });
+        assert.ok(job.completedAt);
+    });
+
+    it('emits an update for every state and progress change', async function () {
+        const updates = [];
+        const record = job => updates.push(`${job.status} ${job.progress.percent} ${job.progress.stage}`);
+        jobService.on('update', record);
+
+        try {
+            const { job } = jobService.createJob('test-flaky', { succeedOn: 2 });
+            await finished(job);
+        } finally {
+            jobService.off('update', record);
+        }
+
+        assert.deepStrictEqual(updates, [
+            'queued 0 Queued',
+            'running 0 Starting',
+            'running 50 Half way',
+            'running 50 Attempt 1 failed, retrying',
+            'running 0 Retrying (attempt 2 of 3)',
+            'running 50 Half way',
+            'completed 100 Completed'
+        ]);
+    });
+
+    it('queues jobs beyond the concurrency limit', async function () {
+        jobService.concurrency = 1;
+
+        const first = jobService.createJob('test-flaky', { succeedOn: 1 }).job;
+        const second = jobService.createJob('test-flaky', { succeedOn: 1 }).job;
+
+        assert.strictEqual(first.status, 'running');
+        assert.strictEqual(second.status, 'queued');
+
+        await Promise.all([finished(first), finished(second)]);
+        assert.deepStrictEqual(jobService.listJobs({ type: 'test-flaky', status: 'completed' }).slice(0, 2), [second, first]);
+    });
+});
@@ -0,0 +1,69 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const monitorController = require('../src/controllers/monitorController');
+const monitoringService = require('../src/services/monitoringService');
+const JsonFileStore = require('../src/utils/jsonFileStore');
+
+/**
+ * Call a controller handler for a monitor id and collect the response
+ */
+async function callHandler(handler, id) {
+    const res = {
+        statusCode: 200,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(payload) {
+            this.body = payload;
+            return this;
+        }
+    };
+
+    await handler({ params: { id }, body: {}, query: {} }, res);
+    return res;
+}
+
+describe('monitorController runMonitor', function () {
+    const original = { monitors: monitoringService.monitors };
+    let tempDir;
+
+    beforeEach(function () {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'monitors-'));
+        monitoringService.monitors = new JsonFileStore(path.join(tempDir, 'monitors.json'), 'monitors');
+        monitoringService.monitors.load().push({ id: 'monitor-1', fieldId: 'field-1', enabled: true });
+    });
+
+    afterEach(function () {
+        delete monitoringService.checkForChanges;
+        Object.assign(monitoringService, original);
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('answers 404 for unknown monitors', async function () {
+        const res = await callHandler(monitorController.runMonitor, 'missing');
+
+        assert.strictEqual(res.statusCode, 404);
+        assert.deepStrictEqual(res.body, { error: 'Monitor not found' });
+    });
+
+    it('answers 409 while a run of the monitor is in progress', async function () {
+        let finishRun;
+        monitoringService.checkForChanges = () => new Promise(resolve => {
+            finishRun = () => resolve({ monitorId: 'monitor-1', newScenes: 0, observations: [], alerts: [] });
+        });
+
+        const first = callHandler(monitorController.runMonitor, 'monitor-1');
+        const second = await callHandler(monitorController.runMonitor, 'monitor-1');
+
+        assert.strictEqual(second.statusCode, 409);
+        assert.deepStrictEqual(second.body, { error: 'Monitor is already running' });
+
+        finishRun();
+        assert.strictEqual((await first).statusCode, 200);
+        assert.strictEqual(monitoringService.isRunning('monitor-1'), false);
+    });
+});
@@ -0,0 +1,127 @@
+const assert = require('assert');
+const http = require('http');
+
+const monitoringService = require('../src/services/monitoringService');
+
+/**
+ * Local webhook receiver answering each POST with the next status code of `statuses` (the last one repeats)
+ * `hang: true` never answers, to exercise the request timeout
+ */
+function startWebhookServer({ statuses = [200], hang = false } = {}) {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) });
+            if (hang) return;
+
+            res.statusCode = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+            res.end();
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}/hooks/soil`,
+                requests,
+                close: () => new Promise(done => {
+                    server.closeAllConnections();
+                    server.close(done);
+                })
+            });
+        });
+    });
+}
+
+const field = { id: 'field-1', name: 'North paddock' };
+
+function lowMoistureAlert(webhookUrl) {
+    const monitor = { id: 'monitor-1', webhookUrl, thresholds: { moistureMin: 20, ndviDrop: 0.1 } };
+    const observation = { date: '2024-06-01T10:46:21Z', sceneId: 'S2A_MSIL2A_20240601', moisture: 8, ndvi: 0.42 };
+    const [alert] = monitoringService.evaluateObservation(monitor, field, observation, null);
+    return alert;
+}
+
+describe('monitoringService webhook delivery', function () {
+    let webhook;
+    const { webhookRetries, webhookTimeout } = monitoringService;
+
+    afterEach(async function () {
+        monitoringService.webhookRetries = webhookRetries;
+        monitoringService.webhookTimeout = webhookTimeout;
+        if (webhook) await webhook.close();
+        webhook = null;
+    });
+
+    it('posts the alert as a soil.alert event', async function () {
+        webhook = await startWebhookServer();
+        const alert = lowMoistureAlert(webhook.url);
+
+        await monitoringService.deliverAlert(alert, webhook.url);
+
+        assert.strictEqual(webhook.requests.length, 1);
+        const [request] = webhook.requests;
+        assert.strictEqual(request.method, 'POST');
+        assert.strictEqual(request.url, '/hooks/soil');
+        assert.match(request.headers['content-type'], /application\/json/);
+        assert.strictEqual(request.body.event, 'soil.alert');
+
+        const payload = request.body.alert;
+        assert.strictEqual(payload.id, alert.id);
+        assert.strictEqual(payload.monitorId, 'monitor-1');
+        assert.strictEqual(payload.fieldId, 'field-1');
+        assert.strictEqual(payload.fieldName, 'North paddock');
+        assert.strictEqual(payload.type, 'low_moisture');
+        assert.strictEqual(payload.severity, 'high');
+        assert.strictEqual(payload.value, 8);
+        assert.strictEqual(payload.threshold, 20);
+        assert.strictEqual(payload.sceneId, 'S2A_MSIL2A_20240601');
+        assert.strictEqual(payload.observationDate, '2024-06-01T10:46:21Z');
+        assert.deepStrictEqual(payload.delivery, { status: 'pending', attempts: 1 });
+
+        assert.strictEqual(alert.delivery.status, 'delivered');
+        assert.strictEqual(alert.delivery.attempts, 1);
+        assert.ok(alert.delivery.deliveredAt);
+    });
+
+    it('retries after failed attempts until the webhook accepts the alert', async function () {
+        webhook = await startWebhookServer({ statuses: [500, 503, 204] });
+        const alert = lowMoistureAlert(webhook.url);
+
+        await monitoringService.deliverAlert(alert, webhook.url);
+
+        assert.strictEqual(webhook.requests.length, 3);
+        assert.deepStrictEqual(webhook.requests.map(request => request.body.alert.delivery.attempts), [1, 2, 3]);
+        webhook.requests.forEach(request => assert.strictEqual(request.body.alert.id, alert.id));
+        assert.strictEqual(alert.delivery.status, 'delivered');
+        assert.strictEqual(alert.delivery.attempts, 3);
+    });
+
+    it('gives up after the configured number of retries', async function () {
+        webhook = await startWebhookServer({ statuses: [500] });
+        const alert = lowMoistureAlert(webhook.url);
+
+        await monitoringService.deliverAlert(alert, webhook.url);
+
+        assert.strictEqual(webhook.requests.length, webhookRetries + 1);
+        assert.strictEqual(alert.delivery.status, 'failed');
+        assert.strictEqual(alert.delivery.attempts, webhookRetries + 1);
+        assert.match(alert.delivery.lastError, /status code 500/);
+    });
+
+    it('counts timed out requests as failed attempts', async function () {
+        webhook = await startWebhookServer({ hang: true });
+        monitoringService.webhookTimeout = 100;
+        monitoringService.webhookRetries = 1;
+        const alert = lowMoistureAlert(webhook.url);
+
+        await monitoringService.deliverAlert(alert, webhook.url);
+
+        assert.strictEqual(webhook.requests.length, 2);
+        assert.strictEqual(alert.delivery.status, 'failed');
+        assert.match(alert.delivery.lastError, /timeout/);
+    });
+});
@@ -0,0 +1,45 @@
+const assert = require('assert');
+
+const prescriptionService = require('../src/services/prescriptionService');
+
+const REQUEST = {
+    product: { name: 'Urea 46% N', unit: 'kg/ha' },
+    basis: 'fertility',
+    rateTable: [{ max: 40, rate: 180 }, { min: 40, rate: 120 }]
+};
+
+describe('prescriptionService.validatePrescription', function () {
+    it('accepts a prescription without a name', function () {
+        const validation = prescriptionService.validatePrescription(REQUEST);
+
+        assert.strictEqual(validation.valid, true);
+        assert.strictEqual(validation.values.name, null);
+    });
+
+    it('trims the name', function () {
+        assert.strictEqual(prescriptionService.validatePrescription({ ...REQUEST, name: '  North field ' }).values.name, 'North field');
+        assert.strictEqual(prescriptionService.validatePrescription({ ...REQUEST, name: '   ' }).values.name, null);
+    });
+
+    it('rejects names that are not strings', function () {
+        [42, { en: 'North field' }, ['North field'], true].forEach(name => {
+            assert.deepStrictEqual(
+                prescriptionService.validatePrescription({ ...REQUEST, name }),
+                { valid: false, error: 'Name must be a string of at most 100 characters' }
+            );
+        });
+    });
+
+    it('rejects overly long names', function () {
+        assert.strictEqual(prescriptionService.validatePrescription({ ...REQUEST, name: 'x'.repeat(101) }).valid, false);
+    });
+});
+
+describe('prescriptionService.getFileName', function () {
+    it('slugs the validated name and product with the scene date', function () {
+        const { values } = prescriptionService.validatePrescription({ ...REQUEST, name: 'North Field #2' });
+        const fileName = prescriptionService.getFileName({ ...values, scene: { date: '2024-06-01T10:56:21Z' } });
+
+        assert.strictEqual(fileName, 'north-field-2-urea-46-n-2024-06-01');
+    });
+});
@@ -0,0 +1,228 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const RuleEngine = require('../src/utils/ruleEngine');
+const ruleService = require('../src/services/ruleService');
+
+const FACTS = ['moisture', 'indices', 'crop', 'thresholds'];
+
+const facts = {
+    moisture: { percentage: 12, level: 'Low' },
+    indices: { ndvi: 0.4567 },
+    crop: { name: 'Maize', stage: { ndvi: [0.3, 0.6] } },
+    thresholds: { moisture: { low: 15 } }
+};
+
+function rule(overrides = {}) {
+    return {
+        id: 'dry-soil',
+        when: { fact: 'moisture.percentage', op: 'lt', value: 15 },
+        recommendation: { type: 'irrigation', category: 'Water', priority: 'high', message: 'Soil is dry', action: 'Irrigate' },
+        ...overrides
+    };
+}
+
+describe('RuleEngine', function () {
+    describe('validateRule', function () {
+        it('accepts a complete rule', function () {
+            assert.deepStrictEqual(RuleEngine.validateRule(rule(), FACTS), { valid: true });
+        });
+
+        it('rejects malformed rules with the first problem found', function () {
+            const error = definition => RuleEngine.validateRule(definition, FACTS).error;
+
+            assert.strictEqual(error([]), 'Rule must be an object');
+            assert.strictEqual(error(rule({ id: 'Dry Soil' })), 'Rule id must be 2-64 lowercase letters, digits, dashes or underscores');
+            assert.strictEqual(error(rule({ enabled: 'no' })), 'enabled must be true or false');
+            assert.strictEqual(error(rule({ when: [] })), 'when must be a condition object');
+            assert.strictEqual(error(rule({ when: { all: [] } })), 'when.all must be a non-empty list of conditions');
+            assert.strictEqual(
+                error(rule({ when: { fact: 'weather.rain', op: 'gt', value: 1 } })),
+                'when: unknown fact "weather" (expected one of: moisture, indices, crop, thresholds)'
+            );
+            assert.strictEqual(
+                error(rule({ when: { fact: 'moisture.percentage', op: 'like', value: 1 } })),
+                `when: op must be one of: ${RuleEngine.getOperators().join(', ')}`
+            );
+            assert.strictEqual(
+                error(rule({ when: { any: [{ fact: 'moisture.percentage', op: 'lt', value: '15' }] } })),
+                'when.any[0]: lt needs a numeric value or { fact }'
+            );
+            assert.strictEqual(
+                error(rule({ when: { fact: 'indices.ndvi', op: 'between', value: [0.6, 0.3] } })),
+                'when: between needs [min, max]'
+            );
+            assert.strictEqual(
+                error(rule({ when: { fact: 'moisture.level', op: 'in', value: 'Low' } })),
+                'when: in needs a list value'
+            );
+        });
+
+        it('rejects recommendations with missing, unknown or invalid fields', function () {
+            const error = recommendation => RuleEngine.validateRule(rule({ recommendation }), FACTS).error;
+            const { recommendation } = rule();
+
+            assert.strictEqual(error({ ...recommendation, action: undefined }), 'recommendation.action is required');
+            assert.strictEqual(
+                error({ ...recommendation, script: 'x' }),
+                'recommendation.script is not a recommendation field (expected: type, category, message, action, details, timeline, cost, impact, priority, severity, seasonality)'
+            );
+            assert.strictEqual(error({ ...recommendation, priority: 'urgent' }), 'recommendation.priority must be one of: critical, high, medium, low');
+            assert.strictEqual(error({ ...recommendation, message: 'NDVI {{indices.ndvi|fixed:2}}' }), `recommendation.message: filter must be one of: ${RuleEngine.getFilters().join(', ')}`);
+            assert.strictEqual(error({ ...recommendation, message: 'Rain {{weather.rain}}' }), 'recommendation.message: unknown fact "weather" (expected one of: moisture, indices, crop, thresholds)');
+        });
+
+        it('rejects conditions nested too deeply', function () {
+            let when = { fact: 'moisture.percentage', op: 'lt', value: 15 };
+            for (let i = 0; i < 12; i++) when = { not: when };
+
+            assert.match(RuleEngine.validateRule(rule({ when }), FACTS).error, /nested more than 10 levels deep/);
+        });
+
+        it('validates overrides like partial recommendations', function () {
+            const overrides = [{ when: { fact: 'moisture.percentage', op: 'lt', value: 5 }, recommendation: { priority: 'extreme' } }];
+
+            assert.strictEqual(
+                RuleEngine.validateRule(rule({ overrides }), FACTS).error,
+                'overrides[0]: recommendation.priority must be one of: critical, high, medium, low'
+            );
+        });
+    });
+
+    describe('evaluateCondition', function () {
+        const evaluate = condition => RuleEngine.evaluateCondition(condition, facts, []);
+
+        it('compares facts with values and other facts', function () {
+            assert.strictEqual(evaluate({ fact: 'moisture.percentage', op: 'lt', value: 15 }), true);
+            assert.strictEqual(evaluate({ fact: 'moisture.percentage', op: 'gte', value: { fact: 'thresholds.moisture.low' } }), false);
+            assert.strictEqual(evaluate({ fact: 'moisture.level', op: 'in', value: ['Low', 'Very Low'] }), true);
+            assert.strictEqual(evaluate({ fact: 'indices.ndvi', op: 'between', value: [0.3, 0.6] }), true);
+            assert.strictEqual(evaluate({ fact: 'crop.name', op: 'exists' }), true);
+        });
+
+        it('combines conditions with all, any and not', function () {
+            const dry = { fact: 'moisture.percentage', op: 'lt', value: 15 };
+            const green = { fact: 'indices.ndvi', op: 'gt', value: 0.6 };
+
+            assert.strictEqual(evaluate({ all: [dry, green] }), false);
+            assert.strictEqual(evaluate({ any: [dry, green] }), true);
+            assert.strictEqual(evaluate({ all: [dry, { not: green }] }), true);
+        });
+
+        it('never matches comparisons against missing facts', function () {
+            assert.strictEqual(evaluate({ fact: 'crop.sowingDate', op: 'ne', value: '2024-04-01' }), false);
+            assert.strictEqual(evaluate({ fact: 'moisture.percentage', op: 'lt', value: { fact: 'thresholds.moisture.high' } }), false);
+            assert.strictEqual(evaluate({ fact: 'crop.variety', op: 'exists', value: false }), true);
+        });
+
+        it('records every comparison it evaluates', function () {
+            const comparisons = [];
+            RuleEngine.evaluateCondition({ fact: 'moisture.percentage', op: 'lt', value: { fact: 'thresholds.moisture.low' } }, facts, comparisons);
+
+            assert.deepStrictEqual(comparisons, [{ fact: 'moisture.percentage', op: 'lt', value: 15, actual: 12, result: true }]);
+        });
+    });
+
+    describe('evaluate', function () {
+        it('renders the recommendations of matching rules with their templates', function () {
+            const { recommendations } = RuleEngine.evaluate([
+                rule({ recommendation: { ...rule().recommendation, message: '{{crop.name|lower}} NDVI {{indices.ndvi|round:2}}, target {{crop.stage.ndvi|join:-}}' } }),
+                rule({ id: 'wet-soil', when: { fact: 'moisture.percentage', op: 'gt', value: 40 } })
+            ], facts);
+
+            assert.deepStrictEqual(recommendations.map(recommendation => recommendation.rule), ['dry-soil']);
+            assert.strictEqual(recommendations[0].message, 'maize NDVI 0.46, target 0.3-0.6');
+        });
+
+        it('fires only the first matching rule of a group and skips disabled rules', function () {
+            const { recommendations, trace } = RuleEngine.evaluate([
+                rule({ id: 'disabled', enabled: false }),
+                rule({ id: 'critical-dry', group: 'water', when: { fact: 'moisture.percentage', op: 'lt', value: 10 } }),
+                rule({ id: 'dry', group: 'water' }),
+                rule({ id: 'fallback-dry', group: 'water' })
+            ], facts, { trace: true });
+
+            assert.deepStrictEqual(recommendations.map(recommendation => recommendation.rule), ['dry']);
+            assert.deepStrictEqual(trace.map(entry => [entry.id, entry.matched, entry.skipped]), [
+                ['disabled', false, 'disabled'],
+                ['critical-dry', false, undefined],
+                ['dry', true, undefined],
+                ['fallback-dry', false, 'an earlier rule in group "water" matched']
+            ]);
+        });
+
+        it('applies the overrides whose condition also matches', function () {
+            const { recommendations } = RuleEngine.evaluate([rule({
+                overrides: [
+                    { when: { fact: 'moisture.percentage', op: 'lt', value: 13 }, recommendation: { priority: 'critical' } },
+                    { when: { fact: 'moisture.percentage', op: 'lt', value: 5 }, recommendation: { message: 'Soil is parched' } }
+                ]
+            })], facts);
+
+            assert.strictEqual(recommendations[0].priority, 'critical');
+            assert.strictEqual(recommendations[0].message, 'Soil is dry');
+        });
+    });
+});
+
+describe('ruleService', function () {
+    const original = { rulesPaths: ruleService.rulesPaths, rules: ruleService.rules, sources: ruleService.sources, errors: ruleService.errors, loadedAt: ruleService.loadedAt };
+    let tempDir;
+
+    beforeEach(function () {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-'));
+        ruleService.rulesPaths = [tempDir];
+    });
+
+    afterEach(function () {
+        Object.assign(ruleService, original);
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('skips invalid and duplicate rules and reports them', function () {
+        const { rules, errors } = ruleService.validateRules([rule(), rule(), { id: 'broken', when: {} }, null], 'request');
+
+        assert.deepStrictEqual(rules.map(entry => [entry.id, entry.source]), [['dry-soil', 'request']]);
+        assert.deepStrictEqual(errors, [
+            { source: 'request', rule: 'dry-soil', error: 'Duplicate rule id' },
+            { source: 'request', rule: 'broken', error: 'when: fact must be a dotted path such as "moisture.percentage"' },
+            { source: 'request', rule: '#4', error: 'Rule must be an object' }
+        ]);
+    });
+
+    it('reads rule files in name order, later rules replacing earlier ones with the same id', function () {
+        fs.writeFileSync(path.join(tempDir, '10-defaults.json'), JSON.stringify([rule(), rule({ id: 'wet-soil', when: { fact: 'moisture.percentage', op: 'gt', value: 40 } })]));
+        fs.writeFileSync(path.join(tempDir, '20-local.yaml'), 'rules:\n  - id: dry-soil\n    enabled: false\n    when: { fact: moisture.percentage, op: lt, value: 15 }\n    recommendation: { type: irrigation, category: Water, priority: low, message: Dry, action: Wait }\n');
+
+        const result = ruleService.load();
+
+        assert.deepStrictEqual(result, { loaded: true, errors: [], rules: 2 });
+        assert.deepStrictEqual(ruleService.listRules().map(entry => [entry.id, entry.enabled]), [['dry-soil', false], ['wet-soil', undefined]]);
+        assert.deepStrictEqual(ruleService.evaluate(facts).recommendations, []);
+    });
+
+    it('keeps the current rules when a file cannot be parsed', function () {
+        fs.writeFileSync(path.join(tempDir, 'rules.json'), JSON.stringify([rule()]));
+        ruleService.load();
+        fs.writeFileSync(path.join(tempDir, 'rules.json'), '[{ "id": "dry-soil",');
+
+        const result = ruleService.load();
+
+        assert.strictEqual(result.loaded, false);
+        assert.match(result.errors[0].error, /^Could not read rules: /);
+        assert.deepStrictEqual(ruleService.listRules().map(entry => entry.id), ['dry-soil']);
+    });
+
+    it('evaluates request rules over the loaded ones', function () {
+        fs.writeFileSync(path.join(tempDir, 'rules.json'), JSON.stringify([rule()]));
+        ruleService.load();
+
+        const { recommendations } = ruleService.evaluate(facts, {
+            rules: [rule({ recommendation: { ...rule().recommendation, message: 'Custom {{moisture.percentage}}%' } })]
+        });
+
+        assert.deepStrictEqual(recommendations.map(recommendation => recommendation.message), ['Custom 12%']);
+    });
+});
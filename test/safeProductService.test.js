@@ -0,0 +1,219 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const proj4 = require('proj4');
+
+const safeProductService = require('../src/services/safeProductService');
+const sceneMaskService = require('../src/services/sceneMaskService');
+const sceneCacheService = require('../src/services/sceneCacheService');
+const sentinelService = require('../src/services/sentinelService');
+const { PRODUCT, ULX, ULY, SCL, digitalNumber } = require('./fixtures/createSafeFixture');
+
+const FIXTURE = path.join(__dirname, 'fixtures', PRODUCT);
+const UTM_31N = '+proj=utm +zone=31 +datum=WGS84 +units=m +no_defs';
+
+const BANDS_20M = ['B05', 'B06', 'B07', 'B8A', 'B11', 'B12'];
+
+/**
+ * Geographic centre of a 10 m pixel of the fixture tile
+ */
+function pixelCentre(row, col) {
+    const [lon, lat] = proj4(UTM_31N, 'EPSG:4326', [ULX + col * 10 + 5, ULY - row * 10 - 5]);
+    return { lat, lon, row, col };
+}
+
+// Reflectance the fixture metadata gives a digital number (BOA_ADD_OFFSET -1000, quantification 10000)
+function reflectance(dn) {
+    return (dn - 1000) / 10000;
+}
+
+describe('safeProductService', function () {
+    // Vegetation, cloud (high probability), cloud shadow, vegetation and unclassified pixels
+    const points = [pixelCentre(0, 0), pixelCentre(0, 5), pixelCentre(2, 0), pixelCentre(5, 5), pixelCentre(4, 2)];
+
+    describe('sampleProduct', function () {
+        let result;
+
+        before(async function () {
+            result = await safeProductService.sampleProduct(FIXTURE, points);
+        });
+
+        it('reads the processing level from the product metadata', function () {
+            assert.strictEqual(result.processingLevel, 'Level-2A');
+            assert.strictEqual(result.safeDirectory, FIXTURE);
+            assert.strictEqual(result.samples.length, points.length);
+        });
+
+        it('extracts 10 m reflectances from the band rasters at full precision', function () {
+            result.samples.forEach((sample, i) => {
+                const { row, col } = points[i];
+                ['B02', 'B03', 'B08'].forEach(band => {
+                    assert.strictEqual(sample.bands[band], reflectance(digitalNumber(band, 10, row, col)), `${band} at ${row},${col}`);
+                });
+            });
+
+            // Neighbouring pixels differ by 3 digital numbers, lost if the raster were decoded at 8 bits
+            assert.strictEqual(
+                Math.round((result.samples[1].bands.B02 - result.samples[0].bands.B02) * 10000),
+                15
+            );
+        });
+
+        it('prefers the finest resolution raster of a band', function () {
+            const { row, col } = points[0];
+            assert.strictEqual(result.samples[0].bands.B04, reflectance(digitalNumber('B04', 10, row, col)));
+        });
+
+        it('extracts 20 m and 60 m reflectances from the covering pixel', function () {
+            result.samples.forEach((sample, i) => {
+                const row = Math.floor(points[i].row / 2);
+                const col = Math.floor(points[i].col / 2);
+                BANDS_20M.forEach(band => {
+                    assert.strictEqual(sample.bands[band], reflectance(digitalNumber(band, 20, row, col)), `${band} at ${row},${col}`);
+                });
+                assert.strictEqual(sample.bands.B09, reflectance(digitalNumber('B09', 60, 0, 0)));
+            });
+        });
+
+        it('reads the Scene Classification Layer class of each point', function () {
+            const classes = result.samples.map(sample => sample.scl);
+            const expected = points.map(({ row, col }) => SCL[Math.floor(row / 2)][Math.floor(col / 2)]);
+
+            assert.deepStrictEqual(classes, expected);
+            assert.deepStrictEqual(classes, [4, 9, 3, 4, 7]);
+        });
+
+        it('masks cloud and cloud shadow pixels using the SCL from the file', function () {
+            const scene = sceneMaskService.applyMask({ samples: result.samples, bands: result.samples[0].bands });
+
+            assert.strictEqual(scene.mask.applied, true);
+            assert.deepStrictEqual(scene.samples.map(sample => sample.valid), [true, false, false, true, true]);
+            assert.strictEqual(scene.mask.validPixels, 3);
+            assert.strictEqual(scene.mask.totalPixels, 5);
+            assert.deepStrictEqual(scene.mask.excludedPixels, { cloud_high_probability: 1, cloud_shadow: 1 });
+        });
+    });
+
+    it('drops points outside the tile', async function () {
+        const outside = pixelCentre(-3, 0);
+        const result = await safeProductService.sampleProduct(FIXTURE, [points[0], outside]);
+
+        assert.strictEqual(result.samples.length, 1);
+        assert.strictEqual(result.samples[0].lat, points[0].lat);
+    });
+
+    it('lists the band rasters of the product', function () {
+        assert.deepStrictEqual(
+            safeProductService.listProductBands(FIXTURE),
+            ['B02', 'B03', 'B04', 'B05', 'B06', 'B07', 'B08', 'B09', 'B11', 'B12', 'B8A', 'SCL']
+        );
+    });
+
+    describe('zipped products', function () {
+        let tempDir;
+        let archive;
+
+        before(function () {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'safe-product-'));
+            archive = path.join(tempDir, PRODUCT.replace(/\.SAFE$/, '.zip'));
+
+            const zip = new AdmZip();
+            zip.addLocalFolder(FIXTURE, PRODUCT);
+            zip.writeZip(archive);
+        });
+
+        after(function () {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+
+        it('lists bands from the archive entries', function () {
+            assert.ok(safeProductService.listProductBands(archive).includes('SCL'));
+        });
+
+        it('unpacks the archive and samples the same values', async function () {
+            const result = await safeProductService.sampleProduct(archive, points.slice(0, 2));
+
+            assert.strictEqual(result.samples[1].bands.B02, reflectance(digitalNumber('B02', 10, 0, 5)));
+            assert.strictEqual(result.samples[1].scl, 9);
+        });
+    });
+
+    it('rejects products missing analysis bands', async function () {
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'safe-product-'));
+        try {
+            const copy = path.join(tempDir, PRODUCT);
+            fs.cpSync(FIXTURE, copy, { recursive: true });
+            const imageDir = path.join(copy, 'GRANULE', fs.readdirSync(path.join(copy, 'GRANULE'))[0], 'IMG_DATA');
+            fs.rmSync(path.join(imageDir, 'R60m'), { recursive: true });
+
+            await assert.rejects(
+                safeProductService.sampleProduct(copy, points),
+                /missing band rasters: B09/
+            );
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('sentinelService SAFE extraction', function () {
+    const original = {
+        productsDir: sentinelService.productsDir,
+        extractBands: sentinelService.extractBands,
+        cacheEnabled: sceneCacheService.enabled
+    };
+    const item = {
+        id: PRODUCT.replace(/\.SAFE$/, ''),
+        datetime: '2024-06-01T10:56:21Z',
+        properties: {},
+        assets: { product: { href: 'https://download.example.com/Products(1)/$value' } }
+    };
+    const points = [pixelCentre(0, 0)];
+    let tempDir;
+
+    beforeEach(function () {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'safe-products-'));
+        sentinelService.productsDir = tempDir;
+        sentinelService.extractBands = true;
+        sceneCacheService.enabled = false;
+    });
+
+    afterEach(function () {
+        delete sentinelService.downloadScene;
+        sentinelService.productsDir = original.productsDir;
+        sentinelService.extractBands = original.extractBands;
+        sceneCacheService.enabled = original.cacheEnabled;
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('queues products that are not local and falls back without waiting for the download', async function () {
+        // A download that never finishes
+        const job = { id: 'job-1', status: 'downloading', promise: new Promise(() => {}) };
+        const queued = [];
+        sentinelService.downloadScene = (queuedItem, outputPath) => {
+            queued.push({ id: queuedItem.id, outputPath });
+            return job;
+        };
+
+        const result = await sentinelService.extractSceneBands(item, points);
+
+        assert.strictEqual(result.source, 'synthetic');
+        assert.strictEqual(result.download, job);
+        assert.strictEqual(result.samples.length, 1);
+        assert.deepStrictEqual(queued, [{ id: item.id, outputPath: path.join(tempDir, `${item.id}.zip`) }]);
+    });
+
+    it('samples products already on disk', async function () {
+        // Unpacked archives hold the .SAFE directory
+        fs.cpSync(FIXTURE, path.join(tempDir, item.id, PRODUCT), { recursive: true });
+        sentinelService.downloadScene = () => assert.fail('the product is local');
+
+        const result = await sentinelService.extractSceneBands(item, points);
+
+        assert.strictEqual(result.source, 'SAFE');
+        assert.strictEqual(result.download, undefined);
+        assert.strictEqual(result.samples[0].bands.B02, reflectance(digitalNumber('B02', 10, 0, 0)));
+    });
+});
@@ -0,0 +1,170 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const sarMoistureService = require('../src/services/sarMoistureService');
+const soilAnalysisService = require('../src/services/soilAnalysisService');
+const sentinelService = require('../src/services/sentinelService');
+const { createProvider } = require('../src/services/providers');
+const { writeGeoTiff } = require('./fixtures/writeGeoTiff');
+
+const GRD_CATALOG = path.join(__dirname, 'fixtures', 'stac', 'catalog.json');
+
+const FIELD = { lat: 43.51, lon: 1.41 };
+const JUNE = { start: '2024-06-01', end: '2024-06-30' };
+
+/**
+ * Sentinel-1 stack of descending scenes getting wetter towards the analysis date
+ */
+function sarStack(bandSource) {
+    return {
+        scenes: [-18, -16, -14, -9].map((vv, i) => ({
+            id: `S1A_IW_GRDH_${i}`,
+            date: `2024-06-0${i + 1}T06:00:00Z`,
+            orbitDirection: 'DESCENDING',
+            incidenceAngle: 38,
+            backscatter: { vv, vh: vv - 7 },
+            bandSource
+        }))
+    };
+}
+
+/**
+ * RTC item collection with uniform gamma0 rasters (linear power) around the field
+ */
+function createRtcCatalog(directory, { vv, vh }) {
+    const raster = value => ({
+        values: Array.from({ length: 10 }, () => Array(10).fill(value)),
+        west: FIELD.lon - 0.0025,
+        north: FIELD.lat + 0.0025,
+        resolution: 0.0005
+    });
+    writeGeoTiff(path.join(directory, 'vv.tif'), raster(vv));
+    writeGeoTiff(path.join(directory, 'vh.tif'), raster(vh));
+
+    const catalogPath = path.join(directory, 'items.json');
+    fs.writeFileSync(catalogPath, JSON.stringify({
+        type: 'FeatureCollection',
+        features: [{
+            type: 'Feature',
+            id: 'S1A_IW_GRDH_1SDV_20240603T060512_rtc',
+            collection: 'sentinel-1-rtc',
+            geometry: {
+                type: 'Polygon',
+                coordinates: [[[1, 43], [2, 43], [2, 44], [1, 44], [1, 43]]]
+            },
+            properties: {
+                datetime: '2024-06-03T06:05:12Z',
+                'sar:instrument_mode': 'IW',
+                'sar:polarizations': ['VV', 'VH'],
+                'sar:product_type': 'RTC',
+                'sat:orbit_state': 'descending',
+                'sat:relative_orbit': 8
+            },
+            assets: {
+                vv: { href: './vv.tif', type: 'image/tiff; application=geotiff; profile=cloud-optimized' },
+                vh: { href: './vh.tif', type: 'image/tiff; application=geotiff; profile=cloud-optimized' }
+            }
+        }]
+    }));
+
+    return catalogPath;
+}
+
+const optical = { percentage: 30, level: 'Moderate', description: 'Moderate moisture', ndmiValue: 0.1 };
+
+describe('SAR moisture fusion', function () {
+    it('carries the band source of the backscatter into the estimate', function () {
+        const estimate = sarMoistureService.estimateMoisture(sarStack('COG'), { date: '2024-06-04', ndvi: 0.3 });
+
+        assert.strictEqual(estimate.bandSource, 'COG');
+        assert.strictEqual(estimate.scene.id, 'S1A_IW_GRDH_3');
+    });
+
+    it('blends measured backscatter by reliability', function () {
+        const sar = sarMoistureService.estimateMoisture(sarStack('COG'), { date: '2024-06-04', ndvi: 0.3 });
+        const moisture = soilAnalysisService.fuseMoisture(optical, sar, 0.5);
+
+        assert.ok(moisture.sources.sar.weight > 0);
+        assert.notStrictEqual(moisture.percentage, optical.percentage);
+        assert.strictEqual(moisture.sources.sar.bandSource, 'COG');
+    });
+
+    it('reports why SAR did not contribute to the analysis', function () {
+        const scene = {
+            id: 'S2A_31TCJ_20240604_0_L2A',
+            date: '2024-06-04T10:56:21Z',
+            cloudCover: 5,
+            bands: { B02: 0.05, B03: 0.08, B04: 0.07, B05: 0.12, B06: 0.2, B07: 0.24, B08: 0.3, B8A: 0.31, B11: 0.22, B12: 0.15 }
+        };
+        const unavailable = { scenes: [], unavailable: 'Catalogue items have no calibrated (RTC) backscatter assets' };
+
+        const analysis = soilAnalysisService.analyzeScene(scene, [scene], FIELD, { sarData: unavailable });
+        const stale = soilAnalysisService.analyzeScene({ ...scene, date: '2024-07-30T10:56:21Z' }, [scene], FIELD, { sarData: sarStack('COG') });
+
+        assert.strictEqual(analysis.moisture.source, 'optical');
+        assert.strictEqual(analysis.moisture.sources.sarUnavailable, unavailable.unavailable);
+        assert.strictEqual(stale.moisture.sources.sarUnavailable, 'No Sentinel-1 scene within 12 days of the optical scene');
+    });
+});
+
+describe('Sentinel-1 backscatter', function () {
+    const original = {
+        provider: sentinelService.provider,
+        useMockData: sentinelService.useMockData,
+        extractBands: sentinelService.extractBands
+    };
+    let directory;
+
+    before(function () {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rtc-'));
+        sentinelService.useMockData = false;
+    });
+
+    after(function () {
+        sentinelService.setProvider(original.provider);
+        sentinelService.useMockData = original.useMockData;
+        sentinelService.extractBands = original.extractBands;
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('reads gamma0 from the RTC COG assets in dB', async function () {
+        const catalogPath = createRtcCatalog(directory, { vv: 0.1, vh: 0.02 });
+        sentinelService.setProvider(createProvider('static', { catalogPath, collections: { 'sentinel-1': 'sentinel-1-rtc' } }));
+        sentinelService.extractBands = true;
+
+        const data = await sentinelService.getSentinel1Data(FIELD, JUNE);
+
+        assert.strictEqual(data.unavailable, null);
+        assert.strictEqual(data.scenes.length, 1);
+        assert.deepStrictEqual(data.scenes[0].backscatter, { vv: -10, vh: -16.99 });
+        assert.strictEqual(data.scenes[0].bandSource, 'COG');
+        assert.strictEqual(data.scenes[0].orbitDirection, 'DESCENDING');
+    });
+
+    it('reports SAR unavailable outside the rasters', async function () {
+        const data = await sentinelService.getSentinel1Data({ lat: 43.6, lon: 1.6 }, JUNE);
+
+        assert.deepStrictEqual(data.scenes, []);
+        assert.strictEqual(data.catalogueScenes, 1);
+        assert.strictEqual(data.unavailable, 'No valid backscatter at the location');
+    });
+
+    it('reports SAR unavailable for uncalibrated GRD products instead of inventing backscatter', async function () {
+        sentinelService.setProvider(createProvider('static', { catalogPath: GRD_CATALOG }));
+
+        const data = await sentinelService.getSentinel1Data(FIELD, JUNE);
+
+        assert.deepStrictEqual(data.scenes, []);
+        assert.strictEqual(data.unavailable, 'Catalogue items have no calibrated (RTC) backscatter assets');
+    });
+
+    it('reports SAR unavailable when band extraction is disabled', async function () {
+        sentinelService.extractBands = false;
+
+        const data = await sentinelService.getSentinel1Data(FIELD, JUNE);
+
+        assert.strictEqual(data.unavailable, 'Backscatter extraction is disabled (SENTINEL_EXTRACT_BANDS=false)');
+    });
+});
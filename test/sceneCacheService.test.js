@@ -0,0 +1,139 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const sceneCacheService = require('../src/services/sceneCacheService');
+const JsonFileStore = require('../src/utils/jsonFileStore');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('sceneCacheService', function () {
+    const original = {
+        enabled: sceneCacheService.enabled,
+        store: sceneCacheService.store,
+        maxSizeBytes: sceneCacheService.maxSizeBytes,
+        checked: sceneCacheService.checked
+    };
+    let tempDir;
+
+    // Product archive of `size` bytes in the temporary products directory
+    const createProduct = (id, size) => {
+        const productPath = path.join(tempDir, `${id}.zip`);
+        fs.writeFileSync(productPath, Buffer.alloc(size));
+        return productPath;
+    };
+    const item = id => ({
+        id,
+        collection: 'sentinel-2-l2a',
+        datetime: '2024-06-01T10:56:21Z',
+        cloudCover: 5,
+        geometry: { type: 'Polygon', coordinates: [[[1, 43], [2, 43], [2, 44], [1, 44], [1, 43]]] },
+        properties: {}
+    });
+    const add = (id, size) => sceneCacheService.add(item(id), createProduct(id, size));
+
+    beforeEach(function () {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scene-cache-'));
+        sceneCacheService.enabled = true;
+        sceneCacheService.store = new JsonFileStore(path.join(tempDir, 'index.json'), 'scenes');
+        sceneCacheService.checked = false;
+        sceneCacheService.maxSizeBytes = 2500;
+    });
+
+    afterEach(async function () {
+        await sceneCacheService.store.writeQueue.catch(() => {});
+        Object.assign(sceneCacheService, original);
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    describe('size accounting', function () {
+        it('measures the archive and the directory it was unpacked to', async function () {
+            const entry = await add('A', 1000);
+            assert.strictEqual(entry.size, 1000);
+
+            // Products are unpacked on first use
+            fs.mkdirSync(path.join(tempDir, 'A', 'GRANULE'), { recursive: true });
+            fs.writeFileSync(path.join(tempDir, 'A', 'GRANULE', 'B04.jp2'), Buffer.alloc(300));
+            fs.writeFileSync(path.join(tempDir, 'A', 'MTD_MSIL2A.xml'), Buffer.alloc(200));
+
+            assert.strictEqual((await sceneCacheService.get('A')).size, 1500);
+            assert.strictEqual(sceneCacheService.getStats().totalSizeBytes, 1500);
+        });
+
+        it('stores the index with the measured sizes', async function () {
+            await add('A', 1000);
+            await add('B', 700);
+
+            const stored = JSON.parse(fs.readFileSync(sceneCacheService.store.filePath, 'utf8'));
+            assert.deepStrictEqual(stored.scenes.map(entry => [entry.id, entry.size]), [['A', 1000], ['B', 700]]);
+        });
+    });
+
+    describe('LRU eviction', function () {
+        it('removes the least recently used products beyond the size limit', async function () {
+            await add('A', 1000);
+            await wait(5);
+            await add('B', 1000);
+            await wait(5);
+            // Using A makes B the least recently used product
+            await sceneCacheService.get('A');
+            await wait(5);
+
+            await add('C', 1000);
+
+            const stats = sceneCacheService.getStats();
+            assert.deepStrictEqual(stats.scenes.map(entry => entry.id), ['C', 'A']);
+            assert.strictEqual(stats.totalSizeBytes, 2000);
+            assert.strictEqual(fs.existsSync(path.join(tempDir, 'B.zip')), false);
+            assert.strictEqual(sceneCacheService.has('B'), false);
+        });
+
+        it('keeps the product just added even when it alone exceeds the limit', async function () {
+            await add('A', 1000);
+            await wait(5);
+
+            await add('Large', 3000);
+
+            assert.deepStrictEqual(sceneCacheService.getStats().scenes.map(entry => entry.id), ['Large']);
+            assert.ok(fs.existsSync(path.join(tempDir, 'Large.zip')));
+        });
+
+        it('evicts products that grew when they were unpacked', async function () {
+            await add('A', 1000);
+            await wait(5);
+            await add('B', 1000);
+
+            fs.mkdirSync(path.join(tempDir, 'B'));
+            fs.writeFileSync(path.join(tempDir, 'B', 'band.jp2'), Buffer.alloc(1000));
+            await sceneCacheService.get('B');
+
+            assert.deepStrictEqual(sceneCacheService.getStats().scenes.map(entry => entry.id), ['B']);
+            assert.strictEqual(sceneCacheService.getStats().totalSizeBytes, 2000);
+        });
+    });
+
+    it('drops products removed from disk and logs index write failures', async function () {
+        await add('A', 1000);
+        await add('B', 1000);
+        await sceneCacheService.store.writeQueue;
+        fs.rmSync(path.join(tempDir, 'A.zip'));
+
+        // An index path below a regular file cannot be written
+        sceneCacheService.store.filePath = path.join(tempDir, 'B.zip', 'index.json');
+        sceneCacheService.checked = false;
+
+        const warnings = [];
+        const warn = console.warn;
+        console.warn = (...args) => warnings.push(args.join(' '));
+        try {
+            assert.deepStrictEqual(sceneCacheService.getEntries().map(entry => entry.id), ['B']);
+            await sceneCacheService.store.writeQueue.catch(() => {});
+            await wait(0);
+        } finally {
+            console.warn = warn;
+        }
+
+        assert.ok(warnings.some(message => message.startsWith('⚠️ Could not update the scene cache index:')));
+    });
+});
@@ -0,0 +1,292 @@
+const assert = require('assert');
+const http = require('http');
+const path = require('path');
+
+const { createProvider, ODataProvider, StacProvider, StaticStacProvider } = require('../src/services/providers');
+const StacClient = require('../src/utils/stacClient');
+
+const CATALOG = path.join(__dirname, 'fixtures', 'stac', 'catalog.json');
+const S2_DIR = path.join(__dirname, 'fixtures', 'stac', 'sentinel-2-l2a');
+
+// Field inside the 31TCJ items and away from the 32TLP one
+const FIELD = {
+    type: 'Polygon',
+    coordinates: [[[1.40, 43.50], [1.42, 43.50], [1.42, 43.52], [1.40, 43.52], [1.40, 43.50]]]
+};
+
+const JUNE = { start: '2024-06-01', end: '2024-06-30' };
+
+/**
+ * Local STAC API: each route answers with a JSON body from `routes` ('POST /search', 'GET /collections/x/items/y');
+ * unknown routes get a 404
+ */
+function startStacServer(routes) {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            requests.push({ method: req.method, path: url.pathname, query: url.search, body: body ? JSON.parse(body) : null });
+
+            const route = routes[`${req.method} ${url.pathname}${url.search}`] || routes[`${req.method} ${url.pathname}`];
+            const response = typeof route === 'function' ? route(baseUrl) : route;
+            res.statusCode = response ? response.status || 200 : 404;
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(response ? response.body : { code: 'NotFound' }));
+        });
+    });
+
+    let baseUrl;
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            resolve({
+                url: baseUrl,
+                requests,
+                close: () => new Promise(done => {
+                    server.closeAllConnections();
+                    server.close(done);
+                })
+            });
+        });
+    });
+}
+
+function feature(id, properties = {}) {
+    return { type: 'Feature', id, collection: 'sentinel-2-l2a', geometry: FIELD, properties: { datetime: '2024-06-01T10:56:21Z', ...properties }, assets: {} };
+}
+
+describe('StaticStacProvider', function () {
+    const provider = new StaticStacProvider({ catalogPath: CATALOG });
+
+    it('is configured only when the catalogue file exists', function () {
+        assert.strictEqual(provider.isConfigured(), true);
+        assert.strictEqual(new StaticStacProvider({ catalogPath: path.join(__dirname, 'missing.json') }).isConfigured(), false);
+    });
+
+    it('is created by the provider factory', function () {
+        const created = createProvider('static', { catalogPath: CATALOG });
+        assert.ok(created instanceof StaticStacProvider);
+        assert.strictEqual(created.dataSource, `STAC catalogue ${CATALOG}`);
+    });
+
+    it('reads items through child collections, item links and item collections', function () {
+        const items = provider.loadItems();
+
+        assert.deepStrictEqual(items.map(item => item.id).sort(), [
+            'S1A_EW_GRDM_1SDH_20240607T060530',
+            'S1A_IW_GRDH_1SDV_20240603T060512',
+            'S2A_31TCJ_20240601_0_L2A',
+            'S2A_32TLP_20240605_0_L2A',
+            'S2B_31TCJ_20240611_0_L2A'
+        ]);
+        // Items without a collection property belong to the collection that links them
+        items.forEach(item => assert.strictEqual(item.collection, item.id.startsWith('S1') ? 'sentinel-1-grd' : 'sentinel-2-l2a'));
+    });
+
+    describe('search', function () {
+        it('finds scenes intersecting the geometry, newest first', async function () {
+            const items = await provider.search({ collection: 'sentinel-2', geometry: FIELD, dateRange: JUNE });
+
+            assert.deepStrictEqual(items.map(item => item.id), ['S2B_31TCJ_20240611_0_L2A', 'S2A_31TCJ_20240601_0_L2A']);
+            assert.deepStrictEqual(items[1], {
+                id: 'S2A_31TCJ_20240601_0_L2A',
+                collection: 'sentinel-2-l2a',
+                datetime: '2024-06-01T10:56:21Z',
+                cloudCover: 12.4,
+                geometry: items[1].geometry,
+                properties: items[1].properties,
+                assets: items[1].assets,
+                provider: 'static'
+            });
+        });
+
+        it('filters by date range, cloud cover, platform and limit', async function () {
+            const search = query => provider.search({ collection: 'sentinel-2', geometry: FIELD, dateRange: JUNE, ...query })
+                .then(items => items.map(item => item.id));
+
+            assert.deepStrictEqual(await search({ dateRange: { start: '2024-06-01', end: '2024-06-10' } }), ['S2A_31TCJ_20240601_0_L2A']);
+            assert.deepStrictEqual(await search({ dateRange: { start: '2024-06-11', end: '2024-06-11' } }), ['S2B_31TCJ_20240611_0_L2A']);
+            assert.deepStrictEqual(await search({ maxCloudCover: 20 }), ['S2A_31TCJ_20240601_0_L2A']);
+            assert.deepStrictEqual(await search({ platforms: ['sentinel-2b'] }), ['S2B_31TCJ_20240611_0_L2A']);
+            assert.deepStrictEqual(await search({ limit: 1 }), ['S2B_31TCJ_20240611_0_L2A']);
+            assert.deepStrictEqual(await search({ dateRange: { start: '2024-07-01', end: '2024-07-31' } }), []);
+        });
+
+        it('filters Sentinel-1 scenes by instrument mode and polarisations', async function () {
+            const query = { collection: 'sentinel-1', geometry: FIELD, dateRange: JUNE };
+
+            assert.deepStrictEqual((await provider.search(query)).map(item => item.id), [
+                'S1A_EW_GRDM_1SDH_20240607T060530',
+                'S1A_IW_GRDH_1SDV_20240603T060512'
+            ]);
+            assert.deepStrictEqual((await provider.search({ ...query, instrumentMode: 'IW' })).map(item => item.id), ['S1A_IW_GRDH_1SDV_20240603T060512']);
+            assert.deepStrictEqual((await provider.search({ ...query, polarizations: ['VV', 'VH'] })).map(item => item.id), ['S1A_IW_GRDH_1SDV_20240603T060512']);
+        });
+    });
+
+    it('gets a single item of a collection', async function () {
+        const item = await provider.getItem('sentinel-2', 'S2A_32TLP_20240605_0_L2A');
+
+        assert.strictEqual(item.id, 'S2A_32TLP_20240605_0_L2A');
+        assert.strictEqual(await provider.getItem('sentinel-1', 'S2A_32TLP_20240605_0_L2A'), null);
+        assert.strictEqual(await provider.getItem('sentinel-2', 'unknown'), null);
+    });
+
+    describe('getAsset', function () {
+        let item;
+
+        before(async function () {
+            item = await provider.getItem('sentinel-2', 'S2A_31TCJ_20240601_0_L2A');
+        });
+
+        it('resolves relative hrefs against the item file', async function () {
+            assert.deepStrictEqual(await provider.getAsset(item, 'red'), {
+                href: path.join(S2_DIR, 'S2A_31TCJ_20240601_0_L2A', 'B04.tif'),
+                headers: {}
+            });
+        });
+
+        it('keeps absolute URLs and the other asset fields', async function () {
+            const asset = await provider.getAsset(item, 'thumbnail');
+
+            assert.strictEqual(asset.href, 'https://example.com/thumbnails/S2A_31TCJ_20240601_0_L2A.jpg');
+            assert.deepStrictEqual(item.assets.red['raster:bands'], [{ scale: 0.0001, offset: -0.1 }]);
+        });
+
+        it('resolves assets of items in an item collection against that file', async function () {
+            const [s1] = await provider.search({ collection: 'sentinel-1', geometry: FIELD, dateRange: JUNE, instrumentMode: 'IW' });
+            const asset = await provider.getAsset(s1, 'vv');
+
+            assert.strictEqual(asset.href, path.join(__dirname, 'fixtures', 'stac', 'sentinel-1-grd', 'S1A_IW_GRDH_1SDV_20240603T060512', 'measurement', 'vv.tiff'));
+        });
+
+        it('returns null for assets the item does not have', async function () {
+            assert.strictEqual(await provider.getAsset(item, 'B8A'), null);
+        });
+    });
+});
+
+describe('StacClient', function () {
+    let server;
+
+    afterEach(async function () {
+        if (server) await server.close();
+        server = null;
+    });
+
+    it('posts the search and follows next links until enough items are collected', async function () {
+        server = await startStacServer({
+            'POST /search': url => ({
+                body: {
+                    features: [feature('a'), feature('b')],
+                    links: [{ rel: 'next', href: `${url}/search?token=page2` }]
+                }
+            }),
+            'GET /search?token=page2': url => ({
+                body: {
+                    features: [feature('c'), feature('d')],
+                    links: [{ rel: 'next', method: 'POST', href: `${url}/search`, body: { token: 'page3' } }]
+                }
+            })
+        });
+        const client = new StacClient(`${server.url}/`);
+
+        const items = await client.search({ collections: ['sentinel-2-l2a'] }, 3);
+
+        assert.deepStrictEqual(items.map(item => item.id), ['a', 'b', 'c']);
+        assert.strictEqual(server.requests.length, 2);
+        assert.deepStrictEqual(server.requests[0].body, { limit: 3, collections: ['sentinel-2-l2a'] });
+        assert.strictEqual(server.requests[1].query, '?token=page2');
+    });
+
+    it('gets an item, or null when the API does not know it', async function () {
+        server = await startStacServer({
+            'GET /collections/sentinel-2-l2a/items/a': { body: feature('a') }
+        });
+        const client = new StacClient(server.url);
+
+        assert.strictEqual((await client.getItem('sentinel-2-l2a', 'a')).id, 'a');
+        assert.strictEqual(await client.getItem('sentinel-2-l2a', 'missing'), null);
+    });
+
+    it('throws on server errors', async function () {
+        server = await startStacServer({
+            'GET /collections/sentinel-2-l2a/items/a': { status: 500, body: { code: 'ServerError' } }
+        });
+
+        await assert.rejects(new StacClient(server.url).getItem('sentinel-2-l2a', 'a'), /status code 500/);
+    });
+});
+
+describe('StacProvider', function () {
+    let server;
+
+    afterEach(async function () {
+        if (server) await server.close();
+        server = null;
+    });
+
+    it('sends the query filters and normalizes the items', async function () {
+        server = await startStacServer({
+            'POST /search': {
+                body: {
+                    features: [
+                        feature('S1_IW', { 'sar:polarizations': ['VV', 'VH'], 'sar:instrument_mode': 'IW' }),
+                        feature('S1_HH', { 'sar:polarizations': ['HH'], 'sar:instrument_mode': 'IW' })
+                    ]
+                }
+            }
+        });
+        const provider = new StacProvider({ url: server.url });
+
+        const items = await provider.search({
+            collection: 'sentinel-1',
+            geometry: FIELD,
+            dateRange: JUNE,
+            instrumentMode: 'IW',
+            polarizations: ['VV', 'VH'],
+            limit: 5
+        });
+
+        assert.deepStrictEqual(items.map(item => item.id), ['S1_IW']);
+        assert.strictEqual(items[0].provider, 'stac');
+
+        const { body } = server.requests[0];
+        assert.deepStrictEqual(body.collections, ['sentinel-1-grd']);
+        assert.deepStrictEqual(body.intersects, FIELD);
+        assert.strictEqual(body.datetime, '2024-06-01T00:00:00Z/2024-06-30T23:59:59Z');
+        assert.deepStrictEqual(body.query, { 'sar:instrument_mode': { eq: 'IW' } });
+        assert.strictEqual(body.limit, 5);
+    });
+
+    it('returns asset hrefs of other catalogues unsigned', async function () {
+        const provider = new StacProvider({ url: 'http://127.0.0.1:1' });
+        const item = { collection: 'sentinel-2-l2a', assets: { red: { href: 'https://bucket.example.com/B04.tif' } } };
+
+        assert.deepStrictEqual(await provider.getAsset(item, 'red'), { href: 'https://bucket.example.com/B04.tif', headers: {} });
+        assert.strictEqual(await provider.getAsset(item, 'nir'), null);
+    });
+});
+
+describe('catalogue item ids', function () {
+    it('accepts only product UUIDs for the OData catalogue', function () {
+        const provider = new ODataProvider();
+
+        assert.strictEqual(provider.isValidItemId('a1b2c3d4-e5f6-4789-abcd-0123456789ef'), true);
+        assert.strictEqual(provider.isValidItemId('S2A_31TCJ_20240601_0_L2A'), false);
+        assert.strictEqual(provider.isValidItemId("a1b2c3d4-e5f6-4789-abcd-0123456789ef)/Nodes('x"), false);
+        assert.strictEqual(provider.isValidItemId(42), false);
+    });
+
+    it('accepts STAC item ids without path or query characters', function () {
+        const provider = new StaticStacProvider({ catalogPath: CATALOG });
+
+        assert.strictEqual(provider.isValidItemId('S2A_31TCJ_20240601_0_L2A'), true);
+        assert.strictEqual(provider.isValidItemId('../S2A_31TCJ_20240601_0_L2A'), false);
+        assert.strictEqual(provider.isValidItemId('a?b=c'), false);
+        assert.strictEqual(provider.isValidItemId(''), false);
+    });
+});